@@ -0,0 +1,155 @@
+import { salesOrderRepository, purchaseOrderRepository, stockRepository } from './data.js';
+import { normalizeOrder, normalizeStockItem } from './normalize.js';
+import { describeRemoteEntities } from './sources/index.js';
+
+// --- Aggregations over orders and stock (group-by, sum/avg/count/min/max, sorting) ---
+// Order values are only added up within one currency, so every value aggregate is split
+// per currency and followed by per-currency subtotals. The datasets are read whole from the local
+// database, so a dataset whose entity comes from OData is refused (see describeRemoteEntities).
+
+export const ANALYTICS_DATASETS = {
+  sales_orders: {
+    label: 'sales orders',
+    countLabel: 'Documents',
+    load: () => salesOrderRepository.list().map(order => normalizeOrder(order, 'customer')),
+    partyKey: 'customer',
+    groupFields: ['customer', 'material', 'status', 'currency'],
+    measures: ['value', 'quantity'],
+    defaultMeasure: 'value',
+  },
+  purchase_orders: {
+    label: 'purchase orders',
+    countLabel: 'Documents',
+    load: () => purchaseOrderRepository.list().map(order => normalizeOrder(order, 'vendor')),
+    partyKey: 'vendor',
+    groupFields: ['vendor', 'material', 'status', 'currency'],
+    measures: ['value', 'quantity'],
+    defaultMeasure: 'value',
+  },
+  stock: {
+    label: 'inventory',
+    countLabel: 'Materials',
+    load: () => stockRepository.list().map(normalizeStockItem),
+    partyKey: null,
+    groupFields: ['material', 'plant'],
+    measures: ['stock'],
+    defaultMeasure: 'stock',
+  },
+};
+
+export const ANALYTICS_METRICS = ['sum', 'avg', 'count', 'min', 'max'];
+
+const METRIC_LABELS = { sum: 'Total', avg: 'Average', count: 'Count', min: 'Minimum', max: 'Maximum' };
+const FIELD_LABELS = { value: 'Value', quantity: 'Quantity', stock: 'Stock', customer: 'Customer', vendor: 'Vendor', material: 'Material', status: 'Status', currency: 'Currency', plant: 'Plant' };
+
+const measureOf = (record, field) => (field === 'value' ? record.amount : record[field]);
+
+function aggregate(values, metric) {
+  if (metric === 'count') return values.length;
+  if (values.length === 0) return null;
+  switch (metric) {
+    case 'sum': return values.reduce((sum, v) => sum + v, 0);
+    case 'avg': return values.reduce((sum, v) => sum + v, 0) / values.length;
+    case 'min': return Math.min(...values);
+    case 'max': return Math.max(...values);
+    default: return null;
+  }
+}
+
+const matchesText = (actual, wanted) => String(actual || '').toLowerCase().includes(String(wanted).trim().toLowerCase());
+
+// --- Run one aggregation ---
+// Returns { error } for invalid combinations, otherwise
+// { dataset, metric, field, groupBy, splitByCurrency, groups: [{ key, currency, value, documents }], subtotals, description, countLabel }
+export function runAnalytics({ dataset, metric = 'sum', field, group_by: groupBy, status, material, party, sort = 'desc', limit } = {}) {
+  const config = ANALYTICS_DATASETS[dataset];
+  if (!config) {
+    return { error: `Unknown dataset '${dataset}'. Use one of: ${Object.keys(ANALYTICS_DATASETS).join(', ')}.` };
+  }
+  const measure = metric === 'count' ? null : (field || config.defaultMeasure);
+  if (measure && !config.measures.includes(measure)) {
+    return { error: `Cannot aggregate '${measure}' for ${config.label}. Use one of: ${config.measures.join(', ')}.` };
+  }
+  if (groupBy && !config.groupFields.includes(groupBy)) {
+    return { error: `Cannot group ${config.label} by '${groupBy}'. Use one of: ${config.groupFields.join(', ')}.` };
+  }
+
+  const remote = describeRemoteEntities('Order and stock analysis', [dataset]);
+  if (remote) return { error: remote };
+
+  let records = config.load();
+  if (status) records = records.filter(record => String(record.status || '').toLowerCase() === String(status).trim().toLowerCase());
+  if (material) records = records.filter(record => matchesText(record.material, material));
+  if (party && config.partyKey) records = records.filter(record => matchesText(record.party, party));
+
+  const splitByCurrency = measure === 'value';
+  if (splitByCurrency) records = records.filter(record => record.amount !== null);
+
+  const buckets = new Map();
+  for (const record of records) {
+    const key = groupBy ? String(record[groupBy]) : 'All';
+    const currency = splitByCurrency ? record.currency : null;
+    const bucketKey = `${key}\u0000${currency}`;
+    if (!buckets.has(bucketKey)) buckets.set(bucketKey, { key, currency, records: [] });
+    buckets.get(bucketKey).records.push(record);
+  }
+
+  let groups = [...buckets.values()].map(bucket => ({
+    key: bucket.key,
+    currency: bucket.currency,
+    value: aggregate(bucket.records.map(record => measureOf(record, measure)), metric),
+    documents: bucket.records.length,
+  }));
+  groups.sort((a, b) => (sort === 'asc' ? a.value - b.value : b.value - a.value));
+  if (limit) groups = groups.slice(0, limit);
+
+  // Per-currency subtotals over every filtered record (not just the top N rows)
+  let subtotals = [];
+  if (splitByCurrency && groupBy) {
+    const currencies = [...new Set(records.map(record => record.currency))].sort();
+    subtotals = currencies.map(currency => {
+      const inCurrency = records.filter(record => record.currency === currency);
+      return { key: 'All', currency, value: aggregate(inCurrency.map(record => record.amount), metric), documents: inCurrency.length };
+    });
+  }
+
+  const filters = [status && `status ${status}`, material && `material ${material}`, party && `${config.partyKey} ${party}`].filter(Boolean);
+  const description = `${METRIC_LABELS[metric]}${measure ? ` ${FIELD_LABELS[measure].toLowerCase()}` : ''} of ${config.label}`
+    + (groupBy ? ` by ${groupBy}` : '')
+    + (filters.length ? ` (${filters.join(', ')})` : '');
+
+  return { dataset, metric, field: measure, groupBy: groupBy || null, splitByCurrency, groups, subtotals, description, countLabel: config.countLabel };
+}
+
+// --- Helper: display formatting for aggregate values ---
+function formatAggregate(value, { metric, field }) {
+  if (value === null || value === undefined) return '-';
+  if (metric === 'count') return value;
+  const decimals = field === 'value' ? 2 : (Number.isInteger(value) ? 0 : 2);
+  return Number(value).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+// --- Table payload for DataTableCard ---
+export function renderAnalyticsTable(result) {
+  const groupLabel = result.groupBy ? FIELD_LABELS[result.groupBy] : 'Scope';
+  const metricLabel = `${METRIC_LABELS[result.metric]}${result.field ? ` ${FIELD_LABELS[result.field]}` : ''}`;
+  const columns = [groupLabel];
+  if (result.splitByCurrency && result.groupBy !== 'currency') columns.push('Currency');
+  columns.push(metricLabel);
+  if (result.metric !== 'count') columns.push(result.countLabel);
+
+  const toRow = (group, label = group.key) => {
+    const row = { [groupLabel]: label };
+    if (columns.includes('Currency')) row['Currency'] = group.currency;
+    row[metricLabel] = formatAggregate(group.value, result);
+    if (columns.includes(result.countLabel)) row[result.countLabel] = group.documents;
+    return row;
+  };
+
+  const tableData = result.groups.map(group => toRow(group));
+  if (result.groupBy !== 'currency') {
+    result.subtotals.forEach(subtotal => tableData.push(toRow(subtotal, `All (${subtotal.currency})`)));
+  }
+
+  return { type: 'table', content: result.description, tableColumns: columns, tableData };
+}
@@ -0,0 +1,1089 @@
+// --- Express app: every route, without the listening server (see index.js) ---
+// Kept separate so tests and the evaluation suite can drive the API on a throwaway port.
+import crypto from 'crypto';
+import express from 'express';
+import cors from 'cors';
+import {
+  buildConversationContext,
+  conversationLanguage,
+  getLastToolCall,
+  getLatestUserQuery,
+  getPendingClarification,
+  mergeFollowUpParameters,
+} from './conversation.js';
+import { callLLM, LLMError } from './llm/index.js';
+import { detectInjection, quoteUserText } from './llm/promptGuard.js';
+import { knowledgeRepository } from './data.js';
+import { cleanAiText } from './helpers.js';
+import { toolRegistry, getToolsPrompt } from './tools/index.js';
+import { ORDER_TYPES, createOrder, updatePurchaseOrderStatus, validateOrderInput } from './orders.js';
+import { updateStockLevel } from './stock.js';
+import { getLeaveBalance, listLeaveRequests, resolveLeaveEmployee, submitLeaveRequest, updateLeaveStatus } from './leave.js';
+import { availabilityForUser, computeAvailability, renderAvailability } from './availability.js';
+import { DataSourceError } from './sources/index.js';
+import { authenticate, describeDenial, hasPermission, loadAuthConfig, login, requirePermission } from './auth/index.js';
+import {
+  createKnowledgeEntry, deleteKnowledgeEntry, deleteKnowledgeTranslation, dismissKnowledgeGap, importGlossary, knowledgeGaps,
+  listKnowledgeTranslations, searchKnowledgeEntries, setKnowledgeTranslation, updateKnowledgeEntry,
+} from './knowledge.js';
+import { OFFLINE_HELP, loadRouterConfig, routeIntent } from './intentRouter.js';
+import { countRows, describeStep, resolveStepParameters } from './plans.js';
+import { applyClarificationChoice } from './disambiguation.js';
+import {
+  appendMessages, createSession, deleteAllSessions, deleteSession, getSession, getSharedSession, importSessions,
+  listSessions, searchSessions, shareSession, unshareSession, updateSession,
+} from './chatSessions.js';
+import { loadRateLimitConfig, rateLimit } from './rateLimit.js';
+import {
+  MAX_PAGE_SIZE, createResultToken, loadTableConfig, pageTable, readResultToken, sortRows, tableOptions,
+} from './tables.js';
+import { writeCsv } from './export/csv.js';
+import { createWatchRule, deleteWatchRule, listWatchRules } from './watchRules.js';
+import { listNotifications, markNotificationsRead } from './notifications.js';
+import { createWebhook, deleteWebhook, listDeliveries, listWebhooks } from './webhooks.js';
+import { createXlsx } from './export/xlsx.js';
+import { DEFAULT_LANGUAGE, columnLabels, languageName } from './language.js';
+import { localizeResponse } from './translation.js';
+import { currentRequest, logger, requestContext } from './observability/logger.js';
+import { metrics, renderMetrics } from './observability/metrics.js';
+
+const app = express();
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'Retry-After', 'Content-Disposition'] }));
+// Saved conversations (/api/sessions) arrive with their whole answer tables, hence the larger limit
+app.use(express.json({ limit: '5mb' }));
+
+const elapsedMs = started => Math.round(performance.now() - started);
+
+// --- Request IDs, access log and HTTP metrics ---
+// A caller-supplied X-Request-Id is kept (so a proxy's ID lines up with ours), otherwise one is made.
+// Everything logged while handling the request carries the ID (see observability/logger.js).
+app.use((req, res, next) => {
+  const incoming = String(req.headers['x-request-id'] || '');
+  const requestId = /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', requestId);
+  const started = performance.now();
+
+  res.on('finish', () => {
+    // The route pattern, not the URL, keeps /api/knowledge/:id to one series
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unrouted';
+    const labels = { method: req.method, route };
+    metrics.httpRequests.inc({ ...labels, status: res.statusCode });
+    metrics.httpDuration.observe(labels, (performance.now() - started) / 1000);
+    requestContext.run({ requestId }, () => {
+      logger.info('request finished', { method: req.method, path: req.originalUrl, route, status: res.statusCode, latencyMs: elapsedMs(started) });
+    });
+  });
+  requestContext.run({ requestId, llmCalls: [], parseFailures: 0 }, next);
+});
+
+// --- Prometheus metrics (outside /api: scrapers have no user session) ---
+// Set METRICS_TOKEN to require "Authorization: Bearer <token>".
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'A valid metrics token is required.' });
+  }
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// --- Authentication: everything under /api except the login itself needs a user ---
+const authConfig = loadAuthConfig();
+console.log(`==> Authentication mode: ${authConfig.mode}`);
+const routerConfig = loadRouterConfig();
+console.log(`==> Intent router: ${routerConfig.mode}`);
+const tableConfig = loadTableConfig();
+
+app.post('/api/auth/login', (req, res) => {
+  if (authConfig.mode !== 'jwt') {
+    return res.status(400).json({ error: `Sign-in is handled by ${authConfig.mode === 'header' ? 'your single sign-on' : 'nobody (authentication is off)'}.` });
+  }
+  const { username, password } = req.body || {};
+  const session = login(username, password, authConfig);
+  if (!session) {
+    console.warn(`--> Failed login for "${username}".`);
+    return res.status(401).json({ error: 'Incorrect username or password.' });
+  }
+  console.log(`--> ${session.user.username} signed in.`);
+  res.json(session);
+});
+
+app.use('/api', authenticate(authConfig));
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user, mode: authConfig.mode });
+});
+
+// Reply when the LLM's decision could not be used. Never the model's raw output: that may be
+// whatever a prompt injection talked it into.
+const UNUSABLE_DECISION_REPLY = "Sorry, I couldn't work out how to help with that. I can look up stock, sales and purchase orders, explain SAP terms and transactions, and help with leave. Could you rephrase?";
+
+// --- HELPER: ask the LLM for a decision, parse it and check it against the tool schemas ---
+// Returns { decision } when it is valid, or { invalid: reason } ('empty', 'not_json' or 'schema')
+// when it cannot be used. A decision failing the schema gets one corrective retry unless
+// allowRetry is false. LLM failures throw an LLMError.
+async function requestDecision(decisionMakingPrompt, user, signal, { allowRetry = true } = {}) {
+  const decisionString = await callLLM(getToolsPrompt(user), decisionMakingPrompt, { jsonMode: true, signal });
+
+  if (!decisionString) {
+    console.error("AI service returned null or undefined decision string.");
+    return { invalid: 'empty' };
+  }
+
+  let decision;
+  try {
+    decision = JSON.parse(decisionString);
+  } catch (parseError) {
+    console.error("Failed to parse JSON decision from LLM:", String(decisionString).slice(0, 500), parseError.message);
+    metrics.decisionParseFailures.inc();
+    const request = currentRequest();
+    if (request) request.parseFailures++;
+    return { invalid: 'not_json' };
+  }
+
+  const check = toolRegistry.checkDecision(decision);
+  if (!check.valid) {
+    console.warn("--> AI decision rejected by the schema:", check.errors);
+    metrics.decisionRejections.inc({ retried: String(allowRetry) });
+    if (!allowRetry) return { invalid: 'schema' };
+    const retryPrompt = `${decisionMakingPrompt}
+
+Your previous response was:
+${JSON.stringify(decision)}
+
+It was rejected for these reasons:
+${check.errors.map(error => `- ${error}`).join('\n')}
+
+Return a corrected JSON response in one of the two formats. Only call the tools listed, with the parameters they declare.`;
+    return requestDecision(retryPrompt, user, signal, { allowRetry: false });
+  }
+
+  console.log("==> Parsed AI decision:", JSON.stringify(check.decision, null, 2));
+  return { decision: check.decision };
+}
+
+// --- HELPER: let the LLM correct a tool call that failed parameter validation (one retry) ---
+async function retryToolCall(decisionMakingPrompt, decision, validationError, user, signal) {
+  console.log(`--> Asking the LLM to correct the parameters for '${decision.tool_name}'.`);
+  const retryPrompt = `${decisionMakingPrompt}
+
+Your previous response was:
+${JSON.stringify(decision)}
+
+It was rejected by the tool with this validation error:
+${JSON.stringify(validationError)}
+
+Return a corrected JSON response in the same format. Only use the parameters the tool declares, with the declared types.`;
+
+  try {
+    const retry = await requestDecision(retryPrompt, user, signal, { allowRetry: false });
+    if (retry.decision?.type === 'tool_call' && retry.decision.tool_name === decision.tool_name) {
+      return retry.decision;
+    }
+  } catch (error) {
+    if (!(error instanceof LLMError) || error.code === 'aborted') throw error;
+    console.error(`Retry for tool parameters failed [${error.provider}/${error.code}]:`, error.message);
+  }
+  return null;
+}
+
+
+// --- HELPER: run a tool, recording its outcome and latency in the metrics and the trace ---
+async function executeTool(toolName, parameters, toolContext, trace) {
+  const started = performance.now();
+  let outcome = 'error';
+  let execution = null;
+  try {
+    execution = await toolRegistry.execute(toolName, parameters, toolContext);
+    outcome = execution.error?.type || 'ok';
+    return execution;
+  } finally {
+    metrics.toolCalls.inc({ tool: toolName, outcome });
+    metrics.toolDuration.observe({ tool: toolName }, (performance.now() - started) / 1000);
+    const tableData = execution?.response?.tableData;
+    trace.steps.push({
+      step: 'tool',
+      tool: toolName,
+      parameters: execution?.parameters ?? parameters,
+      outcome,
+      rows: Array.isArray(tableData) ? tableData.length : null,
+      latencyMs: elapsedMs(started),
+    });
+  }
+}
+
+// --- HELPER: the reply for a tool call that could not run, or null when it ran ---
+function describeToolFailure(execution, user) {
+  const { error } = execution;
+  if (!error) return null;
+  if (error.type === 'validation_error') {
+    const tool = toolRegistry.get(error.tool_name);
+    const details = error.errors.map(item => item.message).join(' ');
+    return tool.validationMessage || `Sorry, I couldn't work out the details for that request. ${details} Could you rephrase?`;
+  }
+  if (error.type === 'forbidden') {
+    return describeDenial(user, error.permission);
+  }
+  // A safety net: LLM decisions are already checked against the registry
+  console.warn(`--> Unhandled tool detected: ${error.tool_name}`);
+  return UNUSABLE_DECISION_REPLY;
+}
+
+// --- HELPER: the first page of a paged tool's table, with the token for the rest (see tables.js) ---
+function presentTable(toolName, parameters, response, language) {
+  if (!toolRegistry.get(toolName)?.paged || response?.type !== 'table') return response;
+  const options = tableOptions(parameters, response.tableColumns);
+  return {
+    ...pageTable(response, { ...options, pageSize: tableConfig.pageSize }),
+    resultToken: createResultToken({ name: toolName, parameters }, authConfig.secret, tableConfig.tokenTtlSeconds, language),
+  };
+}
+
+// --- HELPER: a chat reply in the user's language (see translation.js) ---
+async function localizeTurn(turn, language, { signal, emit }) {
+  if ((turn.status ?? 200) !== 200 || language === DEFAULT_LANGUAGE) return turn;
+  try {
+    return { ...turn, body: await localizeResponse(turn.body, language, { signal, onTranslate: () => emit('status', { stage: 'translating' }) }) };
+  } catch (error) {
+    if (error instanceof LLMError && error.code === 'aborted') {
+      console.log('--> Chat request cancelled by the client.');
+      return { status: 499, body: { error: 'The request was cancelled.' } };
+    }
+    throw error;
+  }
+}
+
+// --- HELPER: run a multi-step plan into one composite response (see plans.js) ---
+// Each step becomes a section titled after the tool and its parameters; a failed step becomes a text
+// section and the plan carries on. The last successful tool call is the one follow-ups refine.
+async function runPlan(steps, { toolContextFor, user, emit, trace, language }) {
+  const results = [];
+  const sections = [];
+  let lastToolCall = null;
+
+  for (const [index, step] of steps.entries()) {
+    const status = { step: index + 1, steps: steps.length };
+    const resolved = resolveStepParameters(step.parameters, results);
+    if (resolved.missing) {
+      console.log(`--> Skipping plan step ${status.step}: ${resolved.missing}.`);
+      results.push(null);
+      sections.push({ type: 'text', title: describeStep(step.tool_name), content: `Skipped: ${resolved.missing}.` });
+      continue;
+    }
+
+    console.log(`==> Executing plan step ${status.step}/${status.steps}: ${step.tool_name}`);
+    emit('status', { stage: 'running', tool: step.tool_name, ...status });
+    const execution = await executeTool(step.tool_name, resolved.parameters, toolContextFor(step.tool_name, status), trace);
+    const failure = describeToolFailure(execution, user);
+    if (failure) {
+      results.push(null);
+      sections.push({ type: 'text', title: describeStep(step.tool_name, resolved.parameters), content: failure });
+      continue;
+    }
+
+    const toolCall = { name: step.tool_name, parameters: execution.parameters };
+    results.push(execution.response);
+    sections.push({ ...presentTable(step.tool_name, execution.parameters, execution.response, language), title: describeStep(step.tool_name, execution.parameters), toolCall });
+    lastToolCall = toolCall;
+  }
+
+  return { type: 'composite', sections, ...(lastToolCall && { toolCall: lastToolCall }) };
+}
+
+function recordDecision(trace, source, decisionOutcome, started) {
+  metrics.decisions.inc({ source });
+  trace.steps.push({
+    step: 'decision',
+    source,
+    type: decisionOutcome.decision?.type || 'invalid',
+    tool: decisionOutcome.decision?.tool_name ?? decisionOutcome.decision?.steps?.map(step => step.tool_name).join(', '),
+    latencyMs: elapsedMs(started),
+  });
+}
+
+// --- One chat turn: decide, run the tool, build the reply ---
+// Resolves to { status (default 200), body } — body is the chat payload, or { error } for a failure.
+// emit(event, data) reports progress for streaming clients ('status' and 'token' events, see
+// /api/chat/stream); signal (an AbortSignal) cancels the LLM calls when the client goes away.
+// Each turn is logged as one 'chat turn' entry: decision -> tool -> parameters -> rows -> latency,
+// with the LLM calls and their token usage.
+// The reply comes in the language of the conversation (see language.js); while the LLM is down, in English.
+async function runChat({ messageHistory, user, signal, conversationId, emit = () => {} }) {
+  const started = performance.now();
+  const trace = { steps: [] };
+  const language = conversationLanguage(messageHistory);
+  const turn = await chatTurn({ messageHistory, user, signal, emit, trace, language });
+  const { status = 200, body } = trace.llmUnavailable ? turn : await localizeTurn(turn, language, { signal, emit });
+
+  const outcome = status === 499 ? 'cancelled' : status === 200 ? 'ok' : 'error';
+  metrics.chatTurns.inc({ outcome });
+  metrics.chatDuration.observe({}, (performance.now() - started) / 1000);
+
+  const request = currentRequest();
+  const llmCalls = request?.llmCalls || [];
+  const sumOf = key => llmCalls.reduce((sum, call) => sum + (call[key] || 0), 0);
+  const lastTool = trace.steps.filter(step => step.step === 'tool').at(-1);
+  logger.info('chat turn', {
+    conversationId: conversationId || null,
+    user: user?.username,
+    query: getLatestUserQuery(messageHistory),
+    language,
+    outcome,
+    status,
+    responseType: body?.type || null,
+    tool: lastTool?.tool || null,
+    parameters: lastTool?.parameters || null,
+    rows: countRows(body),
+    latencyMs: elapsedMs(started),
+    injectionSignals: trace.injectionSignals || [],
+    steps: trace.steps,
+    llm: {
+      calls: llmCalls.length,
+      latencyMs: sumOf('latencyMs'),
+      promptTokens: sumOf('promptTokens'),
+      completionTokens: sumOf('completionTokens'),
+      parseFailures: request?.parseFailures || 0,
+      requests: llmCalls,
+    },
+  });
+  return { status, body };
+}
+
+const INTERNAL_CHAT_ERROR = 'An internal server error occurred processing your request.';
+
+async function chatTurn({ messageHistory, user, signal, emit, trace, language }) {
+  const originalUserQuery = getLatestUserQuery(messageHistory);
+  console.log(`\n--- Received query: ${quoteUserText(originalUserQuery, 200)} ---`);
+
+  // Flagged, logged and counted; the decision still has to pass the tool schemas either way
+  const injectionSignals = detectInjection(originalUserQuery);
+  if (injectionSignals.length > 0) {
+    trace.injectionSignals = injectionSignals;
+    injectionSignals.forEach(signal => metrics.injectionSignals.inc({ signal }));
+    logger.warn('possible prompt injection', { signals: injectionSignals, user: user?.username, query: originalUserQuery.slice(0, 500) });
+  }
+
+  const conversationContext = buildConversationContext(messageHistory);
+  const lastToolCall = getLastToolCall(messageHistory);
+  // A pick from a clarification's choices re-runs the tool call it was asked for, without the LLM
+  const chosenToolCall = applyClarificationChoice(getPendingClarification(messageHistory), originalUserQuery);
+  const conversationBlock = conversationContext
+    ? `Conversation so far (oldest first):\n${conversationContext}\n\n`
+    : '';
+
+  // Obvious requests ("stock of PUMP-1001") can be routed without the LLM; null when unsure
+  const routeOffline = () => {
+    if (routerConfig.mode === 'off') return null;
+    const routed = routeIntent(originalUserQuery, { tools: toolRegistry.list(), lastToolCall });
+    if (routed) console.log(`==> Intent router: ${routed.decision.tool_name || 'text reply'} (score ${routed.score})`);
+    return routed;
+  };
+
+  try {
+    // --- STEP 1: Decide, through the intent router (fast mode) or the LLM ---
+    const languageNote = language === DEFAULT_LANGUAGE
+      ? ''
+      : `\n\nThe user writes in ${languageName(language)}: decide exactly as for the same request in English, with parameter values in English (rule 14), and write any text response in ${languageName(language)}.`;
+    const decisionMakingPrompt = `${conversationBlock}User's latest input: ${quoteUserText(originalUserQuery)}\n\nBased on this input, the conversation so far and the rules provided in the system prompt, what is the correct JSON response? Pay CLOSE attention to parameter extraction rules for tools, especially when multiple items are mentioned or the input is a follow-up to an earlier request.${languageNote}`;
+
+    emit('status', { stage: 'deciding' });
+    const decisionStarted = performance.now();
+    let decisionSource = chosenToolCall ? 'clarification' : 'router';
+    let decisionOutcome = null;
+    if (chosenToolCall) {
+      console.log(`==> Clarification answered: ${chosenToolCall.name} with`, chosenToolCall.parameters);
+      decisionOutcome = { decision: { type: 'tool_call', tool_name: chosenToolCall.name, parameters: chosenToolCall.parameters } };
+    } else if (routerConfig.mode === 'fast') {
+      decisionOutcome = routeOffline();
+    }
+    let llmAvailable = true;
+    if (!decisionOutcome) {
+      decisionSource = 'llm';
+      try {
+        decisionOutcome = await requestDecision(decisionMakingPrompt, user, signal);
+      } catch (error) {
+        if (!(error instanceof LLMError) || error.code === 'aborted') throw error;
+        console.error(`Error getting decision from LLM [${error.provider}/${error.code}]:`, error.message);
+        if (routerConfig.mode === 'off') {
+          return { status: error.status || 500, body: error.toJSON() };
+        }
+        // Degraded mode: answer what the router can handle, explain the rest
+        trace.llmUnavailable = true;
+        decisionOutcome = routerConfig.mode === 'fallback' ? routeOffline() : null;
+        if (!decisionOutcome) {
+          return { body: { type: 'text', content: OFFLINE_HELP } };
+        }
+        decisionSource = 'router_offline';
+        llmAvailable = false;
+      }
+    }
+    recordDecision(trace, decisionSource, decisionOutcome, decisionStarted);
+
+    if (decisionOutcome.invalid) {
+      console.warn(`--> Unusable AI decision (${decisionOutcome.invalid}), sending the fallback reply.`);
+      return { body: { type: 'text', content: UNUSABLE_DECISION_REPLY } };
+    }
+    let { decision } = decisionOutcome;
+
+    // --- STEP 2: Execute the decision ---
+    // status adds { step, steps } for plan steps, whose explanations are not streamed token by token
+    const toolContextFor = (toolName, status = {}) => ({
+      query: originalUserQuery,
+      conversationBlock,
+      language,
+      user,
+      authorize: tool => hasPermission(user, tool.permission),
+      llmAvailable,
+      signal,
+      // Tools that write an answer with the LLM stream it through these
+      onProgress: stage => emit('status', { stage, tool: toolName, ...status }),
+      onToken: status.step ? undefined : text => emit('token', { text }),
+    });
+
+    if (decision.type === 'plan' && decision.steps.length === 1) {
+      decision = { type: 'tool_call', ...decision.steps[0] };
+    }
+    if (decision.type === 'plan') {
+      console.log(`==> Executing a plan of ${decision.steps.length} steps.`);
+      return { body: await runPlan(decision.steps, { toolContextFor, user, emit, trace, language }) };
+    }
+
+    if (decision.type === 'tool_call' && decision.tool_name) {
+      decision = mergeFollowUpParameters(decision, lastToolCall, originalUserQuery);
+      console.log(`==> Executing tool: ${decision.tool_name}`);
+      emit('status', { stage: 'running', tool: decision.tool_name });
+      const toolContext = toolContextFor(decision.tool_name);
+
+      let execution = await executeTool(decision.tool_name, decision.parameters, toolContext, trace);
+
+      if (execution.error?.type === 'validation_error' && llmAvailable) {
+        const correctedDecision = await retryToolCall(decisionMakingPrompt, decision, execution.error, user, signal);
+        if (correctedDecision) {
+          decision = mergeFollowUpParameters(correctedDecision, lastToolCall, originalUserQuery);
+          execution = await executeTool(decision.tool_name, decision.parameters, toolContext, trace);
+        }
+      }
+
+      const failure = describeToolFailure(execution, user);
+      if (failure) {
+        return { body: { type: 'text', content: failure } };
+      }
+
+      // Echoed back by the frontend in messageHistory so follow-ups can reuse the parameters
+      const toolResult = {
+        ...presentTable(decision.tool_name, execution.parameters, execution.response, language),
+        toolCall: { name: decision.tool_name, parameters: execution.parameters },
+      };
+      return { body: toolResult };
+
+    } else if (decision.type === 'text') {
+      console.log('==> AI decided to have a normal conversation.');
+      const contentToSend = cleanAiText(
+        decision.content || "Sorry, I couldn't generate a response."
+      );
+      // The LLM was asked to reply in the user's language; the router's canned replies are English
+      const written = decisionSource === 'llm' && language !== DEFAULT_LANGUAGE ? { language } : {};
+      return { body: { type: 'text', content: contentToSend, ...written } };
+    } else {
+      console.error("==> Unexpected decision format received:", decision);
+      return { status: 500, body: { error: 'Received an unexpected response format from the AI.' } };
+    }
+
+  } catch (error) {
+    if (error instanceof LLMError && error.code === 'aborted') {
+      console.log('--> Chat request cancelled by the client.');
+      return { status: 499, body: { error: 'The request was cancelled.' } };
+    }
+    if (error instanceof DataSourceError) {
+      console.error(`Data source failed [${error.source}/${error.code}] for ${error.entity}:`, error.message);
+      return { body: { type: 'text', content: `Sorry, I couldn't reach the SAP system to look up ${error.entity.replace('_', ' ')} right now. ${error.message}` } };
+    }
+    console.error("--- Error in /api/chat endpoint:", error.message, error.stack);
+    return { status: 500, body: { error: INTERNAL_CHAT_ERROR } };
+  }
+}
+
+// Every entry is a { sender, text } object; bot entries may carry the reply's content instead of text
+const isHistoryEntry = entry => entry !== null && typeof entry === 'object' && !Array.isArray(entry) && typeof entry.sender === 'string';
+const isValidHistory = messageHistory => Array.isArray(messageHistory) && messageHistory.length > 0 && messageHistory.every(isHistoryEntry);
+
+// One budget per user across both chat endpoints (per address when authentication is off)
+const rateLimitConfig = loadRateLimitConfig();
+console.log(`==> Chat rate limit: ${rateLimitConfig.limit ? `${rateLimitConfig.limit} per ${rateLimitConfig.windowMs / 1000}s` : 'off'}`);
+const chatRateLimit = rateLimit(rateLimitConfig, {
+  keyFor: req => (authConfig.mode === 'none' ? `ip:${req.ip}` : `user:${req.user.username}`),
+});
+
+// --- Main Chat Endpoint ---
+app.post('/api/chat', chatRateLimit, async (req, res) => {
+  const { messageHistory } = req.body;
+  if (!isValidHistory(messageHistory)) {
+    return res.status(400).json({ error: 'Invalid messageHistory provided.' });
+  }
+  try {
+    const { status = 200, body } = await runChat({ messageHistory, user: req.user, conversationId: req.body.conversationId });
+    res.status(status).json(body);
+  } catch (error) {
+    console.error("--- Error in /api/chat endpoint:", error.message, error.stack);
+    res.status(500).json({ error: INTERNAL_CHAT_ERROR });
+  }
+});
+
+// --- Streaming chat endpoint (Server-Sent Events) ---
+// Same turn as /api/chat, sent as events while it runs:
+//   status    { stage: 'deciding' | 'running' | 'explaining', tool }
+//   token     { text }   the next piece of an answer the LLM is still writing
+//   response  the final payload, exactly what /api/chat returns (text, table, form, ...)
+//   error     { status, error }
+// Closing the connection cancels the turn, including any LLM call in flight.
+app.post('/api/chat/stream', chatRateLimit, async (req, res) => {
+  const { messageHistory } = req.body;
+  if (!isValidHistory(messageHistory)) {
+    return res.status(400).json({ error: 'Invalid messageHistory provided.' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // stop proxies from buffering the stream
+  });
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const { status = 200, body } = await runChat({
+      messageHistory,
+      user: req.user,
+      conversationId: req.body.conversationId,
+      signal: controller.signal,
+      emit: send,
+    });
+    if (controller.signal.aborted) return;
+    send(status === 200 ? 'response' : 'error', status === 200 ? body : { status, ...body });
+  } catch (error) {
+    console.error("--- Error in /api/chat/stream endpoint:", error.message, error.stack);
+    send('error', { status: 500, error: INTERNAL_CHAT_ERROR });
+  }
+  res.end();
+});
+
+
+// --- submit-leave endpoint ---
+app.post('/api/submit-leave', (req, res) => {
+  const newLeaveData = req.body;
+  console.log("--- Received leave submission ---", newLeaveData);
+  if (!newLeaveData || typeof newLeaveData !== 'object' || Object.keys(newLeaveData).length === 0) {
+    console.error("--> Invalid leave data received.");
+    return res.status(400).json({ error: 'Invalid leave data provided.' });
+  }
+  try {
+    // The applicant is always the signed-in user, whatever name the form sent
+    const { errors, entry } = submitLeaveRequest({ ...newLeaveData, employeeName: req.user.employeeName });
+    if (errors.length > 0) {
+      console.error("--> Leave application rejected:", errors);
+      return res.status(400).json({ error: errors.map(e => e.message).join(' '), details: errors });
+    }
+    console.log(`--> Leave application ${entry.id} saved successfully.`);
+    res.json({
+      type: 'text',
+      content: `Thanks! Your leave application (${entry.days} working day(s), ${entry.startDate} to ${entry.endDate}) has been successfully submitted and is waiting for approval.`
+    });
+  } catch (error) {
+    console.error('--> Error saving leave application:', error);
+    res.status(500).json({ error: 'Failed to save the leave application.' });
+  }
+});
+
+// --- Leave management endpoints ---
+// Without 'leave:all' only the user's own requests and balance are visible
+app.get('/api/leave-requests', (req, res) => {
+  const scope = resolveLeaveEmployee(req.user, req.query.employeeName);
+  if (scope.denied) {
+    return res.status(403).json({ error: scope.denied, code: 'forbidden' });
+  }
+  res.json(listLeaveRequests({ employeeName: scope.employeeName, status: req.query.status }));
+});
+
+app.get('/api/leave-balance', (req, res) => {
+  const { year } = req.query;
+  const scope = resolveLeaveEmployee(req.user, req.query.employeeName);
+  if (scope.denied) {
+    return res.status(403).json({ error: scope.denied, code: 'forbidden' });
+  }
+  if (!scope.employeeName) {
+    return res.status(400).json({ error: 'employeeName is required.' });
+  }
+  if (year !== undefined && !/^\d{4}$/.test(year)) {
+    return res.status(400).json({ error: 'year must be a four-digit year.' });
+  }
+  res.json(getLeaveBalance(scope.employeeName, year === undefined ? undefined : Number(year)));
+});
+
+const LEAVE_ACTIONS = { approve: 'Approved', reject: 'Rejected', cancel: 'Cancelled' };
+
+app.post('/api/leave-requests/:id/:action', (req, res) => {
+  const nextStatus = LEAVE_ACTIONS[req.params.action];
+  if (!nextStatus) {
+    return res.status(404).json({ error: `Unknown leave action '${req.params.action}'.` });
+  }
+  // Approving and rejecting is for HR; anyone may cancel their own requests
+  const permission = nextStatus === 'Cancelled' ? 'leave:self' : 'leave:approve';
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ error: describeDenial(req.user, permission), code: 'forbidden' });
+  }
+  try {
+    const { entry, error } = updateLeaveStatus(req.params.id, nextStatus, {
+      comment: req.body?.comment,
+      actor: req.user.displayName,
+      ownerName: nextStatus === 'Cancelled' && !hasPermission(req.user, 'leave:all') ? req.user.employeeName : null,
+    });
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.log(`--> Leave request ${entry.id} is now ${entry.status}.`);
+    res.json(entry);
+  } catch (error) {
+    console.error('--> Error updating leave request:', error);
+    res.status(500).json({ error: 'Failed to update the leave request.' });
+  }
+});
+
+// --- submit-sales-order / submit-purchase-order endpoints (confirmation of a chat draft) ---
+function handleOrderSubmission(orderType) {
+  const { label, partyKey, partyPreposition } = ORDER_TYPES[orderType];
+
+  return (req, res) => {
+    console.log(`--- Received ${label.toLowerCase()} submission ---`, req.body);
+    const { errors, order } = validateOrderInput(orderType, req.body);
+    if (errors.length > 0) {
+      console.error(`--> Invalid ${label.toLowerCase()} data:`, errors);
+      return res.status(400).json({ error: errors.map(e => e.message).join(' '), details: errors });
+    }
+    try {
+      const newOrder = createOrder(orderType, order);
+      console.log(`--> ${label} ${newOrder.id} saved successfully.`);
+      res.json({
+        type: 'text',
+        content: `${label} **${newOrder.id}** has been created: ${newOrder.quantity} × ${newOrder.material} ${partyPreposition} ${newOrder[partyKey]} (${newOrder.value}), status ${newOrder.status}.`,
+      });
+    } catch (error) {
+      console.error(`--> Error saving ${label.toLowerCase()}:`, error);
+      res.status(500).json({ error: `Failed to save the ${label.toLowerCase()}.` });
+    }
+  };
+}
+
+app.post('/api/submit-sales-order', requirePermission('sales_orders:create'), handleOrderSubmission('sales'));
+app.post('/api/submit-purchase-order', requirePermission('purchase_orders:create'), handleOrderSubmission('purchase'));
+
+// --- Material availability (ATP) endpoint ---
+app.get('/api/materials/:material/availability', requirePermission('stock:read'), (req, res) => {
+  const quantity = req.query.quantity !== undefined ? Number(req.query.quantity) : undefined;
+  if (quantity !== undefined && (!Number.isFinite(quantity) || quantity < 0)) {
+    return res.status(400).json({ error: 'quantity must be a non-negative number.' });
+  }
+  const result = computeAvailability(req.params.material, { plant: req.query.plant, requestedQuantity: quantity });
+  if (!result) {
+    return res.status(404).json({ error: `Material '${req.params.material}' was not found.` });
+  }
+  if (result.error) {
+    return res.status(409).json({ error: result.error });
+  }
+  res.json(renderAvailability(availabilityForUser(result, req.user)));
+});
+
+// --- Knowledge base admin endpoints ---
+// Reads are open to everyone who can look up terms; changes, imports and the gaps report are for
+// administrators. Every change is searchable immediately (the indexes rebuild on the next search).
+const knowledgeValidationStatus = errors => (errors.some(e => e.duplicateOf) ? 409 : 400);
+
+app.get('/api/knowledge', requirePermission('knowledge:read'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  res.json(searchKnowledgeEntries({ query: req.query.q, module: req.query.module, limit }));
+});
+
+app.get('/api/knowledge/gaps', requirePermission('knowledge:manage'), (req, res) => {
+  res.json(knowledgeGaps({ includeCovered: req.query.includeCovered === 'true' }));
+});
+
+app.delete('/api/knowledge/gaps/:term', requirePermission('knowledge:manage'), (req, res) => {
+  if (!dismissKnowledgeGap(req.params.term)) {
+    return res.status(404).json({ error: `'${req.params.term}' is not in the gaps report.` });
+  }
+  res.status(204).end();
+});
+
+// Body: JSON { format: 'csv' | 'markdown', content, onDuplicate?, dryRun? }, or the raw file sent as
+// text/csv or text/markdown (options then come from the query string)
+app.post(
+  '/api/knowledge/import',
+  requirePermission('knowledge:manage'),
+  express.text({ type: ['text/csv', 'text/markdown', 'text/plain'], limit: '2mb' }),
+  (req, res) => {
+    const raw = typeof req.body === 'string';
+    const options = raw ? req.query : req.body || {};
+    const format = String(options.format || (req.is('text/csv') ? 'csv' : req.is('text/markdown') ? 'markdown' : '')).toLowerCase();
+    const content = raw ? req.body : options.content;
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Nothing to import: send the glossary as content.' });
+    }
+    try {
+      const report = importGlossary(content, {
+        format: format === 'md' ? 'markdown' : format,
+        onDuplicate: options.onDuplicate || 'skip',
+        dryRun: options.dryRun === true || options.dryRun === 'true',
+      });
+      if (report.error) {
+        return res.status(report.error.status).json({ error: report.error.message });
+      }
+      console.log(`--> Knowledge import by ${req.user.username}: ${report.created.length} created, ${report.updated.length} updated, ${report.skipped.length} skipped, ${report.errors.length} error(s)${report.applied ? '' : ' (not applied)'}.`);
+      res.status(report.errors.length > 0 ? 422 : 200).json(report);
+    } catch (error) {
+      console.error('--> Error importing glossary:', error);
+      res.status(500).json({ error: 'Failed to import the glossary.' });
+    }
+  },
+);
+
+app.get('/api/knowledge/:id', requirePermission('knowledge:read'), (req, res) => {
+  const entry = knowledgeRepository.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: `Knowledge base entry ${req.params.id} was not found.` });
+  }
+  res.json(entry);
+});
+
+app.post('/api/knowledge', requirePermission('knowledge:manage'), (req, res) => {
+  const { errors, entry } = createKnowledgeEntry(req.body);
+  if (errors.length > 0) {
+    return res.status(knowledgeValidationStatus(errors)).json({ error: errors.map(e => e.message).join(' '), details: errors });
+  }
+  console.log(`--> Knowledge entry ${entry.id} ('${entry.term}') added by ${req.user.username}.`);
+  res.status(201).json(entry);
+});
+
+app.patch('/api/knowledge/:id', requirePermission('knowledge:manage'), (req, res) => {
+  const { errors, entry, error } = updateKnowledgeEntry(req.params.id, req.body);
+  if (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (errors.length > 0) {
+    return res.status(knowledgeValidationStatus(errors)).json({ error: errors.map(e => e.message).join(' '), details: errors });
+  }
+  console.log(`--> Knowledge entry ${entry.id} ('${entry.term}') updated by ${req.user.username}.`);
+  res.json(entry);
+});
+
+app.delete('/api/knowledge/:id', requirePermission('knowledge:manage'), (req, res) => {
+  if (!deleteKnowledgeEntry(req.params.id)) {
+    return res.status(404).json({ error: `Knowledge base entry ${req.params.id} was not found.` });
+  }
+  console.log(`--> Knowledge entry ${req.params.id} deleted by ${req.user.username}.`);
+  res.status(204).end();
+});
+
+// Translations of an entry, one per language (see language.js). Answers in a language the entry has
+// no translation for are translated from the English text.
+app.get('/api/knowledge/:id/translations', requirePermission('knowledge:read'), (req, res) => {
+  const { translations, error } = listKnowledgeTranslations(req.params.id);
+  if (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  res.json(translations);
+});
+
+app.put('/api/knowledge/:id/translations/:language', requirePermission('knowledge:manage'), (req, res) => {
+  const { errors, translation, error } = setKnowledgeTranslation(req.params.id, req.params.language, req.body);
+  if (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.map(e => e.message).join(' '), details: errors });
+  }
+  console.log(`--> Knowledge entry ${req.params.id} translated into ${req.params.language} by ${req.user.username}.`);
+  res.json(translation);
+});
+
+app.delete('/api/knowledge/:id/translations/:language', requirePermission('knowledge:manage'), (req, res) => {
+  const { error } = deleteKnowledgeTranslation(req.params.id, req.params.language);
+  if (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  res.status(204).end();
+});
+
+// --- Stock and purchase order updates (checked against watch rules, see notifications.js) ---
+app.patch('/api/stock/:material', requirePermission('stock:manage'), (req, res) => {
+  try {
+    const { item, error } = updateStockLevel(req.params.material, req.body?.stockLevel, { actor: req.user.displayName });
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.log(`--> Stock of ${item.Material} is now ${item['Stock Level']}.`);
+    res.json(item);
+  } catch (error) {
+    console.error('--> Error updating stock:', error);
+    res.status(500).json({ error: 'Failed to update the stock level.' });
+  }
+});
+
+app.patch('/api/purchase-orders/:id', requirePermission('purchase_orders:update'), (req, res) => {
+  try {
+    const { order, error } = updatePurchaseOrderStatus(req.params.id, req.body?.status, { actor: req.user.displayName });
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.log(`--> Purchase order ${order.id} is now ${order.status}.`);
+    res.json(order);
+  } catch (error) {
+    console.error('--> Error updating purchase order:', error);
+    res.status(500).json({ error: 'Failed to update the purchase order.' });
+  }
+});
+
+// --- Watch rules and the notification feed (the signed-in user's own) ---
+app.get('/api/watch-rules', (req, res) => {
+  res.json(listWatchRules(req.user.username));
+});
+
+app.post('/api/watch-rules', requirePermission('alerts:self'), (req, res) => {
+  const { rule, error } = createWatchRule(req.user, req.body);
+  if (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.log(`--> ${req.user.username} is watching: ${rule.description}.`);
+  res.status(201).json(rule);
+});
+
+app.delete('/api/watch-rules/:id', (req, res) => {
+  if (!deleteWatchRule(req.user.username, req.params.id)) {
+    return res.status(404).json({ error: `Alert ${req.params.id} was not found.` });
+  }
+  res.status(204).end();
+});
+
+app.get('/api/notifications', (req, res) => {
+  res.json(listNotifications(req.user.username, { unreadOnly: req.query.unread === 'true' }));
+});
+
+// Body { ids } marks those notifications as read; without ids, all of them
+app.post('/api/notifications/read', (req, res) => {
+  const { marked, error } = markNotificationsRead(req.user.username, req.body?.ids);
+  if (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  res.json({ marked });
+});
+
+// --- Outgoing webhooks (administrators, see webhooks.js) ---
+app.get('/api/webhooks', requirePermission('webhooks:manage'), (req, res) => {
+  res.json(listWebhooks());
+});
+
+app.post('/api/webhooks', requirePermission('webhooks:manage'), (req, res) => {
+  const { webhook, error } = createWebhook(req.user, req.body);
+  if (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.log(`--> Webhook ${webhook.id} registered for ${webhook.eventTypes.join(', ')}: ${webhook.url}`);
+  res.status(201).json(webhook);
+});
+
+app.delete('/api/webhooks/:id', requirePermission('webhooks:manage'), (req, res) => {
+  if (!deleteWebhook(req.params.id)) {
+    return res.status(404).json({ error: `Webhook ${req.params.id} was not found.` });
+  }
+  res.status(204).end();
+});
+
+app.get('/api/webhooks/:id/deliveries', requirePermission('webhooks:manage'), (req, res) => {
+  const deliveries = listDeliveries(req.params.id);
+  if (!deliveries) {
+    return res.status(404).json({ error: `Webhook ${req.params.id} was not found.` });
+  }
+  res.json(deliveries);
+});
+
+// --- Paged table results: other pages, sort orders, columns and exports (see tables.js) ---
+// The token's tool call runs again for the current user, with their permissions. Query: page,
+// pageSize, sort (a column, '' for none), order (asc | desc) and columns (comma-separated); left
+// out, the sort and columns of the original question apply. Headers stay in the language the table
+// was asked for in.
+async function rerunTable(req) {
+  const toolCall = readResultToken(req.params.token, authConfig.secret);
+  if (!toolCall || !toolRegistry.get(toolCall.name)?.paged) {
+    return { error: { status: 410, message: 'These results have expired. Please ask again to get fresh ones.' } };
+  }
+  if (req.query.order !== undefined && !['asc', 'desc'].includes(req.query.order)) {
+    return { error: { status: 400, message: "order must be 'asc' or 'desc'." } };
+  }
+  const execution = await toolRegistry.execute(toolCall.name, toolCall.parameters, {
+    user: req.user,
+    authorize: tool => hasPermission(req.user, tool.permission),
+  });
+  if (execution.error?.type === 'forbidden') {
+    return { error: { status: 403, message: describeDenial(req.user, execution.error.permission) } };
+  }
+  if (execution.error || execution.response?.type !== 'table') {
+    return { error: { status: 409, message: 'These results cannot be shown any more. Please ask again.' } };
+  }
+  const options = tableOptions({
+    sort_by: req.query.sort ?? toolCall.parameters.sort_by,
+    sort_order: req.query.order ?? toolCall.parameters.sort_order,
+    columns: req.query.columns ?? toolCall.parameters.columns,
+  }, execution.response.tableColumns);
+  const labels = columnLabels(execution.response.tableColumns, toolCall.language);
+  return { toolCall: { name: toolCall.name, parameters: toolCall.parameters }, response: execution.response, options, labels };
+}
+
+function sendTableFailure(res, error) {
+  if (error instanceof DataSourceError) {
+    console.error(`Data source failed [${error.source}/${error.code}] for ${error.entity}:`, error.message);
+    return res.status(502).json({ error: `Couldn't reach the SAP system right now. ${error.message}` });
+  }
+  console.error('--> Error re-running a table result:', error);
+  res.status(500).json({ error: 'Failed to load the table.' });
+}
+
+app.get('/api/tables/:token', async (req, res) => {
+  try {
+    const { error, toolCall, response, options, labels } = await rerunTable(req);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    const page = parseInt(req.query.page, 10) || 1;
+    const requestedSize = parseInt(req.query.pageSize, 10);
+    const pageSize = Number.isNaN(requestedSize) ? tableConfig.pageSize : Math.min(Math.max(requestedSize, 1), MAX_PAGE_SIZE);
+    res.json({
+      ...pageTable(response, { ...options, page, pageSize }),
+      ...(labels && { columnLabels: labels }),
+      resultToken: req.params.token,
+      toolCall,
+    });
+  } catch (error) {
+    sendTableFailure(res, error);
+  }
+});
+
+const EXPORT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Every row of the result (not just a page), in the chosen order and columns
+app.get('/api/tables/:token/export', async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_TYPES[format]) {
+    return res.status(400).json({ error: `Unknown export format '${format}'. Use one of: ${Object.keys(EXPORT_TYPES).join(', ')}.` });
+  }
+  try {
+    const { error, toolCall, response, options, labels } = await rerunTable(req);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    const rows = sortRows(response.tableData, options.sort);
+    const headers = options.columns.map(column => labels?.[column] ?? column);
+    const filename = `${toolCall.name.replace(/_/g, '-')}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    console.log(`--> ${req.user.username} exported ${rows.length} row(s) of ${toolCall.name} as ${format}.`);
+    res.type(EXPORT_TYPES[format]).set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      writeCsv(res, options.columns, rows, { headers });
+      return res.end();
+    }
+    res.send(createXlsx(options.columns, rows, { sheetName: describeStep(toolCall.name), headers }));
+  } catch (error) {
+    sendTableFailure(res, error);
+  }
+});
+
+// --- Saved conversations (see chatSessions.js) ---
+// Every user sees only their own sessions; a share token gives read-only access to one of them.
+const sendSessionResult = (res, { error, ...result }, status = 200) => {
+  if (error) return res.status(error.status).json({ error: error.message });
+  res.status(status).json(result.session ?? result);
+};
+
+app.get('/api/sessions', (req, res) => {
+  res.json(listSessions(req.user.username));
+});
+
+app.get('/api/sessions/search', (req, res) => {
+  if (!String(req.query.q || '').trim()) {
+    return res.status(400).json({ error: 'Send the words to look for as q.' });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+  res.json(searchSessions(req.user.username, req.query.q, limit));
+});
+
+// Body: { sessions: [...] } as the browser kept them in localStorage; safe to send again
+app.post('/api/sessions/import', (req, res) => {
+  const report = importSessions(req.user.username, req.body?.sessions);
+  if (report.error) {
+    return res.status(report.error.status).json({ error: report.error.message });
+  }
+  console.log(`--> ${req.user.username} imported ${report.imported.length} conversation(s) (${report.skipped.length} skipped, ${report.errors.length} invalid).`);
+  res.json(report);
+});
+
+app.post('/api/sessions', (req, res) => {
+  sendSessionResult(res, createSession(req.user.username, req.body), 201);
+});
+
+app.delete('/api/sessions', (req, res) => {
+  const deleted = deleteAllSessions(req.user.username);
+  console.log(`--> ${req.user.username} deleted all ${deleted} conversation(s).`);
+  res.status(204).end();
+});
+
+app.get('/api/sessions/:id', (req, res) => {
+  const session = getSession(req.user.username, req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: `Conversation ${req.params.id} was not found.` });
+  }
+  res.json(session);
+});
+
+app.patch('/api/sessions/:id', (req, res) => {
+  sendSessionResult(res, updateSession(req.user.username, req.params.id, req.body));
+});
+
+app.delete('/api/sessions/:id', (req, res) => {
+  if (!deleteSession(req.user.username, req.params.id)) {
+    return res.status(404).json({ error: `Conversation ${req.params.id} was not found.` });
+  }
+  res.status(204).end();
+});
+
+// Body: { messages: [{ id, role, data, timestamp }] }, appended in order
+app.post('/api/sessions/:id/messages', (req, res) => {
+  sendSessionResult(res, appendMessages(req.user.username, req.params.id, req.body));
+});
+
+app.post('/api/sessions/:id/share', (req, res) => {
+  const result = shareSession(req.user.username, req.params.id);
+  if (!result.error) console.log(`--> ${req.user.username} shared conversation ${req.params.id}.`);
+  sendSessionResult(res, result);
+});
+
+app.delete('/api/sessions/:id/share', (req, res) => {
+  const { error } = unshareSession(req.user.username, req.params.id);
+  if (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  res.status(204).end();
+});
+
+app.get('/api/shared/:token', (req, res) => {
+  const session = getSharedSession(req.params.token);
+  if (!session) {
+    return res.status(404).json({ error: 'This conversation is not shared (any more).' });
+  }
+  res.json(session);
+});
+
+export default app;
@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import { userRepository } from '../data.js';
+import { hashPassword, verifyPassword } from './passwords.js';
+import { signToken, verifyToken } from './tokens.js';
+import { hasPermission, describeDenial, ROLES } from './permissions.js';
+
+export { hasPermission, describeDenial, ROLES } from './permissions.js';
+
+// --- Authentication ---
+// AUTH_MODE=jwt (default)  local accounts: POST /api/auth/login returns a bearer token
+//                          signed with AUTH_JWT_SECRET, valid for AUTH_TOKEN_TTL_HOURS (default 12)
+// AUTH_MODE=header         SSO stand-in behind a trusted proxy: the user comes from AUTH_USER_HEADER
+//                          (default X-Remote-User), roles from AUTH_ROLES_HEADER (default X-Remote-Roles)
+//                          or the users table, falling back to 'employee'
+// AUTH_MODE=none           local development only: everyone is an administrator
+export function loadAuthConfig(env = process.env) {
+  const ttlHours = parseFloat(env.AUTH_TOKEN_TTL_HOURS);
+  let secret = env.AUTH_JWT_SECRET;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    if ((env.AUTH_MODE || 'jwt').toLowerCase() === 'jwt') {
+      console.warn('--> AUTH_JWT_SECRET is not set; using a random secret (sessions end when the server restarts).');
+    }
+  }
+  return {
+    mode: (env.AUTH_MODE || 'jwt').toLowerCase(),
+    secret,
+    tokenTtlSeconds: Math.round((Number.isNaN(ttlHours) ? 12 : ttlHours) * 3600),
+    userHeader: (env.AUTH_USER_HEADER || 'x-remote-user').toLowerCase(),
+    rolesHeader: (env.AUTH_ROLES_HEADER || 'x-remote-roles').toLowerCase(),
+    nameHeader: (env.AUTH_NAME_HEADER || 'x-remote-name').toLowerCase(),
+  };
+}
+
+const DEV_USER = { username: 'dev', displayName: 'Developer', employeeName: 'Developer', roles: ['admin'] };
+
+// --- Resolve the user for a request (or null) ---
+function userFromHeaders(req, config) {
+  const username = String(req.headers[config.userHeader] || '').trim();
+  if (!username) return null;
+  const known = userRepository.get(username);
+  const headerRoles = String(req.headers[config.rolesHeader] || '')
+    .split(',').map(role => role.trim().toLowerCase()).filter(role => ROLES.includes(role));
+  return {
+    username,
+    displayName: String(req.headers[config.nameHeader] || '').trim() || known?.displayName || username,
+    employeeName: known?.employeeName || username,
+    roles: headerRoles.length > 0 ? headerRoles : (known?.roles || ['employee']),
+  };
+}
+
+function userFromToken(req, config) {
+  const [scheme, token] = String(req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  const payload = verifyToken(token, config.secret);
+  // Re-read the account so role changes and removed users take effect immediately
+  return payload ? userRepository.get(payload.sub) : null;
+}
+
+export function resolveUser(req, config) {
+  switch (config.mode) {
+    case 'none': return DEV_USER;
+    case 'header': return userFromHeaders(req, config);
+    default: return userFromToken(req, config);
+  }
+}
+
+// --- Middleware: require a signed-in user on every route it guards; sets req.user ---
+export function authenticate(config) {
+  return (req, res, next) => {
+    const user = resolveUser(req, config);
+    if (!user) {
+      return res.status(401).json({ error: 'Please sign in to use the assistant.', code: 'unauthenticated' });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+// --- Middleware: require a permission; answers 403 with a polite explanation ---
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (hasPermission(req.user, permission)) return next();
+    console.warn(`--> ${req.user?.username} denied ${permission} on ${req.method} ${req.path}`);
+    res.status(403).json({ error: describeDenial(req.user, permission), code: 'forbidden' });
+  };
+}
+
+// Compared against for unknown users, so a wrong username takes as long as a wrong password
+const UNKNOWN_USER_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// --- Local account login; returns { token, user } or null ---
+export function login(username, password, config) {
+  const stored = userRepository.passwordHash(username);
+  const valid = verifyPassword(password, stored || UNKNOWN_USER_HASH);
+  if (!stored || !valid) return null;
+  const user = userRepository.get(username);
+  return { token: signToken({ sub: user.username }, config.secret, config.tokenTtlSeconds), user };
+}
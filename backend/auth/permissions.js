@@ -0,0 +1,55 @@
+// --- Roles and permissions ---
+// Every signed-in user is also an employee: they can look up SAP terms and manage their own leave.
+// Tools declare the permission they need (see tools/registry.js); records are scoped in the
+// tools themselves (e.g. leave requests without 'leave:all' only show the user's own).
+
+export const ROLES = ['employee', 'sales', 'purchasing', 'hr', 'admin'];
+
+const EMPLOYEE_PERMISSIONS = ['knowledge:read', 'leave:self', 'alerts:self'];
+
+export const ROLE_PERMISSIONS = {
+  employee: EMPLOYEE_PERMISSIONS,
+  sales: [...EMPLOYEE_PERMISSIONS, 'stock:read', 'sales_orders:read', 'sales_orders:create'],
+  purchasing: [...EMPLOYEE_PERMISSIONS, 'stock:read', 'stock:manage', 'purchase_orders:read', 'purchase_orders:create', 'purchase_orders:update'],
+  hr: [...EMPLOYEE_PERMISSIONS, 'leave:all', 'leave:approve'],
+  admin: ['*'],
+};
+
+// Wording for denials: "... <label> is limited to ..."
+const PERMISSION_LABELS = {
+  'knowledge:read': 'looking up SAP terms',
+  'knowledge:manage': 'editing the knowledge base',
+  'leave:self': 'managing leave',
+  'leave:all': "viewing other employees' leave",
+  'leave:approve': 'approving or rejecting leave',
+  'stock:read': 'viewing stock and material availability',
+  'sales_orders:read': 'viewing sales orders',
+  'sales_orders:create': 'creating sales orders',
+  'purchase_orders:read': 'viewing purchase orders',
+  'purchase_orders:create': 'creating purchase orders',
+  'purchase_orders:update': 'updating purchase orders',
+  'stock:manage': 'updating stock levels',
+  'alerts:self': 'setting up alerts',
+  'webhooks:manage': 'managing webhooks',
+};
+
+const ROLE_LABELS = { employee: 'employees', sales: 'the sales team', purchasing: 'the purchasing team', hr: 'HR', admin: 'administrators' };
+
+export function hasPermission(user, permission) {
+  if (!user || !permission) return Boolean(user);
+  return (user.roles || []).some(role => {
+    const granted = ROLE_PERMISSIONS[role] || [];
+    return granted.includes('*') || granted.includes(permission);
+  });
+}
+
+// --- Polite explanation for a denied action ---
+export function describeDenial(user, permission) {
+  const label = PERMISSION_LABELS[permission] || 'that';
+  const allowedRoles = Object.keys(ROLE_PERMISSIONS)
+    .filter(role => role !== 'admin' && ROLE_PERMISSIONS[role].includes(permission))
+    .map(role => ROLE_LABELS[role]);
+  const who = allowedRoles.length > 0 ? allowedRoles.join(' and ') : ROLE_LABELS.admin;
+  const roles = (user?.roles || []).join(', ') || 'no role';
+  return `Sorry, I can't help with that. ${label.charAt(0).toUpperCase()}${label.slice(1)} is limited to ${who}, and you're signed in as ${user?.displayName || 'a guest'} (${roles}). If you need access, please contact your administrator.`;
+}
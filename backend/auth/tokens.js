@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+
+// --- Minimal HS256 JSON Web Tokens ---
+const base64url = input => Buffer.from(input).toString('base64url');
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+export function signToken(payload, secret, expiresInSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + expiresInSeconds }));
+  return `${header}.${body}.${sign(`${header}.${body}`, secret)}`;
+}
+
+// Returns the payload, or null if the token is malformed, tampered with or expired.
+export function verifyToken(token, secret) {
+  const [header, body, signature] = String(token || '').split('.');
+  if (!header || !body || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${body}`, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return null;
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if (typeof payload.exp !== 'number' || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,88 @@
+import { stockRepository, salesOrderRepository, purchaseOrderRepository } from './data.js';
+import { parseQuantity } from './helpers.js';
+import { suggestMaterialId } from './orders.js';
+import { hasPermission } from './auth/permissions.js';
+import { describeRemoteEntities } from './sources/index.js';
+
+// --- Material 360 / available-to-promise ---
+// ATP per plant = on-hand stock - open sales order demand + inbound purchase orders.
+// Orders carry no plant of their own yet, so they count against the material's stock plant
+// unless the order has a 'plant' field. Every open order is read, so this runs on the local data
+// only; with an entity on OData it returns { error } instead (see describeRemoteEntities).
+export const OPEN_DEMAND_STATUSES = ['Open', 'In Process'];
+export const INBOUND_SUPPLY_STATUSES = ['Ordered'];
+
+export function computeAvailability(material, { plant, requestedQuantity } = {}) {
+  const remote = describeRemoteEntities('Availability to promise', ['stock', 'sales_orders', 'purchase_orders']);
+  if (remote) return { error: remote };
+  const materialId = suggestMaterialId(material);
+  if (!materialId) return null;
+
+  const stockEntry = stockRepository.get(materialId);
+  const stockPlant = String(stockEntry.Plant);
+  const plants = new Map();
+  const plantRow = plantId => {
+    if (!plants.has(plantId)) {
+      plants.set(plantId, { plant: plantId, onHand: 0, openDemand: 0, inbound: 0, available: 0 });
+    }
+    return plants.get(plantId);
+  };
+
+  plantRow(stockPlant).onHand = parseQuantity(stockEntry['Stock Level']) ?? 0;
+
+  const documents = [];
+  for (const order of salesOrderRepository.list()) {
+    if (order.material !== materialId || !OPEN_DEMAND_STATUSES.includes(order.status)) continue;
+    const orderPlant = String(order.plant || stockPlant);
+    plantRow(orderPlant).openDemand += order.quantity;
+    documents.push({ type: 'Sales order', id: order.id, partner: order.customer, plant: orderPlant, quantity: -order.quantity, status: order.status });
+  }
+  for (const order of purchaseOrderRepository.list()) {
+    if (order.material !== materialId || !INBOUND_SUPPLY_STATUSES.includes(order.status)) continue;
+    const orderPlant = String(order.plant || stockPlant);
+    plantRow(orderPlant).inbound += order.quantity;
+    documents.push({ type: 'Purchase order', id: order.id, partner: order.vendor, plant: orderPlant, quantity: order.quantity, status: order.status });
+  }
+
+  let plantRows = [...plants.values()].map(row => ({ ...row, available: row.onHand - row.openDemand + row.inbound }));
+  let relevantDocuments = documents;
+  if (plant) {
+    plantRows = plantRows.filter(row => row.plant === String(plant));
+    relevantDocuments = documents.filter(doc => doc.plant === String(plant));
+  }
+
+  const totalAvailable = plantRows.reduce((sum, row) => sum + row.available, 0);
+  return {
+    materialId,
+    description: stockEntry.Description,
+    plants: plantRows,
+    documents: relevantDocuments,
+    totalAvailable,
+    requestedQuantity: requestedQuantity ?? null,
+    canFulfil: requestedQuantity === undefined ? null : totalAvailable >= requestedQuantity,
+  };
+}
+
+// --- Availability as a user may see it ---
+// The totals always include every order; only the documents the user may read are listed.
+export function availabilityForUser(availability, user) {
+  const documents = availability.documents.filter(doc =>
+    hasPermission(user, doc.type === 'Sales order' ? 'sales_orders:read' : 'purchase_orders:read')
+  );
+  return { ...availability, documents };
+}
+
+// --- Chat payload for an availability result ---
+export function renderAvailability(result) {
+  let content = `${result.materialId} (${result.description}): ${result.totalAvailable} unit(s) available to promise.`;
+  if (result.requestedQuantity !== null) {
+    content = result.canFulfil
+      ? `Yes — ${result.requestedQuantity} more ${result.materialId} can be promised. ${result.totalAvailable} unit(s) are available after open sales orders and inbound purchase orders.`
+      : `Not fully — only ${Math.max(result.totalAvailable, 0)} of the requested ${result.requestedQuantity} ${result.materialId} are available to promise after open sales orders and inbound purchase orders.`;
+  }
+  return {
+    type: 'availability',
+    content,
+    availability: result,
+  };
+}
@@ -0,0 +1,38 @@
+// --- In-memory LRU cache with a time-to-live ---
+// A Map keeps insertion order, so the first key is always the least recently used one:
+// reading an entry moves it to the end, and inserting past maxEntries drops the first.
+export function createLruCache({ maxEntries = 200, ttlMs = 60 * 60 * 1000, now = Date.now } = {}) {
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry || entry.expiresAt <= now()) {
+      if (entry) entries.delete(key);
+      misses++;
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    hits++;
+    return entry.value;
+  }
+
+  function set(key, value) {
+    if (maxEntries <= 0) return;
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    get,
+    set,
+    delete: key => entries.delete(key),
+    clear: () => entries.clear(),
+    stats: () => ({ size: entries.size, hits, misses }),
+  };
+}
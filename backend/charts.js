@@ -0,0 +1,77 @@
+// --- Chart responses for analytical answers ---
+// /api/chat answers with { type: 'chart' } instead of a plain table when the user asks for a
+// comparison or distribution. The underlying table is sent along so the UI can toggle to it.
+import { wordsPattern } from './language.js';
+
+const COMPARISON_PATTERN = /\b(compare|comparison|versus|vs\.?|across|per|by|rank|ranking|top \d+)\b/i;
+const DISTRIBUTION_PATTERN = /\b(distribution|breakdown|break down|split|share|proportion|percentage|mix)\b/i;
+const TREND_PATTERN = /\b(trend|over time|timeline|monthly|weekly|per month|per week)\b/i;
+const EXPLICIT_CHART_PATTERN = /\b(chart|graph|plot|visuali[sz]e)\b/i;
+const PIE_PATTERN = /\bpie\b/i;
+const LINE_PATTERN = /\bline\b/i;
+
+// The same cues in German and Hindi (Devanagari, or typed in Latin letters)
+const LOCALIZED_PATTERNS = {
+  comparison: wordsPattern([
+    'vergleich', 'vergleiche', 'vergleichen', 'gegenüber', 'pro', 'je', 'rangliste',
+    'तुलना', 'tulna', 'प्रति', 'prati', 'के हिसाब से', 'ke hisab se', 'ke hisaab se', 'के अनुसार', 'ke anusar',
+  ]),
+  distribution: wordsPattern([
+    'verteilung', 'aufteilung', 'aufschlüsselung', 'anteil', 'anteile', 'prozent',
+    'वितरण', 'vitran', 'हिस्सा', 'hissa', 'प्रतिशत', 'pratishat',
+  ]),
+  trend: wordsPattern([
+    'verlauf', 'entwicklung', 'zeitverlauf', 'monatlich', 'wöchentlich',
+    'रुझान', 'rujhan', 'ट्रेंड', 'मासिक', 'masik', 'साप्ताहिक', 'saptahik', 'समय के साथ', 'samay ke saath',
+  ]),
+  explicitChart: wordsPattern(['diagramm', 'grafik', 'schaubild', 'visualisiere', 'visualisieren', 'चार्ट', 'ग्राफ', 'ग्राफ़']),
+  pie: wordsPattern(['kreisdiagramm', 'tortendiagramm', 'पाई']),
+  line: wordsPattern(['liniendiagramm', 'लाइन']),
+};
+const mentions = (query, pattern, localized) => pattern.test(query) || LOCALIZED_PATTERNS[localized].test(query);
+
+// --- Pick a chart kind for the query, or null when a table is the better answer ---
+export function chooseChartKind(query) {
+  if (!query) return null;
+  if (mentions(query, PIE_PATTERN, 'pie')) return 'pie';
+  if (mentions(query, LINE_PATTERN, 'line') || mentions(query, TREND_PATTERN, 'trend')) return 'line';
+  if (mentions(query, DISTRIBUTION_PATTERN, 'distribution')) return 'pie';
+  if (mentions(query, COMPARISON_PATTERN, 'comparison') || mentions(query, EXPLICIT_CHART_PATTERN, 'explicitChart')) return 'bar';
+  return null;
+}
+
+// --- Build a chart payload from an analytics result (see analytics.js) ---
+// Each currency becomes its own series, because values in different currencies cannot share a bar.
+export function buildAnalyticsChart(result, table, query) {
+  let kind = chooseChartKind(query);
+  if (!kind || !result.groupBy || result.groups.length < 2) return null;
+
+  const seriesKeys = result.splitByCurrency
+    ? [...new Set(result.groups.map(group => group.currency))]
+    : ['value'];
+  // A pie can only show one series; fall back to bars for mixed currencies.
+  if (kind === 'pie' && seriesKeys.length > 1) kind = 'bar';
+
+  const rows = new Map();
+  for (const group of result.groups) {
+    if (!rows.has(group.key)) rows.set(group.key, { label: group.key });
+    const seriesKey = result.splitByCurrency ? group.currency : 'value';
+    rows.get(group.key)[seriesKey] = Math.round((group.value ?? 0) * 100) / 100;
+  }
+
+  const metricColumn = table.tableColumns.find(column => !['Currency', table.tableColumns[0]].includes(column));
+  return {
+    type: 'chart',
+    content: result.description,
+    chart: {
+      kind,
+      title: result.description,
+      xLabel: table.tableColumns[0],
+      yLabel: metricColumn,
+      series: seriesKeys.map(key => ({ key, label: key === 'value' ? metricColumn : key })),
+      data: [...rows.values()],
+    },
+    tableColumns: table.tableColumns,
+    tableData: table.tableData,
+  };
+}
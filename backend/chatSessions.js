@@ -0,0 +1,232 @@
+import crypto from 'crypto';
+import { chatSessionRepository, transaction } from './data.js';
+
+// --- Saved conversations ---
+// Chats are stored per user (the signed-in username), so they follow the user from machine to
+// machine. Every message keeps its whole payload (text, tables, forms, charts, ...) as JSON, and
+// the text inside it is indexed for full-text search (SQLite FTS5, see the chat_search table).
+// A conversation can be shared read-only: the share token is the link, and any signed-in user
+// who has it can read the conversation until the owner stops sharing it.
+export const DEFAULT_TITLE = 'New Conversation';
+const MAX_TITLE_LENGTH = 200;
+const MAX_MESSAGES_PER_REQUEST = 500;
+const MAX_IMPORTED_SESSIONS = 500;
+const MAX_SEARCH_RESULTS = 50;
+const MATCHES_PER_SESSION = 3;
+const ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const MESSAGE_ROLES = ['user', 'assistant'];
+// Keys of a message payload that are plumbing rather than something a user would search for
+const UNSEARCHABLE_KEYS = new Set(['type', 'toolCall', 'clarification', 'actions', 'variant', 'resultToken', 'paging', 'sort', 'allColumns', 'language']);
+
+const notFound = id => ({ error: { status: 404, message: `Conversation ${id} was not found.` } });
+const now = () => new Date().toISOString();
+
+// --- The words of a message payload: text, table cells, form fields, sections, choices ---
+export function searchableText(data) {
+  const words = [];
+  const collect = (value, key) => {
+    if (UNSEARCHABLE_KEYS.has(key) || value === null || value === undefined) return;
+    if (typeof value === 'string' || typeof value === 'number') words.push(String(value));
+    else if (Array.isArray(value)) value.forEach(item => collect(item));
+    else if (typeof value === 'object') Object.entries(value).forEach(([name, item]) => collect(item, name));
+  };
+  collect(data);
+  return words.join(' ');
+}
+
+function validateTitle(title) {
+  if (typeof title !== 'string' || !title.trim()) return { message: 'title must be non-empty text.' };
+  if (title.trim().length > MAX_TITLE_LENGTH) return { message: `title must be at most ${MAX_TITLE_LENGTH} characters.` };
+  return { title: title.trim() };
+}
+
+// Returns { message } ready to store, or { error } describing what is wrong with it
+function validateMessage(input, index) {
+  const where = `messages[${index}]`;
+  if (!input || typeof input !== 'object') return { error: `${where} must be an object.` };
+  if (!MESSAGE_ROLES.includes(input.role)) return { error: `${where}.role must be one of: ${MESSAGE_ROLES.join(', ')}.` };
+  if (!input.data || typeof input.data !== 'object' || Array.isArray(input.data) || typeof input.data.type !== 'string') {
+    return { error: `${where}.data must be a message payload with a type.` };
+  }
+  if (input.timestamp !== undefined && typeof input.timestamp !== 'string') return { error: `${where}.timestamp must be text.` };
+  const id = input.id === undefined ? crypto.randomUUID() : String(input.id);
+  return { message: { id, role: input.role, data: input.data, timestamp: input.timestamp, searchText: searchableText(input.data) } };
+}
+
+function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) return { errors: ['messages must be a non-empty list.'] };
+  if (messages.length > MAX_MESSAGES_PER_REQUEST) return { errors: [`At most ${MAX_MESSAGES_PER_REQUEST} messages can be saved at once.`] };
+  const results = messages.map(validateMessage);
+  const errors = results.filter(result => result.error).map(result => result.error);
+  return errors.length > 0 ? { errors } : { errors, messages: results.map(result => result.message) };
+}
+
+const invalid = errors => ({ error: { status: 400, message: errors.join(' ') } });
+
+export function listSessions(owner) {
+  return chatSessionRepository.list(owner);
+}
+
+// The session with its messages, or null when owner has no such session
+export function getSession(owner, id) {
+  const session = chatSessionRepository.get(owner, id);
+  return session ? { ...session, messages: chatSessionRepository.messages(id) } : null;
+}
+
+// --- Create a session, optionally with its first messages ---
+// The client may pick the id (so it can keep using the one it showed before the first save).
+// Returns { session } or { error: { status, message } }.
+export function createSession(owner, input) {
+  const body = input && typeof input === 'object' ? input : {};
+  if (body.id !== undefined && (typeof body.id !== 'string' || !ID_PATTERN.test(body.id))) {
+    return invalid(['id must be 8-64 letters, digits, dashes or underscores.']);
+  }
+  const { title, message: titleError } = validateTitle(body.title ?? DEFAULT_TITLE);
+  if (titleError) return invalid([titleError]);
+  const { errors, messages = [] } = body.messages === undefined ? { errors: [] } : validateMessages(body.messages);
+  if (errors.length > 0) return invalid(errors);
+
+  return transaction(() => {
+    const id = body.id ?? crypto.randomUUID();
+    if (chatSessionRepository.exists(id)) return { error: { status: 409, message: `Conversation ${id} already exists.` } };
+    const createdAt = now();
+    chatSessionRepository.insert({ id, owner, title, pinned: body.pinned === true, createdAt });
+    if (messages.length > 0) chatSessionRepository.appendMessages(id, messages, createdAt);
+    return { session: getSession(owner, id) };
+  });
+}
+
+// --- Rename and/or (un)pin; returns { session } or { error } ---
+export function updateSession(owner, id, input) {
+  const body = input && typeof input === 'object' ? input : {};
+  const changes = {};
+  if (body.title !== undefined) {
+    const { title, message } = validateTitle(body.title);
+    if (message) return invalid([message]);
+    changes.title = title;
+  }
+  if (body.pinned !== undefined) {
+    if (typeof body.pinned !== 'boolean') return invalid(['pinned must be true or false.']);
+    changes.pinned = body.pinned;
+  }
+  if (Object.keys(changes).length === 0) return invalid(['Nothing to change: send a title and/or pinned.']);
+
+  return transaction(() => {
+    if (!chatSessionRepository.get(owner, id)) return notFound(id);
+    chatSessionRepository.update(id, changes);
+    return { session: chatSessionRepository.get(owner, id) };
+  });
+}
+
+// --- Append messages to the end of a session; returns { session } (without messages) or { error } ---
+export function appendMessages(owner, id, input) {
+  const { errors, messages } = validateMessages(input?.messages);
+  if (errors.length > 0) return invalid(errors);
+  return transaction(() => {
+    if (!chatSessionRepository.get(owner, id)) return notFound(id);
+    chatSessionRepository.appendMessages(id, messages, now());
+    return { session: chatSessionRepository.get(owner, id) };
+  });
+}
+
+export function deleteSession(owner, id) {
+  return transaction(() => Boolean(chatSessionRepository.get(owner, id)) && chatSessionRepository.remove(id));
+}
+
+// Returns how many sessions were deleted
+export function deleteAllSessions(owner) {
+  return transaction(() => {
+    const sessions = chatSessionRepository.list(owner);
+    sessions.forEach(session => chatSessionRepository.remove(session.id));
+    return sessions.length;
+  });
+}
+
+// --- Full-text search over titles and messages ---
+// Every word must match (as a prefix: "pump" finds PUMP-1001). Returns the sessions with the best
+// match first, each with up to 3 matches: [{ ...session, matches: [{ messageId, role, snippet }] }].
+// Snippets mark the matched words with <mark></mark>.
+export function searchSessions(owner, query, limit = 20) {
+  const words = String(query || '').match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length === 0) return [];
+  const ftsQuery = words.map(word => `"${word}"*`).join(' ');
+
+  const results = new Map();
+  for (const match of chatSessionRepository.search(owner, ftsQuery, MAX_SEARCH_RESULTS * MATCHES_PER_SESSION)) {
+    if (!results.has(match.sessionId)) {
+      if (results.size >= Math.min(limit, MAX_SEARCH_RESULTS)) continue;
+      results.set(match.sessionId, { ...chatSessionRepository.get(owner, match.sessionId), matches: [] });
+    }
+    const { matches } = results.get(match.sessionId);
+    if (matches.length < MATCHES_PER_SESSION) matches.push({ messageId: match.messageId, role: match.role, snippet: match.snippet });
+  }
+  return [...results.values()];
+}
+
+// --- Read-only sharing ---
+// Returns { token } (the same one while the session stays shared) or { error }
+export function shareSession(owner, id) {
+  return transaction(() => {
+    if (!chatSessionRepository.get(owner, id)) return notFound(id);
+    let token = chatSessionRepository.shareToken(id);
+    if (!token) {
+      token = crypto.randomBytes(18).toString('base64url');
+      chatSessionRepository.setShareToken(id, token);
+    }
+    return { token };
+  });
+}
+
+export function unshareSession(owner, id) {
+  return transaction(() => {
+    if (!chatSessionRepository.get(owner, id)) return notFound(id);
+    chatSessionRepository.setShareToken(id, null);
+    return {};
+  });
+}
+
+// The shared conversation for a share token, or null (unknown token or sharing stopped)
+export function getSharedSession(token) {
+  const session = typeof token === 'string' && token ? chatSessionRepository.findShared(token) : null;
+  if (!session) return null;
+  const { owner, ...rest } = session;
+  return { ...rest, sharedBy: owner, messages: chatSessionRepository.messages(session.id) };
+}
+
+// --- One-time upload of the sessions a browser kept in localStorage ---
+// Takes the stored list as-is ({ id, title, pinned, messages: [{ id, role, data, timestamp }] }).
+// Sessions are remembered by their old id, so uploading the same list again adds nothing; empty
+// sessions are skipped. Returns { imported: [{ from, id }], skipped: [{ from, reason }], errors: [{ from, message }] }.
+export function importSessions(owner, sessions) {
+  if (!Array.isArray(sessions)) return invalid(['sessions must be a list.']);
+  if (sessions.length > MAX_IMPORTED_SESSIONS) return invalid([`At most ${MAX_IMPORTED_SESSIONS} conversations can be imported at once.`]);
+
+  const report = { imported: [], skipped: [], errors: [] };
+  transaction(() => {
+    sessions.forEach((input, index) => {
+      const from = String(input?.id ?? `#${index + 1}`);
+      if (chatSessionRepository.findImported(owner, from)) {
+        report.skipped.push({ from, reason: 'Already imported.' });
+        return;
+      }
+      if (!Array.isArray(input?.messages) || input.messages.length === 0) {
+        report.skipped.push({ from, reason: 'No messages.' });
+        return;
+      }
+      const { errors, messages } = validateMessages(input.messages);
+      if (errors.length > 0) {
+        report.errors.push({ from, message: errors.join(' ') });
+        return;
+      }
+      // localStorage ids were Date.now() values: the best guess at when the chat started
+      const started = /^\d{12,14}$/.test(from) ? new Date(Number(from)).toISOString() : now();
+      const id = crypto.randomUUID();
+      chatSessionRepository.insert({
+        id, owner, title: validateTitle(input.title).title ?? DEFAULT_TITLE, pinned: input.pinned === true, importedFrom: from, createdAt: started,
+      });
+      chatSessionRepository.appendMessages(id, messages, started);
+      report.imported.push({ from, id });
+    });
+  });
+  return report;
+}
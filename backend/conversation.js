@@ -0,0 +1,177 @@
+// --- Conversation helpers for /api/chat ---
+// The frontend sends the whole messageHistory. These helpers turn it into a
+// compact transcript the LLM can use for follow-ups ("only the open ones",
+// "what about Alpha Industrial?", "what's the process for it?").
+// The history comes from the client, so message text is quoted (see llm/promptGuard.js) and
+// table cells are kept to one line: nothing in it can pose as another speaker or as the rules.
+import { quoteUserText } from './llm/promptGuard.js';
+import { DEFAULT_LANGUAGE, detectLanguage, wordsPattern } from './language.js';
+
+const oneLine = value => String(value).replace(/\s+/g, ' ').slice(0, 200);
+
+// Rough budget for the transcript that goes into the prompts (1 token ~ 4 chars).
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 1200;
+// How many rows of an earlier table result are echoed back into the transcript.
+const MAX_SUMMARY_ROWS = 8;
+
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / 4);
+}
+
+// --- Helper: get the text of one history entry ---
+function getEntryText(entry) {
+  if (!entry) return '';
+  if (typeof entry.text === 'string') return entry.text;
+  if (typeof entry.content === 'string') return entry.content;
+  return '';
+}
+
+export function getLatestUserQuery(messageHistory) {
+  return getEntryText(messageHistory[messageHistory.length - 1]).trim();
+}
+
+// --- The language to answer in: that of the latest user message that shows one ---
+// "PUMP-1001" or "ok" after a German question is still answered in German.
+export function conversationLanguage(messageHistory) {
+  for (const entry of [...messageHistory].reverse()) {
+    if (entry?.sender !== 'user') continue;
+    const language = detectLanguage(getEntryText(entry));
+    if (language) return language;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+// --- Helper: describe a table result in one short block ---
+function summarizeTableEntry(entry) {
+  const rows = Array.isArray(entry.tableData) ? entry.tableData : [];
+  const toolLabel = entry.toolCall?.name ? `${oneLine(entry.toolCall.name)} ` : '';
+  const params = entry.toolCall?.parameters && Object.keys(entry.toolCall.parameters).length > 0
+    ? ` with ${JSON.stringify(entry.toolCall.parameters)}`
+    : '';
+  const rowCount = typeof entry.rowCount === 'number' ? entry.rowCount : rows.length;
+  const header = `[Showed ${toolLabel}results${params}: ${rowCount} row(s)]`;
+
+  const rowLines = rows.slice(0, MAX_SUMMARY_ROWS).map(row =>
+    '  - ' + Object.entries(row).map(([key, value]) => `${oneLine(key)}: ${oneLine(value)}`).join(', ')
+  );
+  if (rowCount > MAX_SUMMARY_ROWS) rowLines.push(`  - ...and ${rowCount - MAX_SUMMARY_ROWS} more`);
+
+  return [header, ...rowLines].join('\n');
+}
+
+// --- Helper: render one history entry as a transcript line ---
+function formatEntry(entry) {
+  const speaker = entry.sender === 'user' ? 'User' : 'Assistant';
+
+  if (entry.type === 'table' || entry.type === 'chart') {
+    return `${speaker}: ${summarizeTableEntry(entry)}`;
+  }
+  // Answer to a multi-step plan (see plans.js): one indented line or block per section
+  if (entry.type === 'composite' && Array.isArray(entry.sections)) {
+    const sections = entry.sections
+      .map(section => formatEntry({ ...section, sender: entry.sender }))
+      .filter(Boolean)
+      .map(line => `  ${line.slice(speaker.length + 2)}`);
+    return sections.length > 0 ? `${speaker}: [Answered in ${sections.length} parts]\n${sections.join('\n')}` : null;
+  }
+  if (entry.type === 'leave_application_form') {
+    return `${speaker}: [Showed the leave application form]`;
+  }
+  if (entry.type === 'clarification') {
+    const choices = Array.isArray(entry.choices) ? entry.choices.map(choice => oneLine(choice?.label ?? choice?.value ?? '')).join(' | ') : '';
+    return `${speaker}: ${quoteUserText(getEntryText(entry))} [choices: ${choices}]`;
+  }
+  if (entry.type === 'order_draft') {
+    return `${speaker}: [Showed a draft from ${entry.toolCall?.name || 'an order tool'} for the user to confirm]`;
+  }
+
+  const text = getEntryText(entry).trim();
+  if (!text) return null;
+  return `${speaker}: ${quoteUserText(text)}`;
+}
+
+// --- Build the transcript of earlier turns (latest message excluded), newest kept first ---
+export function buildConversationContext(messageHistory, tokenBudget = HISTORY_TOKEN_BUDGET) {
+  const earlierTurns = messageHistory.slice(0, -1);
+  const lines = [];
+  let usedTokens = 0;
+
+  for (let i = earlierTurns.length - 1; i >= 0; i--) {
+    const line = formatEntry(earlierTurns[i]);
+    if (!line) continue;
+    const lineTokens = estimateTokens(line);
+    if (usedTokens + lineTokens > tokenBudget) break;
+    lines.unshift(line);
+    usedTokens += lineTokens;
+  }
+
+  if (lines.length < earlierTurns.length) {
+    console.log(`--> Trimmed conversation context to ${lines.length} turn(s) (~${usedTokens} tokens).`);
+  }
+  return lines.join('\n');
+}
+
+// --- Find the tool call behind the most recent assistant answer ---
+export function getLastToolCall(messageHistory) {
+  for (let i = messageHistory.length - 2; i >= 0; i--) {
+    const entry = messageHistory[i];
+    if (entry?.sender === 'user') continue;
+    if (entry?.toolCall?.name) return entry.toolCall;
+    return null;
+  }
+  return null;
+}
+
+// --- The clarification the previous answer asked (also inside a multi-step answer), or null ---
+export function getPendingClarification(messageHistory) {
+  const previous = messageHistory[messageHistory.length - 2];
+  if (previous?.sender === 'user') return null;
+  if (previous?.type === 'clarification') return previous;
+  if (previous?.type === 'composite' && Array.isArray(previous.sections)) {
+    return previous.sections.find(section => section?.type === 'clarification') || null;
+  }
+  return null;
+}
+
+// --- Heuristic: does the latest input refine the previous request? ---
+// In English, German and Hindi (Devanagari, or typed in Latin letters): an opening such as
+// "what about" / "und" / "सिर्फ", or a word pointing back at the last result.
+const FOLLOW_UP_OPENING = wordsPattern([
+  'what about', 'how about', 'and', 'also', 'only', 'just', 'but', 'now', 'then', 'sort', 'order', 'rank',
+  // German
+  'was ist mit', 'wie ist es mit', 'wie sieht es mit', 'und', 'auch', 'nur', 'aber', 'jetzt', 'dann',
+  'sortiere', 'sortier', 'sortieren', 'sortiert',
+  // Hindi
+  'और', 'aur', 'सिर्फ', 'सिर्फ़', 'sirf', 'केवल', 'keval', 'kewal', 'लेकिन', 'lekin', 'फिर', 'phir',
+], { anchored: true });
+const FOLLOW_UP_REFERENCE = wordsPattern([
+  'those', 'these', 'them', 'the same', 'that one', 'the ones', 'instead',
+  // German
+  'diese', 'dieselben', 'davon', 'denen', 'die gleichen', 'dasselbe', 'stattdessen',
+  // Hindi
+  'उन्हें', 'उनमें', 'इनमें', 'इन्हें', 'वही', 'इसके बजाय', 'उसके बजाय', 'unmein', 'inmein', 'wahi', 'vahi',
+]);
+
+export function isFollowUpQuery(text) {
+  if (!text) return false;
+  const t = text.trim();
+  return FOLLOW_UP_OPENING.test(t) || FOLLOW_UP_REFERENCE.test(t);
+}
+
+// --- Carry over the previous turn's parameters for follow-up questions ---
+// New values from the LLM win; earlier filters stay unless the user replaced them.
+export function mergeFollowUpParameters(decision, lastToolCall, latestQuery) {
+  if (!lastToolCall || decision.tool_name !== lastToolCall.name) return decision;
+  if (!isFollowUpQuery(latestQuery)) return decision;
+
+  const previous = lastToolCall.parameters || {};
+  const current = decision.parameters || {};
+  const merged = { ...previous };
+  for (const [key, value] of Object.entries(current)) {
+    if (value !== undefined && value !== null && value !== '') merged[key] = value;
+  }
+
+  console.log(`--> Follow-up detected. Carried over parameters from previous ${lastToolCall.name} call:`, merged);
+  return { ...decision, parameters: merged };
+}
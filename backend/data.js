@@ -0,0 +1,20 @@
+import {
+  stockRepository, salesOrderRepository, purchaseOrderRepository, knowledgeRepository, createSearchIndex,
+} from './db/repositories.js';
+
+// --- Data access ---
+// Everything lives in the SQLite database (see db/); the JSON files under tools/ only seed a
+// fresh database. Search indexes rebuild themselves whenever their table changes.
+export { getDatabase, transaction } from './db/database.js';
+export { readJsonSafely } from './db/seed.js';
+export {
+  stockRepository, salesOrderRepository, purchaseOrderRepository, knowledgeRepository, knowledgeTranslationRepository,
+  leaveRepository, leaveEntitlementRepository, userRepository, knowledgeGapRepository, chatSessionRepository,
+  watchRuleRepository, eventRepository, notificationRepository, webhookRepository,
+} from './db/repositories.js';
+
+// --- Search Indexes ---
+export const stockIndex = createSearchIndex('stock', () => stockRepository.list(), { keys: ['Material', 'Description'], includeScore: true, threshold: 0.4, ignoreLocation: true });
+export const salesOrderIndex = createSearchIndex('sales_orders', () => salesOrderRepository.list(), { keys: ['customer', 'material'], includeScore: true, threshold: 0.4 });
+export const purchaseOrderIndex = createSearchIndex('purchase_orders', () => purchaseOrderRepository.list(), { keys: ['vendor', 'material'], includeScore: true, threshold: 0.4 });
+export const knowledgeIndex = createSearchIndex('knowledge', () => knowledgeRepository.list(), { keys: ['term', 'definition'], includeScore: true, threshold: 0.45, ignoreLocation: true });
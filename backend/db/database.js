@@ -0,0 +1,45 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { migrate } from './migrations.js';
+
+// --- Embedded SQLite database ---
+// One connection per process. better-sqlite3 is synchronous, so a transaction runs to completion
+// before any other request is handled; IMMEDIATE transactions also lock out other processes.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const defaultDatabasePath = path.join(__dirname, '..', 'data', 'sap-chatflow.db');
+
+let database = null;
+
+// --- Open a database file (or ':memory:') and bring its schema up to date ---
+export function openDatabase(filePath = process.env.DATABASE_PATH || defaultDatabasePath) {
+  if (filePath !== ':memory:') fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+  return db;
+}
+
+export function getDatabase() {
+  if (!database) {
+    database = openDatabase();
+    console.log(`==> Database ready at ${database.name}`);
+  }
+  return database;
+}
+
+// Swap the active database (e.g. an in-memory one); closes the previous connection.
+export function setDatabase(db) {
+  if (database && database !== db) database.close();
+  database = db;
+}
+
+// --- Run fn inside a write transaction; rolls back if fn throws ---
+export function transaction(fn) {
+  return getDatabase().transaction(fn).immediate();
+}
@@ -0,0 +1,261 @@
+import { seedFromJson, seedUsers } from './seed.js';
+
+// --- Schema migrations ---
+// Applied in order; the current version lives in PRAGMA user_version. Never edit a shipped
+// migration: add a new one instead.
+
+// Tables whose changes are counted in data_versions (search indexes rebuild when the count moves).
+export const VERSIONED_TABLES = ['stock', 'sales_orders', 'purchase_orders', 'leave_applications', 'leave_entitlements', 'knowledge'];
+
+// versionedAs: the data_versions entry to count the changes in, when it is not the table's own
+function versionTriggers(table, versionedAs = table) {
+  return ['INSERT', 'UPDATE', 'DELETE'].map(event => `
+    CREATE TRIGGER ${table}_${event.toLowerCase()}_version AFTER ${event} ON ${table}
+    BEGIN
+      UPDATE data_versions SET version = version + 1 WHERE table_name = '${versionedAs}';
+    END;`).join('\n');
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create-tables',
+    up(db) {
+      db.exec(`
+        CREATE TABLE stock (
+          material TEXT PRIMARY KEY,
+          description TEXT NOT NULL DEFAULT '',
+          stock_level TEXT NOT NULL,
+          plant TEXT NOT NULL
+        );
+
+        CREATE TABLE sales_orders (
+          id TEXT PRIMARY KEY,
+          customer TEXT NOT NULL,
+          material TEXT NOT NULL,
+          quantity INTEGER NOT NULL,
+          status TEXT NOT NULL,
+          value TEXT NOT NULL,
+          plant TEXT
+        );
+
+        CREATE TABLE purchase_orders (
+          id TEXT PRIMARY KEY,
+          vendor TEXT NOT NULL,
+          material TEXT NOT NULL,
+          quantity INTEGER NOT NULL,
+          status TEXT NOT NULL,
+          value TEXT NOT NULL,
+          plant TEXT
+        );
+
+        CREATE TABLE leave_applications (
+          id INTEGER PRIMARY KEY,
+          employee_name TEXT NOT NULL,
+          start_date TEXT NOT NULL,
+          end_date TEXT NOT NULL,
+          reason TEXT NOT NULL,
+          days INTEGER,
+          status TEXT NOT NULL,
+          updated_at TEXT,
+          decided_by TEXT,
+          comment TEXT
+        );
+        CREATE INDEX leave_applications_employee ON leave_applications (employee_name COLLATE NOCASE);
+
+        CREATE TABLE leave_entitlements (
+          employee_name TEXT PRIMARY KEY COLLATE NOCASE,
+          annual_days INTEGER NOT NULL
+        );
+
+        CREATE TABLE knowledge (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          term TEXT NOT NULL,
+          definition TEXT NOT NULL DEFAULT '',
+          description TEXT,
+          module TEXT
+        );
+
+        CREATE TABLE settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+
+        CREATE TABLE data_versions (
+          table_name TEXT PRIMARY KEY,
+          version INTEGER NOT NULL DEFAULT 0
+        );
+      `);
+      const insertVersion = db.prepare('INSERT INTO data_versions (table_name) VALUES (?)');
+      VERSIONED_TABLES.forEach(table => {
+        insertVersion.run(table);
+        db.exec(versionTriggers(table));
+      });
+    },
+  },
+  {
+    version: 2,
+    name: 'seed-from-json',
+    up: seedFromJson,
+  },
+  {
+    version: 3,
+    name: 'create-users',
+    up(db) {
+      db.exec(`
+        CREATE TABLE users (
+          username TEXT PRIMARY KEY COLLATE NOCASE,
+          display_name TEXT NOT NULL,
+          employee_name TEXT NOT NULL,
+          roles TEXT NOT NULL,
+          password_hash TEXT
+        );
+      `);
+      seedUsers(db);
+    },
+  },
+  {
+    version: 4,
+    name: 'create-knowledge-gaps',
+    up(db) {
+      db.exec(`
+        CREATE TABLE knowledge_gaps (
+          term TEXT PRIMARY KEY COLLATE NOCASE,
+          last_query TEXT,
+          count INTEGER NOT NULL DEFAULT 1,
+          first_asked_at TEXT NOT NULL,
+          last_asked_at TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: 'create-chat-sessions',
+    up(db) {
+      // chat_search holds the searchable text of every message (position) and of the title (position NULL)
+      db.exec(`
+        CREATE TABLE chat_sessions (
+          id TEXT PRIMARY KEY,
+          owner TEXT NOT NULL COLLATE NOCASE,
+          title TEXT NOT NULL,
+          pinned INTEGER NOT NULL DEFAULT 0,
+          share_token TEXT UNIQUE,
+          imported_from TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX chat_sessions_owner ON chat_sessions (owner, updated_at);
+        CREATE UNIQUE INDEX chat_sessions_imported ON chat_sessions (owner, imported_from) WHERE imported_from IS NOT NULL;
+
+        CREATE TABLE chat_messages (
+          session_id TEXT NOT NULL REFERENCES chat_sessions (id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          id TEXT NOT NULL,
+          role TEXT NOT NULL,
+          data TEXT NOT NULL,
+          timestamp TEXT,
+          created_at TEXT NOT NULL,
+          PRIMARY KEY (session_id, position)
+        );
+
+        CREATE VIRTUAL TABLE chat_search USING fts5(
+          session_id UNINDEXED, position UNINDEXED, body, tokenize = 'unicode61 remove_diacritics 2'
+        );
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: 'create-notifications',
+    up(db) {
+      // events is the outbox: a change, the notifications it raised and its webhook deliveries are
+      // written in the same transaction as the change itself
+      db.exec(`
+        CREATE TABLE watch_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          owner TEXT NOT NULL COLLATE NOCASE,
+          subject TEXT NOT NULL,
+          conditions TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          last_fired_at TEXT
+        );
+        CREATE INDEX watch_rules_subject ON watch_rules (subject);
+        CREATE INDEX watch_rules_owner ON watch_rules (owner);
+
+        CREATE TABLE events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          type TEXT NOT NULL,
+          data TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE notifications (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          owner TEXT NOT NULL COLLATE NOCASE,
+          event_id INTEGER NOT NULL REFERENCES events (id),
+          rule_id INTEGER REFERENCES watch_rules (id) ON DELETE SET NULL,
+          title TEXT NOT NULL,
+          body TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          read_at TEXT
+        );
+        CREATE INDEX notifications_owner ON notifications (owner, id);
+
+        CREATE TABLE webhooks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          url TEXT NOT NULL,
+          secret TEXT NOT NULL,
+          event_types TEXT NOT NULL,
+          description TEXT,
+          created_by TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE webhook_deliveries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          webhook_id INTEGER NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+          event_id INTEGER NOT NULL REFERENCES events (id),
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TEXT NOT NULL,
+          last_status_code INTEGER,
+          last_error TEXT,
+          delivered_at TEXT
+        );
+        CREATE INDEX webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+        CREATE INDEX webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id);
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: 'create-knowledge-translations',
+    up(db) {
+      // Changes count as knowledge changes, so retrieval and the explanation cache pick them up
+      db.exec(`
+        CREATE TABLE knowledge_translations (
+          entry_id INTEGER NOT NULL REFERENCES knowledge (id) ON DELETE CASCADE,
+          language TEXT NOT NULL,
+          term TEXT NOT NULL,
+          definition TEXT NOT NULL,
+          description TEXT,
+          PRIMARY KEY (entry_id, language)
+        );
+        ${versionTriggers('knowledge_translations', 'knowledge')}
+      `);
+    },
+  },
+];
+
+export function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  const pending = MIGRATIONS.filter(migration => migration.version > current);
+  for (const migration of pending) {
+    db.transaction(() => {
+      migration.up(db);
+      db.pragma(`user_version = ${migration.version}`);
+    }).immediate();
+    console.log(`--> Applied migration ${migration.version} (${migration.name})`);
+  }
+}
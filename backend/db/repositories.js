@@ -0,0 +1,485 @@
+import Fuse from 'fuse.js';
+import { getDatabase } from './database.js';
+
+// --- Repositories over the SQLite tables ---
+// Records keep the shapes the JSON files had (e.g. stock items with 'Stock Level' strings,
+// orders with a display 'value'), so tools and renderers don't care where data comes from.
+
+const withoutNulls = record => Object.fromEntries(Object.entries(record).filter(([, value]) => value !== null));
+
+// --- Change counter for a table (bumped by triggers on every insert/update/delete) ---
+export function dataVersion(table) {
+  return getDatabase().prepare('SELECT version FROM data_versions WHERE table_name = ?').pluck().get(table) ?? 0;
+}
+
+// --- Value derived from a table, rebuilt whenever the table changes ---
+// Returns a getter; build() runs again after any insert/update/delete (or a database switch).
+export function derivedFromTable(table, build) {
+  let builtForDb = null;
+  let builtVersion = -1;
+  let value = null;
+
+  return () => {
+    const db = getDatabase();
+    const version = dataVersion(table);
+    if (builtForDb !== db || builtVersion !== version) {
+      value = build();
+      builtForDb = db;
+      builtVersion = version;
+    }
+    return value;
+  };
+}
+
+// --- Fuse index that rebuilds itself whenever the underlying table changes ---
+// Exposes the same search() as a Fuse instance, so callers can use it as a drop-in.
+export function createSearchIndex(table, load, options) {
+  const current = derivedFromTable(table, () => new Fuse(load(), options));
+  return {
+    search: (pattern, searchOptions) => current().search(pattern, searchOptions),
+  };
+}
+
+// --- Stock ---
+const toStockItem = row => ({ Material: row.material, Description: row.description, 'Stock Level': row.stock_level, Plant: row.plant });
+
+export const stockRepository = {
+  list() {
+    return getDatabase().prepare('SELECT * FROM stock ORDER BY rowid').all().map(toStockItem);
+  },
+  get(materialId) {
+    const row = getDatabase().prepare('SELECT * FROM stock WHERE material = ?').get(materialId);
+    return row ? toStockItem(row) : null;
+  },
+  ids() {
+    return getDatabase().prepare('SELECT material FROM stock ORDER BY rowid').pluck().all();
+  },
+  updateLevel(materialId, stockLevel) {
+    getDatabase().prepare('UPDATE stock SET stock_level = ? WHERE material = ?').run(stockLevel, materialId);
+    return this.get(materialId);
+  },
+};
+
+// --- Sales / purchase orders ---
+function createOrderRepository(table, partyKey) {
+  const toOrder = row => withoutNulls({
+    id: row.id, [partyKey]: row[partyKey], material: row.material,
+    quantity: row.quantity, status: row.status, value: row.value, plant: row.plant,
+  });
+
+  return {
+    table,
+    list() {
+      return getDatabase().prepare(`SELECT * FROM ${table} ORDER BY rowid`).all().map(toOrder);
+    },
+    get(id) {
+      const row = getDatabase().prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id);
+      return row ? toOrder(row) : null;
+    },
+    ids() {
+      return getDatabase().prepare(`SELECT id FROM ${table}`).pluck().all();
+    },
+    partyNames() {
+      return getDatabase().prepare(`SELECT DISTINCT ${partyKey} FROM ${table} ORDER BY rowid`).pluck().all();
+    },
+    insert(order) {
+      getDatabase()
+        .prepare(`INSERT INTO ${table} (id, ${partyKey}, material, quantity, status, value, plant) VALUES (?, ?, ?, ?, ?, ?, ?)`)
+        .run(order.id, order[partyKey], order.material, order.quantity, order.status, order.value, order.plant ?? null);
+      return order;
+    },
+    updateStatus(id, status) {
+      getDatabase().prepare(`UPDATE ${table} SET status = ? WHERE id = ?`).run(status, id);
+      return this.get(id);
+    },
+  };
+}
+
+export const salesOrderRepository = createOrderRepository('sales_orders', 'customer');
+export const purchaseOrderRepository = createOrderRepository('purchase_orders', 'vendor');
+
+// --- Leave applications and entitlements ---
+const toLeave = row => withoutNulls({
+  id: row.id, employeeName: row.employee_name, startDate: row.start_date, endDate: row.end_date,
+  reason: row.reason, days: row.days, status: row.status,
+  updatedAt: row.updated_at, decidedBy: row.decided_by, comment: row.comment,
+});
+
+export const leaveRepository = {
+  list({ employeeName, status } = {}) {
+    const conditions = [];
+    const params = {};
+    if (employeeName) {
+      conditions.push('employee_name = @employeeName COLLATE NOCASE');
+      params.employeeName = String(employeeName).trim();
+    }
+    if (status) {
+      conditions.push('status = @status COLLATE NOCASE');
+      params.status = String(status);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    return getDatabase().prepare(`SELECT * FROM leave_applications ${where} ORDER BY id`).all(params).map(toLeave);
+  },
+  get(id) {
+    const row = getDatabase().prepare('SELECT * FROM leave_applications WHERE id = ?').get(Number(id));
+    return row ? toLeave(row) : null;
+  },
+  lastId() {
+    return getDatabase().prepare('SELECT MAX(id) FROM leave_applications').pluck().get() ?? 0;
+  },
+  insert(entry) {
+    getDatabase().prepare(`
+      INSERT INTO leave_applications (id, employee_name, start_date, end_date, reason, days, status)
+      VALUES (@id, @employeeName, @startDate, @endDate, @reason, @days, @status)`).run(entry);
+    return entry;
+  },
+  update(id, { status, updatedAt, decidedBy = null, comment = null }) {
+    getDatabase().prepare(`
+      UPDATE leave_applications
+      SET status = ?, updated_at = ?, decided_by = COALESCE(?, decided_by), comment = COALESCE(?, comment)
+      WHERE id = ?`).run(status, updatedAt, decidedBy, comment, Number(id));
+    return this.get(id);
+  },
+};
+
+export const leaveEntitlementRepository = {
+  defaultAnnualDays() {
+    const value = getDatabase().prepare("SELECT value FROM settings WHERE key = 'defaultAnnualDays'").pluck().get();
+    return value === undefined ? 20 : Number(value);
+  },
+  // Returns { employeeName, annualDays } for a configured employee (case-insensitive), or null
+  find(employeeName) {
+    const row = getDatabase().prepare('SELECT * FROM leave_entitlements WHERE employee_name = ?').get(String(employeeName || '').trim());
+    return row ? { employeeName: row.employee_name, annualDays: row.annual_days } : null;
+  },
+};
+
+// --- Knowledge base ---
+export const knowledgeRepository = {
+  list() {
+    return getDatabase().prepare('SELECT * FROM knowledge ORDER BY id').all().map(withoutNulls);
+  },
+  get(id) {
+    const row = getDatabase().prepare('SELECT * FROM knowledge WHERE id = ?').get(Number(id));
+    return row ? withoutNulls(row) : null;
+  },
+  insert({ term, definition, description = null, module = null }) {
+    const { lastInsertRowid } = getDatabase()
+      .prepare('INSERT INTO knowledge (term, definition, description, module) VALUES (?, ?, ?, ?)')
+      .run(term, definition, description, module);
+    return this.get(lastInsertRowid);
+  },
+  update(id, { term, definition, description = null, module = null }) {
+    getDatabase()
+      .prepare('UPDATE knowledge SET term = ?, definition = ?, description = ?, module = ? WHERE id = ?')
+      .run(term, definition, description, module, Number(id));
+    return this.get(id);
+  },
+  remove(id) {
+    return getDatabase().prepare('DELETE FROM knowledge WHERE id = ?').run(Number(id)).changes > 0;
+  },
+};
+
+// --- Knowledge base translations: one per entry and language (see language.js) ---
+const toTranslation = row => withoutNulls({
+  entryId: row.entry_id, language: row.language, term: row.term, definition: row.definition, description: row.description,
+});
+
+export const knowledgeTranslationRepository = {
+  list() {
+    return getDatabase().prepare('SELECT * FROM knowledge_translations ORDER BY entry_id, language').all().map(toTranslation);
+  },
+  forEntry(entryId) {
+    return getDatabase().prepare('SELECT * FROM knowledge_translations WHERE entry_id = ? ORDER BY language')
+      .all(Number(entryId)).map(toTranslation);
+  },
+  upsert(entryId, language, { term, definition, description = null }) {
+    getDatabase().prepare(`
+      INSERT INTO knowledge_translations (entry_id, language, term, definition, description) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (entry_id, language) DO UPDATE SET term = excluded.term, definition = excluded.definition, description = excluded.description`)
+      .run(Number(entryId), language, term, definition, description);
+    return this.forEntry(entryId).find(translation => translation.language === language);
+  },
+  remove(entryId, language) {
+    return getDatabase().prepare('DELETE FROM knowledge_translations WHERE entry_id = ? AND language = ?')
+      .run(Number(entryId), language).changes > 0;
+  },
+};
+
+// --- Knowledge gaps: terms users asked about that the knowledge base could not answer ---
+const toGap = row => ({
+  term: row.term, lastQuery: row.last_query, count: row.count, firstAskedAt: row.first_asked_at, lastAskedAt: row.last_asked_at,
+});
+
+export const knowledgeGapRepository = {
+  list() {
+    return getDatabase().prepare('SELECT * FROM knowledge_gaps ORDER BY count DESC, last_asked_at DESC').all().map(toGap);
+  },
+  record(term, query, askedAt) {
+    getDatabase().prepare(`
+      INSERT INTO knowledge_gaps (term, last_query, count, first_asked_at, last_asked_at) VALUES (?, ?, 1, ?, ?)
+      ON CONFLICT (term) DO UPDATE SET count = count + 1, last_query = excluded.last_query, last_asked_at = excluded.last_asked_at`)
+      .run(term, query, askedAt, askedAt);
+  },
+  remove(term) {
+    return getDatabase().prepare('DELETE FROM knowledge_gaps WHERE term = ?').run(term).changes > 0;
+  },
+};
+
+// --- Users (local accounts and roles) ---
+const toUser = row => ({
+  username: row.username,
+  displayName: row.display_name,
+  employeeName: row.employee_name,
+  roles: row.roles.split(',').map(role => role.trim()).filter(Boolean),
+});
+
+export const userRepository = {
+  get(username) {
+    const row = getDatabase().prepare('SELECT * FROM users WHERE username = ?').get(String(username || '').trim());
+    return row ? toUser(row) : null;
+  },
+  passwordHash(username) {
+    return getDatabase().prepare('SELECT password_hash FROM users WHERE username = ?').pluck().get(String(username || '').trim()) ?? null;
+  },
+  upsert({ username, displayName, employeeName, roles, passwordHash }) {
+    getDatabase().prepare(`
+      INSERT INTO users (username, display_name, employee_name, roles, password_hash) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (username) DO UPDATE SET display_name = excluded.display_name, employee_name = excluded.employee_name,
+        roles = excluded.roles, password_hash = COALESCE(excluded.password_hash, users.password_hash)`)
+      .run(username, displayName, employeeName, roles.join(','), passwordHash ?? null);
+    return this.get(username);
+  },
+};
+
+// --- Saved chat sessions, their messages and the full-text index over them ---
+// Message payloads are stored as JSON; search text comes from the caller (see chatSessions.js).
+const toChatSession = row => ({
+  id: row.id,
+  title: row.title,
+  pinned: row.pinned === 1,
+  shared: row.share_token !== null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  messageCount: row.message_count ?? 0,
+});
+const toChatMessage = row => withoutNulls({ id: row.id, role: row.role, data: JSON.parse(row.data), timestamp: row.timestamp });
+
+const SESSION_WITH_COUNT = `
+  SELECT s.*, (SELECT COUNT(*) FROM chat_messages m WHERE m.session_id = s.id) AS message_count FROM chat_sessions s`;
+
+export const chatSessionRepository = {
+  list(owner) {
+    return getDatabase().prepare(`${SESSION_WITH_COUNT} WHERE s.owner = ? ORDER BY s.updated_at DESC`).all(owner).map(toChatSession);
+  },
+  // The session if it belongs to owner, or null
+  get(owner, id) {
+    const row = getDatabase().prepare(`${SESSION_WITH_COUNT} WHERE s.id = ? AND s.owner = ?`).get(id, owner);
+    return row ? toChatSession(row) : null;
+  },
+  exists(id) {
+    return getDatabase().prepare('SELECT 1 FROM chat_sessions WHERE id = ?').get(id) !== undefined;
+  },
+  findImported(owner, importedFrom) {
+    return getDatabase().prepare('SELECT id FROM chat_sessions WHERE owner = ? AND imported_from = ?').pluck().get(owner, importedFrom) ?? null;
+  },
+  findShared(token) {
+    const row = getDatabase().prepare(`${SESSION_WITH_COUNT} WHERE s.share_token = ?`).get(token);
+    return row ? { ...toChatSession(row), owner: row.owner } : null;
+  },
+  shareToken(id) {
+    return getDatabase().prepare('SELECT share_token FROM chat_sessions WHERE id = ?').pluck().get(id) ?? null;
+  },
+  messages(id) {
+    return getDatabase().prepare('SELECT * FROM chat_messages WHERE session_id = ? ORDER BY position').all(id).map(toChatMessage);
+  },
+  insert({ id, owner, title, pinned = false, importedFrom = null, createdAt, updatedAt = createdAt }) {
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO chat_sessions (id, owner, title, pinned, imported_from, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`).run(id, owner, title, pinned ? 1 : 0, importedFrom, createdAt, updatedAt);
+    db.prepare('INSERT INTO chat_search (session_id, position, body) VALUES (?, NULL, ?)').run(id, title);
+  },
+  update(id, { title, pinned }) {
+    const db = getDatabase();
+    if (title !== undefined) {
+      db.prepare('UPDATE chat_sessions SET title = ? WHERE id = ?').run(title, id);
+      db.prepare('UPDATE chat_search SET body = ? WHERE session_id = ? AND position IS NULL').run(title, id);
+    }
+    if (pinned !== undefined) db.prepare('UPDATE chat_sessions SET pinned = ? WHERE id = ?').run(pinned ? 1 : 0, id);
+  },
+  setShareToken(id, token) {
+    getDatabase().prepare('UPDATE chat_sessions SET share_token = ? WHERE id = ?').run(token, id);
+  },
+  // messages: [{ id, role, data, timestamp, searchText }], appended after the existing ones
+  appendMessages(id, messages, createdAt) {
+    const db = getDatabase();
+    let position = db.prepare('SELECT COALESCE(MAX(position), -1) FROM chat_messages WHERE session_id = ?').pluck().get(id);
+    const insertMessage = db.prepare(`
+      INSERT INTO chat_messages (session_id, position, id, role, data, timestamp, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`);
+    const insertText = db.prepare('INSERT INTO chat_search (session_id, position, body) VALUES (?, ?, ?)');
+    for (const message of messages) {
+      position += 1;
+      insertMessage.run(id, position, message.id, message.role, JSON.stringify(message.data), message.timestamp ?? null, createdAt);
+      if (message.searchText) insertText.run(id, position, message.searchText);
+    }
+    db.prepare('UPDATE chat_sessions SET updated_at = ? WHERE id = ?').run(createdAt, id);
+  },
+  remove(id) {
+    const db = getDatabase();
+    db.prepare('DELETE FROM chat_search WHERE session_id = ?').run(id);
+    return db.prepare('DELETE FROM chat_sessions WHERE id = ?').run(id).changes > 0;
+  },
+  // Matches of an FTS5 query in owner's sessions, best first: [{ sessionId, messageId, role, snippet }]
+  // (messageId and role are null for a match in the title)
+  search(owner, ftsQuery, limit) {
+    return getDatabase().prepare(`
+      SELECT f.session_id, m.id AS message_id, m.role, snippet(chat_search, 2, '<mark>', '</mark>', '…', 12) AS snippet
+      FROM chat_search f
+      JOIN chat_sessions s ON s.id = f.session_id
+      LEFT JOIN chat_messages m ON m.session_id = f.session_id AND m.position = f.position
+      WHERE chat_search MATCH ? AND s.owner = ?
+      ORDER BY bm25(chat_search)
+      LIMIT ?`).all(ftsQuery, owner, limit)
+      .map(row => ({ sessionId: row.session_id, messageId: row.message_id, role: row.role, snippet: row.snippet }));
+  },
+};
+
+// --- Watch rules, the events they are checked against, and the notifications they raise ---
+// Rule conditions and event data are stored as JSON (see watchRules.js and notifications.js).
+const toWatchRule = row => withoutNulls({
+  id: row.id, owner: row.owner, subject: row.subject, conditions: JSON.parse(row.conditions),
+  createdAt: row.created_at, lastFiredAt: row.last_fired_at,
+});
+
+export const watchRuleRepository = {
+  list(owner) {
+    return getDatabase().prepare('SELECT * FROM watch_rules WHERE owner = ? ORDER BY id').all(owner).map(toWatchRule);
+  },
+  forSubject(subject) {
+    return getDatabase().prepare('SELECT * FROM watch_rules WHERE subject = ? ORDER BY id').all(subject).map(toWatchRule);
+  },
+  insert({ owner, subject, conditions, createdAt }) {
+    const { lastInsertRowid } = getDatabase()
+      .prepare('INSERT INTO watch_rules (owner, subject, conditions, created_at) VALUES (?, ?, ?, ?)')
+      .run(owner, subject, JSON.stringify(conditions), createdAt);
+    return toWatchRule(getDatabase().prepare('SELECT * FROM watch_rules WHERE id = ?').get(lastInsertRowid));
+  },
+  markFired(id, firedAt) {
+    getDatabase().prepare('UPDATE watch_rules SET last_fired_at = ? WHERE id = ?').run(firedAt, id);
+  },
+  // Only owner's own rules can be removed
+  remove(owner, id) {
+    return getDatabase().prepare('DELETE FROM watch_rules WHERE id = ? AND owner = ?').run(Number(id), owner).changes > 0;
+  },
+};
+
+const toEvent = row => ({ id: row.id, type: row.type, data: JSON.parse(row.data), createdAt: row.created_at });
+
+export const eventRepository = {
+  get(id) {
+    const row = getDatabase().prepare('SELECT * FROM events WHERE id = ?').get(id);
+    return row ? toEvent(row) : null;
+  },
+  insert({ type, data, createdAt }) {
+    const { lastInsertRowid } = getDatabase().prepare('INSERT INTO events (type, data, created_at) VALUES (?, ?, ?)')
+      .run(type, JSON.stringify(data), createdAt);
+    return { id: Number(lastInsertRowid), type, data, createdAt };
+  },
+};
+
+const toNotification = row => withoutNulls({
+  id: row.id, eventId: row.event_id, eventType: row.event_type, ruleId: row.rule_id,
+  title: row.title, body: row.body, createdAt: row.created_at, read: row.read_at !== null,
+});
+
+export const notificationRepository = {
+  // Newest first; with unreadOnly, only the ones not marked as read
+  list(owner, { unreadOnly = false, limit = 50 } = {}) {
+    return getDatabase().prepare(`
+      SELECT n.*, e.type AS event_type FROM notifications n JOIN events e ON e.id = n.event_id
+      WHERE n.owner = ? ${unreadOnly ? 'AND n.read_at IS NULL' : ''}
+      ORDER BY n.id DESC LIMIT ?`).all(owner, limit).map(toNotification);
+  },
+  unreadCount(owner) {
+    return getDatabase().prepare('SELECT COUNT(*) FROM notifications WHERE owner = ? AND read_at IS NULL').pluck().get(owner);
+  },
+  insert({ owner, eventId, ruleId = null, title, body, createdAt }) {
+    getDatabase().prepare(`
+      INSERT INTO notifications (owner, event_id, rule_id, title, body, created_at) VALUES (?, ?, ?, ?, ?, ?)`)
+      .run(owner, eventId, ruleId, title, body, createdAt);
+  },
+  // ids: the notifications to mark, or null for all of owner's; returns how many changed
+  markRead(owner, ids, readAt) {
+    const db = getDatabase();
+    if (ids === null) {
+      return db.prepare('UPDATE notifications SET read_at = ? WHERE owner = ? AND read_at IS NULL').run(readAt, owner).changes;
+    }
+    const update = db.prepare('UPDATE notifications SET read_at = ? WHERE owner = ? AND id = ? AND read_at IS NULL');
+    return ids.reduce((changed, id) => changed + update.run(readAt, owner, Number(id)).changes, 0);
+  },
+};
+
+// --- Outgoing webhooks and their delivery attempts ---
+const toWebhook = row => withoutNulls({
+  id: row.id, url: row.url, eventTypes: row.event_types.split(','), description: row.description,
+  createdBy: row.created_by, createdAt: row.created_at,
+});
+const toDelivery = row => withoutNulls({
+  id: row.id, webhookId: row.webhook_id, eventId: row.event_id, eventType: row.event_type, status: row.status,
+  attempts: row.attempts, nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+  lastStatusCode: row.last_status_code, lastError: row.last_error, deliveredAt: row.delivered_at,
+});
+
+export const webhookRepository = {
+  list() {
+    return getDatabase().prepare('SELECT * FROM webhooks ORDER BY id').all().map(toWebhook);
+  },
+  get(id) {
+    const row = getDatabase().prepare('SELECT * FROM webhooks WHERE id = ?').get(Number(id));
+    return row ? toWebhook(row) : null;
+  },
+  secret(id) {
+    return getDatabase().prepare('SELECT secret FROM webhooks WHERE id = ?').pluck().get(Number(id)) ?? null;
+  },
+  // Webhooks subscribed to an event type (or to every type, '*')
+  subscribedTo(type) {
+    return this.list().filter(webhook => webhook.eventTypes.includes('*') || webhook.eventTypes.includes(type));
+  },
+  insert({ url, secret, eventTypes, description = null, createdBy, createdAt }) {
+    const { lastInsertRowid } = getDatabase().prepare(`
+      INSERT INTO webhooks (url, secret, event_types, description, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?)`)
+      .run(url, secret, eventTypes.join(','), description, createdBy, createdAt);
+    return this.get(lastInsertRowid);
+  },
+  remove(id) {
+    return getDatabase().prepare('DELETE FROM webhooks WHERE id = ?').run(Number(id)).changes > 0;
+  },
+
+  queueDelivery(webhookId, eventId, nextAttemptAt) {
+    getDatabase().prepare('INSERT INTO webhook_deliveries (webhook_id, event_id, next_attempt_at) VALUES (?, ?, ?)')
+      .run(webhookId, eventId, nextAttemptAt);
+  },
+  deliveries(webhookId, limit = 50) {
+    return getDatabase().prepare(`
+      SELECT d.*, e.type AS event_type FROM webhook_deliveries d JOIN events e ON e.id = d.event_id
+      WHERE d.webhook_id = ? ORDER BY d.id DESC LIMIT ?`).all(Number(webhookId), limit).map(toDelivery);
+  },
+  // Pending deliveries whose next attempt is due by now, oldest first
+  dueDeliveries(now, limit = 20) {
+    return getDatabase().prepare(`
+      SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id LIMIT ?`)
+      .all(now, limit).map(toDelivery);
+  },
+  nextAttemptAt() {
+    return getDatabase().prepare("SELECT MIN(next_attempt_at) FROM webhook_deliveries WHERE status = 'pending'").pluck().get() ?? null;
+  },
+  // One attempt's outcome: status 'delivered', 'pending' (retried at nextAttemptAt) or 'failed'
+  recordAttempt(id, { status, nextAttemptAt = null, statusCode = null, error = null, deliveredAt = null }) {
+    getDatabase().prepare(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = attempts + 1, next_attempt_at = COALESCE(?, next_attempt_at),
+        last_status_code = ?, last_error = ?, delivered_at = ?
+      WHERE id = ?`).run(status, nextAttemptAt, statusCode, error, deliveredAt, id);
+  },
+};
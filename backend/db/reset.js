@@ -0,0 +1,10 @@
+import fs from 'fs';
+import { defaultDatabasePath, openDatabase } from './database.js';
+
+// --- npm run db:reset: drop the local database and re-seed it from the JSON files ---
+const filePath = process.env.DATABASE_PATH || defaultDatabasePath;
+for (const suffix of ['', '-wal', '-shm']) {
+  fs.rmSync(`${filePath}${suffix}`, { force: true });
+}
+openDatabase(filePath).close();
+console.log(`==> Database re-created at ${filePath}`);
@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { hashPassword } from '../auth/passwords.js';
+
+// --- JSON seed files ---
+// Only read when a fresh database is created; after that the database is the source of truth.
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const backendDir = path.join(__dirname, '..');
+const toolsDir = path.join(backendDir, 'tools');
+export const seedPaths = {
+  leaveApplications: path.join(toolsDir, 'leave_applications.json'),
+  leaveBalances: path.join(toolsDir, 'leave_balances.json'),
+  stock: path.join(toolsDir, 'stock_level.json'),
+  salesOrders: path.join(toolsDir, 'sales_orders.json'),
+  purchaseOrders: path.join(toolsDir, 'purchase_orders.json'),
+  knowledge: path.join(backendDir, 'knowledge_base.json'),
+  users: path.join(toolsDir, 'users.json'),
+};
+
+// --- Safe JSON Reading ---
+export function readJsonSafely(filePath, defaultValue = []) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      console.warn(`Warning: Data file not found at ${filePath}. Using default value.`);
+      return defaultValue;
+    }
+    const fileData = fs.readFileSync(filePath, 'utf-8');
+    return JSON.parse(fileData);
+  } catch (error) {
+    console.error(`Error reading or parsing JSON file at ${filePath}:`, error);
+    return defaultValue;
+  }
+}
+
+const asArray = (value, label) => {
+  if (Array.isArray(value)) return value;
+  console.error(`--> Seed data for ${label} is not an array. Skipping.`);
+  return [];
+};
+
+export function seedFromJson(db) {
+  const stock = readJsonSafely(seedPaths.stock, {});
+  const insertStock = db.prepare('INSERT INTO stock (material, description, stock_level, plant) VALUES (?, ?, ?, ?)');
+  for (const [material, data] of Object.entries(stock)) {
+    insertStock.run(material, data.Description || '', String(data['Stock Level'] ?? '0'), String(data.Plant ?? ''));
+  }
+
+  for (const [table, partyKey, filePath] of [
+    ['sales_orders', 'customer', seedPaths.salesOrders],
+    ['purchase_orders', 'vendor', seedPaths.purchaseOrders],
+  ]) {
+    const insertOrder = db.prepare(`INSERT INTO ${table} (id, ${partyKey}, material, quantity, status, value, plant) VALUES (?, ?, ?, ?, ?, ?, ?)`);
+    for (const order of asArray(readJsonSafely(filePath, []), table)) {
+      insertOrder.run(order.id, order[partyKey], order.material, order.quantity, order.status, order.value, order.plant ?? null);
+    }
+  }
+
+  const insertLeave = db.prepare(`
+    INSERT INTO leave_applications (id, employee_name, start_date, end_date, reason, days, status, updated_at, decided_by, comment)
+    VALUES (@id, @employeeName, @startDate, @endDate, @reason, @days, @status, @updatedAt, @decidedBy, @comment)`);
+  for (const leave of asArray(readJsonSafely(seedPaths.leaveApplications, []), 'leave applications')) {
+    insertLeave.run({ days: null, updatedAt: null, decidedBy: null, comment: null, ...leave });
+  }
+
+  const balances = readJsonSafely(seedPaths.leaveBalances, {});
+  db.prepare("INSERT INTO settings (key, value) VALUES ('defaultAnnualDays', ?)").run(String(balances.defaultAnnualDays ?? 20));
+  const insertEntitlement = db.prepare('INSERT INTO leave_entitlements (employee_name, annual_days) VALUES (?, ?)');
+  for (const [employeeName, annualDays] of Object.entries(balances.employees || {})) {
+    insertEntitlement.run(employeeName, annualDays);
+  }
+
+  const insertKnowledge = db.prepare('INSERT INTO knowledge (term, definition, description, module) VALUES (?, ?, ?, ?)');
+  for (const entry of asArray(readJsonSafely(seedPaths.knowledge, []), 'knowledge base')) {
+    insertKnowledge.run(entry.term, entry.definition || '', entry.description ?? null, entry.module ?? null);
+  }
+}
+
+// Demo accounts; plain-text passwords in the seed file are hashed on the way in.
+export function seedUsers(db) {
+  const insertUser = db.prepare('INSERT INTO users (username, display_name, employee_name, roles, password_hash) VALUES (?, ?, ?, ?, ?)');
+  for (const user of asArray(readJsonSafely(seedPaths.users, []), 'users')) {
+    insertUser.run(
+      user.username,
+      user.displayName || user.username,
+      user.employeeName || user.displayName || user.username,
+      (user.roles || ['employee']).join(','),
+      user.password ? hashPassword(user.password) : null,
+    );
+  }
+}
@@ -0,0 +1,120 @@
+import Fuse from 'fuse.js';
+import { stockRepository, salesOrderRepository, purchaseOrderRepository } from './data.js';
+import { derivedFromTable } from './db/repositories.js';
+import { extractMultipleItems } from './helpers.js';
+
+// --- Disambiguation: ask instead of guessing ---
+// The lookups match materials, customers and vendors fuzzily, which silently picks one of several
+// look-alikes ("ball": the ball valve or the ball bearing?) or quietly finds nothing for a typo.
+// Before a lookup runs, each mention is checked against the known values:
+//   exact / confident  run the lookup as asked
+//   ambiguous          several candidates score about the same
+//   unsure / none      the best match is weak, or nothing matched
+// In the last three cases the tool answers with a 'clarification' listing the candidates as choices.
+// Picking one re-runs the same tool call with the mention replaced (see applyClarificationChoice).
+// The candidates come from the local database, so the lookups only ask when their entity is read
+// from it (getDataSource(entity).name === 'local'); an OData source answers with its own matches.
+const FUZZY_OPTIONS = { keys: ['value', 'description'], includeScore: true, ignoreLocation: true };
+const CONFIDENT_SCORE = 0.2; // Fuse score: 0 is a perfect match
+const MIN_MARGIN = 0.1; // a confident best match must beat the runner-up by this much
+const MAX_CHOICES = 6;
+
+// "all materials" asks for the whole stock list on purpose
+export const ALL_MATERIALS = 'all materials';
+
+const materialCandidates = derivedFromTable('stock', () => stockRepository.list().map(item => ({
+  value: item.Material,
+  description: item.Description,
+  label: `${item.Material} (${item.Description})`,
+})));
+const partyCandidates = repository => () => repository.partyNames().map(name => ({ value: name, label: name }));
+const customerCandidates = derivedFromTable('sales_orders', partyCandidates(salesOrderRepository));
+const vendorCandidates = derivedFromTable('purchase_orders', partyCandidates(purchaseOrderRepository));
+
+const KINDS = {
+  material: { noun: 'material', candidates: materialCandidates },
+  customer: { noun: 'customer', candidates: customerCandidates },
+  vendor: { noun: 'vendor', candidates: vendorCandidates },
+};
+
+const toChoice = ({ value, label }) => ({ value, label });
+
+// --- How well does one mention match the known values? ---
+// Returns { status: 'exact' | 'confident' | 'ambiguous' | 'unsure' | 'none', choices: [{ value, label }] }
+export function resolveMention(term, kind) {
+  const candidates = KINDS[kind].candidates();
+  const wanted = String(term).trim().toLowerCase();
+  const exact = candidates.find(candidate => candidate.value.toLowerCase() === wanted);
+  if (exact) return { status: 'exact', choices: [toChoice(exact)] };
+
+  const matches = new Fuse(candidates, { ...FUZZY_OPTIONS, threshold: 0.4 }).search(String(term));
+  if (matches.length === 0) {
+    // Nothing close: offer everything there is when the list is short, otherwise the nearest loose matches
+    const loose = candidates.length > MAX_CHOICES
+      ? new Fuse(candidates, { ...FUZZY_OPTIONS, threshold: 0.6 }).search(String(term)).map(match => match.item)
+      : [];
+    return { status: 'none', choices: (loose.length > 0 ? loose : candidates).slice(0, MAX_CHOICES).map(toChoice) };
+  }
+
+  const [best, runnerUp] = matches;
+  if (best.score <= CONFIDENT_SCORE && (!runnerUp || runnerUp.score - best.score >= MIN_MARGIN)) {
+    return { status: 'confident', choices: [toChoice(best.item)] };
+  }
+  const close = matches.filter(match => match.score - best.score < MIN_MARGIN).slice(0, MAX_CHOICES);
+  return { status: close.length > 1 ? 'ambiguous' : 'unsure', choices: close.map(match => toChoice(match.item)) };
+}
+
+const QUESTIONS = {
+  ambiguous: (term, noun) => `"${term}" matches more than one ${noun}. Which one do you mean?`,
+  unsure: (term, noun) => `I couldn't find a ${noun} called "${term}". Did you mean this one?`,
+  none: (term, noun) => `I couldn't find a ${noun} matching "${term}". Which ${noun} do you mean?`,
+};
+
+// --- Check one tool parameter; returns null when the lookup can run, or the clarification to send ---
+// A parameter can hold a list ("pumps and valves"); each mention is checked and the first unclear one asked about.
+export function clarifyParameter(parameters, parameter, kind) {
+  const value = parameters[parameter];
+  if (!value || value === ALL_MATERIALS) return null;
+  for (const term of extractMultipleItems(String(value))) {
+    const { status, choices } = resolveMention(term, kind);
+    if (status === 'exact' || status === 'confident') continue;
+    console.log(`--> '${term}' is ${status} as a ${kind}; asking the user (${choices.length} choice(s)).`);
+    return { parameter, term, question: QUESTIONS[status](term, KINDS[kind].noun), choices };
+  }
+  return null;
+}
+
+// --- A stock lookup without a material would list everything: ask which material first ---
+export function clarifyMissingMaterial(parameters, parameter = 'material_id') {
+  if (parameters[parameter] || parameters.comparison) return null;
+  return {
+    parameter,
+    term: null,
+    question: 'Which material would you like to check?',
+    choices: [...materialCandidates().slice(0, MAX_CHOICES).map(toChoice), { value: ALL_MATERIALS, label: 'All materials' }],
+  };
+}
+
+// --- The chat payload for a clarification ---
+export function renderClarification({ parameter, term, question, choices }) {
+  return { type: 'clarification', content: question, choices, clarification: { parameter, term } };
+}
+
+// --- Re-run the tool call behind a clarification with the user's pick ---
+// entry is the clarification answer from the history, with the toolCall it was raised for. Returns the
+// tool call to run, or null when the latest input is not one of the offered choices.
+export function applyClarificationChoice(entry, latestInput) {
+  const { toolCall, clarification, choices } = entry || {};
+  if (!toolCall?.name || !clarification?.parameter || !Array.isArray(choices)) return null;
+  const wanted = String(latestInput).trim().toLowerCase();
+  const choice = choices.find(option => [option?.value, option?.label].some(text => String(text ?? '').trim().toLowerCase() === wanted));
+  if (!choice) return null;
+
+  const { parameter, term } = clarification;
+  const current = toolCall.parameters?.[parameter];
+  // Swap only the unclear mention, so "pumps and ball" keeps the pumps
+  const value = term && current
+    ? extractMultipleItems(String(current)).map(item => (item.toLowerCase() === String(term).toLowerCase() ? choice.value : item)).join(', ')
+    : choice.value;
+  return { name: toolCall.name, parameters: { ...toolCall.parameters, [parameter]: value } };
+}
@@ -0,0 +1,126 @@
+// --- Utterance-to-tool evaluation ---
+// Sends each case of a golden dataset through POST /api/chat and compares the tool the assistant
+// picked, the parameters it ran it with and the number of table rows with the expectations.
+// A case looks like:
+//   { "id": "stock-single-material", "utterance": "stock of PUMP-1001", "history": [...] (optional),
+//     "llm": { ...decision the scripted mock LLM returns },
+//     "expect": { "tool": "query_inventory" | null for a text reply, "parameters": {...}, "rows": 1 } }
+// Parameters are compared after validation (enum aliases resolved, numbers coerced); strings ignore case.
+// For a multi-step plan, "plan" lists the tools of every step in order, "tool" and "parameters" are the
+// last step's and "rows" counts the rows of all its tables.
+import { countRows } from '../plans.js';
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Mock LLM rules answering every golden utterance with its scripted decision
+// (the decision prompt quotes the input as a JSON string, see llm/promptGuard.js)
+export function scriptFromDataset(dataset) {
+  return dataset
+    .filter(testCase => testCase.llm)
+    .map(testCase => ({ match: `latest input: ${escapeRegExp(JSON.stringify(testCase.utterance))}`, mode: 'json', response: testCase.llm }));
+}
+
+// Listen on a free port; resolves to { baseUrl, close }
+export function startServer(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+const sameValue = (actual, expected) => (typeof actual === 'string' && typeof expected === 'string'
+  ? actual.trim().toLowerCase() === expected.trim().toLowerCase()
+  : actual === expected);
+
+export function sameParameters(actual = {}, expected = {}) {
+  const keys = new Set([...Object.keys(actual), ...Object.keys(expected)]);
+  return [...keys].every(key => sameValue(actual[key], expected[key]));
+}
+
+// --- Run one case against a running server ---
+export async function runCase(baseUrl, testCase, { headers = {} } = {}) {
+  const messageHistory = [...(testCase.history || []), { sender: 'user', text: testCase.utterance }];
+  const started = Date.now();
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ messageHistory }),
+  });
+  const body = await response.json().catch(() => ({}));
+  const { expect } = testCase;
+
+  // undefined (not null) on errors, so a failed request never passes as an expected text reply
+  const tool = response.ok ? body.toolCall?.name ?? null : undefined;
+  const parameters = body.toolCall?.parameters ?? {};
+  const rows = countRows(body);
+  const plan = body.type === 'composite' ? body.sections.map(section => section.toolCall?.name ?? null) : null;
+  const routed = tool === expect.tool && (!expect.plan || JSON.stringify(plan) === JSON.stringify(expect.plan));
+  return {
+    id: testCase.id,
+    utterance: testCase.utterance,
+    status: response.status,
+    error: response.ok ? null : body.error?.message || body.error || `HTTP ${response.status}`,
+    expectedTool: expect.tool,
+    tool,
+    plan,
+    parameters,
+    rows,
+    routed,
+    // Only scored when the right tool was picked; a wrong tool already counts as a routing miss
+    parametersMatch: expect.tool && expect.parameters && routed ? sameParameters(parameters, expect.parameters) : null,
+    rowsMatch: expect.rows !== undefined && routed ? rows === expect.rows : null,
+    ms: Date.now() - started,
+  };
+}
+
+const ratio = (hits, total) => (total === 0 ? null : hits / total);
+const countTrue = (results, key) => results.filter(result => result[key] === true).length;
+const countScored = (results, key) => results.filter(result => result[key] !== null).length;
+
+export function summarize(results) {
+  return {
+    cases: results.length,
+    routingAccuracy: ratio(countTrue(results, 'routed'), results.length),
+    parameterAccuracy: ratio(countTrue(results, 'parametersMatch'), countScored(results, 'parametersMatch')),
+    rowAccuracy: ratio(countTrue(results, 'rowsMatch'), countScored(results, 'rowsMatch')),
+    rowsReturned: results.reduce((sum, result) => sum + (result.rows || 0), 0),
+    failed: results.filter(result => !result.routed || result.parametersMatch === false || result.rowsMatch === false).map(result => result.id),
+  };
+}
+
+// Cases run one at a time so follow-ups and rate limits behave like a real conversation
+export async function evaluate(baseUrl, dataset, options = {}) {
+  const results = [];
+  for (const testCase of dataset) {
+    results.push(await runCase(baseUrl, testCase, options));
+  }
+  return { results, summary: summarize(results) };
+}
+
+// --- Plain-text report ---
+const percent = value => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+
+export function formatReport({ results, summary }) {
+  const lines = results.map(result => {
+    const ok = result.routed && result.parametersMatch !== false && result.rowsMatch !== false;
+    const rows = result.rows === null ? '' : ` rows=${result.rows}`;
+    const tool = result.plan ? `plan ${result.plan.join(' -> ')}:` : result.tool ?? 'text';
+    const got = result.error ? `error: ${result.error}` : `${tool} ${JSON.stringify(result.parameters)}${rows}`;
+    const wanted = ok ? '' : ` (expected ${result.expectedTool ?? 'text'})`;
+    return `${ok ? 'PASS' : 'FAIL'}  ${result.id.padEnd(32)} ${got}${wanted}  ${result.ms}ms`;
+  });
+  lines.push(
+    '',
+    `Cases:               ${summary.cases}`,
+    `Routing accuracy:    ${percent(summary.routingAccuracy)}`,
+    `Parameter accuracy:  ${percent(summary.parameterAccuracy)}`,
+    `Row-count accuracy:  ${percent(summary.rowAccuracy)}`,
+    `Table rows returned: ${summary.rowsReturned}`,
+  );
+  if (summary.failed.length > 0) lines.push(`Failed: ${summary.failed.join(', ')}`);
+  return lines.join('\n');
+}
@@ -0,0 +1,50 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// --- Golden-set evaluation from the command line ---
+// npm run eval                                  scripted mock LLM (the decisions stored in the dataset)
+// LLM_PROVIDER=groq GROQ_API_KEY=... npm run eval   score a real model / prompt change
+// INTENT_ROUTER=off npm run eval                 send every utterance to the LLM (see intentRouter.js)
+// Options: --dataset <file> (default eval/golden.json), --json (machine-readable output), --verbose (server logs)
+// Runs against a fresh in-memory database seeded from the JSON files, as an administrator.
+// Exits with 1 when any case fails.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const args = process.argv.slice(2);
+const option = name => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const datasetPath = path.resolve(option('--dataset') || path.join(__dirname, 'golden.json'));
+const dataset = JSON.parse(fs.readFileSync(datasetPath, 'utf-8'));
+process.env.AUTH_MODE = 'none';
+const log = console.log;
+if (!args.includes('--verbose')) {
+  console.log = console.warn = () => {};
+  process.env.LOG_LEVEL = 'silent';
+}
+process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'mock';
+process.env.CHAT_RATE_LIMIT = process.env.CHAT_RATE_LIMIT || '0';
+
+// The app reads its configuration on import, so everything is loaded after the environment is set
+const { openDatabase, setDatabase } = await import('../db/database.js');
+const { setLLMProvider } = await import('../llm/index.js');
+const { createMockProvider } = await import('../llm/mockProvider.js');
+const { evaluate, formatReport, scriptFromDataset, startServer } = await import('./evaluate.js');
+const { default: app } = await import('../app.js');
+
+setDatabase(openDatabase(':memory:'));
+if (process.env.LLM_PROVIDER === 'mock' && !process.env.LLM_MOCK_SCRIPT) {
+  setLLMProvider(createMockProvider({ script: scriptFromDataset(dataset) }));
+}
+
+const server = await startServer(app);
+const report = await evaluate(server.baseUrl, dataset);
+await server.close();
+
+log(args.includes('--json')
+  ? JSON.stringify(report, null, 2)
+  : `Evaluated ${dataset.length} utterance(s) from ${path.relative(process.cwd(), datasetPath)} with LLM provider '${process.env.LLM_PROVIDER}', intent router '${process.env.INTENT_ROUTER || 'fast'}'\n\n${formatReport(report)}`);
+process.exitCode = report.summary.failed.length > 0 ? 1 : 0;
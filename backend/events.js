@@ -0,0 +1,56 @@
+// --- Change events: what can happen, and how it reads in a notification ---
+// Stock, purchase order and leave changes are recorded as events (see notifications.js); watch
+// rules (see watchRules.js) subscribe to one subject, webhooks (see webhooks.js) to event types.
+//   stock.changed                  { material, description, plant, previousLevel, level, changedBy }
+//   purchase_order.status_changed  { id, vendor, material, quantity, value, previousStatus, status, changedBy }
+//   leave.status_changed           { id, employeeName, startDate, endDate, days, previousStatus, status, decidedBy, comment }
+//                                  (previousStatus is null for a new request)
+export const EVENT_TYPES = {
+  'stock.changed': { subject: 'stock' },
+  'purchase_order.status_changed': { subject: 'purchase_order' },
+  'leave.status_changed': { subject: 'leave' },
+};
+
+const formatNumber = value => Number(value).toLocaleString('en-US');
+
+// --- A rule's condition in words: "BEARING-A5 drops below 1,000 units" ---
+export function describeRule({ subject, conditions }) {
+  if (subject === 'stock') {
+    const movement = conditions.comparison === 'less than' ? 'drops below' : 'rises above';
+    return `${conditions.material} stock ${movement} ${formatNumber(conditions.quantity)} units`;
+  }
+  if (subject === 'purchase_order') {
+    const which = conditions.id
+      || ['a purchase order', conditions.vendor && `from ${conditions.vendor}`, conditions.material && `for ${conditions.material}`]
+        .filter(Boolean).join(' ');
+    return `${which} moves to ${conditions.status}`;
+  }
+  const whose = conditions.employeeName ? `a leave request of ${conditions.employeeName}` : 'any leave request';
+  return `${whose} is ${conditions.status.toLowerCase()}`;
+}
+
+// --- Title and text of the notification an event raises ---
+export function summarizeEvent({ type, data }) {
+  if (type === 'stock.changed') {
+    return {
+      title: `Stock alert: ${data.material}`,
+      body: `${data.material} (${data.description}, plant ${data.plant}) went from ${formatNumber(data.previousLevel)} to ${formatNumber(data.level)} units.`,
+    };
+  }
+  if (type === 'purchase_order.status_changed') {
+    return {
+      title: `Purchase order ${data.id} is ${data.status}`,
+      body: `${data.id} from ${data.vendor} (${formatNumber(data.quantity)} × ${data.material}, ${data.value}) moved from ${data.previousStatus} to ${data.status}.`,
+    };
+  }
+  // Older leave entries don't store their working days
+  const period = `from ${data.startDate} to ${data.endDate}${data.days === null ? '' : ` (${data.days} working day(s))`}`;
+  const decided = data.decidedBy ? ` by ${data.decidedBy}` : '';
+  const comment = data.comment ? ` Comment: ${data.comment}` : '';
+  return {
+    title: `Leave request ${data.id} is ${data.status.toLowerCase()}`,
+    body: data.previousStatus
+      ? `Leave of ${data.employeeName} ${period} was ${data.status.toLowerCase()}${decided}.${comment}`
+      : `${data.employeeName} asked for leave ${period}.`,
+  };
+}
@@ -0,0 +1,23 @@
+// --- CSV (RFC 4180) for table exports ---
+// Cells that a spreadsheet would run as a formula (=SUM(...), +cmd, @...) are prefixed with an
+// apostrophe; plain negative numbers are left alone.
+const FORMULA_START = /^(?:[=+@\t\r]|-(?!\d))/;
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const csvLine = values => `${values.map(csvCell).join(',')}\r\n`;
+
+// --- Write a table to a writable stream (e.g. an Express response), batch by batch ---
+// Starts with a byte order mark so Excel reads the file as UTF-8. headers (default: the columns)
+// is the header row.
+export function writeCsv(stream, columns, rows, { headers = columns, batchSize = 500 } = {}) {
+  stream.write(`\uFEFF${csvLine(headers)}`);
+  for (let start = 0; start < rows.length; start += batchSize) {
+    stream.write(rows.slice(start, start + batchSize).map(row => csvLine(columns.map(column => row[column]))).join(''));
+  }
+}
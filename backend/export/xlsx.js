@@ -0,0 +1,92 @@
+import { createZip } from './zip.js';
+
+// --- One-sheet .xlsx workbook for table exports ---
+// Just the parts Excel, LibreOffice and Google Sheets need: a bold header row, numbers as numbers
+// and everything else as inline text (no shared strings table).
+
+// Characters XML 1.0 cannot carry at all are dropped
+const xmlText = value => String(value)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+function cell(value, column, row, style = 0) {
+  const ref = `${columnName(column)}${row}`;
+  const styled = style ? ` s="${style}"` : '';
+  if (value === undefined || value === null || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${styled}><v>${value}</v></c>`;
+  return `<c r="${ref}"${styled} t="inlineStr"><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`;
+}
+
+const sheetRow = (values, row, style) => `<row r="${row}">${values.map((value, column) => cell(value, column, row, style)).join('')}</row>`;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// Sheet names: at most 31 characters, none of : \ / ? * [ ]
+const sheetTitle = name => String(name || 'Sheet1').replace(/[:\\/?*[\]]/g, ' ').trim().slice(0, 31) || 'Sheet1';
+
+// --- Build the workbook: rows are objects keyed by column; headers (default: the columns) is the header row ---
+export function createXlsx(columns, rows, { sheetName, headers = columns } = {}) {
+  const sheetRows = [
+    sheetRow(headers, 1, 1),
+    ...rows.map((row, index) => sheetRow(columns.map(column => row[column]), index + 2)),
+  ];
+  const lastCell = `${columnName(Math.max(columns.length, 1) - 1)}${rows.length + 1}`;
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data: `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">`
+        + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">`
+        + `<sheets><sheet name="${xmlText(sheetTitle(sheetName))}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">`
+        + `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+        + `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>`
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/styles.xml',
+      data: `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">`
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>',
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: `${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><dimension ref="A1:${lastCell}"/>`
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetData>${sheetRows.join('')}</sheetData></worksheet>`,
+    },
+  ]);
+}
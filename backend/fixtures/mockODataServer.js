@@ -0,0 +1,258 @@
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { readJsonSafely, seedPaths } from '../db/seed.js';
+import { parseMoney, parseQuantity } from '../helpers.js';
+import { ODATA_ENTITIES } from '../sources/odataEntities.js';
+import { readPath } from '../sources/odataSource.js';
+
+// --- Local mock of the SAP Gateway services in sources/odataEntities.js ---
+// Serves the JSON seed data in S/4HANA API shapes, as OData v2 or v4, so the OData source can be
+// run and tested offline:  npm run odata:mock   (then DATA_SOURCE=odata ODATA_BASE_URL=http://localhost:4004)
+// Supports $filter (eq/ne/lt/le/gt/ge, and/or/not, parentheses, substringof/contains/startswith/
+// endswith/tolower/toupper), $top, $skip and $expand. Text matching is case-insensitive.
+
+const invert = codes => Object.fromEntries(Object.entries(codes).map(([code, label]) => [label, code]));
+
+export function buildFixtureData(version = '2') {
+  const decimal = value => (version === '2' ? Number(value).toFixed(3) : Number(value));
+
+  const stock = Object.entries(readJsonSafely(seedPaths.stock, {})).map(([material, data]) => ({
+    Material: material,
+    Plant: String(data.Plant),
+    StorageLocation: '0001',
+    InventoryStockType: '01',
+    MatlWrhsStkQtyInMatlBaseUnit: decimal(parseQuantity(data['Stock Level']) ?? 0),
+    MaterialBaseUnit: 'PC',
+  }));
+
+  const salesCodes = invert(ODATA_ENTITIES.sales_orders.statusCodes);
+  const salesOrders = readJsonSafely(seedPaths.salesOrders, []).map(order => {
+    const money = parseMoney(order.value);
+    return {
+      SalesOrder: order.id,
+      SalesOrderItem: '10',
+      Material: order.material,
+      RequestedQuantity: decimal(order.quantity),
+      NetAmount: decimal(money?.amount ?? 0),
+      TransactionCurrency: money?.currency || '',
+      to_SalesOrder: { SalesOrder: order.id, SoldToParty: order.customer, OverallSDProcessStatus: salesCodes[order.status] || order.status },
+    };
+  });
+
+  const purchaseCodes = invert(ODATA_ENTITIES.purchase_orders.statusCodes);
+  const purchaseOrders = readJsonSafely(seedPaths.purchaseOrders, []).map(order => {
+    const money = parseMoney(order.value);
+    return {
+      PurchaseOrder: order.id,
+      PurchaseOrderItem: '10',
+      Material: order.material,
+      OrderQuantity: decimal(order.quantity),
+      NetPriceAmount: decimal(money ? money.amount / order.quantity : 0),
+      DocumentCurrency: money?.currency || '',
+      to_PurchaseOrder: { PurchaseOrder: order.id, Supplier: order.vendor, PurchasingProcessingStatus: purchaseCodes[order.status] || order.status },
+    };
+  });
+
+  return { stock, sales_orders: salesOrders, purchase_orders: purchaseOrders };
+}
+
+// --- $filter parsing ---
+class FilterSyntaxError extends Error {}
+
+const TOKEN_PATTERN = /\s*(?:(\()|(\))|(,)|'((?:[^']|'')*)'|(-?\d+(?:\.\d+)?)(?![\w])|([A-Za-z_][\w/]*))/y;
+const COMPARISON_OPERATORS = ['eq', 'ne', 'lt', 'le', 'gt', 'ge'];
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    if (/^\s*$/.test(text.slice(TOKEN_PATTERN.lastIndex))) break;
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) throw new FilterSyntaxError(`Unexpected input at position ${start}: '${text.slice(start, start + 10)}'`);
+    if (match[1]) tokens.push({ type: '(' });
+    else if (match[2]) tokens.push({ type: ')' });
+    else if (match[3]) tokens.push({ type: ',' });
+    else if (match[4] !== undefined) tokens.push({ type: 'string', value: match[4].replace(/''/g, "'") });
+    else if (match[5] !== undefined) tokens.push({ type: 'number', value: Number(match[5]) });
+    else tokens.push({ type: 'name', value: match[6] });
+  }
+  return tokens;
+}
+
+export function parseFilter(text) {
+  const tokens = tokenize(text);
+  let position = 0;
+  const peek = () => tokens[position];
+  const isName = (token, value) => token?.type === 'name' && token.value.toLowerCase() === value;
+  const expect = type => {
+    const token = tokens[position++];
+    if (token?.type !== type) throw new FilterSyntaxError(`Expected '${type}' in $filter.`);
+    return token;
+  };
+
+  function parseValue() {
+    const token = tokens[position++];
+    if (!token) throw new FilterSyntaxError('Unexpected end of $filter.');
+    if (token.type === 'string' || token.type === 'number') return { literal: token.value };
+    if (token.type !== 'name') throw new FilterSyntaxError(`Unexpected '${token.type}' in $filter.`);
+    if (peek()?.type === '(') {
+      position++;
+      const args = [];
+      while (peek()?.type !== ')') {
+        args.push(parseValue());
+        if (peek()?.type === ',') position++;
+      }
+      expect(')');
+      return { call: token.value.toLowerCase(), args };
+    }
+    if (['true', 'false'].includes(token.value)) return { literal: token.value === 'true' };
+    if (token.value === 'null') return { literal: null };
+    return { path: token.value };
+  }
+
+  function parsePrimary() {
+    if (peek()?.type === '(') {
+      position++;
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    if (isName(peek(), 'not')) {
+      position++;
+      return { not: parsePrimary() };
+    }
+    const left = parseValue();
+    const operator = peek();
+    if (operator?.type === 'name' && COMPARISON_OPERATORS.includes(operator.value.toLowerCase())) {
+      position++;
+      return { compare: operator.value.toLowerCase(), left, right: parseValue() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let node = parsePrimary();
+    while (isName(peek(), 'and')) {
+      position++;
+      node = { and: [node, parsePrimary()] };
+    }
+    return node;
+  }
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isName(peek(), 'or')) {
+      position++;
+      node = { or: [node, parseAnd()] };
+    }
+    return node;
+  }
+
+  const tree = parseOr();
+  if (position < tokens.length) throw new FilterSyntaxError('Unexpected trailing input in $filter.');
+  return tree;
+}
+
+const lower = value => String(value ?? '').toLowerCase();
+
+function evaluate(node, entity) {
+  if ('literal' in node) return node.literal;
+  if (node.path) return readPath(entity, node.path);
+  if (node.not) return !evaluate(node.not, entity);
+  if (node.and) return node.and.every(child => evaluate(child, entity));
+  if (node.or) return node.or.some(child => evaluate(child, entity));
+  if (node.compare) {
+    let left = evaluate(node.left, entity);
+    let right = evaluate(node.right, entity);
+    if (typeof left === 'number' || typeof right === 'number') {
+      left = Number(left);
+      right = Number(right);
+    } else {
+      left = lower(left);
+      right = lower(right);
+    }
+    switch (node.compare) {
+      case 'eq': return left === right;
+      case 'ne': return left !== right;
+      case 'lt': return left < right;
+      case 'le': return left <= right;
+      case 'gt': return left > right;
+      default: return left >= right;
+    }
+  }
+  const args = node.args.map(arg => evaluate(arg, entity));
+  switch (node.call) {
+    case 'substringof': return lower(args[1]).includes(lower(args[0]));
+    case 'contains': return lower(args[0]).includes(lower(args[1]));
+    case 'startswith': return lower(args[0]).startsWith(lower(args[1]));
+    case 'endswith': return lower(args[0]).endsWith(lower(args[1]));
+    case 'tolower': return lower(args[0]);
+    case 'toupper': return String(args[0] ?? '').toUpperCase();
+    default: throw new FilterSyntaxError(`Unsupported function '${node.call}'.`);
+  }
+}
+
+// --- Express app serving every mapped entity set ---
+export function createMockODataApp({ version = '2', data = buildFixtureData(version), username, password } = {}) {
+  const app = express();
+  const odataError = (res, status, code, message) => res.status(status).json({
+    error: { code, message: version === '2' ? { lang: 'en', value: message } : message },
+  });
+
+  if (username) {
+    const expected = `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`;
+    app.use((req, res, next) => (req.headers.authorization === expected ? next() : odataError(res, 401, 'UNAUTHORIZED', 'Authentication failed.')));
+  }
+
+  for (const [entity, mapping] of Object.entries(ODATA_ENTITIES)) {
+    app.get(`${mapping.servicePath}/${mapping.entitySet}`, (req, res) => {
+      let rows = data[entity] || [];
+      try {
+        if (req.query.$filter) {
+          const filter = parseFilter(String(req.query.$filter));
+          rows = rows.filter(row => evaluate(filter, row));
+        }
+      } catch (error) {
+        if (!(error instanceof FilterSyntaxError)) throw error;
+        return odataError(res, 400, 'INVALID_FILTER', error.message);
+      }
+
+      const skip = parseInt(req.query.$skip, 10) || 0;
+      const top = parseInt(req.query.$top, 10);
+      rows = rows.slice(skip, Number.isNaN(top) ? undefined : skip + top);
+
+      // Navigation properties are only inlined when requested with $expand
+      const expanded = String(req.query.$expand || '').split(',').map(name => name.trim());
+      rows = rows.map(row => Object.fromEntries(Object.entries(row).flatMap(([key, value]) => {
+        if (!key.startsWith('to_') || expanded.includes(key)) return [[key, value]];
+        return version === '2' ? [[key, { __deferred: { uri: `${mapping.servicePath}/${mapping.entitySet}/${key}` } }]] : [];
+      })));
+
+      res.json(version === '2' ? { d: { results: rows } } : { '@odata.context': `$metadata#${mapping.entitySet}`, value: rows });
+    });
+  }
+
+  app.use((req, res) => odataError(res, 404, 'NOT_FOUND', `Resource not found for segment '${req.path}'.`));
+  return app;
+}
+
+// --- Start on a port (0 = any free port); resolves with { url, close } ---
+export function startMockODataServer({ port = 0, ...options } = {}) {
+  const app = createMockODataApp(options);
+  return new Promise(resolve => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const version = process.env.ODATA_VERSION === '4' ? '4' : '2';
+  startMockODataServer({ port: Number(process.env.ODATA_MOCK_PORT) || 4004, version }).then(({ url }) => {
+    console.log(`✅ Mock OData v${version} server running at ${url}`);
+  });
+}
@@ -0,0 +1,185 @@
+// --- Glossary parsing for knowledge base bulk import ---
+// Both parsers return { entries: [{ line, term, definition, description?, module? }], errors: [{ line, message }] }
+// so the importer can report problems by line number.
+
+// Header names accepted for each field (case-insensitive)
+const COLUMN_ALIASES = {
+  term: ['term', 'name', 'title', 'tcode', 't-code', 'transaction'],
+  definition: ['definition', 'meaning', 'explanation', 'text'],
+  description: ['description', 'details', 'notes'],
+  module: ['module', 'area', 'component'],
+};
+
+function fieldForHeader(header) {
+  const wanted = header.trim().toLowerCase();
+  return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(wanted)) || null;
+}
+
+function toEntry(line, values) {
+  const entry = { line };
+  Object.entries(values).forEach(([field, value]) => {
+    const text = String(value ?? '').trim();
+    if (text) entry[field] = text;
+  });
+  return entry;
+}
+
+// --- CSV (RFC 4180: quoted fields may contain commas, newlines and "" escapes) ---
+function splitCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+  return { records: records.filter(({ fields }) => fields.some(value => value.trim())), unterminated: inQuotes };
+}
+
+export function parseCsvGlossary(text) {
+  const { records, unterminated } = splitCsvRecords(String(text || '').replace(/^\uFEFF/, ''));
+  const errors = [];
+  if (records.length === 0) {
+    return { entries: [], errors: [{ line: 1, message: 'The CSV file is empty.' }] };
+  }
+
+  const [header, ...rows] = records;
+  const columns = header.fields.map(fieldForHeader);
+  if (!columns.includes('term') || !columns.includes('definition')) {
+    return { entries: [], errors: [{ line: header.line, message: "The header row needs a 'term' and a 'definition' column." }] };
+  }
+  if (unterminated) {
+    errors.push({ line: rows.at(-1)?.line ?? header.line, message: 'A quoted field is never closed; the rest of the file was read as one value.' });
+  }
+
+  const entries = rows.map(({ line, fields }) => {
+    const values = {};
+    columns.forEach((field, index) => {
+      if (field && values[field] === undefined) values[field] = fields[index];
+    });
+    return toEntry(line, values);
+  });
+  return { entries, errors };
+}
+
+// --- Markdown glossaries ---
+// Understands the three usual layouts, which may be mixed in one file:
+//   ## FB60                      | Term | Definition | Module |     - **FB60**: Enter a vendor invoice
+//   Enter a vendor invoice ...   |------|------------|--------|     - FB60 - Enter a vendor invoice
+//   Module: FI                   | FB60 | Enter a... | FI     |
+const HEADING_PATTERN = /^#{2,6}\s+(.+?)\s*#*$/;
+const LIST_ITEM_PATTERN = /^\s*[-*+]\s+(?:\*\*(.+?)\*\*|__(.+?)__|`(.+?)`|([^:–—]+?))\s*(?::|\s[-–—]\s)\s*(.+)$/;
+const MODULE_LINE_PATTERN = /^\s*\**module\**\s*:\s*\**(.+?)\**\s*$/i;
+
+const tableCells = line => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+const stripInline = text => text.replace(/\*\*(.+?)\*\*|__(.+?)__|`(.+?)`/g, (_, a, b, c) => a || b || c).trim();
+
+export function parseMarkdownGlossary(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const entries = [];
+  const errors = [];
+  let section = null;
+  let table = null;
+
+  const closeSection = () => {
+    if (!section) return;
+    const definition = section.paragraphs.join(' ').replace(/\s+/g, ' ').trim();
+    if (definition) {
+      entries.push(toEntry(section.line, { term: section.term, definition, module: section.module }));
+    } else {
+      errors.push({ line: section.line, message: `Heading '${section.term}' has no definition below it.` });
+    }
+    section = null;
+  };
+
+  lines.forEach((raw, index) => {
+    const line = index + 1;
+    const trimmed = raw.trim();
+
+    if (trimmed.startsWith('|')) {
+      const cells = tableCells(trimmed);
+      if (!table) {
+        closeSection();
+        table = { columns: cells.map(fieldForHeader), headerLine: line };
+        if (!table.columns.includes('term') || !table.columns.includes('definition')) {
+          errors.push({ line, message: "Table header needs a 'Term' and a 'Definition' column; the table was skipped." });
+          table.skip = true;
+        }
+      } else if (!cells.every(cell => /^:?-{2,}:?$/.test(cell)) && !table.skip) {
+        const values = {};
+        table.columns.forEach((field, cellIndex) => {
+          if (field && values[field] === undefined) values[field] = stripInline(cells[cellIndex] || '');
+        });
+        entries.push(toEntry(line, values));
+      }
+      return;
+    }
+    table = null;
+
+    const heading = HEADING_PATTERN.exec(trimmed);
+    if (heading) {
+      closeSection();
+      section = { term: stripInline(heading[1]), line, paragraphs: [] };
+      return;
+    }
+
+    const item = LIST_ITEM_PATTERN.exec(raw);
+    if (item && !section?.paragraphs.length) {
+      // A heading directly above a list only groups the entries ("## Finance")
+      section = null;
+      const term = (item[1] || item[2] || item[3] || item[4]).trim();
+      entries.push(toEntry(line, { term, definition: stripInline(item[5]) }));
+      return;
+    }
+
+    if (section) {
+      const moduleLine = MODULE_LINE_PATTERN.exec(trimmed);
+      if (moduleLine) {
+        section.module = moduleLine[1];
+      } else if (trimmed && !trimmed.startsWith('#')) {
+        section.paragraphs.push(stripInline(trimmed));
+      }
+    }
+  });
+  closeSection();
+
+  if (entries.length === 0 && errors.length === 0) {
+    errors.push({ line: 1, message: 'No glossary entries found. Use "## Term" headings, "- **Term**: definition" lists or a Term/Definition table.' });
+  }
+  return { entries, errors };
+}
+
+export const GLOSSARY_FORMATS = { csv: parseCsvGlossary, markdown: parseMarkdownGlossary };
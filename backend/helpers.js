@@ -0,0 +1,60 @@
+import { toEnglishItem } from './language.js';
+
+// --- Helper: clean AI text (remove outer quotes & trim) ---
+export function cleanAiText(text) {
+  if (typeof text !== "string") return text;
+
+  let t = text.trim();
+
+  // If the whole thing is wrapped in matching straight quotes "..." or '...'
+  if (
+    (t.startsWith('"') && t.endsWith('"')) ||
+    (t.startsWith("'") && t.endsWith("'"))
+  ) {
+    t = t.slice(1, -1).trim();
+  }
+
+  // Extra safety: strip any leading OR trailing unicode/straight quotes
+  t = t
+    .replace(/^[“”"'`]+/, "")   // remove from start
+    .replace(/[“”"'`]+$/, "")   // remove from end
+    .trim();
+
+  return t;
+}
+
+// --- Helper function to split multiple items ---
+// "pumps and bearings", "Pumpen und Lager", "पंप और वाल्व": each item comes back with its words in
+// English, the language of the material master (see language.js)
+export function extractMultipleItems(itemString) {
+  if (!itemString) return [];
+  
+  // Split by common delimiters: 'and', ',', '&', 'or' (also in German and Hindi)
+  const items = itemString
+    .split(/\s+(?:and|or|und|oder|sowie|aur|ya|और|या|तथा|,|&)\s+|,\s*/i)
+    .map(item => toEnglishItem(item.trim()))
+    .filter(item => item.length > 0);
+  
+  return items.length > 0 ? items : [itemString.trim()];
+}
+
+// --- Helpers for display amounts like "15,450.00 USD" ---
+export function parseMoney(valueString) {
+  if (typeof valueString !== 'string') return null;
+  const match = valueString.trim().match(/^([\d,]+(?:\.\d+)?)\s*([A-Za-z]{3})$/);
+  if (!match) return null;
+  return { amount: parseFloat(match[1].replace(/,/g, '')), currency: match[2].toUpperCase() };
+}
+
+export function formatMoney(amount, currency) {
+  const formatted = Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${formatted} ${currency}`;
+}
+
+// --- Helper: numeric part of a stock display string like "152 units" ---
+export function parseQuantity(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+  const match = value.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
@@ -0,0 +1,193 @@
+import { stockRepository, salesOrderRepository, purchaseOrderRepository } from './data.js';
+import { derivedFromTable } from './db/repositories.js';
+import { findNamedTerms } from './knowledge.js';
+import { isFollowUpQuery } from './conversation.js';
+
+// --- Offline intent router ---
+// Picks a tool for obvious requests ("stock of PUMP-1001", "open sales orders for Global Tech",
+// "apply for leave") without asking the LLM, using the 'intent' each tool declares (see
+// tools/registry.js) and the materials, customers, vendors and KB terms we already store.
+// It returns null whenever it is unsure; the caller then asks the LLM.
+//
+// INTENT_ROUTER=fast (default)  try the router first, ask the LLM only when it is unsure
+// INTENT_ROUTER=fallback        ask the LLM first; use the router only when the LLM is unavailable
+// INTENT_ROUTER=off             always use the LLM
+export function loadRouterConfig(env = process.env) {
+  const mode = (env.INTENT_ROUTER || 'fast').toLowerCase();
+  return { mode: ['fast', 'fallback', 'off'].includes(mode) ? mode : 'fast' };
+}
+
+// Reply when the LLM is down and the router could not handle the request
+export const OFFLINE_HELP = "I can't reach the AI service right now, so I can only answer direct requests such as 'stock of PUMP-1001', 'open sales orders for Global Tech', 'what is FB60?' or 'apply for leave'.";
+
+const MIN_SCORE = 2;
+const MIN_MARGIN = 1;
+
+// Requests that need the LLM to get right (drafts, decisions, calculations, several steps)
+const NEEDS_LLM_PATTERN = /\b(create|raise|book|new|approve|reject|cancel|total|sum|average|avg|count|how many|top \d+|compare|per|by|breakdown|distribution|trend|chart|then)\b/;
+
+// Two requests in one ("what is ME21N and show me the POs ..."): left to the LLM, which plans them (see plans.js)
+const COMPOUND_PATTERN = /\b(and|also|then|plus)\s+(also\s+)?(tell|show|give|list|check|get|find|what|how|is|are|do|does|can|which)\b/;
+
+const GREETINGS = [
+  { pattern: /^(hi|hello|hey|good (morning|afternoon|evening))\b/, reply: 'Hello! I can look up stock, sales and purchase orders, explain SAP terms and help with leave. What do you need?' },
+  { pattern: /^(thanks|thank you|thx|cheers)\b/, reply: "You're welcome! Anything else I can help with?" },
+  { pattern: /^(ok|okay|cool|great|nice|got it)\b/, reply: 'Great! Let me know if you need anything else.' },
+];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word (or whole-phrase) match, allowing a plural 's'
+const phrasePattern = phrase => new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase.toLowerCase())}s?(?=$|[^a-z0-9])`);
+
+// --- What the router can recognise, rebuilt when the underlying tables change ---
+const COMPANY_SUFFIX = /[,\s]+(inc|ltd|llc|gmbh|corp|co|ag|plc)\.?$/i;
+
+function partyLexicon(repository) {
+  const orders = repository.list();
+  return {
+    parties: repository.partyNames().map(name => ({
+      name,
+      variants: [...new Set([name, name.replace(COMPANY_SUFFIX, '')].map(variant => variant.toLowerCase().trim()))],
+    })),
+    statuses: [...new Set(orders.map(order => order.status))],
+  };
+}
+
+// "PUMP-1001", "pump1001" and the family word "pump" all point at PUMP-1001
+const materialLexicon = derivedFromTable('stock', () => stockRepository.list().map(item => ({
+  id: item.Material,
+  exactId: item.Material.toLowerCase(),
+  compactId: item.Material.replace(/-/g, '').toLowerCase(),
+  family: item.Material.split('-')[0].replace(/\d+$/, '').toLowerCase(),
+})));
+const customerLexicon = derivedFromTable('sales_orders', () => partyLexicon(salesOrderRepository));
+const vendorLexicon = derivedFromTable('purchase_orders', () => partyLexicon(purchaseOrderRepository));
+
+const findParty = (lexicon, text) => lexicon.parties.find(party => party.variants.some(variant => phrasePattern(variant).test(text)))?.name;
+const findStatus = (statuses, text) => statuses.find(status => phrasePattern(status).test(text));
+
+const COMPARISON_PATTERN = /\b(less than|fewer than|below|under|more than|greater than|above|over)\s+(\d[\d,]*)/;
+
+// --- Entities mentioned in a query ---
+export function extractEntities(query) {
+  const raw = String(query || '').trim();
+  const text = raw.toLowerCase();
+
+  // Materials as the user wrote them: exact IDs win, family words ("pumps") are passed on as typed
+  const materials = [];
+  materialLexicon().forEach(({ id, exactId, compactId, family }) => {
+    if (phrasePattern(exactId).test(text) || phrasePattern(compactId).test(text)) {
+      materials.push(id);
+    } else if (family.length > 2) {
+      const mention = new RegExp(`(?:^|[^a-z0-9])(${escapeRegExp(family)}(?:s|es)?)(?=$|[^a-z0-9])`).exec(text);
+      if (mention) materials.push(mention[1]);
+    }
+  });
+
+  const comparisonMatch = COMPARISON_PATTERN.exec(text);
+  const comparison = comparisonMatch
+    ? { comparison: /less|fewer|below|under/.test(comparisonMatch[1]) ? 'less than' : 'greater than', quantity: Number(comparisonMatch[2].replace(/,/g, '')) }
+    : null;
+
+  // A standalone number that isn't part of a material ID ("ship 200 more PUMP-1001")
+  const quantityMatch = /(?:^|\s)(\d[\d,]*)(?=\s|$|[?.!])/.exec(text.replace(/[a-z]+-?\d+/g, ' '));
+
+  const customers = customerLexicon();
+  const vendors = vendorLexicon();
+  const knownTerms = findNamedTerms(raw);
+  return {
+    query: raw,
+    text,
+    materials: [...new Set(materials)],
+    customer: findParty(customers, text),
+    vendor: findParty(vendors, text),
+    salesStatus: findStatus(customers.statuses, text),
+    purchaseStatus: findStatus(vendors.statuses, text),
+    comparison,
+    quantity: quantityMatch ? Number(quantityMatch[1].replace(/,/g, '')) : undefined,
+    knownTerms,
+    // The whole query is a KB term or T-code ("fb60", "MIGO?")
+    onlyKnownTerm: knownTerms.find(term => term.toLowerCase() === text.replace(/[?.!]+$/, '').trim()) || null,
+  };
+}
+
+const hasEntity = (entities, name) => {
+  const value = entities[name];
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+};
+
+// --- Score one tool against the query; returns { tool, score, parameters } or null ---
+function scoreTool(tool, entities, lastToolCall) {
+  const { intent } = tool;
+  let score = 0;
+  let remaining = entities.text;
+
+  let match = null;
+  for (const pattern of intent.patterns || []) {
+    match = pattern.exec(entities.query);
+    if (match) break;
+  }
+  match = match || intent.match?.(entities) || null;
+  if (match) score += 3;
+
+  // Longest phrases first, so "sales orders" is consumed before "orders"
+  [...(intent.keywords || [])].sort((a, b) => b.length - a.length).forEach(keyword => {
+    const pattern = phrasePattern(keyword);
+    if (pattern.test(remaining)) {
+      score += keyword.includes(' ') ? 2 : 1;
+      remaining = remaining.replace(pattern, '$1 ');
+    }
+  });
+
+  // "only the open ones" after a sales order lookup refines that lookup
+  const followUp = score === 0 && lastToolCall?.name === tool.name && isFollowUpQuery(entities.query);
+  if (followUp) score = 2;
+  if (score === 0) return null;
+
+  // Anything needing judgement goes to the LLM, unless a pattern (e.g. "how to create ...") matched
+  if (!match && NEEDS_LLM_PATTERN.test(remaining)) return null;
+
+  score += (intent.entities || []).filter(name => hasEntity(entities, name)).length;
+  const parameters = intent.parameters ? intent.parameters(entities, match) : {};
+  if (!parameters) return null;
+  const cleaned = Object.fromEntries(Object.entries(parameters).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+  if (followUp && Object.keys(cleaned).length === 0) return null;
+  return { tool, score, parameters: cleaned };
+}
+
+// --- Route a query; returns { decision, score } or null when unsure ---
+// decision has the same shape as the LLM's: { type: 'tool_call', tool_name, parameters } or { type: 'text', content }
+export function routeIntent(query, { tools, lastToolCall = null } = {}) {
+  const entities = extractEntities(query);
+  if (!entities.text) return null;
+
+  const greeting = GREETINGS.find(({ pattern }) => pattern.test(entities.text) && entities.text.split(/\s+/).length <= 4);
+  if (greeting) {
+    return { decision: { type: 'text', content: greeting.reply }, score: MIN_SCORE };
+  }
+
+  if (COMPOUND_PATTERN.test(entities.text)) {
+    console.log('--> Intent router: several requests in one, leaving them to the LLM.');
+    return null;
+  }
+
+  const candidates = tools
+    .filter(tool => tool.intent)
+    .map(tool => scoreTool(tool, entities, lastToolCall))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = candidates;
+  if (!best || best.score < MIN_SCORE) return null;
+  if (runnerUp && best.score - runnerUp.score < MIN_MARGIN) {
+    console.log(`--> Intent router unsure between ${best.tool.name} and ${runnerUp.tool.name}.`);
+    return null;
+  }
+  // "sales orders over 5000": a limit the tool's parameters can't express is left to the LLM, not dropped
+  if (entities.comparison && !(best.tool.intent.entities || []).includes('comparison')) {
+    console.log(`--> Intent router: ${best.tool.name} has no parameter for "${entities.comparison.comparison} ${entities.comparison.quantity}".`);
+    return null;
+  }
+  return { decision: { type: 'tool_call', tool_name: best.tool.name, parameters: best.parameters }, score: best.score };
+}
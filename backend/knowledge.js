@@ -0,0 +1,430 @@
+import { knowledgeRepository, knowledgeTranslationRepository, knowledgeGapRepository, knowledgeIndex, transaction } from './data.js';
+import { derivedFromTable } from './db/repositories.js';
+import { GLOSSARY_FORMATS } from './glossaryImport.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, isSupportedLanguage } from './language.js';
+
+// --- Knowledge base retrieval ---
+// Entries are split into passages of a few sentences and ranked three ways:
+//   exact    the query names an entry outright: a T-code ("fb60" -> FB60, "f02" -> F-02) or a full term
+//   BM25     keyword relevance of each passage, with the entry's term counted twice
+//   fuzzy    the Fuse index over term/definition, so typos ("fiory") still find their entry
+// Each passage gets a confidence in [0, 1]; passages below the threshold are not used at all.
+// Translated entries (knowledge_translations) are indexed as well: a question in German finds the
+// German wording, and an entry with a translation is answered from it (see retrieveKnowledge).
+
+export const MIN_CONFIDENCE = 0.35;
+const MAX_PASSAGE_CHARS = 240;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// BM25 score at which lexical confidence reaches 0.5 (scores are unbounded, so they are squashed)
+const BM25_HALF_CONFIDENCE = 4;
+const TERM_WEIGHT = 2;
+const FUZZY_ONLY_MIN = 0.6;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'explain', 'for', 'from', 'how',
+  'i', 'in', 'is', 'it', 'me', 'mean', 'means', 'of', 'on', 'or', 'tell', 'the', 'to', 'use', 'used',
+  'what', 'whats', 'when', 'which', 'with', 'you',
+  // How-to wording is handled by the tool's prompt, not by retrieval
+  'define', 'definition', 'procedure', 'process', 'step', 'steps', 'way',
+]);
+
+// Lower-cased word tokens without stop words; a trailing plural 's' is dropped ("orders" -> "order").
+// Letters of any script count (with their combining marks, which Devanagari words are full of).
+export function tokenize(text) {
+  return String(text || '').toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(token => token && !STOP_WORDS.has(token))
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+// "FB60", "f-02", "me21n" -> "FB60" / "F02" / "ME21N"
+const codeKey = text => String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// T-codes and other single-word codes: FB60, F-02, MIGO, ABAP, CO-PA
+const looksLikeCode = term => /^[A-Z0-9][A-Z0-9-]{1,9}$/.test(term) && /[A-Z]/.test(term);
+
+// --- Chunking: whole sentences, packed into passages of up to MAX_PASSAGE_CHARS ---
+export function chunkEntry(entry) {
+  const text = [entry.definition, entry.description].filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+  const sentences = text.split(/(?<=[.!?।])\s+(?=[\p{Lu}\p{N}"(]|[ऀ-ॿ])/u);
+  const passages = [];
+  let current = '';
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length + 1 > MAX_PASSAGE_CHARS) {
+      passages.push(current);
+      current = sentence;
+    } else {
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+  }
+  if (current) passages.push(current);
+  return passages.map((passage, index) => ({ entryId: entry.id, term: entry.term, module: entry.module, index, text: passage }));
+}
+
+// --- Index over all passages; rebuilt whenever the knowledge table changes ---
+// Every passage has the language it is written in; translations keep the id and module of their entry.
+function buildIndex(entries, translations) {
+  const modules = new Map(entries.map(entry => [entry.id, entry.module]));
+  const documents = [
+    ...entries.map(entry => ({ entry, language: DEFAULT_LANGUAGE })),
+    ...translations.map(({ entryId, language, ...text }) => ({ entry: { ...text, id: entryId, module: modules.get(entryId) }, language })),
+  ];
+  const passages = documents.flatMap(({ entry, language }) => chunkEntry(entry).map(passage => {
+    const frequencies = new Map();
+    const add = (token, weight) => frequencies.set(token, (frequencies.get(token) || 0) + weight);
+    tokenize(entry.term).forEach(token => add(token, TERM_WEIGHT));
+    tokenize(passage.text).forEach(token => add(token, 1));
+    const length = [...frequencies.values()].reduce((sum, count) => sum + count, 0);
+    return { ...passage, language, frequencies, length };
+  }));
+
+  const documentFrequency = new Map();
+  passages.forEach(passage => passage.frequencies.forEach((_, token) => {
+    documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+  }));
+
+  const byCode = new Map();
+  const byTerm = new Map();
+  // Several entries may share a term (e.g. a T-code listed twice), so both map to id lists
+  const addTo = (map, key, id) => map.set(key, [...(map.get(key) || []), id]);
+  documents.forEach(({ entry }) => {
+    if (looksLikeCode(entry.term)) addTo(byCode, codeKey(entry.term), entry.id);
+    addTo(byTerm, entry.term.toLowerCase(), entry.id);
+  });
+  // The passages of each entry in each language, in order ("12|de" -> [...])
+  const byVersion = new Map();
+  passages.forEach(passage => addTo(byVersion, `${passage.entryId}|${passage.language}`, passage));
+
+  return {
+    passages,
+    documentFrequency,
+    averageLength: passages.reduce((sum, passage) => sum + passage.length, 0) / (passages.length || 1),
+    byCode,
+    byTerm,
+    byVersion,
+  };
+}
+
+const currentIndex = derivedFromTable('knowledge', () => buildIndex(knowledgeRepository.list(), knowledgeTranslationRepository.list()));
+
+const inverseDocumentFrequency = (index, token) => {
+  const containing = index.documentFrequency.get(token) || 0;
+  return Math.log(1 + (index.passages.length - containing + 0.5) / (containing + 0.5));
+};
+
+// Returns { score, coverage }: the BM25 score and the idf-weighted share of query words the
+// passage contains (so "ZZQ report" doesn't match every passage mentioning reports)
+function bm25(index, passage, queryTokens) {
+  let score = 0;
+  let matchedWeight = 0;
+  let totalWeight = 0;
+  queryTokens.forEach(token => {
+    const idf = inverseDocumentFrequency(index, token);
+    totalWeight += idf;
+    const frequency = passage.frequencies.get(token);
+    if (!frequency) return;
+    matchedWeight += idf;
+    const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * (passage.length / index.averageLength));
+    score += idf * ((frequency * (BM25_K1 + 1)) / norm);
+  });
+  return { score, coverage: totalWeight > 0 ? matchedWeight / totalWeight : 0 };
+}
+
+// Entries the query names exactly: any word that is a T-code, the whole query as a term, or a
+// multi-word term inside the query ("process for sales order" -> Sales Order)
+function exactMatches(index, query) {
+  const ids = new Set();
+  const text = String(query || '').trim().toLowerCase();
+  const words = text.split(/[\s,;:?!()"']+/).filter(Boolean);
+  words.forEach(word => (index.byCode.get(codeKey(word)) || []).forEach(id => ids.add(id)));
+  const padded = ` ${words.join(' ')} `;
+  index.byTerm.forEach((termIds, term) => {
+    if (term === text.replace(/[?.!]+$/, '') || (term.includes(' ') && padded.includes(` ${term} `))) {
+      termIds.forEach(id => ids.add(id));
+    }
+  });
+  return ids;
+}
+
+// Terms (and T-codes) the query names outright, e.g. "what is fb60" -> ['FB60'] (as the English entries name them)
+export function findNamedTerms(query) {
+  const index = currentIndex();
+  const ids = exactMatches(index, query);
+  return [...new Set(index.passages
+    .filter(passage => ids.has(passage.entryId) && passage.language === DEFAULT_LANGUAGE)
+    .map(passage => passage.term))];
+}
+
+// --- Ranked passages for a query ---
+// Returns { passages: [{ term, module, text, language, confidence, match }], sources: [{ term, module, excerpt, confidence }] }
+// where sources lists each cited entry once, in rank order. With a language, the query is matched
+// against the English entries and their translations into it; an entry that has a translation is
+// quoted from the translation, whichever wording matched.
+export function retrieveKnowledge(query, { limit = 4, minConfidence = MIN_CONFIDENCE, language = DEFAULT_LANGUAGE } = {}) {
+  const index = currentIndex();
+  const queryTokens = [...new Set(tokenize(query))];
+  const exact = exactMatches(index, query);
+
+  const fuzzy = new Map();
+  knowledgeIndex.search(String(query || '')).forEach(result => {
+    if (!fuzzy.has(result.item.id)) fuzzy.set(result.item.id, 1 - result.score);
+  });
+
+  const ranked = index.passages.filter(passage => [DEFAULT_LANGUAGE, language].includes(passage.language)).map(passage => {
+    const { score, coverage } = bm25(index, passage, queryTokens);
+    const lexical = (score / (score + BM25_HALF_CONFIDENCE)) * (0.5 + 0.5 * coverage);
+    const fuzzyScore = fuzzy.get(passage.entryId) || 0;
+    if (exact.has(passage.entryId)) {
+      // Every passage of a named entry qualifies; its first passage leads
+      return { passage, confidence: 1 - passage.index * 0.01, match: 'exact' };
+    }
+    // A close fuzzy match alone (a typo, no shared keywords) is enough, but counts for less
+    const fuzzyOnly = fuzzyScore >= FUZZY_ONLY_MIN ? 0.75 * fuzzyScore * (passage.index === 0 ? 1 : 0.9) : 0;
+    const confidence = Math.max(0.6 * lexical + 0.4 * fuzzyScore, fuzzyOnly);
+    return { passage, confidence, match: lexical >= fuzzyScore ? 'keyword' : 'fuzzy' };
+  })
+    .filter(result => result.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  // English passages of a translated entry give way to the translation's passage at the same place
+  const picked = new Map();
+  for (const { passage: found, confidence, match } of ranked) {
+    const translation = found.language === language ? null : index.byVersion.get(`${found.entryId}|${language}`);
+    const passage = translation ? translation[Math.min(found.index, translation.length - 1)] : found;
+    const key = `${passage.entryId}|${passage.language}|${passage.index}`;
+    if (!picked.has(key)) picked.set(key, { passage, confidence, match });
+    if (picked.size === limit) break;
+  }
+
+  const passages = [...picked.values()].map(({ passage, confidence, match }) => ({
+    term: passage.term,
+    module: passage.module,
+    text: passage.text,
+    language: passage.language,
+    confidence: Math.round(confidence * 100) / 100,
+    match,
+  }));
+
+  const sources = [];
+  passages.forEach(passage => {
+    const source = sources.find(existing => existing.term === passage.term);
+    if (source) {
+      source.excerpt = `${source.excerpt} … ${passage.text}`;
+    } else {
+      sources.push({ term: passage.term, module: passage.module, excerpt: passage.text, confidence: passage.confidence });
+    }
+  });
+
+  return { passages, sources };
+}
+
+// --- Editing (knowledge base admin API) ---
+// Changes bump the knowledge table's data version, so retrieval and the fuzzy index pick them up
+// on the next search without a restart.
+const FIELD_LIMITS = { term: 120, definition: 4000, description: 4000, module: 40 };
+
+const normalizeTerm = term => String(term ?? '').trim().replace(/\s+/g, ' ');
+
+// Terms are duplicates when they match case-insensitively, or as codes ("F-02" and "F02")
+function sameTerm(a, b) {
+  if (a.toLowerCase() === b.toLowerCase()) return true;
+  return looksLikeCode(a.toUpperCase()) && looksLikeCode(b.toUpperCase()) && codeKey(a) === codeKey(b);
+}
+
+export function findDuplicateTerm(term, excludeId = null) {
+  const wanted = normalizeTerm(term);
+  return knowledgeRepository.list().find(entry => entry.id !== excludeId && sameTerm(entry.term, wanted)) || null;
+}
+
+// Returns { errors: [{ field, message }], entry } with entry normalized when there are no errors.
+// With a base entry (updates), missing fields keep their current values.
+export function validateKnowledgeEntry(input, base = null) {
+  const body = input && typeof input === 'object' ? input : {};
+  const errors = [];
+  const entry = {};
+
+  for (const field of Object.keys(FIELD_LIMITS)) {
+    const given = body[field] !== undefined;
+    if (given && body[field] !== null && typeof body[field] !== 'string') {
+      errors.push({ field, message: `${field} must be text.` });
+      continue;
+    }
+    const value = given ? (field === 'term' ? normalizeTerm(body[field]) : String(body[field] ?? '').trim()) : (base?.[field] ?? '');
+    if (value.length > FIELD_LIMITS[field]) {
+      errors.push({ field, message: `${field} must be at most ${FIELD_LIMITS[field]} characters.` });
+    }
+    entry[field] = value || null;
+  }
+  if (!entry.term) errors.push({ field: 'term', message: 'Term is required.' });
+  if (!entry.definition) errors.push({ field: 'definition', message: 'Definition is required.' });
+
+  if (entry.term && errors.length === 0) {
+    const duplicate = findDuplicateTerm(entry.term, base?.id ?? null);
+    if (duplicate) {
+      errors.push({ field: 'term', message: `'${duplicate.term}' is already in the knowledge base (entry ${duplicate.id}).`, duplicateOf: duplicate.id });
+    }
+  }
+  return { errors, entry: errors.length > 0 ? null : entry };
+}
+
+export function createKnowledgeEntry(input) {
+  return transaction(() => {
+    const { errors, entry } = validateKnowledgeEntry(input);
+    return errors.length > 0 ? { errors, entry: null } : { errors, entry: knowledgeRepository.insert(entry) };
+  });
+}
+
+// Returns { errors, entry }, or { error: { status, message } } when the entry doesn't exist
+export function updateKnowledgeEntry(id, input) {
+  return transaction(() => {
+    const existing = knowledgeRepository.get(id);
+    if (!existing) return { error: { status: 404, message: `Knowledge base entry ${id} was not found.` } };
+    const { errors, entry } = validateKnowledgeEntry(input, existing);
+    return errors.length > 0 ? { errors, entry: null } : { errors, entry: knowledgeRepository.update(id, entry) };
+  });
+}
+
+export function deleteKnowledgeEntry(id) {
+  return knowledgeRepository.remove(id);
+}
+
+// --- Translations of an entry: its term, definition and description in another language ---
+// The English entry stays the reference; answers in a language without a translation are
+// translated from it by the LLM (see tools/getSapDefinition.js).
+const TRANSLATION_LANGUAGES = Object.keys(LANGUAGES).filter(language => language !== DEFAULT_LANGUAGE);
+
+function checkTranslationTarget(id, language) {
+  if (!isSupportedLanguage(language) || language === DEFAULT_LANGUAGE) {
+    return { error: { status: 400, message: `language must be one of: ${TRANSLATION_LANGUAGES.join(', ')}.` } };
+  }
+  if (!knowledgeRepository.get(id)) return { error: { status: 404, message: `Knowledge base entry ${id} was not found.` } };
+  return {};
+}
+
+export function listKnowledgeTranslations(id) {
+  if (!knowledgeRepository.get(id)) return { error: { status: 404, message: `Knowledge base entry ${id} was not found.` } };
+  return { translations: knowledgeTranslationRepository.forEntry(id) };
+}
+
+// Creates or replaces the translation; returns { errors, translation } like the entry edits, or { error }
+export function setKnowledgeTranslation(id, language, input) {
+  return transaction(() => {
+    const { error } = checkTranslationTarget(id, language);
+    if (error) return { error };
+    const body = input && typeof input === 'object' ? input : {};
+    const errors = [];
+    const translation = {};
+    for (const field of ['term', 'definition', 'description']) {
+      if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+        errors.push({ field, message: `${field} must be text.` });
+        continue;
+      }
+      const value = field === 'term' ? normalizeTerm(body[field]) : String(body[field] ?? '').trim();
+      if (value.length > FIELD_LIMITS[field]) {
+        errors.push({ field, message: `${field} must be at most ${FIELD_LIMITS[field]} characters.` });
+      }
+      translation[field] = value || null;
+    }
+    if (!translation.term) errors.push({ field: 'term', message: 'Term is required.' });
+    if (!translation.definition) errors.push({ field: 'definition', message: 'Definition is required.' });
+    if (errors.length > 0) return { errors, translation: null };
+    return { errors, translation: knowledgeTranslationRepository.upsert(id, language, translation) };
+  });
+}
+
+export function deleteKnowledgeTranslation(id, language) {
+  const { error } = checkTranslationTarget(id, language);
+  if (error) return { error };
+  if (!knowledgeTranslationRepository.remove(id, language)) {
+    return { error: { status: 404, message: `Knowledge base entry ${id} has no ${language} translation.` } };
+  }
+  return {};
+}
+
+// --- Entry search for the admin API: fuzzy over term/definition, optionally within one module ---
+export function searchKnowledgeEntries({ query, module, limit = 50 } = {}) {
+  const inModule = entry => !module || String(entry.module || '').toLowerCase() === String(module).toLowerCase();
+  if (!query) {
+    return knowledgeRepository.list().filter(inModule).slice(0, limit);
+  }
+  return knowledgeIndex.search(String(query))
+    .filter(result => inModule(result.item))
+    .slice(0, limit)
+    .map(result => ({ ...result.item, score: Math.round((1 - result.score) * 100) / 100 }));
+}
+
+// --- Bulk import from a CSV or Markdown glossary ---
+class ImportRollback extends Error {}
+
+// onDuplicate: 'skip' (default) leaves existing entries alone, 'update' overwrites them.
+// All-or-nothing: with dryRun, or when any row is invalid, nothing is written.
+// Returns { created, updated, skipped: [{ line, term, reason }], errors: [{ line, term?, message }], applied }
+export function importGlossary(text, { format, onDuplicate = 'skip', dryRun = false } = {}) {
+  const parse = GLOSSARY_FORMATS[format];
+  if (!parse) {
+    return { error: { status: 400, message: `Unknown format '${format}'. Use one of: ${Object.keys(GLOSSARY_FORMATS).join(', ')}.` } };
+  }
+  if (!['skip', 'update'].includes(onDuplicate)) {
+    return { error: { status: 400, message: "onDuplicate must be 'skip' or 'update'." } };
+  }
+
+  const { entries, errors } = parse(text);
+  const report = { created: [], updated: [], skipped: [], errors: [...errors], applied: false };
+  const seen = [];
+
+  try {
+    transaction(() => {
+      for (const { line, ...input } of entries) {
+        const term = normalizeTerm(input.term);
+        if (term && seen.some(other => sameTerm(other, term))) {
+          report.skipped.push({ line, term, reason: 'Listed earlier in the same file.' });
+          continue;
+        }
+        seen.push(term);
+
+        const existing = term ? findDuplicateTerm(term) : null;
+        if (existing && onDuplicate === 'skip') {
+          report.skipped.push({ line, term, reason: `Already in the knowledge base (entry ${existing.id}).` });
+          continue;
+        }
+        const { errors: rowErrors, entry } = validateKnowledgeEntry(input, existing);
+        if (rowErrors.length > 0) {
+          rowErrors.forEach(error => report.errors.push({ line, term: term || undefined, message: error.message }));
+          continue;
+        }
+        if (existing) {
+          knowledgeRepository.update(existing.id, entry);
+          report.updated.push(entry.term);
+        } else {
+          knowledgeRepository.insert(entry);
+          report.created.push(entry.term);
+        }
+      }
+      if (dryRun || report.errors.length > 0) throw new ImportRollback();
+    });
+    report.applied = true;
+  } catch (error) {
+    if (!(error instanceof ImportRollback)) throw error;
+  }
+  return report;
+}
+
+// --- Knowledge gaps: terms that fell through to "no good KB matches" ---
+export function recordKnowledgeGap(term, query) {
+  const normalized = normalizeTerm(term);
+  if (!normalized) return;
+  knowledgeGapRepository.record(normalized, String(query || '').slice(0, 500), new Date().toISOString());
+}
+
+// Most-asked first. Terms the knowledge base can answer by now are marked as covered and, unless
+// includeCovered is set, left out.
+export function knowledgeGaps({ includeCovered = false } = {}) {
+  return knowledgeGapRepository.list()
+    .map(gap => ({ ...gap, covered: retrieveKnowledge(gap.term, { limit: 1 }).passages.length > 0 }))
+    .filter(gap => includeCovered || !gap.covered);
+}
+
+export function dismissKnowledgeGap(term) {
+  return knowledgeGapRepository.remove(normalizeTerm(term));
+}
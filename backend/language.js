@@ -0,0 +1,95 @@
+// --- Languages the assistant answers in ---
+// The plants in Germany and India ask in German and Hindi (in Devanagari, or typed in Latin
+// letters). Tools, parameters and the data stay in English; replies, knowledge base answers and
+// table headers come back in the user's language (see translation.js).
+export const LANGUAGES = {
+  en: { name: 'English' },
+  de: { name: 'German' },
+  hi: { name: 'Hindi' },
+};
+export const DEFAULT_LANGUAGE = 'en';
+
+export const isSupportedLanguage = code => Object.hasOwn(LANGUAGES, String(code ?? ''));
+export const languageName = code => LANGUAGES[code]?.name ?? LANGUAGES[DEFAULT_LANGUAGE].name;
+
+// --- Detection: the script, then short words typical of each language ---
+// Words that are common in English as well ("was", "die", "in", "me") are left out.
+const MARKER_WORDS = {
+  en: ['the', 'and', 'or', 'is', 'are', 'of', 'with', 'for', 'my', 'how', 'what', 'which', 'show', 'please', 'not',
+    'stock', 'orders', 'order', 'leave', 'do', 'does', 'we', 'have', 'all', 'open', 'when', 'why', 'explain', 'to', 'from',
+    'can', 'list', 'give', 'tell', 'define', 'apply'],
+  de: ['der', 'das', 'und', 'oder', 'ist', 'sind', 'von', 'mit', 'für', 'ich', 'mein', 'meine', 'meinen', 'mir', 'mich',
+    'wie', 'welche', 'welcher', 'zeige', 'zeig', 'bitte', 'nicht', 'ein', 'eine', 'einen', 'bestand', 'lagerbestand',
+    'bestellung', 'bestellungen', 'auftrag', 'aufträge', 'kundenauftrag', 'kundenaufträge', 'urlaub', 'urlaubsantrag',
+    'gibt', 'wir', 'haben', 'habe', 'noch', 'alle', 'offene', 'offenen', 'wann', 'warum', 'erkläre', 'erklär',
+    'bedeutet', 'auf', 'vom', 'zum', 'zur', 'beim', 'lieferant', 'kunde', 'wieviel', 'wieviele', 'viele'],
+  // Hindi typed in Latin letters ("PUMP-1001 ka stock kitna hai")
+  hi: ['hai', 'hain', 'kya', 'ka', 'ki', 'ke', 'mujhe', 'mera', 'meri', 'mere', 'dikhao', 'dikhaiye', 'batao', 'bataiye',
+    'kitna', 'kitne', 'kitni', 'aur', 'nahi', 'kaise', 'karo', 'kariye', 'chahiye', 'kaun', 'kab', 'sabhi', 'wale'],
+};
+const MARKERS = Object.fromEntries(Object.entries(MARKER_WORDS).map(([code, words]) => [code, new Set(words)]));
+const DEVANAGARI = /[ऀ-ॿ]/;
+const GERMAN_LETTERS = /[äöüß]/i;
+
+// The language of a message, or null when it doesn't tell (a bare T-code, "PUMP-1001", "ok")
+export function detectLanguage(text) {
+  const value = String(text ?? '');
+  if (DEVANAGARI.test(value)) return 'hi';
+  const words = value.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+  const scores = Object.entries(MARKERS).map(([code, markers]) => ({
+    code,
+    score: words.filter(word => markers.has(word)).length + (code === 'de' && GERMAN_LETTERS.test(value) ? 1 : 0),
+  })).sort((a, b) => b.score - a.score);
+  const [best, runnerUp] = scores;
+  return best.score > 0 && best.score > runnerUp.score ? best.code : null;
+}
+
+// --- Material words, put into English (the language of the material master) ---
+// "Pumpen und Lager" is looked up as "pump" and "bearing"; anything else is left as typed.
+const ITEM_WORDS = {
+  // German
+  pumpe: 'pump', pumpen: 'pump', wasserpumpe: 'water pump', wasserpumpen: 'water pump', kreiselpumpe: 'centrifugal pump',
+  kreiselpumpen: 'centrifugal pump', ventil: 'valve', ventile: 'valve', kugelhahn: 'ball valve', kugelhähne: 'ball valve',
+  lager: 'bearing', kugellager: 'ball bearing', motor: 'motor', motoren: 'motor',
+  // Hindi
+  'पंप': 'pump', 'वाल्व': 'valve', 'बेयरिंग': 'bearing', 'मोटर': 'motor',
+};
+
+export const toEnglishItem = item => item.split(/\s+/).map(word => ITEM_WORDS[word.toLowerCase()] ?? word).join(' ');
+
+// --- Regex for any of the given words or phrases, in any of the languages ---
+// \b only knows ASCII letters, so it breaks inside "für" and around Devanagari; these boundaries
+// don't. With anchored, the phrase has to open the text.
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const WORD_CHARACTER = '[\\p{L}\\p{M}\\p{N}]';
+
+export function wordsPattern(phrases, { anchored = false } = {}) {
+  const alternatives = phrases.map(escapeRegExp).join('|');
+  return new RegExp(`${anchored ? '^' : `(?<!${WORD_CHARACTER})`}(?:${alternatives})(?!${WORD_CHARACTER})`, 'iu');
+}
+
+// --- Table headers ---
+// The columns themselves keep their English names (rows, sorting and exports are keyed by them);
+// columnLabels() gives the header to show for each one there is a translation of.
+const COLUMN_LABELS = {
+  de: {
+    ID: 'ID', Material: 'Material', Description: 'Beschreibung', 'Stock Level': 'Lagerbestand', Plant: 'Werk',
+    Customer: 'Kunde', Vendor: 'Lieferant', Quantity: 'Menge', Status: 'Status', Value: 'Wert', Currency: 'Währung',
+    Employee: 'Mitarbeiter', 'Start Date': 'Beginn', 'End Date': 'Ende', Days: 'Tage', Reason: 'Grund',
+    Documents: 'Belege', Materials: 'Materialien', Scope: 'Umfang',
+  },
+  hi: {
+    ID: 'आईडी', Material: 'सामग्री', Description: 'विवरण', 'Stock Level': 'स्टॉक स्तर', Plant: 'प्लांट',
+    Customer: 'ग्राहक', Vendor: 'विक्रेता', Quantity: 'मात्रा', Status: 'स्थिति', Value: 'मूल्य', Currency: 'मुद्रा',
+    Employee: 'कर्मचारी', 'Start Date': 'आरंभ तिथि', 'End Date': 'अंतिम तिथि', Days: 'दिन', Reason: 'कारण',
+    Documents: 'दस्तावेज़', Materials: 'सामग्रियाँ', Scope: 'दायरा',
+  },
+};
+
+// { column: header } for the columns with a translation; null in English
+export function columnLabels(columns, language) {
+  const labels = COLUMN_LABELS[language];
+  if (!labels || !Array.isArray(columns)) return null;
+  const known = columns.filter(column => labels[column]);
+  return known.length > 0 ? Object.fromEntries(known.map(column => [column, labels[column]])) : null;
+}
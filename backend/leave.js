@@ -0,0 +1,185 @@
+import { leaveRepository, leaveEntitlementRepository, transaction } from './data.js';
+import { describeDenial, hasPermission } from './auth/permissions.js';
+import { recordEvent } from './notifications.js';
+
+// --- Leave management: submission checks, listing, approval workflow and balances ---
+// Status flow: Submitted -> Approved | Rejected, and Submitted | Approved -> Cancelled.
+export const LEAVE_STATUSES = ['Submitted', 'Approved', 'Rejected', 'Cancelled'];
+const ACTIVE_STATUSES = ['Submitted', 'Approved'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Longest period one request may cover, in calendar days (a leap year)
+const MAX_LEAVE_SPAN_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sameEmployee = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// --- Whose leave a user may see: anyone's with 'leave:all', otherwise only their own ---
+// Returns { employeeName } (undefined = everyone) or { denied: message }.
+export function resolveLeaveEmployee(user, requestedName) {
+  if (hasPermission(user, 'leave:all')) return { employeeName: requestedName };
+  if (requestedName && !sameEmployee(requestedName, user?.employeeName)) {
+    return { denied: describeDenial(user, 'leave:all') };
+  }
+  return { employeeName: user?.employeeName };
+}
+
+function parseDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  // 2026-02-30 would roll over into March
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value ? date : null;
+}
+
+// --- Working days (Mon-Fri) between two ISO dates, inclusive; with year, only those in that year ---
+export function countLeaveDays(startDate, endDate, year) {
+  const inYear = year === undefined ? null : { first: `${year}-01-01`, last: `${year}-12-31` };
+  const start = parseDate(inYear && startDate < inYear.first ? inYear.first : startDate);
+  const end = parseDate(inYear && endDate > inYear.last ? inYear.last : endDate);
+  if (!start || !end || end < start) return 0;
+  let days = 0;
+  for (const day = new Date(start); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+    const weekday = day.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) days++;
+  }
+  return days;
+}
+
+// --- Balance for one employee in one calendar year ---
+// Leave over New Year counts against each year with the working days that fall in it.
+export function getLeaveBalance(employeeName, year = new Date().getFullYear()) {
+  const configured = leaveEntitlementRepository.find(employeeName);
+  const entitlement = configured ? configured.annualDays : leaveEntitlementRepository.defaultAnnualDays();
+
+  const inYear = leaveRepository.list({ employeeName }).filter(leave =>
+    String(leave.startDate || '') <= `${year}-12-31` && String(leave.endDate || '') >= `${year}-01-01`
+  );
+  const sumDays = status => inYear
+    .filter(leave => leave.status === status)
+    .reduce((sum, leave) => sum + countLeaveDays(leave.startDate, leave.endDate, year), 0);
+
+  const approvedDays = sumDays('Approved');
+  const pendingDays = sumDays('Submitted');
+  return {
+    employeeName: configured ? configured.employeeName : String(employeeName).trim(),
+    year: Number(year),
+    entitlement,
+    approvedDays,
+    pendingDays,
+    remainingDays: entitlement - approvedDays,
+  };
+}
+
+export function listLeaveRequests({ employeeName, status } = {}) {
+  return leaveRepository.list({ employeeName, status });
+}
+
+// --- Validate and save a new leave application ---
+// Returns { errors: [{ field, message }], entry }. The overlap and balance checks run in the
+// same transaction as the insert, so two concurrent submissions cannot both pass them.
+export function submitLeaveRequest(input) {
+  const body = input && typeof input === 'object' ? input : {};
+  const errors = [];
+
+  const employeeName = typeof body.employeeName === 'string' ? body.employeeName.trim() : '';
+  const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+  if (!employeeName) errors.push({ field: 'employeeName', message: 'Employee name is required.' });
+  if (!reason) errors.push({ field: 'reason', message: 'A reason for the leave is required.' });
+
+  const start = parseDate(body.startDate);
+  const end = parseDate(body.endDate);
+  if (!start) errors.push({ field: 'startDate', message: 'Start date must be a valid date (YYYY-MM-DD).' });
+  if (!end) errors.push({ field: 'endDate', message: 'End date must be a valid date (YYYY-MM-DD).' });
+  if (start && end && end < start) {
+    errors.push({ field: 'endDate', message: 'End date cannot be before the start date.' });
+  } else if (start && end && (end - start) / DAY_MS + 1 > MAX_LEAVE_SPAN_DAYS) {
+    errors.push({ field: 'endDate', message: `A leave request can cover at most ${MAX_LEAVE_SPAN_DAYS} calendar days.` });
+  }
+  if (errors.length > 0) return { errors, entry: null };
+
+  return transaction(() => saveLeaveRequest({ employeeName, reason, startDate: body.startDate, endDate: body.endDate }));
+}
+
+function saveLeaveRequest(body) {
+  const { employeeName, reason } = body;
+  const errors = [];
+  const overlapping = leaveRepository.list({ employeeName }).find(leave =>
+    ACTIVE_STATUSES.includes(leave.status) &&
+    leave.startDate <= body.endDate && leave.endDate >= body.startDate
+  );
+  if (overlapping) {
+    errors.push({
+      field: 'startDate',
+      message: `These dates overlap your existing ${overlapping.status.toLowerCase()} leave from ${overlapping.startDate} to ${overlapping.endDate}.`,
+    });
+  }
+
+  const requestedDays = countLeaveDays(body.startDate, body.endDate);
+  if (requestedDays === 0) {
+    errors.push({ field: 'endDate', message: 'The selected period contains no working days.' });
+  }
+  // Checked against the balance of each calendar year the request falls in
+  const firstYear = Number(body.startDate.slice(0, 4));
+  const lastYear = Number(body.endDate.slice(0, 4));
+  for (let year = firstYear; year <= lastYear; year++) {
+    const daysInYear = countLeaveDays(body.startDate, body.endDate, year);
+    const balance = getLeaveBalance(employeeName, year);
+    const availableDays = balance.remainingDays - balance.pendingDays;
+    if (daysInYear > availableDays) {
+      const spansYears = firstYear !== lastYear ? ` in ${year}` : '';
+      errors.push({
+        field: 'endDate',
+        message: `This request needs ${daysInYear} working day(s)${spansYears} but only ${Math.max(availableDays, 0)} are available.`,
+      });
+    }
+  }
+  if (errors.length > 0) return { errors, entry: null };
+
+  const entry = {
+    id: Math.max(Date.now(), leaveRepository.lastId() + 1),
+    employeeName,
+    startDate: body.startDate,
+    endDate: body.endDate,
+    reason,
+    days: requestedDays,
+    status: 'Submitted',
+  };
+  leaveRepository.insert(entry);
+  recordEvent('leave.status_changed', leaveEventData(entry, null));
+  return { errors, entry };
+}
+
+// --- Approve, reject or cancel a leave request ---
+// Returns { entry } or { error: { status, message } }. With ownerName set, only that
+// employee's requests can be changed.
+export function updateLeaveStatus(id, nextStatus, options = {}) {
+  return transaction(() => applyLeaveStatus(id, nextStatus, options));
+}
+
+function applyLeaveStatus(id, nextStatus, { comment, actor, ownerName }) {
+  const entry = leaveRepository.get(id);
+  if (!entry) {
+    return { error: { status: 404, message: `Leave request ${id} was not found.` } };
+  }
+  if (ownerName && !sameEmployee(entry.employeeName, ownerName)) {
+    return { error: { status: 403, message: `Leave request ${id} belongs to someone else, so you can only change your own requests.` } };
+  }
+
+  const allowedFrom = nextStatus === 'Cancelled' ? ACTIVE_STATUSES : ['Submitted'];
+  if (!allowedFrom.includes(entry.status)) {
+    return { error: { status: 409, message: `Leave request ${id} is ${entry.status.toLowerCase()} and cannot be ${nextStatus.toLowerCase()}.` } };
+  }
+
+  const updated = leaveRepository.update(id, {
+    status: nextStatus,
+    updatedAt: new Date().toISOString(),
+    decidedBy: actor || null,
+    comment: comment || null,
+  });
+  recordEvent('leave.status_changed', leaveEventData(updated, entry.status));
+  return { entry: updated };
+}
+
+const leaveEventData = (entry, previousStatus) => ({
+  id: entry.id, employeeName: entry.employeeName, startDate: entry.startDate, endDate: entry.endDate, days: entry.days ?? null,
+  previousStatus, status: entry.status, decidedBy: entry.decidedBy ?? null, comment: entry.comment ?? null,
+});
@@ -0,0 +1,55 @@
+import axios from 'axios';
+
+// --- Uniform error shape for every LLM provider ---
+// code is one of: 'config', 'http', 'no_response', 'invalid_response', 'network', 'script', 'aborted', 'timeout'
+// retryAfterMs is set when the provider sent a Retry-After header (usually with a 429).
+export class LLMError extends Error {
+  constructor(code, message, { status = 500, provider = 'unknown', cause, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.status = status;
+    this.provider = provider;
+    if (cause) this.cause = cause;
+    if (retryAfterMs !== undefined) this.retryAfterMs = retryAfterMs;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, provider: this.provider };
+  }
+}
+
+// --- Helper: Retry-After is either a number of seconds or an HTTP date ---
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+// --- Helper: turn an axios error into an LLMError ---
+export function fromAxiosError(error, provider) {
+  if (error instanceof LLMError) return error;
+
+  if (axios.isCancel(error)) {
+    return new LLMError('aborted', 'The request was cancelled.', { status: 499, provider, cause: error });
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    console.error(`${provider} did not answer in time:`, error.message);
+    return new LLMError('timeout', 'The AI service took too long to respond.', { status: 504, provider, cause: error });
+  }
+
+  if (error.response) {
+    console.error(`${provider} API error. Status: ${error.response.status}. Data:`, error.response.data);
+    const message = error.response.data?.error?.message || 'Failed to get a response from the AI.';
+    const retryAfterMs = parseRetryAfter(error.response.headers?.['retry-after']);
+    return new LLMError('http', message, { status: error.response.status, provider, cause: error, retryAfterMs });
+  }
+  if (error.request) {
+    console.error(`No response received from ${provider}:`, error.message);
+    return new LLMError('no_response', 'No response received from AI service.', { status: 502, provider, cause: error });
+  }
+  console.error(`Error calling ${provider}:`, error.message);
+  return new LLMError('network', error.message, { status: 500, provider, cause: error });
+}
@@ -0,0 +1,207 @@
+import { createOpenAICompatibleProvider } from './openaiCompatibleProvider.js';
+import { createMockProvider } from './mockProvider.js';
+import { LLMError } from './errors.js';
+import { currentRequest } from '../observability/logger.js';
+import { metrics } from '../observability/metrics.js';
+
+export { LLMError } from './errors.js';
+
+// --- Provider selection ---
+// LLM_PROVIDER=groq (default)  uses GROQ_API_KEY
+// LLM_PROVIDER=openai          any OpenAI-compatible server: LLM_BASE_URL, LLM_API_KEY (optional)
+// LLM_PROVIDER=mock            scripted offline responses from LLM_MOCK_SCRIPT (optional)
+// LLM_MODEL and LLM_TEMPERATURE override the provider defaults.
+// LLM_TIMEOUT_MS (default 30000) limits each request; LLM_MAX_RETRIES (default 2) retries rate
+// limits (429), server errors and timeouts with exponential backoff between LLM_RETRY_BASE_MS
+// (default 500) and LLM_RETRY_MAX_MS (default 8000); a Retry-After within that maximum is honoured.
+const GROQ_BASE_URL = 'https://api.groq.com/openai/v1';
+const DEFAULT_GROQ_MODEL = 'llama-3.1-8b-instant';
+const DEFAULT_TEMPERATURE = 0.5;
+
+const numberFromEnv = (value, fallback) => {
+  const number = Number(value);
+  return value === undefined || value === '' || !Number.isFinite(number) || number < 0 ? fallback : number;
+};
+
+export function loadLLMConfig(env = process.env) {
+  const temperature = parseFloat(env.LLM_TEMPERATURE);
+  return {
+    timeoutMs: numberFromEnv(env.LLM_TIMEOUT_MS, 30000),
+    maxRetries: Math.floor(numberFromEnv(env.LLM_MAX_RETRIES, 2)),
+    retryBaseMs: numberFromEnv(env.LLM_RETRY_BASE_MS, 500),
+    retryMaxMs: numberFromEnv(env.LLM_RETRY_MAX_MS, 8000),
+    provider: (env.LLM_PROVIDER || 'groq').toLowerCase(),
+    model: env.LLM_MODEL,
+    temperature: Number.isNaN(temperature) ? DEFAULT_TEMPERATURE : temperature,
+    groqApiKey: env.GROQ_API_KEY,
+    baseUrl: env.LLM_BASE_URL,
+    apiKey: env.LLM_API_KEY,
+    mockScriptPath: env.LLM_MOCK_SCRIPT,
+  };
+}
+
+export function createLLMProvider(config = loadLLMConfig()) {
+  switch (config.provider) {
+    case 'groq':
+      return createOpenAICompatibleProvider({
+        name: 'groq',
+        baseUrl: GROQ_BASE_URL,
+        apiKey: config.groqApiKey,
+        requireApiKey: true,
+        apiKeyEnv: 'GROQ_API_KEY',
+        model: config.model || DEFAULT_GROQ_MODEL,
+        temperature: config.temperature,
+        timeoutMs: config.timeoutMs,
+      });
+    case 'openai':
+      if (!config.model) {
+        throw new LLMError('config', 'LLM_MODEL must be set for the openai provider.', { provider: 'openai' });
+      }
+      return createOpenAICompatibleProvider({
+        name: 'openai',
+        baseUrl: config.baseUrl,
+        apiKey: config.apiKey,
+        model: config.model,
+        temperature: config.temperature,
+        timeoutMs: config.timeoutMs,
+      });
+    case 'mock':
+      return createMockProvider({ scriptPath: config.mockScriptPath, model: config.model || undefined });
+    default:
+      throw new LLMError('config', `Unknown LLM provider '${config.provider}'.`, { provider: config.provider });
+  }
+}
+
+let activeProvider = null;
+let retryConfig = null;
+
+export function getLLMProvider() {
+  if (!activeProvider) {
+    activeProvider = createLLMProvider();
+    console.log(`Using LLM provider '${activeProvider.name}' (model: ${activeProvider.model})`);
+  }
+  return activeProvider;
+}
+
+// Swap the provider at runtime (used by tests to install a scripted mock).
+export function setLLMProvider(provider) {
+  activeProvider = provider;
+}
+
+// --- Retries ---
+const getRetryConfig = () => retryConfig || (retryConfig = loadLLMConfig());
+
+export function isRetryable(error) {
+  if (!(error instanceof LLMError)) return false;
+  if (error.code === 'no_response' || error.code === 'timeout') return true;
+  return error.code === 'http' && (error.status === 429 || error.status >= 500);
+}
+
+// Milliseconds to wait before retry number attempt + 1, or null to give up. A Retry-After longer
+// than retryMaxMs is not waited out: the caller gets the 429 instead of a request that hangs.
+export function retryDelay(attempt, error, { retryBaseMs, retryMaxMs }) {
+  if (error.retryAfterMs !== undefined) {
+    return error.retryAfterMs <= retryMaxMs ? error.retryAfterMs : null;
+  }
+  const backoff = Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+  return backoff / 2 + Math.random() * (backoff / 2); // jitter spreads out clients that failed together
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new LLMError('aborted', 'The request was cancelled.', { status: 499 }));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new LLMError('aborted', 'The request was cancelled.', { status: 499 }));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// canRetry() lets a streamed call stop retrying once part of the answer reached the user
+async function withRetries(request, { signal, canRetry = () => true } = {}) {
+  const config = getRetryConfig();
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      const delay = attempt < config.maxRetries && isRetryable(error) && canRetry() ? retryDelay(attempt, error, config) : null;
+      if (delay === null) throw error;
+      console.warn(`--> LLM call failed [${error.provider}/${error.code} ${error.status}], retry ${attempt + 1} of ${config.maxRetries} in ${Math.round(delay)}ms.`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// --- Metrics and the request trace for one provider request (each retry counts on its own) ---
+async function observed(provider, options, request) {
+  const started = performance.now();
+  const model = options.model || provider.model;
+  let outcome = 'ok';
+  let usage = null;
+  try {
+    const result = await request();
+    usage = result.usage || null;
+    return result;
+  } catch (error) {
+    outcome = error instanceof LLMError ? error.code : 'error';
+    throw error;
+  } finally {
+    const seconds = (performance.now() - started) / 1000;
+    metrics.llmRequests.inc({ provider: provider.name, model, outcome });
+    metrics.llmDuration.observe({ provider: provider.name }, seconds);
+    if (usage) {
+      metrics.llmTokens.inc({ provider: provider.name, model, type: 'prompt' }, usage.prompt_tokens || 0);
+      metrics.llmTokens.inc({ provider: provider.name, model, type: 'completion' }, usage.completion_tokens || 0);
+    }
+    currentRequest()?.llmCalls.push({
+      provider: provider.name,
+      model,
+      mode: options.jsonMode ? 'json' : 'text',
+      outcome,
+      latencyMs: Math.round(seconds * 1000),
+      promptTokens: usage?.prompt_tokens ?? null,
+      completionTokens: usage?.completion_tokens ?? null,
+    });
+  }
+}
+
+// --- Call the active LLM with a system + user prompt ---
+// options: { jsonMode, model, temperature, signal, onToken } — model/temperature override the config
+// per call, signal (an AbortSignal) cancels the request and onToken(text) receives a text answer as
+// it is generated. Resolves to the response text; rejects with an LLMError.
+export async function callLLM(systemPrompt, userPrompt, { onToken, ...options } = {}) {
+  const provider = getLLMProvider();
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt },
+  ];
+  let streamed = false;
+  const result = onToken && !options.jsonMode && provider.stream
+    ? await withRetries(() => observed(provider, options, () => provider.stream({
+      messages,
+      ...options,
+      onToken: token => {
+        streamed = true;
+        onToken(token);
+      },
+    })), { signal: options.signal, canRetry: () => !streamed })
+    : await withRetries(() => observed(provider, options, () => provider.complete({ messages, ...options })), { signal: options.signal });
+  return result.content;
+}
+
+// --- Call the LLM without throwing (explanations and fallbacks degrade to canned text) ---
+export async function tryCallLLM(systemPrompt, userPrompt, options = {}) {
+  try {
+    return await callLLM(systemPrompt, userPrompt, options);
+  } catch (error) {
+    // A cancelled request stops the whole chat turn instead of degrading to canned text
+    if (!(error instanceof LLMError) || error.code === 'aborted') throw error;
+    console.error(`LLM call failed [${error.provider}/${error.code}]:`, error.message);
+    return null;
+  }
+}
@@ -0,0 +1,101 @@
+import fs from 'fs';
+import { LLMError } from './errors.js';
+
+// --- Deterministic scripted provider for offline development and tests ---
+// A script is a list of rules checked in order against the last user message:
+//   { "match": "stock of pump", "mode": "json", "response": { "type": "tool_call", ... } }
+// - match:    case-insensitive regular expression (omit to match everything)
+// - mode:     'json' or 'text' to only apply to that kind of call (optional)
+// - response: string, or an object that is sent back as JSON
+// - error:    { "code": "http", "status": 429, "message": "...", "retryAfter": 2 } to simulate a failure
+//             (retryAfter in seconds, as a provider's Retry-After header)
+// - times:    only apply the rule to the first N matching calls (e.g. one 503, then a normal answer)
+// Without a matching rule the mock answers with a fixed placeholder.
+
+function loadScriptFile(scriptPath) {
+  try {
+    const script = JSON.parse(fs.readFileSync(scriptPath, 'utf-8'));
+    if (!Array.isArray(script)) {
+      throw new Error('Script must be an array of rules.');
+    }
+    console.log(`Loaded ${script.length} mock LLM rule(s) from ${scriptPath}`);
+    return script;
+  } catch (error) {
+    throw new LLMError('config', `Could not load mock LLM script at ${scriptPath}: ${error.message}`, { provider: 'mock' });
+  }
+}
+
+export function createMockProvider({ script = [], scriptPath, model = 'mock-model' } = {}) {
+  let rules = scriptPath ? loadScriptFile(scriptPath) : [...script];
+  const calls = [];
+
+  const uses = new Map();
+
+  function findRule(userText, jsonMode) {
+    const rule = rules.find(rule => {
+      if (rule.times !== undefined && (uses.get(rule) || 0) >= rule.times) return false;
+      if (rule.mode === 'json' && !jsonMode) return false;
+      if (rule.mode === 'text' && jsonMode) return false;
+      if (!rule.match) return true;
+      return new RegExp(rule.match, 'i').test(userText);
+    });
+    if (rule) uses.set(rule, (uses.get(rule) || 0) + 1);
+    return rule;
+  }
+
+  async function complete({ messages, jsonMode = false, model: modelOverride, temperature, signal }) {
+    if (signal?.aborted) {
+      throw new LLMError('aborted', 'The request was cancelled.', { status: 499, provider: 'mock' });
+    }
+    const userText = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const rule = findRule(userText, jsonMode);
+    calls.push({ messages, jsonMode, model: modelOverride || model, temperature, rule: rule?.match ?? null });
+
+    if (rule?.error) {
+      const { code = 'http', status = 500, message = 'Scripted mock failure.', retryAfter } = rule.error;
+      throw new LLMError(code, message, { status, provider: 'mock', retryAfterMs: retryAfter === undefined ? undefined : retryAfter * 1000 });
+    }
+
+    let content;
+    if (rule) {
+      content = typeof rule.response === 'string' ? rule.response : JSON.stringify(rule.response);
+    } else if (jsonMode) {
+      content = JSON.stringify({ type: 'text', content: 'This is a mock response.' });
+    } else {
+      content = 'This is a mock response.';
+    }
+
+    const usage = {
+      prompt_tokens: Math.ceil(messages.reduce((sum, m) => sum + m.content.length, 0) / 4),
+      completion_tokens: Math.ceil(content.length / 4),
+    };
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+    return { content, model: modelOverride || model, usage };
+  }
+
+  // Streams the same answer word by word
+  async function stream({ onToken, signal, ...request }) {
+    const result = await complete({ ...request, jsonMode: false, signal });
+    for (const token of result.content.match(/\S+\s*|\s+/g) || []) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (signal?.aborted) {
+        throw new LLMError('aborted', 'The request was cancelled.', { status: 499, provider: 'mock' });
+      }
+      onToken(token);
+    }
+    return result;
+  }
+
+  return {
+    name: 'mock',
+    model,
+    complete,
+    stream,
+    calls,
+    setScript(newScript) {
+      rules = [...newScript];
+      calls.length = 0;
+      uses.clear();
+    },
+  };
+}
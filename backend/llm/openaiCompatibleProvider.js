@@ -0,0 +1,118 @@
+import axios from 'axios';
+import { LLMError, fromAxiosError } from './errors.js';
+
+// --- Provider for any OpenAI-compatible /chat/completions endpoint ---
+// Used for Groq as well as local servers such as Ollama (http://localhost:11434/v1)
+// or llama.cpp (http://localhost:8080/v1).
+export function createOpenAICompatibleProvider({
+  name = 'openai',
+  baseUrl,
+  apiKey,
+  requireApiKey = false,
+  apiKeyEnv = 'LLM_API_KEY',
+  model,
+  temperature = 0.5,
+  supportsJsonMode = true,
+  timeoutMs = 30000,
+}) {
+  if (!baseUrl) {
+    throw new LLMError('config', `No base URL configured for LLM provider '${name}'.`, { provider: name });
+  }
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  function buildRequest({ messages, jsonMode, model: modelOverride, temperature: temperatureOverride }) {
+    if (requireApiKey && !apiKey) {
+      console.error(`${apiKeyEnv} environment variable not set.`);
+      throw new LLMError('config', `API key for LLM provider '${name}' is missing (${apiKeyEnv}).`, { provider: name });
+    }
+
+    const payload = {
+      model: modelOverride || model,
+      messages,
+      temperature: temperatureOverride ?? temperature,
+    };
+    if (jsonMode && supportsJsonMode) {
+      payload.response_format = { type: 'json_object' };
+    }
+    console.log(`Requesting ${jsonMode ? 'JSON' : 'text'} response from ${name} model: ${payload.model}`);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    return { payload, headers };
+  }
+
+  async function complete({ messages, jsonMode = false, model: modelOverride, temperature: temperatureOverride, signal }) {
+    const { payload, headers } = buildRequest({ messages, jsonMode, model: modelOverride, temperature: temperatureOverride });
+
+    let response;
+    try {
+      response = await axios.post(url, payload, { headers, signal, timeout: timeoutMs });
+    } catch (error) {
+      throw fromAxiosError(error, name);
+    }
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (!content) {
+      console.error(`Unexpected response structure from ${name}:`, response.data);
+      throw new LLMError('invalid_response', 'Invalid response structure from AI.', { provider: name });
+    }
+    return { content, model: payload.model, usage: response.data?.usage || null };
+  }
+
+  // --- Streamed completion: the server sends "data: {chunk}" lines, ending with "data: [DONE]" ---
+  async function stream({ messages, model: modelOverride, temperature: temperatureOverride, signal, onToken }) {
+    const { payload, headers } = buildRequest({ messages, jsonMode: false, model: modelOverride, temperature: temperatureOverride });
+
+    let response;
+    try {
+      // The timeout covers the wait for the first byte and any stall between chunks
+      // include_usage asks for token counts in the last chunk (Groq sends them as x_groq.usage)
+      const streamPayload = { ...payload, stream: true, stream_options: { include_usage: true } };
+      response = await axios.post(url, streamPayload, { headers, signal, responseType: 'stream', timeout: timeoutMs });
+    } catch (error) {
+      throw fromAxiosError(error, name);
+    }
+
+    let content = '';
+    let usage = null;
+    let buffered = '';
+    const readLine = line => {
+      const data = line.replace(/^data:\s*/, '').trim();
+      if (!line.startsWith('data:') || !data || data === '[DONE]') return;
+      const delta = JSON.parse(data);
+      usage = delta.usage || delta.x_groq?.usage || usage;
+      const token = delta.choices?.[0]?.delta?.content;
+      if (token) {
+        content += token;
+        onToken(token);
+      }
+    };
+    // Decoded as a stream, so a character split across two chunks (ä, हिंदी) arrives whole
+    response.data.setEncoding('utf8');
+    try {
+      for await (const chunk of response.data) {
+        buffered += chunk;
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.forEach(readLine);
+      }
+      // The last line may end the stream without a newline
+      readLine(buffered);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw new LLMError('aborted', 'The request was cancelled.', { status: 499, provider: name, cause: error });
+      }
+      if (error instanceof SyntaxError) {
+        throw new LLMError('invalid_response', 'Invalid streamed response from AI.', { provider: name, cause: error });
+      }
+      throw fromAxiosError(error, name);
+    }
+
+    if (!content) {
+      throw new LLMError('invalid_response', 'The AI returned an empty streamed response.', { provider: name });
+    }
+    return { content, model: payload.model, usage };
+  }
+
+  return { name, model, complete, stream };
+}
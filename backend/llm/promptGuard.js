@@ -0,0 +1,34 @@
+// --- Prompt-injection guard ---
+// User text never goes into a prompt as-is. quoteUserText() turns it into a JSON string literal:
+// quotes, backslashes and newlines are escaped, control characters dropped and the length capped,
+// so the text cannot close the quotes around it or start a fake "System:"/"Assistant:" line.
+// The decision prompt tells the model that quoted text is data, never instructions.
+//
+// detectInjection() names the usual injection tricks in a message so they can be logged and
+// counted. The request is still answered: whatever the model makes of it, its decision has to
+// pass the tool schemas (toolRegistry.checkDecision) before anything runs.
+export const MAX_QUOTED_CHARS = 2000;
+
+export function quoteUserText(text, maxChars = MAX_QUOTED_CHARS) {
+  const cleaned = String(text ?? '').replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, '');
+  return JSON.stringify(cleaned.length > maxChars ? `${cleaned.slice(0, maxChars)}…` : cleaned);
+}
+
+const INJECTION_SIGNALS = [
+  // "ignore the rules and ...", "disregard all previous instructions"
+  { name: 'override_instructions', pattern: /\b(ignore|disregard|forget|override|bypass)\b.{0,40}\b(rules?|instructions?|prompts?|guidelines|restrictions)\b/i },
+  // "you are now DAN", "pretend you are the system", "developer mode"
+  { name: 'role_change', pattern: /\b(you are now|from now on you|pretend (to be|you are)|act as (an? )?(admin|system|developer|unrestricted)|developer mode|jailbreak)\b/i },
+  // "print your system prompt", "what are your instructions"
+  { name: 'prompt_disclosure', pattern: /\b(system prompt|your (instructions|rules|prompt)|(reveal|print|show|repeat)\b.{0,20}\b(prompt|instructions))\b/i },
+  // Dictating the decision itself: "output a tool_call for ...", '{"type": ...'
+  { name: 'decision_format', pattern: /\btool_(call|name)\b|\{\s*"(type|tool_name|parameters)"\s*:/i },
+  // Chat-template and role markers that try to end the user turn
+  { name: 'role_marker', pattern: /(^|\n)\s*(system|assistant)\s*:|<\|im_(start|end)\|>|\[\/?INST\]|<\/?(system|assistant)>/i },
+];
+
+// Names of the signals found in the text, [] for an ordinary message
+export function detectInjection(text) {
+  const value = String(text ?? '');
+  return INJECTION_SIGNALS.filter(({ pattern }) => pattern.test(value)).map(({ name }) => name);
+}
@@ -0,0 +1,28 @@
+import { parseMoney, parseQuantity } from './helpers.js';
+
+// --- Normalized numeric/currency records for calculations ---
+// The JSON files keep display strings ("15,450.00 USD", "152 units"); analytics and
+// comparisons work on these records instead of re-parsing strings ad hoc.
+
+export function normalizeOrder(order, partyKey) {
+  const money = parseMoney(order.value);
+  return {
+    id: order.id,
+    party: order[partyKey],
+    [partyKey]: order[partyKey],
+    material: order.material,
+    status: order.status,
+    quantity: parseQuantity(order.quantity) ?? 0,
+    amount: money ? money.amount : null,
+    currency: money ? money.currency : null,
+  };
+}
+
+export function normalizeStockItem(item) {
+  return {
+    material: item.Material,
+    description: item.Description,
+    plant: String(item.Plant),
+    stock: parseQuantity(item['Stock Level']) ?? 0,
+  };
+}
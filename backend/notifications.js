@@ -0,0 +1,62 @@
+import { eventRepository, notificationRepository, watchRuleRepository } from './data.js';
+import { EVENT_TYPES, describeRule, summarizeEvent } from './events.js';
+import { queueWebhookDeliveries } from './webhooks.js';
+import { metrics } from './observability/metrics.js';
+
+// --- Change events and the in-app notification feed ---
+// Stock, purchase order and leave changes call recordEvent() inside the transaction that made the
+// change, so the event, the notifications it raised and its queued webhook deliveries are saved
+// together with the change, or not at all.
+
+const sameText = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+// When a rule fires for an event of its subject. Stock rules fire when the level crosses the
+// threshold, not on every change while it stays beyond it.
+const RULE_MATCHERS = {
+  stock: ({ conditions }, { data }) => {
+    const meets = level => (conditions.comparison === 'less than' ? level < conditions.quantity : level > conditions.quantity);
+    return data.material === conditions.material && meets(data.level) && !meets(data.previousLevel);
+  },
+  purchase_order: ({ conditions }, { data }) => data.status === conditions.status
+    && (!conditions.id || data.id === conditions.id)
+    && (!conditions.vendor || sameText(data.vendor, conditions.vendor))
+    && (!conditions.material || data.material === conditions.material),
+  leave: ({ conditions }, { data }) => data.status === conditions.status
+    && (!conditions.employeeName || sameText(data.employeeName, conditions.employeeName)),
+};
+
+// --- Record a change: notify the owners of the rules it fires, queue it for the webhooks ---
+// type is one of EVENT_TYPES (see events.js). Returns the stored event.
+export function recordEvent(type, data) {
+  const { subject } = EVENT_TYPES[type];
+  const createdAt = new Date().toISOString();
+  const event = eventRepository.insert({ type, data, createdAt });
+
+  for (const rule of watchRuleRepository.forSubject(subject)) {
+    if (!RULE_MATCHERS[subject](rule, event)) continue;
+    const { title, body } = summarizeEvent(event);
+    notificationRepository.insert({
+      owner: rule.owner, eventId: event.id, ruleId: rule.id, title, body: `${body} (Your alert: ${describeRule(rule)}.)`, createdAt,
+    });
+    watchRuleRepository.markFired(rule.id, createdAt);
+    metrics.notifications.inc({ type });
+  }
+  queueWebhookDeliveries(event);
+  return event;
+}
+
+// --- The feed: { notifications (newest first), unreadCount } ---
+export function listNotifications(owner, { unreadOnly = false } = {}) {
+  return {
+    notifications: notificationRepository.list(owner, { unreadOnly }),
+    unreadCount: notificationRepository.unreadCount(owner),
+  };
+}
+
+// ids: the notifications to mark as read, or undefined for all of them. Returns { marked } or { error }.
+export function markNotificationsRead(owner, ids) {
+  if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => !Number.isInteger(Number(id))))) {
+    return { error: { status: 400, message: 'ids must be a list of notification ids.' } };
+  }
+  return { marked: notificationRepository.markRead(owner, ids ?? null, new Date().toISOString()) };
+}
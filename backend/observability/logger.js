@@ -0,0 +1,54 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import util from 'util';
+
+// --- Structured logging ---
+// LOG_FORMAT=json (default)  one JSON object per line: { time, level, msg, requestId, ...fields }
+// LOG_FORMAT=text            readable lines, prefixed with the request ID
+// LOG_LEVEL=debug | info (default) | warn | error | silent
+//
+// The request ID comes from requestContext, which the HTTP middleware sets up for every
+// request, so code deep inside a tool or the LLM client logs it without passing it around.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+export function loadLogConfig(env = process.env) {
+  const format = (env.LOG_FORMAT || 'json').toLowerCase();
+  const level = (env.LOG_LEVEL || 'info').toLowerCase();
+  return {
+    format: format === 'text' ? 'text' : 'json',
+    level: LEVELS[level] === undefined ? 'info' : level,
+  };
+}
+
+const config = loadLogConfig();
+
+// Per-request state: { requestId, llmCalls: [...], parseFailures }
+export const requestContext = new AsyncLocalStorage();
+export const currentRequest = () => requestContext.getStore() || null;
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < LEVELS[config.level]) return;
+  const requestId = currentRequest()?.requestId;
+  const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+  if (config.format === 'json') {
+    stream.write(`${JSON.stringify({ time: new Date().toISOString(), level, msg, ...(requestId && { requestId }), ...fields })}\n`);
+  } else {
+    const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    stream.write(`${requestId ? `[${requestId}] ` : ''}${msg}${extra}\n`);
+  }
+}
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+// Send console.* through the logger, so the existing "--> ..." progress lines get a level,
+// a timestamp and the request ID too
+export function captureConsole() {
+  console.debug = (...args) => write('debug', util.format(...args));
+  console.log = console.info = (...args) => write('info', util.format(...args));
+  console.warn = (...args) => write('warn', util.format(...args));
+  console.error = (...args) => write('error', util.format(...args));
+}
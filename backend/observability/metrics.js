@@ -0,0 +1,83 @@
+// --- Prometheus metrics ---
+// A small in-process registry of counters and histograms with labels, rendered in the
+// Prometheus text exposition format by GET /metrics.
+const registry = [];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const labelText = labels => {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+// Label sets are stored under a stable key, whatever order the caller listed them in
+const labelKey = labels => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+export function counter(name, help) {
+  const values = new Map();
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      const entry = values.get(key) || { labels, value: 0 };
+      entry.value += amount;
+      values.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      values.forEach(({ labels, value }) => lines.push(`${name}${labelText(labels)} ${value}`));
+      return lines.join('\n');
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// Seconds, from a fast tool lookup to a slow LLM answer
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+export function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const values = new Map();
+  const metric = {
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const entry = values.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      values.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      values.forEach(({ labels, counts, sum, count }) => {
+        buckets.forEach((bound, index) => lines.push(`${name}_bucket${labelText({ ...labels, le: bound })} ${counts[index]}`));
+        lines.push(`${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${labelText(labels)} ${sum}`);
+        lines.push(`${name}_count${labelText(labels)} ${count}`);
+      });
+      return lines.join('\n');
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+export const renderMetrics = () => `${registry.map(metric => metric.render()).join('\n\n')}\n`;
+
+// --- The application's metrics ---
+export const metrics = {
+  httpRequests: counter('http_requests_total', 'HTTP requests by method, route and status code.'),
+  httpDuration: histogram('http_request_duration_seconds', 'HTTP request latency by method and route.'),
+  chatTurns: counter('chat_turns_total', 'Chat turns by outcome (ok, error, cancelled).'),
+  chatDuration: histogram('chat_turn_duration_seconds', 'Time to answer a chat turn.'),
+  decisions: counter('chat_decisions_total', 'How chat turns were decided: by the LLM, the intent router, the router while the LLM was down, or a clarification choice.'),
+  decisionParseFailures: counter('chat_decision_parse_failures_total', 'LLM decisions that were not valid JSON.'),
+  decisionRejections: counter('chat_decision_rejections_total', 'LLM decisions rejected by the tool schemas, by whether a corrective retry followed.'),
+  injectionSignals: counter('chat_injection_signals_total', 'Chat inputs flagged as possible prompt injection, by signal.'),
+  toolCalls: counter('tool_calls_total', 'Tool executions by tool and outcome (ok, validation_error, forbidden, unknown_tool, error).'),
+  toolDuration: histogram('tool_duration_seconds', 'Tool execution time by tool.'),
+  llmRequests: counter('llm_requests_total', 'LLM requests by provider, model and outcome (ok or the error code).'),
+  llmDuration: histogram('llm_request_duration_seconds', 'LLM request latency by provider.'),
+  llmTokens: counter('llm_tokens_total', 'Tokens reported by the LLM provider, by type (prompt, completion).'),
+  notifications: counter('notifications_total', 'In-app notifications raised by watch rules, by event type.'),
+  webhookDeliveries: counter('webhook_deliveries_total', 'Webhook delivery attempts by outcome (delivered, retry, failed).'),
+};
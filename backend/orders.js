@@ -0,0 +1,165 @@
+import Fuse from 'fuse.js';
+import { stockRepository, salesOrderRepository, purchaseOrderRepository, transaction } from './data.js';
+import { formatMoney, parseMoney } from './helpers.js';
+import { recordEvent } from './notifications.js';
+
+// --- Sales / purchase order creation (drafts from chat, saved only on confirmation) ---
+export const ORDER_TYPES = {
+  sales: {
+    label: 'Sales order',
+    prefix: 'SO',
+    firstNumber: 1001,
+    partyKey: 'customer',
+    partyLabel: 'Customer',
+    partyPreposition: 'for',
+    initialStatus: 'Open',
+    repository: salesOrderRepository,
+    submitEndpoint: '/api/submit-sales-order',
+  },
+  purchase: {
+    label: 'Purchase order',
+    prefix: 'PO',
+    firstNumber: 2001,
+    partyKey: 'vendor',
+    partyLabel: 'Vendor',
+    partyPreposition: 'from',
+    initialStatus: 'Ordered',
+    repository: purchaseOrderRepository,
+    submitEndpoint: '/api/submit-purchase-order',
+  },
+};
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+// Upper bounds for one order line, well inside what formatMoney and the analytics sums handle exactly
+const MAX_ORDER_QUANTITY = 1_000_000;
+const MAX_ORDER_AMOUNT = 1_000_000_000;
+
+// --- Resolve a material name/ID to the exact key in stock_level.json (or null) ---
+export function findMaterialId(material) {
+  if (!material) return null;
+  const wanted = String(material).trim().toUpperCase();
+  return stockRepository.ids().find(id => id.toUpperCase() === wanted) || null;
+}
+
+// --- Best fuzzy match for a material, used to pre-fill drafts ("valves" -> VALVE-200) ---
+export function suggestMaterialId(material) {
+  const exact = findMaterialId(material);
+  if (exact) return exact;
+  const candidates = stockRepository.list().map(item => ({ id: item.Material, Description: item.Description }));
+  const [best] = new Fuse(candidates, { keys: ['id', 'Description'], includeScore: true, threshold: 0.4, ignoreLocation: true }).search(String(material || ''));
+  return best ? best.item.id : null;
+}
+
+// --- Canonical customer/vendor name for a loose mention ("Precision Parts" -> "Precision Parts Ltd.") ---
+export function suggestPartyName(orderType, name) {
+  if (!name) return null;
+  const partyNames = ORDER_TYPES[orderType].repository.partyNames();
+  const [best] = new Fuse(partyNames, { includeScore: true, threshold: 0.4, ignoreLocation: true }).search(String(name));
+  return best ? best.item : String(name).trim();
+}
+
+// --- Last known unit price for the material on this order type, used to pre-fill the amount ---
+export function estimateUnitPrice(orderType, materialId) {
+  const orders = ORDER_TYPES[orderType].repository.list();
+  for (let i = orders.length - 1; i >= 0; i--) {
+    const order = orders[i];
+    if (order.material !== materialId || !order.quantity) continue;
+    const money = parseMoney(order.value);
+    if (money) return { unitPrice: money.amount / order.quantity, currency: money.currency };
+  }
+  return null;
+}
+
+// --- Next ID in the existing numbering: SO-1xxx / PO-2xxx ---
+export function nextOrderId(orderType) {
+  const { prefix, firstNumber, repository } = ORDER_TYPES[orderType];
+  const pattern = new RegExp(`^${prefix}-(\\d+)$`);
+  const highest = repository.ids().reduce((max, id) => {
+    const match = pattern.exec(id || '');
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, firstNumber - 1);
+  return `${prefix}-${highest + 1}`;
+}
+
+// --- Server-side validation of a submitted order ---
+// Returns { errors: [{ field, message }], order } where order is normalized when there are no errors.
+export function validateOrderInput(orderType, input) {
+  const { partyKey, partyLabel } = ORDER_TYPES[orderType];
+  const errors = [];
+  const body = input && typeof input === 'object' ? input : {};
+
+  const party = typeof body[partyKey] === 'string' ? body[partyKey].trim() : '';
+  if (!party) errors.push({ field: partyKey, message: `${partyLabel} is required.` });
+
+  const materialId = findMaterialId(body.material);
+  if (!body.material) {
+    errors.push({ field: 'material', message: 'Material is required.' });
+  } else if (!materialId) {
+    errors.push({ field: 'material', message: `Material '${body.material}' does not exist in stock master data.` });
+  }
+
+  // Taken as sent, not coerced: Number.isSafeInteger/isFinite refuse true, "1e3" and other non-numbers
+  const { quantity, amount } = body;
+  if (!Number.isSafeInteger(quantity) || quantity <= 0) {
+    errors.push({ field: 'quantity', message: 'Quantity must be a positive whole number.' });
+  } else if (quantity > MAX_ORDER_QUANTITY) {
+    errors.push({ field: 'quantity', message: `Quantity must be at most ${MAX_ORDER_QUANTITY.toLocaleString('en-US')}.` });
+  }
+
+  if (!Number.isFinite(amount) || amount <= 0) {
+    errors.push({ field: 'amount', message: 'Amount must be a positive number.' });
+  } else if (amount > MAX_ORDER_AMOUNT) {
+    errors.push({ field: 'amount', message: `Amount must be at most ${MAX_ORDER_AMOUNT.toLocaleString('en-US')}.` });
+  }
+
+  const currency = typeof body.currency === 'string' ? body.currency.trim().toUpperCase() : '';
+  if (!CURRENCY_PATTERN.test(currency)) {
+    errors.push({ field: 'currency', message: 'Currency must be a three-letter ISO code such as USD or EUR.' });
+  }
+
+  if (errors.length > 0) return { errors, order: null };
+  return {
+    errors,
+    order: { [partyKey]: party, material: materialId, quantity, value: formatMoney(amount, currency) },
+  };
+}
+
+// --- Persist a validated order ---
+// Numbering and insert share one transaction, so concurrent submissions never get the same ID.
+export function createOrder(orderType, normalizedOrder) {
+  const config = ORDER_TYPES[orderType];
+  return transaction(() => config.repository.insert({
+    id: nextOrderId(orderType),
+    [config.partyKey]: normalizedOrder[config.partyKey],
+    material: normalizedOrder.material,
+    quantity: normalizedOrder.quantity,
+    status: config.initialStatus,
+    value: normalizedOrder.value,
+  }));
+}
+
+// --- Purchase order status (e.g. "In Transit" -> "Delivered") ---
+// Delivered and cancelled orders are final. Returns { order } or { error: { status, message } }.
+export const PURCHASE_ORDER_STATUSES = ['Ordered', 'In Transit', 'Delivered', 'Cancelled'];
+const FINAL_PURCHASE_ORDER_STATUSES = ['Delivered', 'Cancelled'];
+
+export function updatePurchaseOrderStatus(id, status, { actor } = {}) {
+  const nextStatus = PURCHASE_ORDER_STATUSES.find(option => option.toLowerCase() === String(status ?? '').trim().toLowerCase());
+  if (!nextStatus) {
+    return { error: { status: 400, message: `status must be one of: ${PURCHASE_ORDER_STATUSES.join(', ')}.` } };
+  }
+  return transaction(() => {
+    const order = purchaseOrderRepository.get(id);
+    if (!order) return { error: { status: 404, message: `Purchase order ${id} was not found.` } };
+    if (order.status === nextStatus) return { order };
+    if (FINAL_PURCHASE_ORDER_STATUSES.includes(order.status)) {
+      return { error: { status: 409, message: `Purchase order ${id} is already ${order.status.toLowerCase()}.` } };
+    }
+    const updated = purchaseOrderRepository.updateStatus(id, nextStatus);
+    recordEvent('purchase_order.status_changed', {
+      id, vendor: updated.vendor, material: updated.material, quantity: updated.quantity, value: updated.value,
+      previousStatus: order.status, status: nextStatus, changedBy: actor ?? null,
+    });
+    return { order: updated };
+  });
+}
@@ -0,0 +1,61 @@
+// --- Multi-step tool plans ---
+// For compound questions ("what is ME21N and show me the POs from Alpha Industrial") the LLM
+// answers with { type: 'plan', steps: [{ tool_name, parameters }, ...] }. The steps run in order
+// and the answer is one 'composite' response with a section per step.
+//
+// A parameter can use an earlier step's table: "{{step1.Material}}" stands for the distinct values
+// of the Material column of step 1's result, joined with commas (tools already accept lists like
+// "PUMP-1001, VALVE-200"). So "open sales orders for pumps and do we have enough stock?" becomes
+// get_sales_orders, then query_inventory with material_id "{{step1.Material}}".
+export const MAX_PLAN_STEPS = 4;
+const MAX_REFERENCED_VALUES = 20;
+
+const STEP_REFERENCE = /\{\{\s*step(\d+)\.([^{}]+?)\s*\}\}/gi;
+
+// [{ step, column }] for every reference in a parameter value
+export function findStepReferences(value) {
+  if (typeof value !== 'string') return [];
+  return [...value.matchAll(STEP_REFERENCE)].map(([, step, column]) => ({ step: Number(step), column }));
+}
+
+// Values of one column in an earlier step's table, case-insensitive on the column name
+function columnValues(result, column) {
+  const rows = Array.isArray(result?.tableData) ? result.tableData : [];
+  const key = rows.length > 0 && Object.keys(rows[0]).find(name => name.toLowerCase() === column.toLowerCase());
+  if (!key) return [];
+  return [...new Set(rows.map(row => row[key]).filter(value => value !== undefined && value !== null && value !== ''))]
+    .slice(0, MAX_REFERENCED_VALUES)
+    .map(String);
+}
+
+// --- Fill in the references of one step from the earlier steps' responses ---
+// results[i] is step i+1's response (null when it failed). Returns { parameters } or { missing }
+// with a sentence saying which earlier result had nothing to use.
+export function resolveStepParameters(parameters = {}, results = []) {
+  const resolved = {};
+  for (const [key, value] of Object.entries(parameters)) {
+    let missing = null;
+    resolved[key] = typeof value !== 'string' ? value : value.replace(STEP_REFERENCE, (reference, step, column) => {
+      const values = columnValues(results[Number(step) - 1], column.trim());
+      if (values.length === 0) missing = missing || `step ${step} returned no ${column.trim()} values to use`;
+      return values.join(', ');
+    });
+    if (missing) return { missing };
+  }
+  return { parameters: resolved };
+}
+
+// "get_sales_orders" + { status: 'Open' } -> "Sales orders (status: Open)"
+export function describeStep(toolName, parameters = {}) {
+  const name = toolName.replace(/^(get|query|show|analyze)_/, '').replace(/_/g, ' ');
+  const filters = Object.entries(parameters).map(([key, value]) => `${key.replace(/_/g, ' ')}: ${value}`).join(', ');
+  const title = `${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+  return filters ? `${title} (${filters})` : title;
+}
+
+// Table rows in a chat response, across all sections of a composite one (all pages of a paged
+// table, see tables.js); null without tables
+export function countRows(body) {
+  const tables = (body?.type === 'composite' ? body.sections : [body]).filter(section => Array.isArray(section?.tableData));
+  return tables.length === 0 ? null : tables.reduce((sum, section) => sum + (section.paging?.totalRows ?? section.tableData.length), 0);
+}
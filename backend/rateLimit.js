@@ -0,0 +1,61 @@
+// --- Per-client rate limiting for the chat endpoints ---
+// CHAT_RATE_LIMIT                  requests per client per window (default 20, 0 turns it off)
+// CHAT_RATE_LIMIT_WINDOW_SECONDS   length of the sliding window (default 60)
+// Clients are told how long to wait with a 429, a Retry-After header and RateLimit-* headers.
+export function loadRateLimitConfig(env = process.env) {
+  const limit = parseInt(env.CHAT_RATE_LIMIT, 10);
+  const windowSeconds = parseFloat(env.CHAT_RATE_LIMIT_WINDOW_SECONDS);
+  return {
+    limit: Number.isNaN(limit) || limit < 0 ? 20 : limit,
+    windowMs: (Number.isNaN(windowSeconds) || windowSeconds <= 0 ? 60 : windowSeconds) * 1000,
+  };
+}
+
+// Sliding window log: the timestamps of each client's requests within the last windowMs
+export function createRateLimiter({ limit, windowMs, now = Date.now }) {
+  const requests = new Map();
+
+  // Forget clients whose requests have all left the window
+  function sweep(time) {
+    requests.forEach((times, key) => {
+      if (time - times[times.length - 1] >= windowMs) requests.delete(key);
+    });
+  }
+
+  function take(key) {
+    const time = now();
+    if (requests.size > 10000) sweep(time);
+    const recent = (requests.get(key) || []).filter(stamp => time - stamp < windowMs);
+    if (recent.length >= limit) {
+      requests.set(key, recent);
+      return { allowed: false, remaining: 0, resetMs: windowMs - (time - recent[0]) };
+    }
+    recent.push(time);
+    requests.set(key, recent);
+    return { allowed: true, remaining: limit - recent.length, resetMs: windowMs - (time - recent[0]) };
+  }
+
+  return { take };
+}
+
+// --- Middleware: keyFor(req) names the client (user or address) ---
+export function rateLimit(config, { keyFor = req => req.ip } = {}) {
+  if (!config.limit) return (req, res, next) => next();
+  const limiter = createRateLimiter(config);
+
+  return (req, res, next) => {
+    const key = keyFor(req);
+    const { allowed, remaining, resetMs } = limiter.take(key);
+    const resetSeconds = Math.max(1, Math.ceil(resetMs / 1000));
+    res.set({ 'RateLimit-Limit': String(config.limit), 'RateLimit-Remaining': String(remaining), 'RateLimit-Reset': String(resetSeconds) });
+    if (allowed) return next();
+
+    console.warn(`--> Rate limit reached for ${key}; retry in ${resetSeconds}s.`);
+    res.set('Retry-After', String(resetSeconds));
+    res.status(429).json({
+      error: `You're sending messages too quickly. Please wait ${resetSeconds} second${resetSeconds === 1 ? '' : 's'} and try again.`,
+      code: 'rate_limited',
+      retryAfterSeconds: resetSeconds,
+    });
+  };
+}
@@ -0,0 +1,36 @@
+// --- Uniform error shape for every data source ---
+// code is one of: 'config', 'http', 'no_response', 'invalid_response', 'network'
+export class DataSourceError extends Error {
+  constructor(code, message, { status = 502, source = 'unknown', entity, cause } = {}) {
+    super(message);
+    this.name = 'DataSourceError';
+    this.code = code;
+    this.status = status;
+    this.source = source;
+    this.entity = entity;
+    if (cause) this.cause = cause;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, source: this.source, entity: this.entity };
+  }
+}
+
+// --- Helper: turn an axios error into a DataSourceError ---
+export function fromAxiosError(error, { source, entity }) {
+  if (error instanceof DataSourceError) return error;
+
+  if (error.response) {
+    console.error(`${source} error for ${entity}. Status: ${error.response.status}. Data:`, error.response.data);
+    // OData v2 nests the message under error.message.value, v4 under error.message
+    const odataMessage = error.response.data?.error?.message;
+    const message = (typeof odataMessage === 'string' ? odataMessage : odataMessage?.value) || `The ${source} service returned HTTP ${error.response.status}.`;
+    return new DataSourceError('http', message, { status: 502, source, entity, cause: error });
+  }
+  if (error.request) {
+    console.error(`No response received from ${source} for ${entity}:`, error.message);
+    return new DataSourceError('no_response', `No response received from the ${source} service.`, { status: 504, source, entity, cause: error });
+  }
+  console.error(`Error calling ${source} for ${entity}:`, error.message);
+  return new DataSourceError('network', error.message, { status: 502, source, entity, cause: error });
+}
@@ -0,0 +1,82 @@
+import { createLocalSource } from './localSource.js';
+import { createODataSource } from './odataSource.js';
+import { ODATA_ENTITIES } from './odataEntities.js';
+import { DataSourceError } from './errors.js';
+
+export { DataSourceError } from './errors.js';
+
+// --- Data source selection, per entity ---
+// DATA_SOURCE=local (default) | odata       default for every entity
+// DATA_SOURCE_STOCK, DATA_SOURCE_SALES_ORDERS, DATA_SOURCE_PURCHASE_ORDERS override it per entity
+// ODATA_BASE_URL, ODATA_VERSION (2 | 4), ODATA_USERNAME, ODATA_PASSWORD, ODATA_TOP, ODATA_TIMEOUT_MS
+// ODATA_<ENTITY>_SERVICE and ODATA_<ENTITY>_ENTITY_SET override the service path / entity set.
+export const SOURCE_ENTITIES = ['stock', 'sales_orders', 'purchase_orders'];
+const SOURCE_TYPES = ['local', 'odata'];
+
+export function loadSourceConfig(env = process.env) {
+  const fallback = (env.DATA_SOURCE || 'local').toLowerCase();
+  const sources = {};
+  const entities = {};
+  for (const entity of SOURCE_ENTITIES) {
+    const prefix = entity.toUpperCase();
+    sources[entity] = (env[`DATA_SOURCE_${prefix}`] || fallback).toLowerCase();
+    entities[entity] = {
+      ...ODATA_ENTITIES[entity],
+      servicePath: env[`ODATA_${prefix}_SERVICE`] || ODATA_ENTITIES[entity].servicePath,
+      entitySet: env[`ODATA_${prefix}_ENTITY_SET`] || ODATA_ENTITIES[entity].entitySet,
+    };
+  }
+  const top = parseInt(env.ODATA_TOP, 10);
+  const timeoutMs = parseInt(env.ODATA_TIMEOUT_MS, 10);
+  return {
+    sources,
+    odata: {
+      baseUrl: env.ODATA_BASE_URL,
+      version: env.ODATA_VERSION || '2',
+      username: env.ODATA_USERNAME,
+      password: env.ODATA_PASSWORD,
+      top: Number.isNaN(top) ? 100 : top,
+      timeoutMs: Number.isNaN(timeoutMs) ? 15000 : timeoutMs,
+      entities,
+    },
+  };
+}
+
+export function createDataSource(entity, config = loadSourceConfig()) {
+  const type = config.sources[entity];
+  switch (type) {
+    case 'local':
+      return createLocalSource(entity);
+    case 'odata':
+      return createODataSource(entity, { ...config.odata, mapping: config.odata.entities[entity] });
+    default:
+      throw new DataSourceError('config', `Unknown data source '${type}' for ${entity}. Use one of: ${SOURCE_TYPES.join(', ')}.`, { status: 500, source: type, entity });
+  }
+}
+
+const activeSources = new Map();
+
+export function getDataSource(entity) {
+  if (!activeSources.has(entity)) {
+    const source = createDataSource(entity);
+    console.log(`==> Data source for ${entity}: ${source.name}${source.url ? ` (${source.url})` : ''}`);
+    activeSources.set(entity, source);
+  }
+  return activeSources.get(entity);
+}
+
+// --- Features that read whole tables (availability, analytics) need the local database ---
+// An OData source only answers filtered queries capped at ODATA_TOP, and the local copy of an entity
+// read from SAP is out of date. Returns a message naming the first such entity, or null.
+const ENTITY_LABELS = { stock: 'stock levels', sales_orders: 'sales orders', purchase_orders: 'purchase orders' };
+
+export function describeRemoteEntities(feature, entities) {
+  const remote = entities.find(entity => getDataSource(entity).name !== 'local');
+  return remote ? `${feature} is worked out from the local data, but ${ENTITY_LABELS[remote]} come from SAP here.` : null;
+}
+
+// Swap the source for one entity (e.g. in tests); pass null to go back to the configured one.
+export function setDataSource(entity, source) {
+  if (source) activeSources.set(entity, source);
+  else activeSources.delete(entity);
+}
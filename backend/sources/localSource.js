@@ -0,0 +1,30 @@
+import {
+  stockRepository, stockIndex,
+  salesOrderRepository, salesOrderIndex,
+  purchaseOrderRepository, purchaseOrderIndex,
+} from '../data.js';
+import { filterOrders } from '../tools/orderFilters.js';
+import { filterStock } from '../tools/stockFilters.js';
+
+// --- Local data source: the SQLite database with fuzzy matching ---
+const LOCAL_QUERIES = {
+  stock: parameters => filterStock({ stockList: stockRepository.list(), stockIndex, parameters }),
+  sales_orders: parameters => filterOrders({
+    orders: salesOrderRepository.list(), partyFuse: salesOrderIndex, partyKey: 'customer', label: 'SO', parameters,
+  }),
+  purchase_orders: parameters => filterOrders({
+    orders: purchaseOrderRepository.list(), partyFuse: purchaseOrderIndex, partyKey: 'vendor', label: 'PO', parameters,
+  }),
+};
+
+export function createLocalSource(entity) {
+  const query = LOCAL_QUERIES[entity];
+  if (!query) throw new Error(`The local data source has no entity '${entity}'.`);
+  return {
+    name: 'local',
+    entity,
+    async query(parameters = {}) {
+      return query(parameters);
+    },
+  };
+}
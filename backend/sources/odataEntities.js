@@ -0,0 +1,52 @@
+// --- Default OData mappings for the standard S/4HANA APIs ---
+// properties maps our record fields to OData property paths ('nav/Property' reads through an
+// $expand). statusCodes translates SAP status codes to the labels the local data uses; adjust
+// them (and the paths, via ODATA_<ENTITY>_SERVICE / ODATA_<ENTITY>_ENTITY_SET) for your system.
+export const ODATA_ENTITIES = {
+  stock: {
+    servicePath: '/sap/opu/odata/sap/API_MATERIAL_STOCK_SRV',
+    entitySet: 'A_MatlStkInAcctMod',
+    properties: {
+      material: 'Material',
+      plant: 'Plant',
+      quantity: 'MatlWrhsStkQtyInMatlBaseUnit',
+      unit: 'MaterialBaseUnit',
+      // A_MatlStkInAcctMod has no material description: map description (with an expand) if your
+      // service offers one, otherwise the stock table goes without the Description column
+    },
+  },
+  sales_orders: {
+    servicePath: '/sap/opu/odata/sap/API_SALES_ORDER_SRV',
+    entitySet: 'A_SalesOrderItem',
+    expand: 'to_SalesOrder',
+    partyKey: 'customer',
+    properties: {
+      id: 'SalesOrder',
+      party: 'to_SalesOrder/SoldToParty',
+      material: 'Material',
+      quantity: 'RequestedQuantity',
+      status: 'to_SalesOrder/OverallSDProcessStatus',
+      amount: 'NetAmount',
+      currency: 'TransactionCurrency',
+    },
+    statusCodes: { A: 'Open', B: 'In Process', C: 'Delivered' },
+  },
+  purchase_orders: {
+    servicePath: '/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV',
+    entitySet: 'A_PurchaseOrderItem',
+    expand: 'to_PurchaseOrder',
+    partyKey: 'vendor',
+    properties: {
+      id: 'PurchaseOrder',
+      party: 'to_PurchaseOrder/Supplier',
+      material: 'Material',
+      quantity: 'OrderQuantity',
+      status: 'to_PurchaseOrder/PurchasingProcessingStatus',
+      amount: 'NetPriceAmount',
+      currency: 'DocumentCurrency',
+    },
+    // NetPriceAmount is per unit, so the order value is amount * quantity
+    amountIsUnitPrice: true,
+    statusCodes: { '02': 'Ordered', '03': 'In Transit', '05': 'Delivered' },
+  },
+};
@@ -0,0 +1,157 @@
+import axios from 'axios';
+import { extractMultipleItems, formatMoney, parseQuantity } from '../helpers.js';
+import { DataSourceError, fromAxiosError } from './errors.js';
+import { ODATA_ENTITIES } from './odataEntities.js';
+
+// --- OData v2/v4 data source ---
+// Tool parameters become $filter/$top on the mapped entity set, and each returned entity is
+// mapped back to the record shape the tools already render (see odataEntities.js).
+
+const BASE_UNITS = ['PC', 'EA', 'ST', ''];
+
+// --- Helper: read 'nav/Property' from an entity ---
+export function readPath(entity, path) {
+  return path.split('/').reduce((value, key) => (value == null ? undefined : value[key]), entity);
+}
+
+// --- Helpers: OData filter syntax ---
+export const literal = value => `'${String(value).replace(/'/g, "''")}'`;
+
+function containsClause(version, property, value) {
+  return version === '4' ? `contains(${property},${literal(value)})` : `substringof(${literal(value)},${property})`;
+}
+
+// Gateway filters are plain substring matches, so "pumps" has to become "pump"
+const singular = term => (term.length > 3 && /[^s]s$/i.test(term) ? term.slice(0, -1) : term);
+
+const anyOf = clauses => (clauses.length > 1 ? `(${clauses.join(' or ')})` : clauses[0]);
+
+// Status labels ('open') map back to SAP codes ('A'); unknown labels are passed through as-is.
+function statusCodesFor(mapping, status) {
+  const wanted = String(status).trim().toLowerCase();
+  const codes = Object.entries(mapping.statusCodes || {})
+    .filter(([, label]) => label.toLowerCase().includes(wanted))
+    .map(([code]) => code);
+  return codes.length > 0 ? codes : [String(status).trim()];
+}
+
+// --- Translate tool parameters into a $filter expression (or '' for none) ---
+export function buildFilter(entity, parameters, { version = '2', mapping = ODATA_ENTITIES[entity] } = {}) {
+  const { properties } = mapping;
+  const clauses = [];
+
+  const materialTerm = entity === 'stock' ? parameters.material_id : parameters.material;
+  if (materialTerm) {
+    clauses.push(anyOf(extractMultipleItems(materialTerm).map(item => containsClause(version, properties.material, singular(item)))));
+  }
+  if (mapping.partyKey && parameters[mapping.partyKey]) {
+    clauses.push(containsClause(version, properties.party, parameters[mapping.partyKey]));
+  }
+  if (properties.status && parameters.status) {
+    clauses.push(anyOf(statusCodesFor(mapping, parameters.status).map(code => `${properties.status} eq ${literal(code)}`)));
+  }
+  return clauses.join(' and ');
+}
+
+// --- Map OData entities back to local record shapes ---
+function toOrderRecord(entity, mapping) {
+  const { properties } = mapping;
+  const status = readPath(entity, properties.status);
+  const quantity = parseQuantity(readPath(entity, properties.quantity)) ?? 0;
+  let amount = parseQuantity(readPath(entity, properties.amount));
+  if (amount !== null && mapping.amountIsUnitPrice) amount *= quantity;
+  const currency = readPath(entity, properties.currency);
+  return {
+    id: readPath(entity, properties.id),
+    [mapping.partyKey]: readPath(entity, properties.party),
+    material: readPath(entity, properties.material),
+    quantity,
+    status: mapping.statusCodes?.[status] || status,
+    value: amount === null ? '' : formatMoney(amount, currency),
+  };
+}
+
+// Stock comes back per storage location / stock type, so rows are summed per material and plant.
+// Description is only set when the mapping has a description property (see odataEntities.js).
+function toStockRecords(entities, mapping) {
+  const { properties } = mapping;
+  const totals = new Map();
+  for (const entity of entities) {
+    const material = readPath(entity, properties.material);
+    const plant = String(readPath(entity, properties.plant) ?? '');
+    const key = `${material}\u0000${plant}`;
+    if (!totals.has(key)) {
+      totals.set(key, {
+        material,
+        plant,
+        quantity: 0,
+        unit: readPath(entity, properties.unit) || '',
+        description: properties.description ? readPath(entity, properties.description) || '' : '',
+      });
+    }
+    totals.get(key).quantity += parseQuantity(readPath(entity, properties.quantity)) ?? 0;
+  }
+  return [...totals.values()].map(total => ({
+    Material: total.material,
+    ...(properties.description && { Description: total.description }),
+    'Stock Level': `${total.quantity} ${BASE_UNITS.includes(total.unit) ? 'units' : total.unit}`,
+    Plant: total.plant,
+  }));
+}
+
+export function createODataSource(entity, {
+  baseUrl,
+  version = '2',
+  username,
+  password,
+  top = 100,
+  timeoutMs = 15000,
+  mapping = ODATA_ENTITIES[entity],
+} = {}) {
+  if (!mapping) throw new DataSourceError('config', `No OData mapping for entity '${entity}'.`, { status: 500, source: 'odata', entity });
+  if (!baseUrl) {
+    throw new DataSourceError('config', `ODATA_BASE_URL is missing, but ${entity} is configured to use OData.`, { status: 500, source: 'odata', entity });
+  }
+  const odataVersion = String(version) === '4' ? '4' : '2';
+  const url = `${baseUrl.replace(/\/+$/, '')}${mapping.servicePath}/${mapping.entitySet}`;
+
+  async function query(parameters = {}) {
+    const params = { $top: top };
+    const filter = buildFilter(entity, parameters, { version: odataVersion, mapping });
+    if (filter) params.$filter = filter;
+    if (mapping.expand) params.$expand = mapping.expand;
+    if (odataVersion === '2') params.$format = 'json';
+    console.log(`--> OData v${odataVersion} query ${mapping.entitySet}:`, params);
+
+    let response;
+    try {
+      response = await axios.get(url, {
+        params,
+        headers: { Accept: 'application/json' },
+        auth: username ? { username, password: password || '' } : undefined,
+        timeout: timeoutMs,
+      });
+    } catch (error) {
+      throw fromAxiosError(error, { source: 'odata', entity });
+    }
+
+    const entities = odataVersion === '2' ? response.data?.d?.results : response.data?.value;
+    if (!Array.isArray(entities)) {
+      throw new DataSourceError('invalid_response', `The OData service returned an unexpected payload for ${mapping.entitySet}.`, { source: 'odata', entity });
+    }
+
+    if (entity !== 'stock') return entities.map(item => toOrderRecord(item, mapping));
+
+    // The quantity comparison applies to the per-plant totals, so it runs after summing
+    let records = toStockRecords(entities, mapping);
+    if (parameters.comparison && parameters.quantity !== undefined) {
+      records = records.filter(item => {
+        const stock = parseQuantity(item['Stock Level']);
+        return parameters.comparison === 'less than' ? stock < parameters.quantity : stock > parameters.quantity;
+      });
+    }
+    return records;
+  }
+
+  return { name: 'odata', entity, version: odataVersion, url, query };
+}
@@ -0,0 +1,33 @@
+import { stockRepository, transaction } from './data.js';
+import { parseQuantity } from './helpers.js';
+import { findMaterialId } from './orders.js';
+import { recordEvent } from './notifications.js';
+import { getDataSource } from './sources/index.js';
+
+// --- Stock level changes (stock counts, goods receipts booked outside SAP) ---
+// Only the local stock data can change here; with DATA_SOURCE_STOCK=odata, SAP owns the levels.
+// Returns { item } or { error: { status, message } }.
+export function updateStockLevel(material, stockLevel, { actor } = {}) {
+  if (getDataSource('stock').name !== 'local') {
+    return { error: { status: 409, message: 'Stock levels come from SAP here, so they can only be changed there.' } };
+  }
+  const level = typeof stockLevel === 'string' ? parseQuantity(stockLevel) : stockLevel;
+  if (typeof level !== 'number' || !Number.isFinite(level) || level < 0) {
+    return { error: { status: 400, message: 'stockLevel must be a non-negative number.' } };
+  }
+  return transaction(() => {
+    const materialId = findMaterialId(material);
+    if (!materialId) return { error: { status: 404, message: `Material '${material}' was not found.` } };
+    const item = stockRepository.get(materialId);
+    const previousLevel = parseQuantity(item['Stock Level']) ?? 0;
+    if (previousLevel === level) return { item };
+
+    // Keep the unit the level was written with ("152 units" -> "120 units")
+    const text = /\d/.test(item['Stock Level']) ? item['Stock Level'].replace(/-?[\d,]+(\.\d+)?/, String(level)) : `${level} units`;
+    const updated = stockRepository.updateLevel(materialId, text);
+    recordEvent('stock.changed', {
+      material: materialId, description: item.Description, plant: item.Plant, previousLevel, level, changedBy: actor ?? null,
+    });
+    return { item: updated };
+  });
+}
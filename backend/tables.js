@@ -0,0 +1,124 @@
+import { signToken, verifyToken } from './auth/tokens.js';
+import { parseMoney } from './helpers.js';
+import { DEFAULT_LANGUAGE, isSupportedLanguage } from './language.js';
+
+// --- Paged, sortable and exportable table results ---
+// Tools marked `paged` (stock, sales and purchase orders) answer with the first page only, plus a
+// result token: their tool call, signed with the server secret. Other pages, another sort order,
+// fewer columns and the CSV/XLSX export all re-run that tool call (GET /api/tables/:token...) for
+// whoever asks, with their permissions, instead of trusting rows the client sends back.
+//
+// From the chat, the LLM can ask for an order and for columns as well ("sort by value descending",
+// "just the IDs and values"): paged tools accept the TABLE_PARAMETERS below.
+export const MAX_PAGE_SIZE = 200;
+
+export function loadTableConfig(env = process.env) {
+  const pageSize = parseInt(env.TABLE_PAGE_SIZE, 10);
+  const ttlHours = parseFloat(env.RESULT_TOKEN_TTL_HOURS);
+  return {
+    pageSize: Number.isNaN(pageSize) || pageSize < 1 ? 25 : Math.min(pageSize, MAX_PAGE_SIZE),
+    tokenTtlSeconds: Math.round((Number.isNaN(ttlHours) ? 24 : ttlHours) * 3600),
+  };
+}
+
+export const TABLE_PARAMETERS = {
+  sort_by: { type: 'string', description: "Only if the user asks for an order: the column to sort by (e.g. 'Value', 'Quantity', 'Stock Level')." },
+  sort_order: {
+    type: 'string',
+    enum: ['asc', 'desc'],
+    'x-aliases': {
+      descending: 'desc', 'high to low': 'desc', highest: 'desc', largest: 'desc', biggest: 'desc', most: 'desc',
+      ascending: 'asc', 'low to high': 'asc', lowest: 'asc', smallest: 'asc', least: 'asc',
+    },
+    description: "'desc' for highest first, 'asc' for lowest first (the default when sorting).",
+  },
+  columns: { type: 'string', description: "Only if the user asks for specific columns: their names, comma-separated (e.g. 'ID, Customer, Value')." },
+};
+
+// --- Match a column name loosely: "value" -> "Value", "stock" -> "Stock Level" ---
+export function resolveColumn(name, columns) {
+  const wanted = String(name || '').trim().toLowerCase();
+  if (!wanted) return null;
+  return columns.find(column => column.toLowerCase() === wanted)
+    || columns.find(column => column.toLowerCase().startsWith(wanted))
+    || columns.find(column => column.toLowerCase().includes(wanted))
+    || null;
+}
+
+// --- Sort and columns asked for, from tool parameters or the table endpoints' query ---
+// Returns { sort: { column, direction } | null, columns: [...] }; unknown column names are dropped.
+export function tableOptions({ sort_by: sortBy, sort_order: sortOrder, columns } = {}, allColumns) {
+  const sortColumn = resolveColumn(sortBy, allColumns);
+  const picked = String(columns || '').split(',').map(name => resolveColumn(name, allColumns)).filter(Boolean);
+  return {
+    sort: sortColumn ? { column: sortColumn, direction: sortOrder === 'desc' ? 'desc' : 'asc' } : null,
+    columns: picked.length > 0 ? [...new Set(picked)] : allColumns,
+  };
+}
+
+// Numbers, amounts ("15,450.00 USD") and quantities ("152 units") sort by their number; amounts
+// in different currencies are compared by their number only
+function sortKey(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').trim();
+  const money = parseMoney(text);
+  if (money) return money.amount;
+  const number = text.match(/^-?[\d,]+(\.\d+)?(?=\s|$)/);
+  return number ? parseFloat(number[0].replace(/,/g, '')) : text;
+}
+
+// --- Rows in the requested order (a stable sort; empty cells last either way) ---
+export function sortRows(rows, sort) {
+  if (!sort) return rows;
+  const factor = sort.direction === 'desc' ? -1 : 1;
+  const isEmpty = value => value === undefined || value === null || value === '';
+  return rows
+    .map((row, index) => ({ row, index, key: sortKey(row[sort.column]) }))
+    .sort((a, b) => {
+      const emptyA = isEmpty(a.row[sort.column]);
+      const emptyB = isEmpty(b.row[sort.column]);
+      if (emptyA || emptyB) return emptyA === emptyB ? a.index - b.index : emptyA ? 1 : -1;
+      const order = typeof a.key === 'number' && typeof b.key === 'number'
+        ? a.key - b.key
+        : String(a.key).localeCompare(String(b.key), undefined, { numeric: true, sensitivity: 'base' });
+      return order * factor || a.index - b.index;
+    })
+    .map(({ row }) => row);
+}
+
+// Only the chosen columns of each row, in their order
+export const pickColumns = (rows, columns) => rows.map(row => Object.fromEntries(columns.map(column => [column, row[column]])));
+
+// --- One page of a rendered table response ---
+// allColumns lists every column the table has; tableColumns/tableData only the shown ones.
+export function pageTable(response, { sort = null, columns = response.tableColumns, page = 1, pageSize }) {
+  const rows = sortRows(response.tableData, sort);
+  const totalPages = Math.max(1, Math.ceil(rows.length / pageSize));
+  const current = Math.min(Math.max(1, page), totalPages);
+  return {
+    ...response,
+    tableColumns: columns,
+    allColumns: response.tableColumns,
+    tableData: pickColumns(rows.slice((current - 1) * pageSize, current * pageSize), columns),
+    paging: { page: current, pageSize, totalRows: rows.length, totalPages },
+    ...(sort && { sort }),
+  };
+}
+
+// --- Result tokens: a signed tool call ({ name, parameters }) that expires ---
+// language is the one the table was asked for in, for the headers of other pages and exports.
+export function createResultToken(toolCall, secret, ttlSeconds, language = DEFAULT_LANGUAGE) {
+  return signToken({ tool: toolCall.name, parameters: toolCall.parameters, ...(language !== DEFAULT_LANGUAGE && { language }) }, secret, ttlSeconds);
+}
+
+// The tool call behind a token ({ name, parameters, language }), or null when it is malformed,
+// tampered with or expired
+export function readResultToken(token, secret) {
+  const payload = verifyToken(token, secret);
+  if (!payload || typeof payload.tool !== 'string') return null;
+  return {
+    name: payload.tool,
+    parameters: payload.parameters && typeof payload.parameters === 'object' ? payload.parameters : {},
+    language: isSupportedLanguage(payload.language) ? payload.language : DEFAULT_LANGUAGE,
+  };
+}
@@ -0,0 +1,66 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+import { renderAnalyticsTable, runAnalytics } from '../analytics.js';
+import { parseMoney, parseQuantity } from '../helpers.js';
+
+// --- Aggregations over orders and stock (analytics.js) ---
+// Seed sales orders: Global Tech 15,450.00 USD and 4,100.25 EUR, Innovate 8,200.50 EUR, Quantum 21,000.00 USD.
+let server;
+before(async () => {
+  server = await startTestServer();
+});
+after(() => server.close());
+
+test('display strings are read as amounts, currencies and quantities', () => {
+  assert.deepEqual(parseMoney('15,450.00 USD'), { amount: 15450, currency: 'USD' });
+  assert.deepEqual(parseMoney('8,200.50 EUR'), { amount: 8200.5, currency: 'EUR' });
+  assert.equal(parseQuantity('3,200 units'), 3200);
+  assert.equal(parseQuantity(152), 152);
+});
+
+test('values are only added up within one currency, with a subtotal per currency', () => {
+  const result = runAnalytics({ dataset: 'sales_orders', metric: 'sum', field: 'value', group_by: 'customer' });
+  assert.deepEqual(result.groups.map(group => [group.key, group.currency, group.value]), [
+    ['Quantum Supplies', 'USD', 21000],
+    ['Global Tech Inc.', 'USD', 15450],
+    ['Innovate Solutions', 'EUR', 8200.5],
+    ['Global Tech Inc.', 'EUR', 4100.25],
+  ]);
+  assert.deepEqual(result.subtotals.map(subtotal => [subtotal.currency, subtotal.value, subtotal.documents]), [['EUR', 12300.75, 2], ['USD', 36450, 2]]);
+
+  const table = renderAnalyticsTable(result);
+  assert.deepEqual(table.tableColumns, ['Customer', 'Currency', 'Total Value', 'Documents']);
+  assert.deepEqual(table.tableData.slice(-2), [
+    { Customer: 'All (EUR)', Currency: 'EUR', 'Total Value': '12,300.75', Documents: 2 },
+    { Customer: 'All (USD)', Currency: 'USD', 'Total Value': '36,450.00', Documents: 2 },
+  ]);
+});
+
+test('a top N keeps the subtotals of every matching order', () => {
+  const result = runAnalytics({ dataset: 'purchase_orders', metric: 'sum', field: 'value', group_by: 'vendor', limit: 1 });
+  assert.deepEqual(result.groups.map(group => [group.key, group.currency, group.value]), [['Alpha Industrial', 'USD', 55000]]);
+  assert.deepEqual(result.subtotals.map(subtotal => [subtotal.currency, subtotal.value]), [['EUR', 45000], ['USD', 70500]]);
+});
+
+test('quantities, counts and stock need no currency split', () => {
+  const average = runAnalytics({ dataset: 'purchase_orders', metric: 'avg', field: 'quantity', group_by: 'material' });
+  assert.equal(average.splitByCurrency, false);
+  assert.deepEqual(renderAnalyticsTable(average).tableData, [
+    { Material: 'BEARING-A5', 'Average Quantity': '400', Documents: 2 },
+    { Material: 'VALVE-200', 'Average Quantity': '100', Documents: 1 },
+    { Material: 'PUMP-1001', 'Average Quantity': '20', Documents: 1 },
+  ]);
+
+  const open = runAnalytics({ dataset: 'sales_orders', metric: 'count', status: 'open' });
+  assert.deepEqual(renderAnalyticsTable(open).tableData, [{ Scope: 'All', Count: 2 }]);
+
+  const stock = runAnalytics({ dataset: 'stock', metric: 'sum', group_by: 'plant', sort: 'asc' });
+  assert.deepEqual(stock.groups.map(group => [group.key, group.value]), [['1000', 992], ['2000', 3200]]);
+});
+
+test('fields a dataset does not have are refused', () => {
+  assert.match(runAnalytics({ dataset: 'invoices' }).error, /Unknown dataset 'invoices'/);
+  assert.match(runAnalytics({ dataset: 'stock', field: 'value' }).error, /Cannot aggregate 'value' for inventory/);
+  assert.match(runAnalytics({ dataset: 'sales_orders', group_by: 'plant' }).error, /Cannot group sales orders by 'plant'/);
+});
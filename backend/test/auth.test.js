@@ -0,0 +1,103 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { goldenSet, startTestServer } from './helpers.js';
+import { scriptFromDataset } from '../eval/evaluate.js';
+import { signToken } from '../auth/tokens.js';
+
+// --- Sign-in, roles and what each role may see ---
+// The demo accounts of tools/users.json (password "demo"): ishaan is a plain employee, sam is in
+// sales, hana in HR. HASH has a submitted leave request in the seed data.
+const SECRET = 'a-secret-for-the-auth-tests';
+let server;
+before(async () => {
+  server = await startTestServer({ AUTH_MODE: 'jwt', AUTH_JWT_SECRET: SECRET, INTENT_ROUTER: 'fast' });
+});
+after(() => server.close());
+
+const api = async (token, method, path, body) => {
+  const response = await fetch(`${server.baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const signIn = async username => (await api(null, 'POST', '/api/auth/login', { username, password: 'demo' })).body.token;
+const chat = (token, text) => api(token, 'POST', '/api/chat', { messageHistory: [{ sender: 'user', text }] });
+
+test('signing in gives a token for the account', async () => {
+  assert.equal((await api(null, 'POST', '/api/auth/login', { username: 'sam', password: 'wrong' })).status, 401);
+  assert.equal((await api(null, 'POST', '/api/auth/login', { username: 'nobody', password: 'demo' })).status, 401);
+  const { body } = await api(await signIn('sam'), 'GET', '/api/auth/me');
+  assert.deepEqual([body.user.username, body.user.roles, body.mode], ['sam', ['sales'], 'jwt']);
+  assert.equal((await api(null, 'GET', '/api/auth/me')).body.code, 'unauthenticated');
+});
+
+test('expired, tampered and foreign tokens are refused', async () => {
+  const valid = await signIn('ishaan');
+  const [header, payload, signature] = valid.split('.');
+  const asAdmin = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 'admin' })).toString('base64url');
+  const unsigned = `${Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url')}.${payload}.`;
+  const tokens = {
+    expired: signToken({ sub: 'ishaan' }, SECRET, -60),
+    'other secret': signToken({ sub: 'ishaan' }, 'not-the-server-secret', 3600),
+    'changed payload': `${header}.${asAdmin}.${signature}`,
+    'changed signature': `${header}.${payload}.${signature.slice(0, -2)}${signature.endsWith('AA') ? 'BB' : 'AA'}`,
+    unsigned,
+    'not a token': 'garbage',
+  };
+  for (const [kind, token] of Object.entries(tokens)) {
+    const { status, body } = await api(token, 'GET', '/api/auth/me');
+    assert.equal(status, 401, kind);
+    assert.equal(body.code, 'unauthenticated', kind);
+  }
+  assert.equal((await api(valid, 'GET', '/api/auth/me')).status, 200);
+});
+
+test('a tool the role lacks is declined in the chat, and its route answers 403', async () => {
+  const employee = await signIn('ishaan');
+  const { status, body } = await chat(employee, 'stock of PUMP-1001');
+  assert.equal(status, 200);
+  assert.equal(body.type, 'text');
+  assert.equal(body.tableData, undefined);
+  assert.match(body.content, /Viewing stock and material availability is limited to the sales team and the purchasing team, and you're signed in as Ishaan \(employee\)/);
+
+  const sales = await chat(await signIn('sam'), 'stock of PUMP-1001');
+  assert.equal(sales.body.type, 'table');
+
+  const denied = await api(employee, 'POST', '/api/submit-sales-order', { customer: 'Global Tech Inc.', material: 'PUMP-1001', quantity: 1, amount: 10, currency: 'USD' });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.code, 'forbidden');
+});
+
+test("other employees' leave is out of reach without HR rights", async () => {
+  const employee = await signIn('ishaan');
+  const others = await api(employee, 'GET', '/api/leave-requests?employeeName=HASH');
+  assert.equal(others.status, 403);
+  assert.match(others.body.error, /Viewing other employees' leave is limited to HR/);
+  const own = await api(employee, 'GET', '/api/leave-requests');
+  assert.ok(own.body.every(leave => leave.employeeName === 'Ishaan'));
+  assert.equal((await api(employee, 'GET', '/api/leave-balance?employeeName=HASH')).status, 403);
+
+  // Neither cancelling nor approving someone else's request works
+  assert.equal((await api(employee, 'POST', '/api/leave-requests/1761000063591/cancel')).status, 403);
+  assert.equal((await api(employee, 'POST', '/api/leave-requests/1761000063591/approve')).status, 403);
+
+  // Asked in the chat, the tool declines as well
+  server.provider.setScript([
+    { mode: 'json', match: 'which days is HASH away', response: { type: 'tool_call', tool_name: 'get_leave_requests', parameters: { employee_name: 'HASH' } } },
+    ...scriptFromDataset(goldenSet),
+  ]);
+  try {
+    const { body } = await chat(employee, 'Which days is HASH away?');
+    assert.equal(body.type, 'text');
+    assert.match(body.content, /Viewing other employees' leave is limited to HR/);
+  } finally {
+    server.provider.setScript(scriptFromDataset(goldenSet));
+  }
+
+  const hr = await api(await signIn('hana'), 'GET', '/api/leave-requests?employeeName=HASH');
+  assert.equal(hr.status, 200);
+  assert.ok(hr.body.some(leave => leave.id === 1761000063591));
+});
@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, startTestServer } from './helpers.js';
+
+// --- Available-to-promise per plant (availability.js, /api/materials/:material/availability) ---
+// Seed data for PUMP-1001: 152 on hand in plant 1000, SO-1001 (10, Open) as demand,
+// PO-2001 (20, Ordered) as supply, and PO-2004 (300, In Transit), which doesn't count yet.
+let server;
+before(async () => {
+  server = await startTestServer();
+});
+after(() => server.close());
+
+const availability = async (material, query = '') => {
+  const response = await fetch(`${server.baseUrl}/api/materials/${material}/availability${query}`);
+  return { status: response.status, body: await response.json() };
+};
+
+test('on-hand stock less open demand plus inbound supply, with the documents behind it', async () => {
+  const { status, body } = await availability('PUMP-1001');
+  assert.equal(status, 200);
+  assert.equal(body.type, 'availability');
+  assert.deepEqual(body.availability.plants, [{ plant: '1000', onHand: 152, openDemand: 10, inbound: 20, available: 162 }]);
+  assert.equal(body.availability.totalAvailable, 162);
+  assert.deepEqual(body.availability.documents.map(doc => [doc.id, doc.quantity]), [['SO-1001', -10], ['PO-2001', 20]]);
+  assert.equal(body.content, 'PUMP-1001 (Centrifugal Water Pump): 162 unit(s) available to promise.');
+});
+
+test('a requested quantity is checked against the total, per plant when one is given', async () => {
+  const enough = (await availability('PUMP-1001', '?quantity=162')).body.availability;
+  assert.equal(enough.canFulfil, true);
+  const otherPlant = (await availability('PUMP-1001', '?plant=2000&quantity=1')).body.availability;
+  assert.deepEqual([otherPlant.plants, otherPlant.documents, otherPlant.canFulfil], [[], [], false]);
+
+  assert.equal((await availability('PUMP-1001', '?quantity=-1')).status, 400);
+  assert.equal((await availability('NO-SUCH-PART')).status, 404);
+
+  const { body } = await chat(server.baseUrl, 'Can we ship 200 more PUMP-1001?');
+  assert.equal(body.type, 'availability');
+  assert.equal(body.content, 'Not fully — only 162 of the requested 200 PUMP-1001 are available to promise after open sales orders and inbound purchase orders.');
+});
+
+test('a new open sales order is demand right away', async () => {
+  const response = await fetch(`${server.baseUrl}/api/submit-sales-order`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ customer: 'Global Tech Inc.', material: 'PUMP-1001', quantity: 50, amount: 7500, currency: 'USD' }),
+  });
+  assert.equal(response.status, 200);
+  const { availability: after } = (await availability('PUMP-1001')).body;
+  assert.equal(after.plants[0].openDemand, 60);
+  assert.equal(after.totalAvailable, 112);
+});
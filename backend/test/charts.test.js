@@ -0,0 +1,68 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, startTestServer } from './helpers.js';
+import { renderAnalyticsTable, runAnalytics } from '../analytics.js';
+import { buildAnalyticsChart, chooseChartKind } from '../charts.js';
+
+// --- Chart answers for comparisons and distributions (charts.js) ---
+let server;
+before(async () => {
+  server = await startTestServer();
+});
+after(() => server.close());
+
+const chartFor = (parameters, query) => {
+  const result = runAnalytics(parameters);
+  return buildAnalyticsChart(result, renderAnalyticsTable(result), query);
+};
+
+test('the wording picks the chart kind, or none', () => {
+  assert.equal(chooseChartKind('compare stock levels across plants'), 'bar');
+  assert.equal(chooseChartKind('PO value per vendor'), 'bar');
+  assert.equal(chooseChartKind('share of orders by status'), 'pie');
+  assert.equal(chooseChartKind('order value trend'), 'line');
+  assert.equal(chooseChartKind('PO value per vendor as a pie'), 'pie');
+  assert.equal(chooseChartKind('total open sales order value'), null);
+});
+
+test('each currency is its own series, and the table comes along', () => {
+  const payload = chartFor({ dataset: 'sales_orders', metric: 'sum', field: 'value', group_by: 'customer' }, 'sales order value per customer');
+  assert.equal(payload.type, 'chart');
+  assert.deepEqual(payload.chart, {
+    kind: 'bar',
+    title: 'Total value of sales orders by customer',
+    xLabel: 'Customer',
+    yLabel: 'Total Value',
+    series: [{ key: 'USD', label: 'USD' }, { key: 'EUR', label: 'EUR' }],
+    data: [
+      { label: 'Quantum Supplies', USD: 21000 },
+      { label: 'Global Tech Inc.', USD: 15450, EUR: 4100.25 },
+      { label: 'Innovate Solutions', EUR: 8200.5 },
+    ],
+  });
+  assert.deepEqual(payload.tableColumns, ['Customer', 'Currency', 'Total Value', 'Documents']);
+  assert.equal(payload.tableData.length, 6);
+});
+
+test('a pie with mixed currencies becomes bars; one series keeps the metric as its label', () => {
+  assert.equal(chartFor({ dataset: 'sales_orders', metric: 'sum', field: 'value', group_by: 'customer' }, 'share per customer').chart.kind, 'bar');
+
+  const { chart } = chartFor({ dataset: 'stock', metric: 'sum', group_by: 'plant' }, 'distribution of stock across plants');
+  assert.equal(chart.kind, 'pie');
+  assert.deepEqual(chart.series, [{ key: 'value', label: 'Total Stock' }]);
+  assert.deepEqual(chart.data, [{ label: '2000', value: 3200 }, { label: '1000', value: 992 }]);
+});
+
+test('no chart without groups to compare', () => {
+  assert.equal(chartFor({ dataset: 'sales_orders', metric: 'count' }, 'compare the number of orders'), null);
+  assert.equal(chartFor({ dataset: 'purchase_orders', metric: 'sum', group_by: 'vendor', limit: 1 }, 'top 1 vendor by PO value'), null);
+  assert.equal(chartFor({ dataset: 'purchase_orders', metric: 'sum', group_by: 'vendor' }, 'total PO value'), null);
+});
+
+test('the chat answers a comparison with a chart', async () => {
+  const { body } = await chat(server.baseUrl, 'total open sales order value by customer');
+  assert.equal(body.type, 'chart');
+  assert.equal(body.chart.kind, 'bar');
+  assert.deepEqual(body.chart.data, [{ label: 'Global Tech Inc.', USD: 15450 }, { label: 'Innovate Solutions', EUR: 8200.5 }]);
+  assert.deepEqual(body.tableColumns, ['Customer', 'Currency', 'Total Value', 'Documents']);
+});
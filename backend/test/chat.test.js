@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, goldenSet, startTestServer } from './helpers.js';
+import { runCase, scriptFromDataset } from '../eval/evaluate.js';
+import { OFFLINE_HELP } from '../intentRouter.js';
+
+// --- /api/chat end to end, intent router in its default fast mode ---
+let server;
+before(async () => {
+  server = await startTestServer({ INTENT_ROUTER: 'fast' });
+});
+after(() => server.close());
+
+for (const testCase of goldenSet) {
+  test(`golden: ${testCase.id} ("${testCase.utterance}")`, async () => {
+    const result = await runCase(server.baseUrl, testCase);
+    assert.equal(result.error, null);
+    assert.equal(result.tool, testCase.expect.tool);
+    assert.notEqual(result.parametersMatch, false, `parameters ${JSON.stringify(result.parameters)}, expected ${JSON.stringify(testCase.expect.parameters)}`);
+    assert.notEqual(result.rowsMatch, false, `${result.rows} row(s), expected ${testCase.expect.rows}`);
+  });
+}
+
+test('obvious requests are routed without calling the LLM', async () => {
+  server.provider.calls.length = 0;
+  const { body } = await chat(server.baseUrl, 'open sales orders for Global Tech');
+  assert.equal(body.toolCall.name, 'get_sales_orders');
+  assert.equal(server.provider.calls.length, 0);
+});
+
+test('a limit the routed tool cannot apply goes to the LLM instead of being dropped', async () => {
+  server.provider.calls.length = 0;
+  const stock = await chat(server.baseUrl, 'stock below 1000');
+  assert.deepEqual(stock.body.toolCall.parameters, { comparison: 'less than', quantity: 1000 });
+  assert.equal(server.provider.calls.length, 0);
+
+  await chat(server.baseUrl, 'show sales orders over 5000');
+  assert.ok(server.provider.calls.length > 0);
+});
+
+test('"What is a purchase order?" explains the term, "What are the purchase orders?" lists them', async () => {
+  const definition = await chat(server.baseUrl, 'What is a purchase order?');
+  const listing = await chat(server.baseUrl, 'What are the purchase orders?');
+  assert.equal(definition.body.toolCall.name, 'get_sap_definition');
+  assert.equal(listing.body.toolCall.name, 'get_purchase_orders');
+  assert.equal(listing.body.type, 'table');
+});
+
+test('when the LLM is down, data lookups and definitions still work', async () => {
+  server.provider.setScript([{ error: { code: 'network', status: 503, message: 'Service unavailable' } }]);
+  try {
+    const stock = await chat(server.baseUrl, 'stock of PUMP-1001');
+    assert.equal(stock.body.type, 'table');
+    assert.equal(stock.body.tableData[0].Material, 'PUMP-1001');
+
+    // A term nobody asked about yet, so no cached explanation answers it
+    const definition = await chat(server.baseUrl, 'What is FB50?');
+    assert.match(definition.body.content, /\*\*FB50\*\*/);
+    assert.ok(definition.body.sources.length > 0);
+
+    const other = await chat(server.baseUrl, 'tell me a joke');
+    assert.equal(other.status, 200);
+    assert.equal(other.body.content, OFFLINE_HELP);
+  } finally {
+    server.provider.setScript(scriptFromDataset(goldenSet));
+  }
+});
+
+test('a history with entries that are not { sender, text } objects is refused', async () => {
+  for (const entry of [null, 'stock of PUMP-1001', ['user'], { text: 'hi' }]) {
+    const { status, body } = await chat(server.baseUrl, 'stock of PUMP-1001', [entry]);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid messageHistory provided.');
+  }
+});
+
+test('a turn that fails outside the tool call still gets an answer on both endpoints', async () => {
+  // Passes the history check, but its table rows can't be summarized for the transcript
+  const history = [{ sender: 'user', text: 'stock of PUMP-1001' }, { sender: 'bot', type: 'table', tableData: [null] }];
+  const { status, body } = await chat(server.baseUrl, 'only PUMP-1001', history);
+  assert.equal(status, 500);
+  assert.equal(body.error, 'An internal server error occurred processing your request.');
+
+  const response = await fetch(`${server.baseUrl}/api/chat/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messageHistory: [...history, { sender: 'user', text: 'only PUMP-1001' }] }),
+    signal: AbortSignal.timeout(5000),
+  });
+  assert.match(await response.text(), /^event: error\ndata: \{"status":500,"error":"An internal server error occurred processing your request\."\}\n\n$/);
+});
@@ -0,0 +1,37 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, goldenSet, startTestServer } from './helpers.js';
+import { runCase } from '../eval/evaluate.js';
+
+// --- /api/chat end to end with every decision made by the (scripted) LLM ---
+// Covers the prompt -> decision -> validation -> tool path the intent router skips.
+let server;
+before(async () => {
+  server = await startTestServer({ INTENT_ROUTER: 'off' });
+});
+after(() => server.close());
+
+for (const testCase of goldenSet) {
+  test(`golden via LLM: ${testCase.id}`, async () => {
+    const result = await runCase(server.baseUrl, testCase);
+    assert.equal(result.error, null);
+    assert.equal(result.tool, testCase.expect.tool);
+    assert.notEqual(result.parametersMatch, false, `parameters ${JSON.stringify(result.parameters)}, expected ${JSON.stringify(testCase.expect.parameters)}`);
+    assert.notEqual(result.rowsMatch, false, `${result.rows} row(s), expected ${testCase.expect.rows}`);
+  });
+}
+
+test('the decision prompt carries the tool list and the latest input', async () => {
+  server.provider.calls.length = 0;
+  await chat(server.baseUrl, 'stock of PUMP-1001');
+  const [decisionCall] = server.provider.calls;
+  assert.equal(decisionCall.jsonMode, true);
+  assert.match(decisionCall.messages[0].content, /query_inventory/);
+  assert.match(decisionCall.messages[1].content, /latest input: "stock of PUMP-1001"/);
+});
+
+test('an LLM failure is reported with its status when the router is off', async () => {
+  server.provider.setScript([{ error: { code: 'http', status: 429, message: 'Rate limited' } }]);
+  const { status } = await chat(server.baseUrl, 'stock of PUMP-1001');
+  assert.equal(status, 429);
+});
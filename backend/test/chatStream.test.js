@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { goldenSet, startTestServer } from './helpers.js';
+import { scriptFromDataset } from '../eval/evaluate.js';
+import { LLMError, setLLMProvider } from '../llm/index.js';
+
+// --- /api/chat/stream: Server-Sent Events and cancellation ---
+let server;
+before(async () => {
+  server = await startTestServer({ INTENT_ROUTER: 'off' });
+});
+after(() => server.close());
+
+const openStream = (text, signal) => fetch(`${server.baseUrl}/api/chat/stream`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ messageHistory: [{ sender: 'user', text }] }),
+  signal,
+});
+
+const parseEvents = body => body.split('\n\n').filter(Boolean).map(frame => ({
+  event: /^event: (.+)$/m.exec(frame)[1],
+  data: JSON.parse(/^data: (.+)$/m.exec(frame)[1]),
+}));
+
+test('a definition streams progress, then tokens, then the final payload', async () => {
+  const response = await openStream('What is FB60?');
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+  const events = parseEvents(await response.text());
+
+  assert.deepEqual(events.filter(({ event }) => event === 'status').map(({ data }) => data.stage), ['deciding', 'running', 'explaining']);
+  const tokens = events.filter(({ event }) => event === 'token').map(({ data }) => data.text);
+  assert.ok(tokens.length > 1);
+  const final = events.at(-1);
+  assert.equal(final.event, 'response');
+  assert.equal(final.data.content, tokens.join('').trim());
+  assert.equal(final.data.toolCall.name, 'get_sap_definition');
+});
+
+test('tables arrive as one typed response event', async () => {
+  const events = parseEvents(await (await openStream('stock of PUMP-1001')).text());
+  const final = events.at(-1);
+  assert.equal(final.event, 'response');
+  assert.equal(final.data.type, 'table');
+  assert.equal(events.some(({ event }) => event === 'token'), false);
+});
+
+test('closing the stream cancels the LLM call on the server', async () => {
+  let cancelled = false;
+  setLLMProvider({
+    name: 'hanging',
+    model: 'hanging',
+    complete: ({ signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        cancelled = true;
+        reject(new LLMError('aborted', 'The request was cancelled.', { status: 499, provider: 'hanging' }));
+      });
+    }),
+  });
+  try {
+    const controller = new AbortController();
+    const response = await openStream('stock of PUMP-1001', controller.signal);
+    const reader = response.body.getReader();
+    const { value } = await reader.read();
+    assert.match(Buffer.from(value).toString(), /event: status/);
+    controller.abort();
+
+    for (let i = 0; i < 50 && !cancelled; i++) await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(cancelled, true);
+  } finally {
+    setLLMProvider(server.provider);
+    server.provider.setScript(scriptFromDataset(goldenSet));
+  }
+});
@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, goldenSet, startTestServer } from './helpers.js';
+import { scriptFromDataset } from '../eval/evaluate.js';
+import { resolveMention } from '../disambiguation.js';
+
+// --- Clarifications: unclear materials, customers and vendors are asked about, and the pick re-runs the tool ---
+let server;
+before(async () => {
+  server = await startTestServer({ INTENT_ROUTER: 'off' });
+});
+after(() => server.close());
+
+const toolCall = (tool_name, parameters) => ({ type: 'tool_call', tool_name, parameters });
+const rule = (utterance, decision) => ({ mode: 'json', match: `latest input: ${JSON.stringify(utterance)}`, response: decision });
+
+const withScript = async (rules, run) => {
+  server.provider.setScript([...rules, ...scriptFromDataset(goldenSet)]);
+  try {
+    await run();
+  } finally {
+    server.provider.setScript(scriptFromDataset(goldenSet));
+  }
+};
+
+// The bot entry the frontend sends back in messageHistory
+const asHistory = (text, body) => [{ sender: 'user', text }, { sender: 'bot', text: body.content, ...body }];
+const values = body => body.choices.map(choice => choice.value);
+
+test('mentions are rated against the known materials, customers and vendors', () => {
+  assert.equal(resolveMention('PUMP-1001', 'material').status, 'exact');
+  assert.equal(resolveMention('pumps', 'material').status, 'confident');
+  const ball = resolveMention('ball', 'material');
+  assert.equal(ball.status, 'ambiguous');
+  assert.deepEqual(ball.choices.map(choice => choice.value).sort(), ['BEARING-A5', 'VALVE-200']);
+  assert.equal(ball.choices.find(choice => choice.value === 'VALVE-200').label, 'VALVE-200 (Industrial Ball Valve)');
+  assert.deepEqual(resolveMention('globl tech', 'customer'), { status: 'unsure', choices: [{ value: 'Global Tech Inc.', label: 'Global Tech Inc.' }] });
+  assert.equal(resolveMention('Alpha Industrial', 'vendor').status, 'exact');
+  assert.equal(resolveMention('widget', 'material').status, 'none');
+});
+
+test('an ambiguous material gets a clarification, and picking a choice re-runs the lookup without the LLM', async () => {
+  await withScript([rule('stock of ball', toolCall('query_inventory', { material_id: 'ball' }))], async () => {
+    const asked = await chat(server.baseUrl, 'stock of ball');
+    assert.equal(asked.body.type, 'clarification');
+    assert.match(asked.body.content, /"ball" matches more than one material/);
+    assert.deepEqual(values(asked.body).sort(), ['BEARING-A5', 'VALVE-200']);
+    assert.deepEqual(asked.body.toolCall, { name: 'query_inventory', parameters: { material_id: 'ball' } });
+
+    server.provider.calls.length = 0;
+    const picked = await chat(server.baseUrl, 'BEARING-A5', asHistory('stock of ball', asked.body));
+    assert.equal(server.provider.calls.length, 0);
+    assert.equal(picked.body.type, 'table');
+    assert.deepEqual(picked.body.tableData.map(row => row.Material), ['BEARING-A5']);
+    assert.deepEqual(picked.body.toolCall.parameters, { material_id: 'BEARING-A5' });
+  });
+});
+
+test('only the unclear mention of a list is replaced by the pick', async () => {
+  await withScript([rule('stock of pumps and ball', toolCall('query_inventory', { material_id: 'pumps and ball' }))], async () => {
+    const asked = await chat(server.baseUrl, 'stock of pumps and ball');
+    const valve = asked.body.choices.find(choice => choice.value === 'VALVE-200');
+    // The chip's label works as well as its value
+    const picked = await chat(server.baseUrl, valve.label, asHistory('stock of pumps and ball', asked.body));
+    assert.deepEqual(picked.body.toolCall.parameters, { material_id: 'pumps, VALVE-200' });
+    assert.deepEqual(picked.body.tableData.map(row => row.Material), ['PUMP-1001', 'VALVE-200']);
+  });
+});
+
+test('a stock lookup without a material asks which one, with an "All materials" choice', async () => {
+  await withScript([rule('show me the stock', toolCall('query_inventory', {}))], async () => {
+    const asked = await chat(server.baseUrl, 'show me the stock');
+    assert.equal(asked.body.type, 'clarification');
+    assert.deepEqual(values(asked.body), ['PUMP-1001', 'VALVE-200', 'BEARING-A5', 'all materials']);
+
+    const all = await chat(server.baseUrl, 'All materials', asHistory('show me the stock', asked.body));
+    assert.equal(all.body.tableData.length, 3);
+  });
+});
+
+test('a mistyped customer is confirmed instead of silently matched, and an unknown one lists the customers', async () => {
+  const rules = [
+    rule('orders for globl tech', toolCall('get_sales_orders', { customer: 'globl tech' })),
+    rule('orders for nobody', toolCall('get_sales_orders', { customer: 'Nobody Ltd' })),
+  ];
+  await withScript(rules, async () => {
+    const asked = await chat(server.baseUrl, 'orders for globl tech');
+    assert.match(asked.body.content, /Did you mean this one\?/);
+    assert.deepEqual(values(asked.body), ['Global Tech Inc.']);
+    const picked = await chat(server.baseUrl, 'Global Tech Inc.', asHistory('orders for globl tech', asked.body));
+    assert.deepEqual(picked.body.tableData.map(row => row.ID), ['SO-1001', 'SO-1004']);
+
+    const unknown = await chat(server.baseUrl, 'orders for nobody');
+    assert.match(unknown.body.content, /couldn't find a customer matching "Nobody Ltd"/);
+    assert.deepEqual(values(unknown.body), ['Global Tech Inc.', 'Innovate Solutions', 'Quantum Supplies']);
+  });
+});
+
+test('typing something other than a choice is handled as a new message', async () => {
+  await withScript([rule('stock of ball', toolCall('query_inventory', { material_id: 'ball' }))], async () => {
+    const asked = await chat(server.baseUrl, 'stock of ball');
+    server.provider.calls.length = 0;
+    const { body } = await chat(server.baseUrl, 'stock of PUMP-1001', asHistory('stock of ball', asked.body));
+    assert.equal(server.provider.calls[0].jsonMode, true);
+    assert.deepEqual(body.tableData.map(row => row.Material), ['PUMP-1001']);
+  });
+});
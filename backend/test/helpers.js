@@ -0,0 +1,37 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// --- Shared setup for the API tests ---
+// node --test runs every file in its own process, so each file can pick its own environment.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const goldenSet = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'eval', 'golden.json'), 'utf-8'));
+
+// Starts the app on a free port with an in-memory database and the golden set's scripted LLM.
+// Resolves to { baseUrl, close, provider } (provider is the mock, to inspect or replace its script).
+export async function startTestServer(env = {}) {
+  Object.assign(process.env, { AUTH_MODE: 'none', LLM_PROVIDER: 'mock', CHAT_RATE_LIMIT: '0', LLM_RETRY_BASE_MS: '1', LOG_LEVEL: 'silent' }, env);
+  console.log = console.warn = () => {};
+
+  const { openDatabase, setDatabase } = await import('../db/database.js');
+  const { setLLMProvider } = await import('../llm/index.js');
+  const { createMockProvider } = await import('../llm/mockProvider.js');
+  const { scriptFromDataset, startServer } = await import('../eval/evaluate.js');
+  const { default: app } = await import('../app.js');
+
+  setDatabase(openDatabase(':memory:'));
+  const provider = createMockProvider({ script: scriptFromDataset(goldenSet) });
+  setLLMProvider(provider);
+  const server = await startServer(app);
+  return { ...server, provider };
+}
+
+export async function chat(baseUrl, text, history = []) {
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messageHistory: [...history, { sender: 'user', text }] }),
+  });
+  return { status: response.status, body: await response.json() };
+}
@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, startTestServer } from './helpers.js';
+import { MIN_CONFIDENCE, chunkEntry, findNamedTerms, retrieveKnowledge } from '../knowledge.js';
+
+// --- Knowledge base retrieval: passages, ranking and the sources an answer cites (knowledge.js) ---
+let server;
+before(async () => {
+  server = await startTestServer({ INTENT_ROUTER: 'off' });
+});
+after(() => server.close());
+
+const ranked = query => retrieveKnowledge(query).passages.map(passage => [passage.term, passage.match]);
+
+test('entries are cut into passages of whole sentences', () => {
+  const sentence = 'The three-way match compares the purchase order, the goods receipt and the invoice before payment.';
+  const passages = chunkEntry({ id: 7, term: 'Three-way match', module: 'MM', definition: `${sentence} ${sentence}`, description: sentence });
+  assert.deepEqual(passages.map(passage => passage.index), [0, 1]);
+  assert.deepEqual(passages.map(passage => passage.text), [`${sentence} ${sentence}`, sentence]);
+  assert.ok(passages.every(passage => passage.text.length <= 240 && passage.entryId === 7 && passage.term === 'Three-way match'));
+});
+
+test('a named T-code or term comes first, whatever its spelling', () => {
+  assert.deepEqual(ranked('fb60')[0], ['FB60', 'exact']);
+  assert.deepEqual(ranked('f-02')[0], ['F-02', 'exact']);
+  assert.deepEqual(findNamedTerms('what is fb60 and me21n'), ['FB60', 'ME21N']);
+});
+
+test('passages are ranked by keywords or, for typos, fuzzily, and weak ones are left out', () => {
+  assert.deepEqual(ranked('how do I post a vendor invoice'), [['FB60', 'keyword'], ['F-43', 'keyword']]);
+  assert.deepEqual(ranked('fiory')[0], ['SAP Fiori', 'fuzzy']);
+  assert.deepEqual(ranked('quarterly pizza budget'), []);
+
+  const { passages } = retrieveKnowledge('S/4HANA');
+  const confidences = passages.map(passage => passage.confidence);
+  assert.deepEqual(confidences, [...confidences].sort((a, b) => b - a));
+  assert.ok(confidences.every(confidence => confidence >= MIN_CONFIDENCE));
+});
+
+test('each cited entry is listed once, its passages joined in the excerpt', () => {
+  const { passages, sources } = retrieveKnowledge('S/4HANA');
+  assert.equal(passages.filter(passage => passage.term === 'SAP S/4HANA').length, 2);
+  const terms = sources.map(source => source.term);
+  assert.deepEqual(terms, [...new Set(passages.map(passage => passage.term))]);
+  const s4hana = sources.find(source => source.term === 'SAP S/4HANA');
+  assert.equal(s4hana.excerpt.split(' … ').length, 2);
+  assert.equal(s4hana.module, passages.find(passage => passage.term === 'SAP S/4HANA').module);
+});
+
+test('the answer cites its sources, and the prompt carries the ranked passages', async () => {
+  const { body } = await chat(server.baseUrl, 'What is FB60?');
+  assert.deepEqual(body.sources.map(source => source.term), ['FB60', 'YFB60', 'FB50']);
+  assert.equal(body.sources[0].confidence, 1);
+  const explanation = server.provider.calls.find(call => !call.jsonMode);
+  const prompt = explanation.messages.findLast(message => message.role === 'user').content;
+  assert.ok(prompt.indexOf('Term: "FB60"') < prompt.indexOf('Term: "YFB60"'));
+});
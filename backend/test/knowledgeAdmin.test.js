@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { goldenSet, startTestServer } from './helpers.js';
+import { scriptFromDataset } from '../eval/evaluate.js';
+
+// --- Knowledge base admin API: edits, bulk import and the gaps report (/api/knowledge) ---
+// Header authentication: kim is an administrator, ishaan a plain employee.
+let server;
+before(async () => {
+  server = await startTestServer({ AUTH_MODE: 'header', INTENT_ROUTER: 'off' });
+  server.provider.setScript([
+    ...['ZPICK', 'Zorblax'].map(term => ({
+      mode: 'json',
+      match: `latest input: "What is ${term}\\?"`,
+      response: { type: 'tool_call', tool_name: 'get_sap_definition', parameters: { term } },
+    })),
+    ...scriptFromDataset(goldenSet),
+  ]);
+});
+after(() => server.close());
+
+const ADMIN = { 'X-Remote-User': 'kim', 'X-Remote-Roles': 'admin' };
+const EMPLOYEE = { 'X-Remote-User': 'ishaan', 'X-Remote-Roles': 'employee' };
+
+const api = async (method, path, body, headers = ADMIN) => {
+  const raw = typeof body === 'string';
+  const response = await fetch(`${server.baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': raw ? 'text/markdown' : 'application/json', ...headers },
+    body: body === undefined || raw ? body : JSON.stringify(body),
+  });
+  return { status: response.status, body: response.status === 204 ? null : await response.json() };
+};
+
+const ask = async text => (await api('POST', '/api/chat', { messageHistory: [{ sender: 'user', text }] })).body;
+const search = async query => (await api('GET', `/api/knowledge?q=${encodeURIComponent(query)}`)).body.map(entry => entry.term);
+
+test('entries are created, changed and deleted, and duplicates are refused', async () => {
+  const created = await api('POST', '/api/knowledge', { term: ' ZPICK ', definition: 'A custom transaction that prints pick lists per delivery.', module: 'SD' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.term, 'ZPICK');
+  const { id } = created.body;
+
+  const duplicate = await api('POST', '/api/knowledge', { term: 'fb60', definition: 'Again.' });
+  assert.equal(duplicate.status, 409);
+  assert.match(duplicate.body.error, /'FB60' is already in the knowledge base/);
+  assert.equal((await api('POST', '/api/knowledge', { term: 'F02', definition: 'The same code without the dash.' })).status, 409);
+  assert.deepEqual((await api('POST', '/api/knowledge', { term: 'ZNEW' })).body.details.map(error => error.field), ['definition']);
+  assert.equal((await api('POST', '/api/knowledge', { term: 'ZNEW', definition: 'x' }, EMPLOYEE)).status, 403);
+
+  const updated = await api('PATCH', `/api/knowledge/${id}`, { definition: 'A custom transaction that prints pick lists per delivery and route.' });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.module, 'SD');
+  assert.equal((await api('PATCH', `/api/knowledge/${id}`, { term: 'FB60' })).status, 409);
+  assert.equal((await api('PATCH', '/api/knowledge/999999', { definition: 'x' })).status, 404);
+  assert.equal((await api('GET', `/api/knowledge/${id}`, undefined, EMPLOYEE)).body.definition, updated.body.definition);
+
+  // Searchable and answerable at once, without a restart
+  assert.ok((await search('zpick')).includes('ZPICK'));
+  assert.deepEqual((await ask('What is ZPICK?')).sources.map(source => source.term), ['ZPICK']);
+
+  assert.equal((await api('DELETE', `/api/knowledge/${id}`)).status, 204);
+  assert.equal((await api('DELETE', `/api/knowledge/${id}`)).status, 404);
+  assert.ok(!(await search('zpick')).includes('ZPICK'));
+});
+
+test('a CSV glossary is imported all or nothing, skipping terms already there', async () => {
+  const csv = 'Term,Definition,Module\nZCSV1,"First imported term, with a comma.",FI\nZCSV2,Second imported term.,MM\nFB60,A duplicate of the seed entry.,FI\n';
+  const dryRun = await api('POST', '/api/knowledge/import', { format: 'csv', content: csv, dryRun: true });
+  assert.equal(dryRun.status, 200);
+  assert.deepEqual([dryRun.body.created, dryRun.body.applied], [['ZCSV1', 'ZCSV2'], false]);
+  assert.deepEqual(dryRun.body.skipped.map(skip => [skip.line, skip.term]), [[4, 'FB60']]);
+  assert.ok(!(await search('ZCSV1')).includes('ZCSV1'));
+
+  const broken = await api('POST', '/api/knowledge/import', { format: 'csv', content: `${csv}ZCSV3,,FI\n` });
+  assert.equal(broken.status, 422);
+  assert.deepEqual(broken.body.errors, [{ line: 5, term: 'ZCSV3', message: 'Definition is required.' }]);
+  assert.equal(broken.body.applied, false);
+
+  const applied = await api('POST', '/api/knowledge/import', { format: 'csv', content: csv });
+  assert.equal(applied.body.applied, true);
+  assert.deepEqual((await api('GET', '/api/knowledge?q=ZCSV1')).body[0].definition, 'First imported term, with a comma.');
+
+  // A Markdown file sent as is, overwriting what is there
+  const markdown = '- **ZMD1**: Imported from a list item.\n\n## ZCSV2\nSecond imported term, now longer.\nModule: MM\n';
+  const fromMarkdown = await api('POST', '/api/knowledge/import?onDuplicate=update', markdown);
+  assert.deepEqual([fromMarkdown.body.created, fromMarkdown.body.updated], [['ZMD1'], ['ZCSV2']]);
+  assert.equal((await api('POST', '/api/knowledge/import', { format: 'pdf', content: 'x' })).status, 400);
+  assert.equal((await api('POST', '/api/knowledge/import', { format: 'csv', content: csv }, EMPLOYEE)).status, 403);
+});
+
+test('unanswered terms are reported until the knowledge base covers them', async () => {
+  await ask('What is Zorblax?');
+  await ask('What is Zorblax?');
+  const gaps = (await api('GET', '/api/knowledge/gaps')).body;
+  assert.deepEqual(gaps.map(gap => [gap.term, gap.count, gap.lastQuery]), [['Zorblax', 2, 'What is Zorblax?']]);
+  assert.equal((await api('GET', '/api/knowledge/gaps', undefined, EMPLOYEE)).status, 403);
+
+  await api('POST', '/api/knowledge', { term: 'Zorblax', definition: 'A made-up term the gaps report asked for.' });
+  assert.deepEqual((await api('GET', '/api/knowledge/gaps')).body, []);
+  assert.deepEqual((await api('GET', '/api/knowledge/gaps?includeCovered=true')).body.map(gap => [gap.term, gap.covered]), [['Zorblax', true]]);
+
+  assert.equal((await api('DELETE', '/api/knowledge/gaps/Zorblax')).status, 204);
+  assert.equal((await api('DELETE', '/api/knowledge/gaps/Zorblax')).status, 404);
+});
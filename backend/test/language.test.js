@@ -0,0 +1,158 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, goldenSet, startTestServer } from './helpers.js';
+import { scriptFromDataset } from '../eval/evaluate.js';
+import { detectLanguage } from '../language.js';
+import { extractMultipleItems } from '../helpers.js';
+import { isFollowUpQuery } from '../conversation.js';
+import { chooseChartKind } from '../charts.js';
+
+// --- Conversations in German and Hindi: same tools, replies and headers in the user's language ---
+let server;
+before(async () => {
+  server = await startTestServer({ INTENT_ROUTER: 'off' });
+});
+after(() => server.close());
+
+const toolCall = (tool_name, parameters) => ({ type: 'tool_call', tool_name, parameters });
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const rule = (utterance, decision) => ({ mode: 'json', match: escapeRegExp(`latest input: ${JSON.stringify(utterance)}`), response: decision });
+
+const withScript = async (rules, run) => {
+  server.provider.setScript([...rules, ...scriptFromDataset(goldenSet)]);
+  try {
+    await run();
+  } finally {
+    server.provider.setScript(scriptFromDataset(goldenSet));
+  }
+};
+
+const api = async (method, path, body) => {
+  const response = await fetch(`${server.baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: response.status === 204 ? null : await response.json() };
+};
+
+const promptOf = call => call.messages.findLast(message => message.role === 'user').content;
+const translationCalls = () => server.provider.calls.filter(call => /^Translate into/.test(promptOf(call)));
+
+test('the language is told by the script, then by typical words', () => {
+  assert.equal(detectLanguage('Zeige mir die offenen Bestellungen'), 'de');
+  assert.equal(detectLanguage('Was ist FB60?'), 'de');
+  assert.equal(detectLanguage('Wie viele Pumpen haben wir?'), 'de');
+  assert.equal(detectLanguage('PUMP-1001 का स्टॉक दिखाओ'), 'hi');
+  assert.equal(detectLanguage('PUMP-1001 ka stock kitna hai'), 'hi');
+  assert.equal(detectLanguage('Show me the open purchase orders'), 'en');
+  assert.equal(detectLanguage('PUMP-1001'), null);
+  assert.equal(detectLanguage('FB60'), null);
+});
+
+test('items are split on German and Hindi conjunctions and put into English', () => {
+  assert.deepEqual(extractMultipleItems('Pumpen und Lager'), ['pump', 'bearing']);
+  assert.deepEqual(extractMultipleItems('PUMP-1001 oder Ventile'), ['PUMP-1001', 'valve']);
+  assert.deepEqual(extractMultipleItems('पंप और बेयरिंग'), ['pump', 'bearing']);
+  assert.deepEqual(extractMultipleItems('pumps and bearings'), ['pumps', 'bearings']);
+});
+
+test('follow-ups and chart requests are recognised in German and Hindi', () => {
+  for (const text of ['Und was ist mit Precision Parts?', 'Nur die offenen', 'Zeige davon die gelieferten', 'सिर्फ़ खुले वाले', 'उनमें से कौन से खुले हैं?', 'aur Precision Parts ke?', 'What about Alpha Industrial?']) {
+    assert.equal(isFollowUpQuery(text), true, text);
+  }
+  for (const text of ['Zeige die Bestellungen von Alpha Industrial', 'Kunden mit offenen Aufträgen', 'PUMP-1001 का स्टॉक दिखाओ', 'Show all purchase orders']) {
+    assert.equal(isFollowUpQuery(text), false, text);
+  }
+  assert.equal(chooseChartKind('Vergleiche den Auftragswert je Kunde'), 'bar');
+  assert.equal(chooseChartKind('Verteilung der Bestellungen nach Status'), 'pie');
+  assert.equal(chooseChartKind('ग्राहक के हिसाब से बिक्री की तुलना करो'), 'bar');
+  assert.equal(chooseChartKind('स्थिति के अनुसार ऑर्डर का वितरण'), 'pie');
+  assert.equal(chooseChartKind('Zeige die offenen Aufträge'), null);
+});
+
+test('a German or Hindi follow-up keeps the filters of the previous answer', async () => {
+  const previous = [
+    { sender: 'user', text: 'Zeige die Bestellungen von Alpha Industrial' },
+    { sender: 'bot', type: 'table', text: '', toolCall: { name: 'get_purchase_orders', parameters: { vendor: 'Alpha Industrial' } } },
+  ];
+  for (const utterance of ['Nur die bestellten davon', 'उनमें से सिर्फ़ ऑर्डर किए गए']) {
+    await withScript([rule(utterance, toolCall('get_purchase_orders', { status: 'Ordered' }))], async () => {
+      const { body } = await chat(server.baseUrl, utterance, previous);
+      assert.equal(body.type, 'table', utterance);
+      assert.deepEqual(body.tableData.map(row => row.ID), ['PO-2001'], utterance);
+    });
+  }
+});
+
+test('a German request runs the same tool and comes back with German headers', async () => {
+  const utterance = 'Zeige den Bestand von Pumpen und Lager';
+  await withScript([rule(utterance, toolCall('query_inventory', { material_id: 'pump and bearing' }))], async () => {
+    const { status, body } = await chat(server.baseUrl, utterance);
+    assert.equal(status, 200);
+    assert.match(promptOf(server.provider.calls[0]), /The user writes in German/);
+    assert.equal(body.type, 'table');
+    assert.deepEqual(body.tableData.map(row => row.Material).sort(), ['BEARING-A5', 'PUMP-1001']);
+    assert.deepEqual(body.tableColumns, ['Material', 'Description', 'Stock Level', 'Plant']);
+    assert.equal(body.columnLabels['Stock Level'], 'Lagerbestand');
+    assert.equal(body.columnLabels.Plant, 'Werk');
+    // Every header is in the dictionary, so the LLM isn't asked to translate
+    assert.equal(translationCalls().length, 0);
+
+    const page = await api('GET', `/api/tables/${encodeURIComponent(body.resultToken)}?page=1`);
+    assert.equal(page.body.columnLabels.Description, 'Beschreibung');
+    const csv = await fetch(`${server.baseUrl}/api/tables/${encodeURIComponent(body.resultToken)}/export?format=csv`);
+    assert.equal((await csv.text()).replace(/^﻿/, '').split('\r\n')[0], 'Material,Beschreibung,Lagerbestand,Werk');
+  });
+});
+
+test('English replies of the tools are translated, and English conversations are left alone', async () => {
+  const utterance = 'Sag mir bitte Bescheid, wenn BEARING-A5 unter 1000 fällt';
+  const translated = 'Erledigt. Ich benachrichtige Sie, wenn der Bestand von BEARING-A5 unter 1.000 Einheiten fällt.';
+  await withScript([
+    rule(utterance, toolCall('create_watch_rule', { subject: 'stock', material_id: 'BEARING-A5', comparison: 'less than', quantity: 1000 })),
+    { mode: 'json', match: '^Translate into German', response: { translations: [translated] } },
+  ], async () => {
+    const { body } = await chat(server.baseUrl, utterance);
+    assert.equal(body.content, translated);
+    assert.equal(translationCalls().length, 1);
+    assert.match(promptOf(translationCalls()[0]), /Done\. I'll notify you when BEARING-A5 stock drops below 1,000 units/);
+
+    server.provider.calls.length = 0;
+    const english = await chat(server.baseUrl, 'Stock of PUMP-1001');
+    assert.equal(english.body.type, 'table');
+    assert.equal(english.body.columnLabels, undefined);
+    assert.doesNotMatch(promptOf(server.provider.calls[0]), /The user writes in/);
+    assert.equal(translationCalls().length, 0);
+  });
+});
+
+test('knowledge base entries can be translated, and answers use the translation', async () => {
+  const [entry] = (await api('GET', '/api/knowledge?q=FB60')).body.filter(candidate => candidate.term === 'FB60');
+  const definition = 'FB60 ist eine Standard-Transaktion im SAP FI zur Erfassung einer Kreditorenrechnung ohne Bestellbezug.';
+  assert.equal((await api('PUT', `/api/knowledge/${entry.id}/translations/fr`, { term: 'FB60', definition })).status, 400);
+  assert.equal((await api('PUT', `/api/knowledge/${entry.id}/translations/en`, { term: 'FB60', definition })).status, 400);
+  assert.equal((await api('PUT', '/api/knowledge/999999/translations/de', { term: 'FB60', definition })).status, 404);
+  assert.equal((await api('PUT', `/api/knowledge/${entry.id}/translations/de`, { term: 'FB60' })).status, 400);
+  const { status, body: translation } = await api('PUT', `/api/knowledge/${entry.id}/translations/de`, { term: 'FB60', definition });
+  assert.equal(status, 200);
+  assert.equal(translation.definition, definition);
+  assert.deepEqual((await api('GET', `/api/knowledge/${entry.id}/translations`)).body.map(row => row.language), ['de']);
+
+  const utterance = 'Was ist FB60?';
+  await withScript([rule(utterance, toolCall('get_sap_definition', { term: 'FB60' }))], async () => {
+    const { body } = await chat(server.baseUrl, utterance);
+    assert.equal(body.language, 'de');
+    const explanation = server.provider.calls.find(call => /Write your whole answer in German/.test(promptOf(call)));
+    assert.ok(explanation);
+    assert.match(promptOf(explanation), /Kreditorenrechnung ohne Bestellbezug/);
+    // The German passage replaces the English one of the same entry; related entries stay in English
+    assert.doesNotMatch(promptOf(explanation), /posts a non-PO related invoice/);
+    assert.match(promptOf(explanation), /Passages in English are to be translated/);
+    // Written in German already
+    assert.equal(translationCalls().length, 0);
+  });
+
+  assert.equal((await api('DELETE', `/api/knowledge/${entry.id}/translations/de`)).status, 204);
+  assert.equal((await api('DELETE', `/api/knowledge/${entry.id}/translations/de`)).status, 404);
+});
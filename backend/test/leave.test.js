@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+import { countLeaveDays } from '../leave.js';
+
+// --- Leave requests and balances ---
+// Header authentication: mia is a plain employee with no leave in the seed data.
+let server;
+before(async () => {
+  server = await startTestServer({ AUTH_MODE: 'header' });
+});
+after(() => server.close());
+
+const api = async (method, path, body) => {
+  const response = await fetch(`${server.baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'X-Remote-User': 'mia', 'X-Remote-Roles': 'employee' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('working days are counted per calendar year', () => {
+  assert.equal(countLeaveDays('2026-12-28', '2027-01-08'), 10);
+  assert.equal(countLeaveDays('2026-12-28', '2027-01-08', 2026), 4);
+  assert.equal(countLeaveDays('2026-12-28', '2027-01-08', '2027'), 6);
+  assert.equal(countLeaveDays('2026-12-28', '2027-01-08', 2028), 0);
+});
+
+test('leave over New Year is charged to both years', async () => {
+  const { status, body } = await api('POST', '/api/submit-leave', { reason: 'Family visit', startDate: '2026-12-28', endDate: '2027-01-08' });
+  assert.equal(status, 200, JSON.stringify(body));
+
+  const balance2026 = (await api('GET', '/api/leave-balance?year=2026')).body;
+  const balance2027 = (await api('GET', '/api/leave-balance?year=2027')).body;
+  assert.equal(balance2026.pendingDays, 4);
+  assert.equal(balance2027.pendingDays, 6);
+
+  // What is left of 2027 can't be taken twice
+  const available = balance2027.remainingDays - balance2027.pendingDays;
+  const tooLong = await api('POST', '/api/submit-leave', { reason: 'Sabbatical', startDate: '2027-02-01', endDate: '2027-12-31' });
+  assert.equal(tooLong.status, 400);
+  assert.match(tooLong.body.error, new RegExp(`only ${available} are available`));
+});
+
+test('impossible dates, overlong periods and malformed years are refused', async () => {
+  const february30 = await api('POST', '/api/submit-leave', { reason: 'Trip', startDate: '2026-02-30', endDate: '2026-03-02' });
+  assert.equal(february30.status, 400);
+  assert.deepEqual(february30.body.details.map(error => error.field), ['startDate']);
+
+  const started = Date.now();
+  const endless = await api('POST', '/api/submit-leave', { reason: 'Forever', startDate: '0001-01-01', endDate: '9999-12-31' });
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(endless.status, 400);
+  assert.deepEqual(endless.body.details, [{ field: 'endDate', message: 'A leave request can cover at most 366 calendar days.' }]);
+
+  for (const year of ['abc', '26', '2026.5', '-2026']) {
+    const { status, body } = await api('GET', `/api/leave-balance?year=${year}`);
+    assert.equal(status, 400, year);
+    assert.equal(body.error, 'year must be a four-digit year.');
+  }
+  assert.equal((await api('GET', '/api/leave-balance?year=2028')).body.year, 2028);
+});
@@ -0,0 +1,164 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import crypto from 'crypto';
+import { startTestServer } from './helpers.js';
+import { describeRule } from '../events.js';
+
+// --- Watch rules, the notification feed and signed webhooks ---
+// Header authentication: pat is in purchasing, hana in HR, root an administrator; HASH is a plain
+// employee with a submitted leave request in the seed data.
+let server;
+before(async () => {
+  server = await startTestServer({ AUTH_MODE: 'header', WEBHOOK_RETRY_BASE_MS: '20', WEBHOOK_MAX_ATTEMPTS: '3' });
+});
+after(() => server.close());
+
+const USERS = {
+  pat: { 'X-Remote-User': 'pat', 'X-Remote-Roles': 'purchasing' },
+  hana: { 'X-Remote-User': 'hana', 'X-Remote-Roles': 'hr' },
+  root: { 'X-Remote-User': 'root', 'X-Remote-Roles': 'admin' },
+  HASH: { 'X-Remote-User': 'HASH', 'X-Remote-Roles': 'employee' },
+};
+
+const api = async (username, method, path, body) => {
+  const response = await fetch(`${server.baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...USERS[username] },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: response.status === 204 ? null : await response.json() };
+};
+
+const chat = (username, text) => api(username, 'POST', '/api/chat', { messageHistory: [{ sender: 'user', text }] });
+const setStock = (stockLevel) => api('pat', 'PATCH', '/api/stock/BEARING-A5', { stockLevel });
+
+async function waitFor(check, timeoutMs = 3000) {
+  const started = Date.now();
+  while (!(await check())) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting.');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('rules read as sentences', () => {
+  assert.equal(describeRule({ subject: 'stock', conditions: { material: 'BEARING-A5', comparison: 'less than', quantity: 1000 } }), 'BEARING-A5 stock drops below 1,000 units');
+  assert.equal(describeRule({ subject: 'purchase_order', conditions: { status: 'Delivered', vendor: 'Alpha Industrial' } }), 'a purchase order from Alpha Industrial moves to Delivered');
+  assert.equal(describeRule({ subject: 'purchase_order', conditions: { status: 'Delivered', id: 'PO-2003' } }), 'PO-2003 moves to Delivered');
+  assert.equal(describeRule({ subject: 'leave', conditions: { status: 'Approved', employeeName: 'HASH' } }), 'a leave request of HASH is approved');
+});
+
+test('a stock alert set up in the chat fires each time the level crosses the threshold', async () => {
+  const { body } = await chat('pat', 'Alert me when BEARING-A5 drops below 1000');
+  assert.deepEqual(body.toolCall, { name: 'create_watch_rule', parameters: { subject: 'stock', material_id: 'BEARING-A5', comparison: 'less than', quantity: 1000 } });
+  assert.match(body.content, /when BEARING-A5 stock drops below 1,000 units\. It is at 3,200 units now\./);
+  assert.equal((await api('pat', 'GET', '/api/watch-rules')).body.length, 1);
+
+  await setStock(1500);
+  assert.equal((await api('pat', 'GET', '/api/notifications')).body.unreadCount, 0);
+  const { status, body: item } = await setStock(900);
+  assert.equal(status, 200);
+  assert.equal(item['Stock Level'], '900 units');
+  await setStock(800); // still below: no second alert
+  await setStock(1200);
+  await setStock(700);
+
+  const { body: feed } = await api('pat', 'GET', '/api/notifications');
+  assert.equal(feed.unreadCount, 2);
+  assert.equal(feed.notifications[0].title, 'Stock alert: BEARING-A5');
+  assert.equal(feed.notifications[0].eventType, 'stock.changed');
+  assert.match(feed.notifications[1].body, /went from 1,500 to 900 units\. \(Your alert: BEARING-A5 stock drops below 1,000 units\.\)/);
+
+  assert.deepEqual((await api('pat', 'POST', '/api/notifications/read', { ids: [feed.notifications[1].id] })).body, { marked: 1 });
+  assert.equal((await api('pat', 'GET', '/api/notifications?unread=true')).body.notifications.length, 1);
+  assert.deepEqual((await api('pat', 'POST', '/api/notifications/read', {})).body, { marked: 1 });
+  assert.equal((await api('pat', 'POST', '/api/notifications/read', { ids: 'all' })).status, 400);
+
+  assert.equal((await setStock(-5)).status, 400);
+  assert.equal((await api('pat', 'PATCH', '/api/stock/NOPE-1', { stockLevel: 5 })).status, 404);
+  assert.equal((await api('hana', 'PATCH', '/api/stock/BEARING-A5', { stockLevel: 5 })).status, 403);
+});
+
+test('a purchase order moving to a status notifies the rules that match it', async () => {
+  const { status, body: rule } = await api('pat', 'POST', '/api/watch-rules', { subject: 'purchase_order', status: 'delivered', vendor: 'alpha industrial' });
+  assert.equal(status, 201);
+  assert.deepEqual(rule.conditions, { status: 'Delivered', vendor: 'Alpha Industrial' });
+  assert.equal((await api('pat', 'POST', '/api/watch-rules', { subject: 'purchase_order', status: 'Delivered', vendor: 'Alpha Industrial' })).status, 409);
+
+  await api('pat', 'PATCH', '/api/purchase-orders/PO-2003', { status: 'Delivered' }); // another vendor
+  const { body: order } = await api('pat', 'PATCH', '/api/purchase-orders/PO-2004', { status: 'Delivered' });
+  assert.equal(order.status, 'Delivered');
+
+  const { body: feed } = await api('pat', 'GET', '/api/notifications?unread=true');
+  assert.deepEqual(feed.notifications.map(notification => notification.title), ['Purchase order PO-2004 is Delivered']);
+  assert.match(feed.notifications[0].body, /PO-2004 from Alpha Industrial \(300 × BEARING-A5, 27,000.00 USD\) moved from In Transit to Delivered/);
+
+  assert.equal((await api('pat', 'PATCH', '/api/purchase-orders/PO-2004', { status: 'Ordered' })).status, 409);
+  assert.equal((await api('pat', 'PATCH', '/api/purchase-orders/PO-2001', { status: 'Lost' })).status, 400);
+  assert.equal((await api('pat', 'DELETE', `/api/watch-rules/${rule.id}`)).status, 204);
+  assert.equal((await api('pat', 'DELETE', `/api/watch-rules/${rule.id}`)).status, 404);
+});
+
+test('employees can watch their own leave only, and hear when it is approved', async () => {
+  const { status, body: rule } = await api('HASH', 'POST', '/api/watch-rules', { subject: 'leave' });
+  assert.equal(status, 201);
+  assert.equal(rule.description, 'a leave request of HASH is approved');
+  assert.equal((await api('HASH', 'POST', '/api/watch-rules', { subject: 'leave', employeeName: 'Ishaan' })).status, 403);
+  assert.equal((await api('HASH', 'POST', '/api/watch-rules', { subject: 'stock', material: 'PUMP-1001', quantity: 5 })).status, 403);
+  assert.equal((await api('HASH', 'POST', '/api/watch-rules', { subject: 'weather' })).status, 400);
+
+  const approved = await api('hana', 'POST', '/api/leave-requests/1761000063591/approve', { comment: 'Enjoy!' });
+  assert.equal(approved.status, 200);
+  const { body: feed } = await api('HASH', 'GET', '/api/notifications');
+  assert.equal(feed.notifications[0].title, 'Leave request 1761000063591 is approved');
+  assert.match(feed.notifications[0].body, /^Leave of HASH from 2025-10-10 to 2025-10-24 was approved by Hana \(HR\)\. Comment: Enjoy!/);
+  // Nobody else's feed shows it
+  assert.equal((await api('hana', 'GET', '/api/notifications')).body.unreadCount, 0);
+});
+
+test('webhooks receive signed events, and failed deliveries are retried', async () => {
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(received.length === 1 ? 503 : 200).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+  try {
+    assert.equal((await api('pat', 'POST', '/api/webhooks', { url })).status, 403);
+    assert.equal((await api('root', 'POST', '/api/webhooks', { url: 'ftp://example.com' })).status, 400);
+    assert.equal((await api('root', 'POST', '/api/webhooks', { url, events: ['stock.gone'] })).status, 400);
+    const secret = 'a-shared-secret-for-tests';
+    const { status, body: webhook } = await api('root', 'POST', '/api/webhooks', { url, events: ['purchase_order.status_changed'], secret });
+    assert.equal(status, 201);
+    assert.equal(webhook.secret, secret);
+    assert.equal((await api('root', 'GET', '/api/webhooks')).body[0].secret, undefined);
+
+    await setStock(3000); // not subscribed
+    await api('pat', 'PATCH', '/api/purchase-orders/PO-2001', { status: 'In Transit' });
+    await waitFor(() => received.length === 2);
+
+    const [failed, delivered] = received;
+    assert.equal(failed.headers['x-webhook-id'], delivered.headers['x-webhook-id']);
+    assert.equal(delivered.headers['x-webhook-event'], 'purchase_order.status_changed');
+    const signed = `${delivered.headers['x-webhook-timestamp']}.${delivered.body}`;
+    assert.equal(delivered.headers['x-webhook-signature'], `sha256=${crypto.createHmac('sha256', secret).update(signed).digest('hex')}`);
+    const event = JSON.parse(delivered.body);
+    assert.equal(event.type, 'purchase_order.status_changed');
+    assert.deepEqual([event.data.id, event.data.previousStatus, event.data.status, event.data.changedBy], ['PO-2001', 'Ordered', 'In Transit', 'pat']);
+
+    await waitFor(async () => (await api('root', 'GET', `/api/webhooks/${webhook.id}/deliveries`)).body[0].status === 'delivered');
+    const { body: [delivery] } = await api('root', 'GET', `/api/webhooks/${webhook.id}/deliveries`);
+    assert.equal(delivery.attempts, 2);
+    assert.equal(delivery.lastStatusCode, 200);
+    assert.equal(delivery.lastError, undefined);
+    assert.equal((await api('root', 'DELETE', `/api/webhooks/${webhook.id}`)).status, 204);
+  } finally {
+    receiver.close();
+  }
+});
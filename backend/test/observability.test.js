@@ -0,0 +1,86 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, startTestServer } from './helpers.js';
+
+// --- Request IDs, chat traces and /metrics ---
+// Log lines are taken out of stdout so the test can read the 'chat turn' trace.
+const logLines = [];
+const write = process.stdout.write.bind(process.stdout);
+process.stdout.write = (chunk, ...rest) => {
+  if (typeof chunk === 'string' && chunk.startsWith('{"time"')) {
+    logLines.push(JSON.parse(chunk));
+    return true;
+  }
+  return write(chunk, ...rest);
+};
+
+let server;
+before(async () => {
+  server = await startTestServer({ INTENT_ROUTER: 'off', LOG_LEVEL: 'info', LOG_FORMAT: 'json' });
+});
+after(() => {
+  process.stdout.write = write;
+  return server.close();
+});
+
+const chatTurns = () => logLines.filter(line => line.msg === 'chat turn');
+
+test('every response carries a request ID, and a valid incoming one is kept', async () => {
+  const generated = await fetch(`${server.baseUrl}/api/chat`, { method: 'POST' });
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+  const kept = await fetch(`${server.baseUrl}/api/chat`, { method: 'POST', headers: { 'X-Request-Id': 'proxy-42' } });
+  assert.equal(kept.headers.get('x-request-id'), 'proxy-42');
+
+  const replaced = await fetch(`${server.baseUrl}/api/chat`, { method: 'POST', headers: { 'X-Request-Id': 'bad id with spaces' } });
+  assert.notEqual(replaced.headers.get('x-request-id'), 'bad id with spaces');
+});
+
+test('a chat turn is logged with its decision, tool, parameters, rows and LLM token usage', async () => {
+  const { status } = await chat(server.baseUrl, 'stock of PUMP-1001');
+  assert.equal(status, 200);
+
+  const turn = chatTurns().at(-1);
+  assert.ok(turn.requestId);
+  assert.equal(turn.outcome, 'ok');
+  assert.equal(turn.tool, 'query_inventory');
+  assert.deepEqual(turn.parameters, { material_id: 'PUMP-1001' });
+  assert.equal(turn.rows, 1);
+  assert.equal(typeof turn.latencyMs, 'number');
+
+  const [decision, tool] = turn.steps;
+  assert.deepEqual([decision.step, decision.source, decision.tool], ['decision', 'llm', 'query_inventory']);
+  assert.deepEqual([tool.step, tool.outcome, tool.rows], ['tool', 'ok', 1]);
+
+  assert.equal(turn.llm.calls, 1);
+  assert.ok(turn.llm.promptTokens > 0);
+  assert.ok(turn.llm.completionTokens > 0);
+
+  // The access log line for the same request shares its ID
+  const access = logLines.find(line => line.msg === 'request finished' && line.requestId === turn.requestId);
+  assert.equal(access.route, '/api/chat');
+  assert.equal(access.status, 200);
+});
+
+test('/metrics exposes tool counts, LLM tokens and latency histograms in Prometheus format', async () => {
+  await chat(server.baseUrl, 'stock of PUMP-1001');
+  const response = await fetch(`${server.baseUrl}/metrics`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain/);
+  const text = await response.text();
+
+  assert.match(text, /^tool_calls_total\{tool="query_inventory",outcome="ok"\} [2-9]/m);
+  assert.match(text, /^chat_decisions_total\{source="llm"\} \d+/m);
+  assert.match(text, /^llm_tokens_total\{provider="mock",model="[^"]+",type="prompt"\} \d+/m);
+  assert.match(text, /^tool_duration_seconds_bucket\{tool="query_inventory",le="\+Inf"\} [2-9]/m);
+  assert.match(text, /^http_request_duration_seconds_count\{method="POST",route="\/api\/chat"\} \d+/m);
+});
+
+test('an unusable LLM decision is counted as a rejection, with its corrective retry', async () => {
+  server.provider.setScript([{ match: 'latest input: "do the magic"', mode: 'json', response: { type: 'tool_call', tool_name: 'cast_spell', parameters: {} } }]);
+  await chat(server.baseUrl, 'do the magic');
+  const text = await (await fetch(`${server.baseUrl}/metrics`)).text();
+  assert.match(text, /^chat_decision_rejections_total\{retried="true"\} 1/m);
+  assert.match(text, /^chat_decision_rejections_total\{retried="false"\} 1/m);
+  assert.doesNotMatch(text, /tool="cast_spell"/);
+});
@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+import { buildFilter, createODataSource } from '../sources/odataSource.js';
+import { startMockODataServer } from '../fixtures/mockODataServer.js';
+
+// --- OData source against the mock gateway (fixtures/mockODataServer.js), v2 and v4 ---
+// The app itself runs with DATA_SOURCE=odata on the v2 mock.
+const gateways = {};
+let server;
+before(async () => {
+  gateways['2'] = await startMockODataServer({ version: '2' });
+  gateways['4'] = await startMockODataServer({ version: '4' });
+  server = await startTestServer({ DATA_SOURCE: 'odata', ODATA_BASE_URL: gateways['2'].url, ODATA_VERSION: '2' });
+});
+after(async () => {
+  server.close();
+  await Promise.all(Object.values(gateways).map(gateway => gateway.close()));
+});
+
+test('tool parameters become a v2 or v4 $filter', () => {
+  assert.equal(buildFilter('stock', {}), '');
+  assert.equal(
+    buildFilter('stock', { material_id: 'pumps and bearings' }),
+    "(substringof('pump',Material) or substringof('bearing',Material))",
+  );
+  assert.equal(
+    buildFilter('stock', { material_id: 'pumps and bearings' }, { version: '4' }),
+    "(contains(Material,'pump') or contains(Material,'bearing'))",
+  );
+  assert.equal(
+    buildFilter('sales_orders', { customer: "O'Neil", status: 'open' }, { version: '4' }),
+    "contains(to_SalesOrder/SoldToParty,'O''Neil') and to_SalesOrder/OverallSDProcessStatus eq 'A'",
+  );
+  // Labels without a code are passed through
+  assert.equal(buildFilter('purchase_orders', { status: 'Blocked' }), "to_PurchaseOrder/PurchasingProcessingStatus eq 'Blocked'");
+});
+
+for (const version of ['2', '4']) {
+  test(`v${version}: orders come back in the local record shape, at most $top of them`, async () => {
+    const source = createODataSource('purchase_orders', { baseUrl: gateways[version].url, version, top: 2 });
+    const firstPage = await source.query();
+    assert.deepEqual(firstPage.map(order => order.id), ['PO-2001', 'PO-2002']);
+    // NetPriceAmount is per unit: 20 x 1,400.00
+    assert.deepEqual(firstPage[0], { id: 'PO-2001', vendor: 'Alpha Industrial', material: 'PUMP-1001', quantity: 20, status: 'Ordered', value: '28,000.00 USD' });
+
+    const all = await createODataSource('sales_orders', { baseUrl: gateways[version].url, version }).query({ customer: 'global tech', status: 'open' });
+    assert.deepEqual(all.map(order => [order.id, order.status]), [['SO-1001', 'Open']]);
+  });
+}
+
+test('stock rows are summed per material and plant into the table columns', async () => {
+  const rows = [
+    { Material: 'PUMP-1001', Plant: '1000', StorageLocation: '0001', MatlWrhsStkQtyInMatlBaseUnit: 100, MaterialBaseUnit: 'PC' },
+    { Material: 'PUMP-1001', Plant: '1000', StorageLocation: '0002', MatlWrhsStkQtyInMatlBaseUnit: 52, MaterialBaseUnit: 'PC' },
+    { Material: 'PUMP-1001', Plant: '2000', StorageLocation: '0001', MatlWrhsStkQtyInMatlBaseUnit: 7, MaterialBaseUnit: 'PC' },
+    { Material: 'CABLE-9', Plant: '1000', StorageLocation: '0001', MatlWrhsStkQtyInMatlBaseUnit: 40, MaterialBaseUnit: 'M' },
+  ];
+  const gateway = await startMockODataServer({ version: '4', data: { stock: rows } });
+  try {
+    const source = createODataSource('stock', { baseUrl: gateway.url, version: '4' });
+    assert.deepEqual(await source.query(), [
+      { Material: 'PUMP-1001', 'Stock Level': '152 units', Plant: '1000' },
+      { Material: 'PUMP-1001', 'Stock Level': '7 units', Plant: '2000' },
+      { Material: 'CABLE-9', 'Stock Level': '40 M', Plant: '1000' },
+    ]);
+    // The comparison applies to the totals, not to the storage locations
+    assert.deepEqual((await source.query({ material_id: 'pump', comparison: 'greater than', quantity: 120 })).map(row => row.Plant), ['1000']);
+  } finally {
+    await gateway.close();
+  }
+});
+
+test('the chat shows OData stock without a Description column, and whole-table features decline', async () => {
+  const response = await fetch(`${server.baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messageHistory: [{ sender: 'user', text: 'stock of PUMP-1001' }] }),
+  });
+  const body = await response.json();
+  assert.equal(body.type, 'table');
+  assert.deepEqual(body.tableColumns, ['Material', 'Stock Level', 'Plant']);
+  assert.deepEqual(body.tableData, [{ Material: 'PUMP-1001', 'Stock Level': '152 units', Plant: '1000' }]);
+
+  const availability = await fetch(`${server.baseUrl}/api/materials/PUMP-1001/availability`);
+  assert.equal(availability.status, 409);
+  assert.equal((await availability.json()).error, 'Availability to promise is worked out from the local data, but stock levels come from SAP here.');
+
+  const { runAnalytics } = await import('../analytics.js');
+  assert.deepEqual(runAnalytics({ dataset: 'sales_orders', metric: 'count' }), {
+    error: 'Order and stock analysis is worked out from the local data, but sales orders come from SAP here.',
+  });
+});
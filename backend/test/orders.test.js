@@ -0,0 +1,42 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+
+// --- Confirming sales and purchase order drafts ---
+let server;
+before(async () => {
+  server = await startTestServer();
+});
+after(() => server.close());
+
+const submit = async (path, order) => {
+  const response = await fetch(`${server.baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(order),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const salesOrder = { customer: 'Global Tech Inc.', material: 'PUMP-1001', quantity: 20, amount: 9000, currency: 'usd' };
+
+test('a valid draft is saved with the next number', async () => {
+  const { status, body } = await submit('/api/submit-sales-order', salesOrder);
+  assert.equal(status, 200);
+  assert.match(body.content, /^Sales order \*\*SO-\d+\*\* has been created: 20 × PUMP-1001 for Global Tech Inc\. \(9,000\.00 USD\), status Open\.$/);
+});
+
+test('quantities and amounts out of range are refused', async () => {
+  for (const quantity of [1e30, 2 ** 53, 1.5, 0, 1_000_001, true, '1e3', '20', null]) {
+    const { status, body } = await submit('/api/submit-purchase-order', { ...salesOrder, customer: undefined, vendor: 'Alpha Industrial', quantity });
+    assert.equal(status, 400, `quantity ${quantity}`);
+    assert.deepEqual(body.details.map(error => error.field), ['quantity']);
+  }
+  for (const amount of [1e30, Infinity, -5, 1_000_000_001, true, '1e3', '9000', []]) {
+    const { status, body } = await submit('/api/submit-sales-order', { ...salesOrder, amount });
+    assert.equal(status, 400, `amount ${amount}`);
+    assert.deepEqual(body.details.map(error => error.field), ['amount']);
+  }
+  const { body } = await submit('/api/submit-sales-order', { ...salesOrder, quantity: 1_000_001 });
+  assert.equal(body.error, 'Quantity must be at most 1,000,000.');
+});
@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, goldenSet, startTestServer } from './helpers.js';
+import { scriptFromDataset } from '../eval/evaluate.js';
+import { describeStep, resolveStepParameters } from '../plans.js';
+import { buildConversationContext } from '../conversation.js';
+
+// --- Multi-step tool plans: several tool calls in one turn, composite answers ---
+let server;
+before(async () => {
+  server = await startTestServer();
+});
+after(() => server.close());
+
+const withScript = async (rules, run) => {
+  server.provider.setScript([...rules, ...scriptFromDataset(goldenSet)]);
+  server.provider.calls.length = 0;
+  try {
+    await run();
+  } finally {
+    server.provider.setScript(scriptFromDataset(goldenSet));
+  }
+};
+
+const plan = (utterance, steps) => ({ mode: 'json', match: `latest input: ${JSON.stringify(utterance)}`, response: { type: 'plan', steps } });
+
+test('step references resolve to the distinct column values of an earlier table', () => {
+  const orders = { tableData: [{ Material: 'PUMP-1001' }, { Material: 'VALVE-200' }, { Material: 'PUMP-1001' }] };
+  assert.deepEqual(resolveStepParameters({ material_id: '{{step1.Material}}', plant: '1000' }, [orders]), {
+    parameters: { material_id: 'PUMP-1001, VALVE-200', plant: '1000' },
+  });
+  assert.deepEqual(resolveStepParameters({ material_id: '{{ step1.material }}' }, [orders]).parameters, { material_id: 'PUMP-1001, VALVE-200' });
+  assert.match(resolveStepParameters({ material_id: '{{step1.Material}}' }, [{ tableData: [] }]).missing, /step 1 returned no Material values/);
+  assert.match(resolveStepParameters({ material_id: '{{step1.Material}}' }, [null]).missing, /step 1/);
+  assert.equal(describeStep('get_sales_orders', { status: 'Open' }), 'Sales orders (status: Open)');
+});
+
+test('a compound question is answered with one section per step, the second fed by the first', async () => {
+  const { status, body } = await chat(server.baseUrl, 'show open sales orders and tell me if we have enough stock');
+  assert.equal(status, 200);
+  assert.equal(body.type, 'composite');
+  assert.deepEqual(body.sections.map(section => section.toolCall.name), ['get_sales_orders', 'query_inventory']);
+  assert.deepEqual(body.sections[1].toolCall.parameters, { material_id: 'PUMP-1001, VALVE-200' });
+  assert.deepEqual(body.sections[1].tableData.map(row => row.Material), ['PUMP-1001', 'VALVE-200']);
+  assert.equal(body.sections[0].title, 'Sales orders (status: Open)');
+  // Follow-ups refine the last step
+  assert.equal(body.toolCall.name, 'query_inventory');
+});
+
+test('the intent router leaves compound questions to the LLM', async () => {
+  server.provider.calls.length = 0;
+  const { body } = await chat(server.baseUrl, 'what is ME21N and show me the POs from Alpha Industrial');
+  assert.equal(server.provider.calls[0].jsonMode, true);
+  assert.deepEqual(body.sections.map(section => section.type), ['text', 'table']);
+  assert.equal(body.sections[1].tableData.length, 2);
+});
+
+test('a step without results is skipped by the steps that need them, and the plan carries on', async () => {
+  const steps = [
+    { tool_name: 'get_sales_orders', parameters: { customer: 'Nobody Ltd' } },
+    { tool_name: 'query_inventory', parameters: { material_id: '{{step1.Material}}' } },
+    { tool_name: 'get_purchase_orders', parameters: { vendor: 'Alpha Industrial' } },
+  ];
+  await withScript([plan('orders for nobody then stock then alpha POs', steps)], async () => {
+    const { body } = await chat(server.baseUrl, 'orders for nobody then stock then alpha POs');
+    assert.equal(body.sections.length, 3);
+    // An unknown customer is asked about instead of matching nothing (see disambiguation.js)
+    assert.equal(body.sections[0].type, 'clarification');
+    assert.equal(body.sections[1].type, 'text');
+    assert.match(body.sections[1].content, /^Skipped: step 1 returned no Material values/);
+    assert.equal(body.sections[2].tableData.length, 2);
+    assert.equal(body.toolCall.name, 'get_purchase_orders');
+  });
+});
+
+test('plans with a forward reference or too many steps are rejected', async () => {
+  const forward = [
+    { tool_name: 'query_inventory', parameters: { material_id: '{{step2.Material}}' } },
+    { tool_name: 'get_sales_orders', parameters: {} },
+  ];
+  const tooLong = Array.from({ length: 5 }, () => ({ tool_name: 'get_sales_orders', parameters: {} }));
+  await withScript([plan('forward plan', forward), plan('long plan', tooLong)], async () => {
+    for (const text of ['forward plan', 'long plan']) {
+      const { body } = await chat(server.baseUrl, text);
+      assert.equal(body.type, 'text');
+      assert.match(body.content, /couldn't work out how to help/);
+    }
+  });
+});
+
+test('progress events name the step of the plan', async () => {
+  const response = await fetch(`${server.baseUrl}/api/chat/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messageHistory: [{ sender: 'user', text: 'show open sales orders and tell me if we have enough stock' }] }),
+  });
+  const text = await response.text();
+  assert.match(text, /event: status\ndata: \{"stage":"running","tool":"get_sales_orders","step":1,"steps":2\}/);
+  assert.match(text, /event: status\ndata: \{"stage":"running","tool":"query_inventory","step":2,"steps":2\}/);
+});
+
+test('a composite answer is summarised section by section in the transcript', () => {
+  const context = buildConversationContext([
+    { sender: 'user', text: 'what is ME21N and show me the POs from Alpha Industrial' },
+    {
+      sender: 'bot',
+      type: 'composite',
+      sections: [
+        { type: 'text', text: 'ME21N creates a purchase order.' },
+        { type: 'table', tableData: [{ ID: 'PO-2001' }], toolCall: { name: 'get_purchase_orders', parameters: { vendor: 'Alpha Industrial' } } },
+      ],
+    },
+    { sender: 'user', text: 'only the open ones' },
+  ]);
+  assert.match(context, /Assistant: \[Answered in 2 parts\]\n {2}"ME21N creates a purchase order."\n {2}\[Showed get_purchase_orders results/);
+});
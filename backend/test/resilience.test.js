@@ -0,0 +1,132 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { goldenSet, startTestServer } from './helpers.js';
+import { scriptFromDataset } from '../eval/evaluate.js';
+import { createOpenAICompatibleProvider } from '../llm/openaiCompatibleProvider.js';
+
+// --- LLM retries, the explanation cache and the chat rate limit ---
+// Header authentication gives every test its own user, and so its own rate limit budget.
+let server;
+before(async () => {
+  server = await startTestServer({ INTENT_ROUTER: 'off', AUTH_MODE: 'header', CHAT_RATE_LIMIT: '3', LLM_MAX_RETRIES: '2' });
+});
+after(() => server.close());
+
+const chatAs = async (username, text, history = []) => {
+  const response = await fetch(`${server.baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Remote-User': username, 'X-Remote-Roles': 'admin' },
+    body: JSON.stringify({ messageHistory: [...history, { sender: 'user', text }] }),
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+const withScript = async (rules, run) => {
+  server.provider.setScript([...rules, ...scriptFromDataset(goldenSet)]);
+  try {
+    await run();
+  } finally {
+    server.provider.setScript(scriptFromDataset(goldenSet));
+  }
+};
+
+test('a 503 from the LLM is retried and the answer still arrives', async () => {
+  await withScript([{ mode: 'json', times: 1, error: { status: 503, message: 'Overloaded' } }], async () => {
+    const { status, body } = await chatAs('retry-user', 'stock of PUMP-1001');
+    assert.equal(status, 200);
+    assert.equal(body.toolCall.name, 'query_inventory');
+    assert.equal(server.provider.calls.length, 2);
+  });
+});
+
+test('a Retry-After longer than the backoff limit is passed on instead of waited out', async () => {
+  await withScript([{ mode: 'json', error: { status: 429, message: 'Rate limited', retryAfter: 120 } }], async () => {
+    const { status } = await chatAs('quota-user', 'stock of PUMP-1001');
+    assert.equal(status, 429);
+    assert.equal(server.provider.calls.length, 1);
+  });
+});
+
+test('errors that retrying cannot fix are not retried', async () => {
+  await withScript([{ mode: 'json', error: { status: 401, message: 'Invalid API key' } }], async () => {
+    const { status } = await chatAs('auth-user', 'stock of PUMP-1001');
+    assert.equal(status, 401);
+    assert.equal(server.provider.calls.length, 1);
+  });
+});
+
+test('repeated definitions are answered from the cache', async () => {
+  await withScript([], async () => {
+    await chatAs('cache-user', 'What is FB60?');
+    await chatAs('cache-user', 'fb60');
+    const explanations = server.provider.calls.filter(call => !call.jsonMode);
+    assert.equal(explanations.length, 1);
+  });
+});
+
+test('the same question in another conversation is not answered from the cache', async () => {
+  const conversation = topic => [{ sender: 'user', text: `Tell me about ${topic}` }, { sender: 'bot', text: `${topic} is a transaction code.` }];
+  await withScript([], async () => {
+    await chatAs('context-user', 'What is FB60?', conversation('MIGO'));
+    await chatAs('context-user', 'What is FB60?', conversation('MIGO'));
+    await chatAs('context-user', 'What is FB60?', conversation('ME21N'));
+    const explanations = server.provider.calls.filter(call => !call.jsonMode);
+    assert.equal(explanations.length, 2);
+  });
+});
+
+test('a client over the limit gets a 429 with Retry-After', async () => {
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await chatAs('busy-user', 'stock of PUMP-1001')).status, 200);
+  }
+  const limited = await chatAs('busy-user', 'stock of PUMP-1001');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, 'rate_limited');
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.match(limited.body.error, /wait \d+ second/);
+
+  // Other users have their own budget
+  assert.equal((await chatAs('other-user', 'stock of PUMP-1001')).status, 200);
+});
+
+// Streams through the OpenAI-compatible provider from a local upstream that answers with respond(res)
+const streamFrom = async respond => {
+  const upstream = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    respond(res);
+  });
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  try {
+    const provider = createOpenAICompatibleProvider({ baseUrl: `http://127.0.0.1:${upstream.address().port}/v1`, model: 'test-model' });
+    const tokens = [];
+    const result = await provider.stream({ messages: [{ role: 'user', content: 'Was ist FB60?' }], onToken: token => tokens.push(token) });
+    return { ...result, tokens };
+  } finally {
+    upstream.close();
+  }
+};
+
+test('streamed answers keep characters that are split across network chunks', async () => {
+  const answer = 'FB60 से विक्रेता चालान दर्ज होता है; für Rechnungen ohne Bestellung.';
+  const frame = `data: ${JSON.stringify({ choices: [{ delta: { content: answer } }] })}\n\ndata: [DONE]\n\n`;
+  const bytes = Buffer.from(frame, 'utf-8');
+  const split = bytes.indexOf(Buffer.from('वि', 'utf-8')) + 1; // inside a Devanagari character
+  const { content, tokens } = await streamFrom(res => {
+    res.write(bytes.subarray(0, split));
+    setTimeout(() => res.end(bytes.subarray(split)), 20);
+  });
+  assert.equal(content, answer);
+  assert.equal(tokens.join(''), answer);
+});
+
+test('a last data line without a newline is still read', async () => {
+  const line = delta => `data: ${JSON.stringify(delta)}`;
+  const { content, tokens, usage } = await streamFrom(res => res.end([
+    line({ choices: [{ delta: { content: 'FB60 posts ' } }] }),
+    line({ choices: [{ delta: { content: 'vendor invoices.' } }], usage: { total_tokens: 12 } }),
+  ].join('\n')));
+  assert.equal(content, 'FB60 posts vendor invoices.');
+  assert.deepEqual(tokens, ['FB60 posts ', 'vendor invoices.']);
+  assert.deepEqual(usage, { total_tokens: 12 });
+});
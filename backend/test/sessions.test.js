@@ -0,0 +1,149 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+import { searchableText } from '../chatSessions.js';
+
+// --- Saved conversations: per-user storage, search, share links and the localStorage import ---
+// Header authentication lets each test act as one or more users.
+let server;
+before(async () => {
+  server = await startTestServer({ AUTH_MODE: 'header' });
+});
+after(() => server.close());
+
+const api = async (username, method, path, body) => {
+  const response = await fetch(`${server.baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'X-Remote-User': username },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: response.status === 204 ? null : await response.json() };
+};
+
+const userMessage = (content, id = `u-${content.length}`) => ({ id, role: 'user', data: { type: 'text', content }, timestamp: '10:15' });
+const stockAnswer = {
+  id: 'a-1',
+  role: 'assistant',
+  data: {
+    type: 'table',
+    content: 'Here is the stock.',
+    tableColumns: ['Material', 'Description', 'Stock Level'],
+    tableData: [{ Material: 'VALVE-200', Description: 'Industrial Ball Valve', 'Stock Level': '80 units' }],
+    toolCall: { name: 'query_inventory', parameters: { material_id: 'VALVE-200' } },
+  },
+  timestamp: '10:15',
+};
+
+test('the searchable text of a payload includes table cells and sections, but not the tool call', () => {
+  const text = searchableText({ ...stockAnswer.data, sections: [{ type: 'text', content: 'ME21N creates a purchase order.' }] });
+  assert.match(text, /Industrial Ball Valve/);
+  assert.match(text, /ME21N creates/);
+  assert.doesNotMatch(text, /query_inventory|table/);
+});
+
+test('a session is created, filled, renamed, pinned and deleted by its owner only', async () => {
+  const created = await api('ann', 'POST', '/api/sessions', { id: 'session-ann-1', title: 'stock of valves', messages: [userMessage('stock of valves')] });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.id, 'session-ann-1');
+  assert.equal(created.body.messages.length, 1);
+
+  const appended = await api('ann', 'POST', '/api/sessions/session-ann-1/messages', { messages: [stockAnswer] });
+  assert.equal(appended.body.messageCount, 2);
+  const { body: loaded } = await api('ann', 'GET', '/api/sessions/session-ann-1');
+  assert.deepEqual(loaded.messages[1], stockAnswer);
+
+  const renamed = await api('ann', 'PATCH', '/api/sessions/session-ann-1', { title: 'Valve stock', pinned: true });
+  assert.equal(renamed.body.title, 'Valve stock');
+  assert.equal(renamed.body.pinned, true);
+
+  // Someone else can neither see nor change it
+  assert.deepEqual((await api('bob', 'GET', '/api/sessions')).body, []);
+  assert.equal((await api('bob', 'GET', '/api/sessions/session-ann-1')).status, 404);
+  assert.equal((await api('bob', 'POST', '/api/sessions/session-ann-1/messages', { messages: [userMessage('hi')] })).status, 404);
+  assert.equal((await api('bob', 'DELETE', '/api/sessions/session-ann-1')).status, 404);
+  assert.equal((await api('bob', 'POST', '/api/sessions', { id: 'session-ann-1' })).status, 409);
+
+  assert.equal((await api('ann', 'DELETE', '/api/sessions/session-ann-1')).status, 204);
+  assert.deepEqual((await api('ann', 'GET', '/api/sessions')).body, []);
+});
+
+test('invalid sessions and messages are rejected', async () => {
+  assert.equal((await api('cat', 'POST', '/api/sessions', { id: 'x' })).status, 400);
+  assert.equal((await api('cat', 'POST', '/api/sessions', { title: ' ' })).status, 400);
+  const { body } = await api('cat', 'POST', '/api/sessions', {});
+  assert.equal(body.title, 'New Conversation');
+  const bad = await api('cat', 'POST', `/api/sessions/${body.id}/messages`, { messages: [{ role: 'system', data: { type: 'text' } }, { role: 'user' }] });
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.error, /messages\[0\]\.role must be one of: user, assistant\. messages\[1\]\.data must be/);
+  assert.equal((await api('cat', 'PATCH', `/api/sessions/${body.id}`, { pinned: 'yes' })).status, 400);
+});
+
+test('search finds words in titles, messages and table cells of the own sessions, as prefixes', async () => {
+  await api('dan', 'POST', '/api/sessions', { title: 'Valves', messages: [userMessage('how many valves do we have?'), stockAnswer] });
+  await api('dan', 'POST', '/api/sessions', { title: 'Leave', messages: [userMessage('how many leave days do I have left?')] });
+  await api('eve', 'POST', '/api/sessions', { title: 'Ball valves', messages: [stockAnswer] });
+
+  const { body: results } = await api('dan', 'GET', '/api/sessions/search?q=ball%20valv');
+  assert.deepEqual(results.map(session => session.title), ['Valves']);
+  assert.equal(results[0].matches[0].messageId, 'a-1');
+  assert.match(results[0].matches[0].snippet, /<mark>Ball<\/mark> <mark>Valve<\/mark>/);
+
+  const { body: leave } = await api('dan', 'GET', '/api/sessions/search?q=LEAVE');
+  assert.deepEqual(leave.map(session => session.title), ['Leave']);
+  assert.equal((await api('dan', 'GET', '/api/sessions/search?q=%22%20OR')).body.length, 0);
+  assert.equal((await api('dan', 'GET', '/api/sessions/search')).status, 400);
+});
+
+test('a share link gives signed-in colleagues read-only access until sharing stops', async () => {
+  const { body: session } = await api('fay', 'POST', '/api/sessions', { title: 'For the team', messages: [userMessage('stock of valves'), stockAnswer] });
+  const { body: shared } = await api('fay', 'POST', `/api/sessions/${session.id}/share`);
+  assert.ok(shared.token.length >= 20);
+  assert.equal((await api('fay', 'POST', `/api/sessions/${session.id}/share`)).body.token, shared.token);
+  assert.equal((await api('fay', 'GET', '/api/sessions')).body[0].shared, true);
+
+  const { status, body } = await api('gus', 'GET', `/api/shared/${shared.token}`);
+  assert.equal(status, 200);
+  assert.equal(body.title, 'For the team');
+  assert.equal(body.sharedBy, 'fay');
+  assert.deepEqual(body.messages[1].data.tableData, stockAnswer.data.tableData);
+  // Read-only: the colleague cannot write to it
+  assert.equal((await api('gus', 'POST', `/api/sessions/${session.id}/messages`, { messages: [userMessage('hi')] })).status, 404);
+  assert.equal((await api('gus', 'POST', `/api/sessions/${session.id}/share`)).status, 404);
+
+  assert.equal((await api('fay', 'DELETE', `/api/sessions/${session.id}/share`)).status, 204);
+  assert.equal((await api('gus', 'GET', `/api/shared/${shared.token}`)).status, 404);
+});
+
+test('sessions kept in localStorage are imported once, keeping their payloads and pins', async () => {
+  const stored = [
+    { id: '1760860800000', title: 'stock of valves', timestamp: 'Just now', pinned: true, messages: [userMessage('stock of valves'), stockAnswer] },
+    { id: '1760860900000', title: 'New Conversation', timestamp: 'Just now', messages: [] },
+    { id: '1760861000000', title: 'broken', messages: [{ role: 'user' }] },
+  ];
+  const { status, body: report } = await api('hal', 'POST', '/api/sessions/import', { sessions: stored });
+  assert.equal(status, 200);
+  assert.deepEqual(report.imported.map(entry => entry.from), ['1760860800000']);
+  assert.deepEqual(report.skipped, [{ from: '1760860900000', reason: 'No messages.' }]);
+  assert.equal(report.errors[0].from, '1760861000000');
+
+  const { body: sessions } = await api('hal', 'GET', '/api/sessions');
+  assert.equal(sessions.length, 1);
+  assert.equal(sessions[0].pinned, true);
+  assert.equal(sessions[0].createdAt, '2025-10-19T08:00:00.000Z');
+  assert.deepEqual((await api('hal', 'GET', `/api/sessions/${sessions[0].id}`)).body.messages[1], stockAnswer);
+
+  const again = await api('hal', 'POST', '/api/sessions/import', { sessions: stored });
+  assert.equal(again.body.imported.length, 0);
+  assert.equal((await api('hal', 'GET', '/api/sessions')).body.length, 1);
+  assert.equal((await api('hal', 'POST', '/api/sessions/import', {})).status, 400);
+});
+
+test('deleting all sessions leaves other users alone', async () => {
+  await api('ivy', 'POST', '/api/sessions', { messages: [userMessage('one')] });
+  await api('ivy', 'POST', '/api/sessions', { messages: [userMessage('two')] });
+  await api('jon', 'POST', '/api/sessions', { messages: [userMessage('three')] });
+  assert.equal((await api('ivy', 'DELETE', '/api/sessions')).status, 204);
+  assert.deepEqual((await api('ivy', 'GET', '/api/sessions')).body, []);
+  assert.equal((await api('jon', 'GET', '/api/sessions')).body.length, 1);
+  assert.equal((await api('ivy', 'GET', '/api/sessions/search?q=one')).body.length, 0);
+});
@@ -0,0 +1,126 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { goldenSet, startTestServer } from './helpers.js';
+import { scriptFromDataset } from '../eval/evaluate.js';
+import { createResultToken, loadTableConfig, sortRows, tableOptions } from '../tables.js';
+import { csvLine } from '../export/csv.js';
+
+// --- Paged, sortable and exportable table results (tables.js, /api/tables/:token) ---
+// Pages of 3 rows, so the 4 purchase orders take two pages.
+const SECRET = 'test-secret';
+let server;
+before(async () => {
+  server = await startTestServer({ AUTH_MODE: 'header', AUTH_JWT_SECRET: SECRET, TABLE_PAGE_SIZE: '3' });
+  server.provider.setScript([
+    {
+      mode: 'json',
+      match: 'latest input: "purchase orders by value, highest first"',
+      response: { type: 'tool_call', tool_name: 'get_purchase_orders', parameters: { sort_by: 'value', sort_order: 'highest' } },
+    },
+    ...scriptFromDataset(goldenSet),
+  ]);
+});
+after(() => server.close());
+
+const buyer = { 'X-Remote-User': 'pat', 'X-Remote-Roles': 'purchasing' };
+
+const chat = async (text, headers = buyer) => {
+  const response = await fetch(`${server.baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ messageHistory: [{ sender: 'user', text }] }),
+  });
+  return response.json();
+};
+const table = (token, query = '', headers = buyer) => fetch(`${server.baseUrl}/api/tables/${token}${query}`, { headers });
+
+test('sort options resolve loose column names, and amounts and quantities sort by their number', () => {
+  const columns = ['ID', 'Vendor', 'Quantity', 'Value'];
+  assert.deepEqual(tableOptions({ sort_by: 'value', sort_order: 'desc', columns: 'id, vend, nope' }, columns), {
+    sort: { column: 'Value', direction: 'desc' },
+    columns: ['ID', 'Vendor'],
+  });
+  assert.deepEqual(tableOptions({}, columns), { sort: null, columns });
+
+  const rows = [{ Value: '9,000.00 USD' }, { Value: '' }, { Value: '45,000.00 EUR' }, { Value: '120 units' }];
+  assert.deepEqual(sortRows(rows, { column: 'Value', direction: 'asc' }).map(row => row.Value), ['120 units', '9,000.00 USD', '45,000.00 EUR', '']);
+  assert.deepEqual(sortRows(rows, { column: 'Value', direction: 'desc' }).map(row => row.Value), ['45,000.00 EUR', '9,000.00 USD', '120 units', '']);
+  assert.deepEqual(loadTableConfig({ TABLE_PAGE_SIZE: '5000' }), { pageSize: 200, tokenTtlSeconds: 86400 });
+});
+
+test('csv cells are quoted when needed and cannot start a formula', () => {
+  assert.equal(csvLine(['PO-2001', 'Alpha, Inc.', 'say "hi"', 20]), 'PO-2001,"Alpha, Inc.","say ""hi""",20\r\n');
+  assert.equal(csvLine(['=HYPERLINK("x")', '-5', '+1']), `"'=HYPERLINK(""x"")",-5,'+1\r\n`);
+});
+
+test('a table answer carries its first page and a token for the other pages', async () => {
+  const body = await chat('What are the purchase orders?');
+  assert.equal(body.tableData.length, 3);
+  assert.deepEqual(body.paging, { page: 1, pageSize: 3, totalRows: 4, totalPages: 2 });
+  assert.deepEqual(body.allColumns, ['ID', 'Vendor', 'Material', 'Quantity', 'Status', 'Value']);
+
+  const second = await (await table(body.resultToken, '?page=2')).json();
+  assert.deepEqual(second.tableData.map(row => row.ID), ['PO-2004']);
+  assert.equal(second.paging.page, 2);
+  assert.equal(second.toolCall.name, 'get_purchase_orders');
+
+  const sorted = await (await table(body.resultToken, '?sort=Quantity&order=desc&columns=ID,Quantity&pageSize=10')).json();
+  assert.deepEqual(sorted.tableData, [
+    { ID: 'PO-2002', Quantity: 500 }, { ID: 'PO-2004', Quantity: 300 }, { ID: 'PO-2003', Quantity: 100 }, { ID: 'PO-2001', Quantity: 20 },
+  ]);
+  assert.deepEqual(sorted.sort, { column: 'Quantity', direction: 'desc' });
+  assert.equal((await table(body.resultToken, '?order=sideways')).status, 400);
+
+  // Page sizes are kept within 1..MAX_PAGE_SIZE
+  for (const [query, pageSize] of [['-5', 1], ['0', 1], ['5000', 200], ['abc', 3]]) {
+    const { paging, tableData } = await (await table(body.resultToken, `?pageSize=${query}`)).json();
+    assert.equal(paging.pageSize, pageSize, query);
+    assert.equal(tableData.length, Math.min(pageSize, 4), query);
+  }
+});
+
+test('a sort asked for in the chat applies to every page and to the export', async () => {
+  const body = await chat('purchase orders by value, highest first');
+  assert.deepEqual(body.sort, { column: 'Value', direction: 'desc' });
+  assert.deepEqual(body.tableData.map(row => row.ID), ['PO-2002', 'PO-2001', 'PO-2004']);
+
+  const response = await table(body.resultToken, '/export?format=csv&columns=ID,Value');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/csv/);
+  assert.match(response.headers.get('content-disposition'), /attachment; filename="get-purchase-orders-\d{4}-\d\d-\d\d\.csv"/);
+  // The byte order mark (so Excel reads UTF-8) comes first
+  const csv = Buffer.from(await response.arrayBuffer());
+  assert.deepEqual([...csv.subarray(0, 3)], [0xef, 0xbb, 0xbf]);
+  assert.equal(csv.subarray(3).toString(), 'ID,Value\r\nPO-2002,"45,000.00 EUR"\r\nPO-2001,"28,000.00 USD"\r\nPO-2004,"27,000.00 USD"\r\nPO-2003,"15,500.00 USD"\r\n');
+});
+
+test('the xlsx export is a workbook with every row', async () => {
+  const { resultToken } = await chat('What are the purchase orders?');
+  const response = await table(resultToken, '/export?format=xlsx');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /spreadsheetml\.sheet/);
+  const file = Buffer.from(await response.arrayBuffer());
+  assert.equal(file.readUInt32LE(0), 0x04034b50);
+
+  // Find the worksheet entry by name and inflate it
+  const name = 'xl/worksheets/sheet1.xml';
+  const header = file.indexOf(name) - 30;
+  const start = header + 30 + name.length + file.readUInt16LE(header + 28);
+  const sheet = zlib.inflateRawSync(file.subarray(start, start + file.readUInt32LE(header + 18))).toString();
+  assert.equal((sheet.match(/<row /g) || []).length, 5);
+  assert.match(sheet, /<c r="D2"[^>]*><v>20<\/v><\/c>/);
+  assert.match(sheet, /Precision Parts Ltd\./);
+  assert.equal((await table(resultToken, '/export?format=pdf')).status, 400);
+});
+
+test('tampered or expired tokens are refused, and the tool call runs with the caller\'s permissions', async () => {
+  const { resultToken } = await chat('What are the purchase orders?');
+  assert.equal((await table(`${resultToken.slice(0, -2)}xx`)).status, 410);
+  const expired = createResultToken({ name: 'get_purchase_orders', parameters: {} }, SECRET, -10);
+  assert.equal((await table(expired)).status, 410);
+
+  const denied = await table(resultToken, '', { 'X-Remote-User': 'sam', 'X-Remote-Roles': 'sales' });
+  assert.equal(denied.status, 403);
+  assert.match((await denied.json()).error, /limited to the purchasing team/);
+});
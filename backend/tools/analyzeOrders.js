@@ -0,0 +1,61 @@
+import { ANALYTICS_DATASETS, ANALYTICS_METRICS, renderAnalyticsTable, runAnalytics } from '../analytics.js';
+import { buildAnalyticsChart } from '../charts.js';
+import { describeDenial, hasPermission } from '../auth/permissions.js';
+
+// --- analyze_orders: totals, averages, counts and rankings over orders and stock ---
+export default {
+  name: 'analyze_orders',
+  permission: 'stock:read',
+  description: 'Use this tool for CALCULATIONS over sales orders, purchase orders or stock: totals, sums, averages, counts, minimum/maximum, rankings and "top N" questions, usually grouped by something (e.g., "total open sales order value by customer", "top 3 vendors by PO value", "average order quantity per material", "how many POs per status"). Do NOT use it to simply list records.',
+  parameters: {
+    type: 'object',
+    properties: {
+      dataset: {
+        type: 'string',
+        enum: Object.keys(ANALYTICS_DATASETS),
+        'x-aliases': { sales: 'sales_orders', 'so': 'sales_orders', purchase: 'purchase_orders', 'po': 'purchase_orders', inventory: 'stock' },
+        description: 'Which data to analyze.',
+      },
+      metric: {
+        type: 'string',
+        enum: ANALYTICS_METRICS,
+        'x-aliases': { total: 'sum', average: 'avg', mean: 'avg', number: 'count', 'how many': 'count', highest: 'max', lowest: 'min', top: 'sum' },
+        description: 'The aggregation to compute. Use "sum" for totals and top-N rankings by value.',
+      },
+      field: {
+        type: 'string',
+        enum: ['value', 'quantity', 'stock'],
+        'x-aliases': { amount: 'value', price: 'value', qty: 'quantity', units: 'quantity', level: 'stock' },
+        description: 'What to aggregate: order value, order quantity, or stock level. Not needed for counts.',
+      },
+      group_by: {
+        type: 'string',
+        enum: ['customer', 'vendor', 'material', 'status', 'currency', 'plant'],
+        'x-aliases': { supplier: 'vendor', client: 'customer', item: 'material', product: 'material' },
+        description: 'What to group the results by, if the user says "by X" or "per X".',
+      },
+      status: { type: 'string', description: "Only include orders with this status (e.g., 'Open', 'Ordered')." },
+      material: { type: 'string', description: 'Only include this material.' },
+      party: { type: 'string', description: 'Only include this customer (sales orders) or vendor (purchase orders).' },
+      sort: { type: 'string', enum: ['desc', 'asc'], 'x-aliases': { top: 'desc', highest: 'desc', descending: 'desc', bottom: 'asc', lowest: 'asc', ascending: 'asc' }, description: 'Sort order of the results.' },
+      limit: { type: 'integer', minimum: 1, description: 'Only return the top N groups (e.g., 3 for "top 3").' },
+    },
+    required: ['dataset'],
+  },
+  validationMessage: 'Should I analyze sales orders, purchase orders or stock?',
+
+  async handler(parameters, { user } = {}) {
+    console.log("--> Running analytics with params:", parameters);
+    // Each dataset needs the matching read permission ('sales_orders:read', 'stock:read', ...)
+    const permission = `${parameters.dataset}:read`;
+    if (!hasPermission(user, permission)) return { error: describeDenial(user, permission) };
+    return runAnalytics(parameters);
+  },
+
+  render(result, { query }) {
+    if (result.error) return { type: 'text', content: result.error };
+    const table = renderAnalyticsTable(result);
+    // Comparisons and distributions come back as a chart (with the table attached)
+    return buildAnalyticsChart(result, table, query) || table;
+  },
+};
@@ -0,0 +1,33 @@
+import { updateLeaveStatus } from '../leave.js';
+import { hasPermission } from '../auth/permissions.js';
+
+// --- cancel_leave_request: withdraw a submitted or approved leave request ---
+export default {
+  name: 'cancel_leave_request',
+  permission: 'leave:self',
+  description: 'Use this tool when the user wants to CANCEL or WITHDRAW one of their leave requests by its ID (e.g., "cancel my leave 1761046230236").',
+  parameters: {
+    type: 'object',
+    properties: {
+      leave_id: { type: 'string', description: 'The ID of the leave request to cancel.' },
+    },
+    required: ['leave_id'],
+  },
+  validationMessage: 'Which leave request should I cancel? Please give me its ID (you can ask me to list your leave requests first).',
+
+  async handler(parameters, { user } = {}) {
+    console.log(`--> Cancelling leave request ${parameters.leave_id}.`);
+    return updateLeaveStatus(parameters.leave_id, 'Cancelled', {
+      actor: user?.displayName,
+      ownerName: hasPermission(user, 'leave:all') ? null : user?.employeeName,
+    });
+  },
+
+  render({ entry, error }) {
+    if (error) return { type: 'text', content: error.message };
+    return {
+      type: 'text',
+      content: `Leave request **${entry.id}** (${entry.startDate} to ${entry.endDate}) has been cancelled.`,
+    };
+  },
+};
@@ -0,0 +1,17 @@
+import { buildOrderDraft, orderDraftParameters, renderOrderDraft } from './orderDrafts.js';
+
+// --- create_purchase_order: pre-filled purchase order draft, saved only after confirmation ---
+export default {
+  name: 'create_purchase_order',
+  permission: 'purchase_orders:create',
+  description: 'Use this tool when the user wants to CREATE/RAISE/ENTER a NEW purchase order (e.g., "create a PO for 50 VALVE-200 from Precision Parts", "order 500 bearings from Component Solutions"). Extract the vendor, material, quantity and, if stated, amount and currency. Nothing is saved until the user confirms the draft.',
+  parameters: orderDraftParameters('vendor', 'The vendor to order from.'),
+
+  async handler(parameters) {
+    return buildOrderDraft('purchase', parameters);
+  },
+
+  render(result) {
+    return renderOrderDraft('purchase', result);
+  },
+};
@@ -0,0 +1,17 @@
+import { buildOrderDraft, orderDraftParameters, renderOrderDraft } from './orderDrafts.js';
+
+// --- create_sales_order: pre-filled sales order draft, saved only after confirmation ---
+export default {
+  name: 'create_sales_order',
+  permission: 'sales_orders:create',
+  description: 'Use this tool when the user wants to CREATE/RAISE/ENTER a NEW sales order (e.g., "create a sales order for 10 PUMP-1001 for Global Tech", "book an order from Quantum Supplies for 200 bearings"). Extract the customer, material, quantity and, if stated, amount and currency. Nothing is saved until the user confirms the draft.',
+  parameters: orderDraftParameters('customer', 'The customer placing the order.'),
+
+  async handler(parameters) {
+    return buildOrderDraft('sales', parameters);
+  },
+
+  render(result) {
+    return renderOrderDraft('sales', result);
+  },
+};
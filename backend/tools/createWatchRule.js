@@ -0,0 +1,90 @@
+import { createWatchRule, currentStockLevel } from '../watchRules.js';
+import { clarifyParameter, renderClarification } from '../disambiguation.js';
+
+const PURCHASE_ORDER_ID = /\bPO-\d+\b/i;
+
+// --- create_watch_rule: "alert me when BEARING-A5 drops below 1000", "tell me when PO-2003 is delivered" ---
+// Matching changes show up in the user's notifications (see watchRules.js and notifications.js).
+export default {
+  name: 'create_watch_rule',
+  permission: 'alerts:self',
+  description: 'Use this tool when the user wants to be ALERTED/NOTIFIED LATER about a change: stock of a material dropping below or rising above a quantity (e.g., "alert me when BEARING-A5 drops below 1000"), a purchase order reaching a status (e.g., "tell me when PO-2003 is delivered", "notify me when POs from Alpha Industrial are delivered"), or a leave request being approved, rejected or submitted (e.g., "let me know when my leave is approved"). Do NOT use it to look something up now.',
+  parameters: {
+    type: 'object',
+    properties: {
+      subject: {
+        type: 'string',
+        enum: ['stock', 'purchase_order', 'leave'],
+        'x-aliases': {
+          inventory: 'stock', 'stock level': 'stock', material: 'stock',
+          'purchase order': 'purchase_order', po: 'purchase_order', order: 'purchase_order',
+          'leave request': 'leave', vacation: 'leave', holiday: 'leave',
+        },
+        description: 'What to watch: stock levels, a purchase order status or leave requests.',
+      },
+      material_id: { type: 'string', description: 'The material to watch (stock), or to filter purchase orders by.' },
+      comparison: {
+        type: 'string',
+        enum: ['less than', 'greater than'],
+        'x-aliases': { '<': 'less than', below: 'less than', under: 'less than', 'drops below': 'less than', 'falls below': 'less than', '>': 'greater than', above: 'greater than', over: 'greater than', 'rises above': 'greater than', exceeds: 'greater than' },
+        description: "Stock only: 'less than' to be alerted when stock drops below the quantity, 'greater than' when it rises above it.",
+      },
+      quantity: { type: 'number', minimum: 0, description: 'Stock only: the threshold quantity.' },
+      status: { type: 'string', description: "Purchase orders: the status to wait for (Ordered, In Transit, Delivered, Cancelled). Leave: Submitted, Approved (the default), Rejected or Cancelled." },
+      document_id: { type: 'string', description: "Purchase orders only: the ID of one purchase order (e.g. 'PO-2003')." },
+      vendor: { type: 'string', description: 'Purchase orders only: the vendor to filter by.' },
+      employee_name: { type: 'string', description: "Leave only: whose leave to watch, if not the user's own; '*' for everyone's." },
+    },
+    required: ['subject'],
+  },
+  validationMessage: "Please tell me what to watch, e.g. 'alert me when BEARING-A5 drops below 1000' or 'tell me when PO-2003 is delivered'.",
+
+  intent: {
+    patterns: [/\b(?:alert|notify|warn|tell|ping|remind)\s+(?:me|us)\b|\blet\s+(?:me|us)\s+know\b/i],
+    entities: ['materials', 'comparison', 'purchaseStatus', 'vendor'],
+    // Only the clear cases; anything else (leave, several materials, ...) goes to the LLM
+    parameters: entities => {
+      if (entities.comparison && entities.materials.length === 1) {
+        return { subject: 'stock', material_id: entities.materials[0], ...entities.comparison };
+      }
+      if (entities.purchaseStatus) {
+        return {
+          subject: 'purchase_order',
+          status: entities.purchaseStatus,
+          document_id: PURCHASE_ORDER_ID.exec(entities.query)?.[0].toUpperCase(),
+          vendor: entities.vendor,
+          material_id: entities.materials.join(' and ') || undefined,
+        };
+      }
+      return null;
+    },
+  },
+
+  async handler(parameters, { user } = {}) {
+    // Unclear materials and vendors are asked about first, as in the lookups
+    const clarification = clarifyParameter(parameters, 'material_id', 'material') || clarifyParameter(parameters, 'vendor', 'vendor');
+    if (clarification) return { clarification };
+    return createWatchRule(user, {
+      subject: parameters.subject,
+      material: parameters.material_id,
+      comparison: parameters.comparison,
+      quantity: parameters.quantity,
+      status: parameters.status,
+      id: parameters.document_id,
+      vendor: parameters.vendor,
+      employeeName: parameters.employee_name,
+    });
+  },
+
+  render(result) {
+    if (result.clarification) return renderClarification(result.clarification);
+    if (result.error) return { type: 'text', content: result.error.message };
+    const { rule } = result;
+    const level = rule.subject === 'stock' ? currentStockLevel(rule.conditions.material) : null;
+    const now = level === null ? '' : ` It is at ${level.toLocaleString('en-US')} units now.`;
+    return {
+      type: 'text',
+      content: `Done. I'll notify you when ${rule.description}.${now} You'll find your alerts and notifications under the bell icon.`,
+    };
+  },
+};
@@ -0,0 +1,44 @@
+import { getLeaveBalance, resolveLeaveEmployee } from '../leave.js';
+
+// --- get_leave_balance: remaining leave days for an employee ---
+export default {
+  name: 'get_leave_balance',
+  permission: 'leave:self',
+  description: 'Use this tool when the user asks how many leave days they (or an employee) have left, their leave balance or entitlement (e.g., "how many leave days do I have left?", "leave balance for Ishaan").',
+  parameters: {
+    type: 'object',
+    properties: {
+      employee_name: { type: 'string', description: 'The employee whose balance to show. Leave it out when the user asks about their own balance ("I"/"my").' },
+      year: { type: 'integer', minimum: 2000, maximum: 2100, description: 'The calendar year, only if the user mentions one.' },
+    },
+  },
+  validationMessage: 'Whose leave balance should I look up? Please tell me the employee name.',
+  intent: {
+    patterns: [/\bhow\s+many\s+(?:leave\s+|holiday\s+|vacation\s+)?days\b.*\b(?:left|remaining|have)\b/i],
+    keywords: ['leave balance', 'leave days', 'days left', 'remaining leave', 'leave left'],
+  },
+
+  async handler(parameters, { user } = {}) {
+    console.log("--> Getting leave balance with params:", parameters);
+    const scope = resolveLeaveEmployee(user, parameters.employee_name);
+    if (scope.denied) return scope;
+    if (!scope.employeeName) return { denied: 'Whose leave balance should I look up? Please tell me the employee name.' };
+    return getLeaveBalance(scope.employeeName, parameters.year);
+  },
+
+  render(balance) {
+    if (balance.denied) return { type: 'text', content: balance.denied };
+    return {
+      type: 'detail',
+      content: `${balance.employeeName} has ${balance.remainingDays} leave day(s) left in ${balance.year}.`,
+      detailData: {
+        'Employee': balance.employeeName,
+        'Year': balance.year,
+        'Annual Entitlement': `${balance.entitlement} days`,
+        'Approved (used)': `${balance.approvedDays} days`,
+        'Pending Approval': `${balance.pendingDays} days`,
+        'Remaining': `${balance.remainingDays} days`,
+      },
+    };
+  },
+};
@@ -0,0 +1,48 @@
+import { LEAVE_STATUSES, countLeaveDays, listLeaveRequests, resolveLeaveEmployee } from '../leave.js';
+
+// --- get_leave_requests: list leave requests, optionally for one employee and status ---
+export default {
+  name: 'get_leave_requests',
+  permission: 'leave:self',
+  description: 'Use this tool when the user wants to SEE existing leave requests (e.g., "show my leave requests", "list pending leave for Ishaan", "which leave requests are waiting for approval?"). Pending requests have status "Submitted".',
+  parameters: {
+    type: 'object',
+    properties: {
+      employee_name: { type: 'string', description: 'The employee whose requests to list. Take it from the conversation if the user said "my" and mentioned their name earlier.' },
+      status: {
+        type: 'string',
+        enum: LEAVE_STATUSES,
+        'x-aliases': { pending: 'Submitted', open: 'Submitted', waiting: 'Submitted', approve: 'Approved', reject: 'Rejected', cancel: 'Cancelled', canceled: 'Cancelled' },
+        description: 'Only list requests with this status.',
+      },
+    },
+  },
+
+  intent: {
+    keywords: ['leave request', 'pending leave', 'my leave'],
+    // The status word as typed; 'x-aliases' maps "pending" onto Submitted
+    parameters: entities => ({
+      status: [...LEAVE_STATUSES.map(status => status.toLowerCase()), 'pending', 'waiting'].find(word => new RegExp(`\\b${word}\\b`).test(entities.text)),
+    }),
+  },
+
+  async handler(parameters, { user } = {}) {
+    console.log("--> Listing leave requests with params:", parameters);
+    const scope = resolveLeaveEmployee(user, parameters.employee_name);
+    if (scope.denied) return scope;
+    return listLeaveRequests({ employeeName: scope.employeeName, status: parameters.status });
+  },
+
+  render(leaveRequests) {
+    if (leaveRequests.denied) return { type: 'text', content: leaveRequests.denied };
+    console.log(`--> Returning ${leaveRequests.length} leave requests.`);
+    return {
+      type: 'table',
+      tableColumns: ['ID', 'Employee', 'Start Date', 'End Date', 'Days', 'Status', 'Reason'],
+      tableData: leaveRequests.map(leave => ({
+        'ID': leave.id, 'Employee': leave.employeeName, 'Start Date': leave.startDate, 'End Date': leave.endDate,
+        'Days': leave.days ?? countLeaveDays(leave.startDate, leave.endDate), 'Status': leave.status, 'Reason': leave.reason,
+      })),
+    };
+  },
+};
@@ -0,0 +1,42 @@
+import { availabilityForUser, computeAvailability, renderAvailability } from '../availability.js';
+import { clarifyParameter, renderClarification } from '../disambiguation.js';
+
+// --- get_material_availability: stock + open sales demand + inbound purchase orders per plant ---
+export default {
+  name: 'get_material_availability',
+  permission: 'stock:read',
+  description: 'Use this tool when the user asks whether a quantity of a material can be promised, shipped or delivered, or wants the full picture of a material across stock, sales orders and purchase orders (e.g., "can we ship 200 more PUMP-1001 next month?", "available to promise for valves", "material 360 for BEARING-A5").',
+  parameters: {
+    type: 'object',
+    properties: {
+      material: { type: 'string', description: 'The material name or ID.' },
+      quantity: { type: 'number', minimum: 0, description: 'The quantity the user wants to ship or promise, if mentioned.' },
+      plant: { type: 'string', description: 'The plant to check, only if the user mentions one.' },
+    },
+    required: ['material'],
+  },
+  validationMessage: 'Which material should I check availability for?',
+  intent: {
+    keywords: ['available to promise', 'atp', 'availability', 'can we ship', 'can we deliver', 'can we promise'],
+    entities: ['materials'],
+    // Availability is computed for one material; anything else goes to the LLM
+    parameters: entities => entities.materials.length === 1 ? { material: entities.materials[0], quantity: entities.quantity } : null,
+  },
+
+  async handler(parameters, { user } = {}) {
+    console.log("--> Computing availability with params:", parameters);
+    const clarification = clarifyParameter(parameters, 'material', 'material');
+    if (clarification) return { clarification };
+    const result = computeAvailability(parameters.material, { plant: parameters.plant, requestedQuantity: parameters.quantity });
+    return result && !result.error ? availabilityForUser(result, user) : result;
+  },
+
+  render(result, { parameters }) {
+    if (!result) {
+      return { type: 'text', content: `I couldn't find a material matching '${parameters.material}'.` };
+    }
+    if (result.clarification) return renderClarification(result.clarification);
+    if (result.error) return { type: 'text', content: result.error };
+    return renderAvailability(result);
+  },
+};
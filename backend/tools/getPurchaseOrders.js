@@ -0,0 +1,50 @@
+import { getDataSource } from '../sources/index.js';
+import { TABLE_PARAMETERS } from '../tables.js';
+import { clarifyParameter, renderClarification } from '../disambiguation.js';
+
+// --- get_purchase_orders: existing purchase orders filtered by vendor, material(s) and status ---
+export default {
+  name: 'get_purchase_orders',
+  permission: 'purchase_orders:read',
+  paged: true,
+  description: 'Use this tool ONLY to find/view EXISTING purchase orders. Filter by vendor, material(s), or status if provided. For multiple materials, include all separated by delimiters. Do NOT use for "how to", "process", or definition questions.',
+  parameters: {
+    type: 'object',
+    properties: {
+      vendor: { type: 'string', description: 'The vendor name to filter by.' },
+      material: { type: 'string', description: "The material name(s) or ID(s) to filter by. For multiple materials, include all separated by 'and' or commas (e.g., 'pumps and bearings')." },
+      status: { type: 'string', description: "The order status to filter by (e.g., 'Ordered')." },
+      ...TABLE_PARAMETERS,
+    },
+  },
+
+  intent: {
+    keywords: ['purchase order', 'po'],
+    entities: ['vendor', 'materials', 'purchaseStatus'],
+    parameters: entities => ({ vendor: entities.vendor, material: entities.materials.join(' and '), status: entities.purchaseStatus }),
+  },
+
+  async handler(parameters) {
+    console.log("--> Getting purchase orders with params:", parameters);
+    const source = getDataSource('purchase_orders');
+    // Unclear vendors and materials are asked about (local data only; a gateway does its own matching)
+    const clarification = source.name === 'local'
+      && (clarifyParameter(parameters, 'vendor', 'vendor') || clarifyParameter(parameters, 'material', 'material'));
+    if (clarification) return { clarification };
+    return source.query(parameters);
+  },
+
+  render(orders) {
+    if (orders.clarification) return renderClarification(orders.clarification);
+    const mappedData = orders.map(order => ({
+      'ID': order.id, 'Vendor': order.vendor, 'Material': order.material,
+      'Quantity': order.quantity, 'Status': order.status, 'Value': order.value
+    }));
+    console.log(`--> Returning ${mappedData.length} purchase orders.`);
+    return {
+      type: 'table',
+      tableColumns: ['ID', 'Vendor', 'Material', 'Quantity', 'Status', 'Value'],
+      tableData: mappedData,
+    };
+  },
+};
@@ -0,0 +1,50 @@
+import { getDataSource } from '../sources/index.js';
+import { TABLE_PARAMETERS } from '../tables.js';
+import { clarifyParameter, renderClarification } from '../disambiguation.js';
+
+// --- get_sales_orders: existing sales orders filtered by customer, material(s) and status ---
+export default {
+  name: 'get_sales_orders',
+  permission: 'sales_orders:read',
+  paged: true,
+  description: 'Use this tool ONLY to find/view EXISTING sales orders. Filter by customer, material(s), or status if provided. For multiple materials, include all separated by delimiters. Do NOT use for "how to", "process", or definition questions.',
+  parameters: {
+    type: 'object',
+    properties: {
+      customer: { type: 'string', description: 'The customer name to filter by.' },
+      material: { type: 'string', description: "The material name(s) or ID(s) to filter by. For multiple materials, include all separated by 'and' or commas (e.g., 'pumps and bearings')." },
+      status: { type: 'string', description: "The order status to filter by (e.g., 'Open')." },
+      ...TABLE_PARAMETERS,
+    },
+  },
+
+  intent: {
+    keywords: ['sales order', 'customer order'],
+    entities: ['customer', 'materials', 'salesStatus'],
+    parameters: entities => ({ customer: entities.customer, material: entities.materials.join(' and '), status: entities.salesStatus }),
+  },
+
+  async handler(parameters) {
+    console.log("--> Getting sales orders with params:", parameters);
+    const source = getDataSource('sales_orders');
+    // Unclear customers and materials are asked about (local data only; a gateway does its own matching)
+    const clarification = source.name === 'local'
+      && (clarifyParameter(parameters, 'customer', 'customer') || clarifyParameter(parameters, 'material', 'material'));
+    if (clarification) return { clarification };
+    return source.query(parameters);
+  },
+
+  render(orders) {
+    if (orders.clarification) return renderClarification(orders.clarification);
+    const mappedData = orders.map(order => ({
+      'ID': order.id, 'Customer': order.customer, 'Material': order.material,
+      'Quantity': order.quantity, 'Status': order.status, 'Value': order.value
+    }));
+    console.log(`--> Returning ${mappedData.length} sales orders.`);
+    return {
+      type: 'table',
+      tableColumns: ['ID', 'Customer', 'Material', 'Quantity', 'Status', 'Value'],
+      tableData: mappedData,
+    };
+  },
+};
@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import { cleanAiText } from '../helpers.js';
+import { recordKnowledgeGap, retrieveKnowledge } from '../knowledge.js';
+import { tryCallLLM } from '../llm/index.js';
+import { quoteUserText } from '../llm/promptGuard.js';
+import { createLruCache } from '../cache.js';
+import { dataVersion } from '../db/repositories.js';
+import { DEFAULT_LANGUAGE, languageName } from '../language.js';
+
+// --- Explanation cache ---
+// Keyed by knowledge base version, answer language, mode (process or definition), normalized term
+// and a hash of the conversation the answer was written for, so "What is FB60?" and "fb60" share an
+// answer, a follow-up in another conversation isn't answered with this one's context, and editing
+// the knowledge base starts afresh.
+// DEFINITION_CACHE_SIZE (default 200, 0 turns it off), DEFINITION_CACHE_TTL_MINUTES (default 60)
+function loadDefinitionCacheConfig(env = process.env) {
+  const size = parseInt(env.DEFINITION_CACHE_SIZE, 10);
+  const ttlMinutes = parseFloat(env.DEFINITION_CACHE_TTL_MINUTES);
+  return {
+    maxEntries: Number.isNaN(size) || size < 0 ? 200 : size,
+    ttlMs: (Number.isNaN(ttlMinutes) || ttlMinutes <= 0 ? 60 : ttlMinutes) * 60 * 1000,
+  };
+}
+
+const explanationCache = createLruCache(loadDefinitionCacheConfig());
+
+const explanationKey = (term, askedForProcess, language, conversationBlock) => {
+  const context = crypto.createHash('sha256').update(conversationBlock).digest('hex').slice(0, 16);
+  return `${dataVersion('knowledge')}|${language}|${askedForProcess ? 'process' : 'definition'}|${context}|${term.toLowerCase().replace(/[?.!]+$/, '').replace(/\s+/g, ' ').trim()}`;
+};
+
+// The answer is written in the user's language: from the translated passages where the knowledge
+// base has them, translated from the English ones where it doesn't
+function answerLanguageRule(language, passages) {
+  if (language === DEFAULT_LANGUAGE) return '';
+  const untranslated = passages.some(passage => passage.language !== language);
+  return `\n\nWrite your whole answer in ${languageName(language)}, the language the user wrote in.${untranslated
+    ? ' Passages in English are to be translated; keep T-codes, transaction and field names as they are in SAP.'
+    : ''}`;
+}
+
+// Without the LLM the matching passages are quoted as they are, best entry first
+function answerFromPassages(term, passages) {
+  if (passages.length === 0) {
+    return `I couldn't find '${term}' in the knowledge base, and the AI service isn't available to explain it right now.`;
+  }
+  // An exact T-code/term hit is quoted on its own, not next to look-alikes such as YFB60
+  const quoted = passages.filter(passage => passage.match === passages[0].match).slice(0, 2);
+  const lines = quoted.map(passage => `**${passage.term}**: ${passage.text}`);
+  return `${lines.join('\n\n')}\n\n_(Quoted from the knowledge base; the AI service isn't available for a fuller explanation right now.)_`;
+}
+
+// --- get_sap_definition: explain an SAP term, T-code or process using the knowledge base ---
+export default {
+  name: 'get_sap_definition',
+  permission: 'knowledge:read',
+  description: "Use this tool ONLY to define or explain a specific SAP term, concept, T-code (like 'fb60'), process, or abbreviation (e.g., 'What is fb60?', 'Define S/4HANA', 'process for sales order', 'how to enter vendor invoice'). Extract the core term/topic.",
+  parameters: {
+    type: 'object',
+    properties: {
+      term: { type: 'string', description: 'The specific SAP term, topic, process, T-code, or abbreviation the user is asking about.' },
+    },
+    required: ['term'],
+  },
+  validationMessage: 'Please tell me which SAP term or process you want explained.',
+  intent: {
+    patterns: [
+      /^(?:what\s+is|what's|whats|define|explain|meaning\s+of)\s+(?:an?\s+)?(?<term>(?!the\b).+?)\??$/i,
+      /^(?:how\s+(?:do\s+i|to)|process\s+(?:for|of)|steps?\s+(?:for|to))\s+(?<term>.+?)\??$/i,
+    ],
+    // A bare T-code or term ("fb60", "MIGO?")
+    match: entities => entities.onlyKnownTerm ? { groups: { term: entities.onlyKnownTerm } } : null,
+    parameters(entities, match) {
+      // "what is the stock of PUMP-1001" is a data question, not a definition
+      if (entities.knownTerms.length === 0 && (entities.materials.length > 0 || entities.customer || entities.vendor)) return null;
+      return { term: match.groups.term };
+    },
+  },
+
+  async handler({ term }, { query = term, conversationBlock = '', language = DEFAULT_LANGUAGE, llmAvailable = true, signal, onProgress, onToken } = {}) {
+    const searchTerm = term;
+    console.log(`--> Searching KB for: "${searchTerm}"`);
+    const askedForProcess = /\b(process|how to|steps|procedure|way to)\b/i.test(query);
+    console.log(`--> User asked for process/how-to: ${askedForProcess}`);
+
+    // Ranked KB passages above the confidence threshold, translated ones first (see knowledge.js)
+    const { passages, sources } = retrieveKnowledge(searchTerm, { language });
+    if (passages.length === 0) recordKnowledgeGap(searchTerm, query);
+    // Text written in the user's language is marked, so it is not translated again (see translation.js)
+    const written = language === DEFAULT_LANGUAGE ? {} : { language };
+    if (!llmAvailable) {
+      return { term: searchTerm, content: answerFromPassages(searchTerm, passages), sources };
+    }
+
+    const cacheKey = explanationKey(searchTerm, askedForProcess, language, conversationBlock);
+    const cached = explanationCache.get(cacheKey);
+    if (cached) {
+      console.log(`--> Explanation cache hit for "${searchTerm}".`);
+      return { term: searchTerm, content: cached, sources, ...written };
+    }
+
+    let llmSystemPrompt = '';
+    let llmUserPrompt = '';
+
+    if (passages.length > 0) {
+      console.log(`--> Using ${passages.length} KB passages for context:`);
+      passages.forEach((passage, idx) => {
+        console.log(`   ${idx + 1}. ${passage.term} (${passage.match}, confidence: ${passage.confidence})`);
+      });
+
+      // Build context from KB passages
+      const kbContext = passages.map(passage =>
+        `Term: "${passage.term}"\nPassage: ${passage.text}`
+      ).join('\n\n');
+
+      if (askedForProcess) {
+        // User wants a process explanation
+        llmSystemPrompt = `You are a friendly SAP expert who explains processes in a conversational, easy-to-understand way. You break down complex SAP procedures into simple steps, use analogies from everyday life, and make learning SAP feel approachable. Keep responses concise and focused - aim for 3-5 sentences maximum.`;
+        
+        llmUserPrompt = `${conversationBlock}A user asked: ${quoteUserText(query)}
+
+I found these relevant passages in our knowledge base:
+${kbContext}
+
+Your task:
+1. Explain ONLY what the user asked about - stay focused on ${quoteUserText(searchTerm)}
+2. Give a brief, step-by-step process (3-5 main steps maximum)
+3. Include ONE simple analogy to make it relatable
+4. Keep it short, friendly, and energetic - like a quick helpful tip
+5. DO NOT explain related terms or go off-topic
+
+Keep your response under 150 words. Be concise and punchy!`;
+
+      } else {
+        // User wants a definition/explanation
+        llmSystemPrompt = `You are a friendly SAP expert who explains concepts in a way anyone can understand. You use analogies, examples, and conversational language to make SAP terminology accessible. Keep responses concise and energetic - aim for 2-4 sentences maximum.`;
+        
+        llmUserPrompt = `${conversationBlock}A user asked: ${quoteUserText(query)}
+
+I found these relevant passages in our knowledge base:
+${kbContext}
+
+Your task:
+1. Explain ONLY what ${quoteUserText(searchTerm)} is - stay laser-focused on this term
+2. Use ONE simple, relatable analogy
+3. Keep it super concise and friendly - like a quick explanation between colleagues
+4. DO NOT mention related terms, variants, or go into extra details unless directly relevant
+5. Make it energetic and clear
+
+Keep your response under 80 words. Be brief, friendly, and to the point!`;
+      }
+
+    } else {
+      // No good KB matches - use LLM's general knowledge with caution
+      console.log(`--> No good KB matches found for "${searchTerm}"`);
+      
+      if (askedForProcess) {
+        llmSystemPrompt = `You are an SAP expert who helps users understand processes. Be helpful but honest about limitations.`;
+        
+        llmUserPrompt = `${conversationBlock}A user asked: ${quoteUserText(query)}
+
+I couldn't find specific information about ${quoteUserText(searchTerm)} in our knowledge base. 
+
+If you're confident about this SAP process from your training data:
+- Explain the typical steps clearly and conversationally
+- Use a simple analogy to make it relatable
+- Keep it practical and actionable
+
+If you're not sure about this specific process:
+- Politely let them know you couldn't find specific details
+- Ask them to provide more context or rephrase
+- Suggest they verify the term spelling or check official SAP documentation
+
+Be honest and helpful!`;
+
+      } else {
+        llmSystemPrompt = `You are an SAP expert who provides accurate information. Be helpful but honest about limitations.`;
+        
+        llmUserPrompt = `${conversationBlock}A user asked: ${quoteUserText(query)}
+
+I couldn't find information about ${quoteUserText(searchTerm)} in our knowledge base.
+
+If you're confident this is a real SAP term from your training:
+- Provide a clear, friendly definition
+- Use a simple analogy to explain it
+- Keep it conversational
+
+If you're not sure about this term:
+- Politely say you couldn't find it in the knowledge base
+- Ask for more context or suggest checking the spelling
+- Don't make up information
+
+Be honest and helpful!`;
+      }
+    }
+
+    llmUserPrompt += answerLanguageRule(language, passages);
+
+    // Get the final explanation from LLM, streamed to clients of /api/chat/stream
+    onProgress?.('explaining');
+    const finalResult = await tryCallLLM(llmSystemPrompt, llmUserPrompt, { signal, onToken });
+
+    if (finalResult) {
+      const content = cleanAiText(finalResult);
+      explanationCache.set(cacheKey, content);
+      return { term: searchTerm, content, sources, ...written };
+    }
+    console.error("Error getting final explanation from LLM.");
+    if (passages.length > 0) {
+      return { term: searchTerm, content: answerFromPassages(searchTerm, passages), sources };
+    }
+    return { term: searchTerm, content: `Sorry, I encountered an issue while trying to explain '${searchTerm}'. Please try again.`, sources: [] };
+  },
+
+  // The KB entries behind the answer are listed as references under it
+  render(result) {
+    const written = result.language ? { language: result.language } : {};
+    return result.sources?.length > 0
+      ? { type: 'text', content: result.content, sources: result.sources, ...written }
+      : { type: 'text', content: result.content, ...written };
+  },
+};
@@ -0,0 +1,70 @@
+import {
+  ORDER_TYPES,
+  estimateUnitPrice,
+  suggestMaterialId,
+  suggestPartyName,
+} from '../orders.js';
+
+// --- Shared draft builder for create_sales_order / create_purchase_order ---
+// Nothing is saved here: the draft is shown as an editable card and only written
+// when the user confirms it through the submit endpoint.
+export function buildOrderDraft(orderType, parameters) {
+  const { partyKey } = ORDER_TYPES[orderType];
+  const warnings = [];
+
+  const materialId = parameters.material ? suggestMaterialId(parameters.material) : null;
+  if (parameters.material && !materialId) {
+    warnings.push(`I couldn't find a material matching '${parameters.material}'. Please pick an existing material ID.`);
+  } else if (materialId && materialId !== parameters.material) {
+    warnings.push(`Interpreted '${parameters.material}' as ${materialId}.`);
+  }
+
+  let amount = parameters.amount;
+  let currency = parameters.currency ? parameters.currency.toUpperCase() : undefined;
+  if (amount === undefined && materialId && parameters.quantity) {
+    const lastPrice = estimateUnitPrice(orderType, materialId);
+    if (lastPrice && (!currency || currency === lastPrice.currency)) {
+      amount = Math.round(lastPrice.unitPrice * parameters.quantity * 100) / 100;
+      currency = lastPrice.currency;
+      warnings.push(`Amount estimated from the last known price of ${materialId} (${lastPrice.unitPrice.toFixed(2)} ${lastPrice.currency} per unit).`);
+    }
+  }
+
+  const draft = {
+    [partyKey]: suggestPartyName(orderType, parameters[partyKey]) || '',
+    material: materialId || parameters.material || '',
+    quantity: parameters.quantity ?? '',
+    amount: amount ?? '',
+    currency: currency || 'USD',
+  };
+  console.log(`--> Prepared ${orderType} order draft:`, draft);
+  return { draft, warnings };
+}
+
+export function renderOrderDraft(orderType, { draft, warnings }) {
+  const { label, partyKey, partyLabel, submitEndpoint } = ORDER_TYPES[orderType];
+  return {
+    type: 'order_draft',
+    orderType,
+    title: `${label} draft`,
+    partyKey,
+    partyLabel,
+    draft,
+    warnings,
+    submitEndpoint,
+  };
+}
+
+// --- Parameter schema shared by both create tools ---
+export function orderDraftParameters(partyKey, partyDescription) {
+  return {
+    type: 'object',
+    properties: {
+      [partyKey]: { type: 'string', description: partyDescription },
+      material: { type: 'string', description: "The material name or ID to order (e.g., 'VALVE-200', 'pumps')." },
+      quantity: { type: 'integer', minimum: 1, description: 'The number of units to order.' },
+      amount: { type: 'number', minimum: 0, description: 'The total order value, only if the user states it.' },
+      currency: { type: 'string', description: "Three-letter currency code (e.g., 'USD', 'EUR'), only if the user states it." },
+    },
+  };
+}
@@ -0,0 +1,51 @@
+import Fuse from 'fuse.js';
+import { extractMultipleItems } from '../helpers.js';
+
+// --- Shared filtering for sales and purchase orders ---
+// partyKey is 'customer' for sales orders and 'vendor' for purchase orders.
+export function filterOrders({ orders, partyFuse, partyKey, label, parameters }) {
+  let results = orders;
+
+  // Filter by customer/vendor if provided
+  if (parameters[partyKey]) {
+    console.log(`--> Filtering ${label} by ${partyKey}: "${parameters[partyKey]}"`);
+    // An exact name (e.g. one picked from a clarification) is taken as is; anything else is matched fuzzily
+    const wanted = String(parameters[partyKey]).trim().toLowerCase();
+    const exact = orders.filter(order => String(order[partyKey]).toLowerCase() === wanted);
+    results = exact.length > 0 ? exact : partyFuse.search(parameters[partyKey]).map(result => result.item);
+  }
+
+  // Filter by material(s) if provided
+  if (parameters.material) {
+    console.log(`--> Filtering ${label} by material(s): "${parameters.material}"`);
+     
+    // Extract multiple materials
+    const materials = extractMultipleItems(parameters.material);
+    console.log(`--> Extracted ${materials.length} material(s):`, materials);
+     
+    // Search for each material
+    const allResults = new Map();
+    const materialFuse = new Fuse(results, { keys: ['material'], includeScore: true, threshold: 0.4 });
+     
+    for (const material of materials) {
+      const searchResults = materialFuse.search(material);
+      searchResults.forEach(result => {
+        if (!allResults.has(result.item.id)) {
+          allResults.set(result.item.id, result.item);
+        }
+      });
+    }
+     
+    results = Array.from(allResults.values());
+    console.log(`--> Found ${results.length} orders with matching materials.`);
+  }
+
+  // Filter by status if provided
+  if (parameters.status) {
+    console.log(`--> Filtering ${label} by status: "${parameters.status}"`);
+    const statusFuse = new Fuse(results, { keys: ['status'], includeScore: true, threshold: 0.4 });
+    results = statusFuse.search(parameters.status).map(result => result.item);
+  }
+
+  return results;
+}
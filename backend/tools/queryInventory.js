@@ -0,0 +1,58 @@
+import { getDataSource } from '../sources/index.js';
+import { TABLE_PARAMETERS } from '../tables.js';
+import { clarifyMissingMaterial, clarifyParameter, renderClarification } from '../disambiguation.js';
+
+// --- query_inventory: stock levels, optionally filtered by material(s) and quantity ---
+export default {
+  name: 'query_inventory',
+  permission: 'stock:read',
+  paged: true,
+  description: "Use this tool ONLY when the user asks about stock levels OR asks if specific materials/items are in stock (e.g., 'check stock', 'do we have bearings?', 'stock of pump-1001', 'pumps and bearings'). **CRITICAL: You MUST extract the specific material name(s) or ID(s)** mentioned by the user and put them in the 'material_id' parameter. If multiple items are mentioned (like 'pumps and bearings'), include ALL items separated by 'and' or commas in the 'material_id'. Do NOT use for general questions.",
+  parameters: {
+    type: 'object',
+    properties: {
+      material_id: { type: 'string', description: "REQUIRED if mentioned. The exact name(s) or ID(s) of the material(s) the user asked about. For multiple materials, include all separated by 'and' or commas (e.g., 'PUMP-1001', 'bearings', 'pumps and bearings', 'bearings, pumps, valves'). DO NOT omit this if the user mentions item(s)." },
+      comparison: {
+        type: 'string',
+        enum: ['less than', 'greater than'],
+        'x-aliases': { '<': 'less than', 'less': 'less than', 'below': 'less than', 'under': 'less than', 'fewer': 'less than', '>': 'greater than', 'greater': 'greater than', 'more': 'greater than', 'above': 'greater than', 'over': 'greater than' },
+        description: 'The filter operator for the stock quantity.',
+      },
+      quantity: { type: 'number', minimum: 0, description: 'The numeric value for the comparison.' },
+      ...TABLE_PARAMETERS,
+    },
+  },
+
+  intent: {
+    keywords: ['stock', 'inventory', 'in stock', 'stock of', 'stock level', 'check stock', 'do we have', 'on hand'],
+    entities: ['materials', 'comparison'],
+    parameters: entities => ({
+      material_id: entities.materials.join(' and '),
+      comparison: entities.comparison?.comparison,
+      quantity: entities.comparison?.quantity,
+    }),
+  },
+
+  async handler(parameters) {
+    console.log("--> Querying inventory with params:", parameters);
+    const source = getDataSource('stock');
+    // No material, or one that is unclear: ask rather than list everything or guess (local data only)
+    const clarification = source.name === 'local'
+      && (clarifyMissingMaterial(parameters) || clarifyParameter(parameters, 'material_id', 'material'));
+    if (clarification) return { clarification };
+    const inventory = await source.query(parameters);
+    console.log(`--> Returning ${inventory.length} inventory items.`);
+    return inventory;
+  },
+
+  render(inventory) {
+    if (inventory.clarification) return renderClarification(inventory.clarification);
+    // OData stock carries no Description unless the mapping has one (see odataEntities.js)
+    const described = inventory.length === 0 || 'Description' in inventory[0];
+    return {
+      type: 'table',
+      tableColumns: ['Material', ...(described ? ['Description'] : []), 'Stock Level', 'Plant'],
+      tableData: inventory,
+    };
+  },
+};
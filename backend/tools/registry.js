@@ -0,0 +1,273 @@
+// --- Declarative tool registry ---
+// Each tool module exports:
+//   name         the tool name the LLM calls
+//   description  when to use the tool (goes into the decision prompt)
+//   parameters   JSON-Schema object ({ type: 'object', properties, required })
+//   handler      async (parameters, context) => result data
+//   render       (result, context) => chat response payload ({ type: 'text' | 'table' | ... })
+//   validationMessage  (optional) text shown when the parameters stay invalid after a retry
+//   permission   (optional) permission the caller needs, checked through context.authorize(tool)
+//   paged        (optional) table answers go out a page at a time, sortable and exportable through a
+//                result token (see tables.js); such tools also declare TABLE_PARAMETERS
+//   intent       (optional) lets the offline intent router (intentRouter.js) pick the tool without
+//                the LLM: { keywords, patterns (with a named 'term' group), match(entities),
+//                entities (entity names that raise the score), parameters(entities, match) }
+//
+// Decisions can also be a plan of several tool calls (see plans.js); checkDecision validates
+// every step and that each "{{stepN.Column}}" reference points at an earlier step.
+//
+// Supported schema keywords: type (string | number | integer | boolean), enum, description,
+// required, additionalProperties, minimum, maximum, plus 'x-aliases' to map loose LLM
+// wording onto enum values (e.g. '<' -> 'less than').
+
+import { MAX_PLAN_STEPS, findStepReferences } from '../plans.js';
+
+const isBlank = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// --- Helper: coerce one value to the declared schema type ---
+function coerceValue(value, schema) {
+  switch (schema.type) {
+    case 'number':
+    case 'integer': {
+      if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+      if (typeof value !== 'string') return undefined;
+      // Accept display strings like "1,000" or "200 units"
+      const match = value.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+      if (!match) return undefined;
+      return schema.type === 'integer' ? parseInt(match[0], 10) : parseFloat(match[0]);
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (/^(true|yes|1)$/i.test(String(value).trim())) return true;
+      if (/^(false|no|0)$/i.test(String(value).trim())) return false;
+      return undefined;
+    case 'string':
+      if (typeof value === 'string') return value.trim();
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+      if (Array.isArray(value)) return value.map(String).join(', ');
+      return undefined;
+    default:
+      return value;
+  }
+}
+
+// --- Helper: match a value against enum values and aliases, case-insensitively ---
+function coerceEnum(value, schema) {
+  const needle = String(value).trim().toLowerCase();
+  const direct = schema.enum.find(option => String(option).toLowerCase() === needle);
+  if (direct !== undefined) return direct;
+
+  const aliases = schema['x-aliases'] || {};
+  for (const [alias, target] of Object.entries(aliases)) {
+    if (needle === alias.toLowerCase() || needle.includes(alias.toLowerCase())) return target;
+  }
+  return undefined;
+}
+
+export function validateParameters(schema, rawParameters) {
+  const properties = schema?.properties || {};
+  const required = schema?.required || [];
+  const input = rawParameters && typeof rawParameters === 'object' && !Array.isArray(rawParameters) ? rawParameters : {};
+  const parameters = {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(input)) {
+    const propertySchema = properties[key];
+    if (!propertySchema) {
+      if (schema.additionalProperties === false) {
+        errors.push({ parameter: key, message: `Unknown parameter '${key}'. Allowed parameters: ${Object.keys(properties).join(', ') || 'none'}.` });
+      }
+      continue;
+    }
+    if (isBlank(value)) continue;
+
+    let coerced = coerceValue(value, propertySchema);
+    if (coerced === undefined) {
+      errors.push({ parameter: key, message: `Expected a ${propertySchema.type} for '${key}', got ${JSON.stringify(value)}.` });
+      continue;
+    }
+    if (propertySchema.enum) {
+      const enumValue = coerceEnum(coerced, propertySchema);
+      if (enumValue === undefined) {
+        errors.push({ parameter: key, message: `'${key}' must be one of: ${propertySchema.enum.join(', ')}.` });
+        continue;
+      }
+      coerced = enumValue;
+    }
+    if (typeof propertySchema.minimum === 'number' && coerced < propertySchema.minimum) {
+      errors.push({ parameter: key, message: `'${key}' must be at least ${propertySchema.minimum}.` });
+      continue;
+    }
+    if (typeof propertySchema.maximum === 'number' && coerced > propertySchema.maximum) {
+      errors.push({ parameter: key, message: `'${key}' must be at most ${propertySchema.maximum}.` });
+      continue;
+    }
+    parameters[key] = coerced;
+  }
+
+  for (const key of required) {
+    if (parameters[key] === undefined && !errors.some(error => error.parameter === key)) {
+      errors.push({ parameter: key, message: `Missing required parameter '${key}': ${properties[key]?.description || ''}`.trim() });
+    }
+  }
+
+  return { valid: errors.length === 0, parameters, errors };
+}
+
+// --- Decision schema: what an LLM decision may look like ---
+// { type: 'text', content: string }, { type: 'tool_call', tool_name: <registered tool>, parameters: {...} }
+// or { type: 'plan', steps: [{ tool_name, parameters }, ...] }, with only declared parameter keys and
+// values of a plausible type (validateParameters coerces them later).
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isScalar = value => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+const DECISION_KEYS = { text: ['type', 'content'], tool_call: ['type', 'tool_name', 'parameters'], plan: ['type', 'steps'] };
+const STEP_KEYS = ['tool_name', 'parameters'];
+
+function plausibleValue(value, schema) {
+  switch (schema.type) {
+    case 'number':
+    case 'integer':
+      return value === null || typeof value === 'number' || typeof value === 'string';
+    case 'boolean':
+      return value === null || typeof value === 'boolean' || typeof value === 'string';
+    case 'string':
+      // Lists ("pumps and valves" as ["pumps", "valves"]) are joined into one string
+      return isScalar(value) || (Array.isArray(value) && value.every(isScalar));
+    default:
+      return isScalar(value);
+  }
+}
+
+// --- Helper: one line per parameter for the decision prompt ---
+function describeParameters(schema) {
+  const properties = schema?.properties || {};
+  const required = schema?.required || [];
+  const described = {};
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    const type = propertySchema.enum
+      ? `one of ${propertySchema.enum.map(option => `'${option}'`).join(' | ')}`
+      : propertySchema.type;
+    const flag = required.includes(key) ? 'required' : 'optional';
+    described[key] = `(${type}, ${flag}) ${propertySchema.description || ''}`.trim();
+  }
+  return described;
+}
+
+export function createToolRegistry() {
+  const tools = new Map();
+
+  function register(tool) {
+    for (const field of ['name', 'description', 'handler', 'render']) {
+      if (!tool?.[field]) throw new Error(`Tool definition is missing '${field}'.`);
+    }
+    if (tools.has(tool.name)) throw new Error(`Tool '${tool.name}' is already registered.`);
+    tools.set(tool.name, { parameters: { type: 'object', properties: {} }, ...tool });
+  }
+
+  // filter (optional) limits the list, e.g. to the tools the current user may call
+  function describeTools(filter = () => true) {
+    return [...tools.values()]
+      .filter(filter)
+      .map(tool => `- ${tool.name}: ${tool.description} (Parameters: ${JSON.stringify(describeParameters(tool.parameters))})`)
+      .join('\n');
+  }
+
+  // Returns { response } on success, or { error } with a structured error the LLM can retry against:
+  // { type: 'validation_error', tool_name, errors: [{ parameter, message }] } or { type: 'unknown_tool', tool_name },
+  // or { type: 'forbidden', tool_name, permission } when context.authorize rejects the tool
+  async function execute(name, rawParameters, context = {}) {
+    const tool = tools.get(name);
+    if (!tool) {
+      return { error: { type: 'unknown_tool', tool_name: name, available_tools: [...tools.keys()] } };
+    }
+    if (context.authorize && !context.authorize(tool)) {
+      console.warn(`--> Tool '${name}' is not allowed for this user.`);
+      return { error: { type: 'forbidden', tool_name: name, permission: tool.permission } };
+    }
+
+    const validation = validateParameters(tool.parameters, rawParameters);
+    if (!validation.valid) {
+      console.warn(`--> Parameters for '${name}' failed validation:`, validation.errors);
+      return { error: { type: 'validation_error', tool_name: name, errors: validation.errors }, parameters: validation.parameters };
+    }
+
+    const result = await tool.handler(validation.parameters, context);
+    const response = tool.render(result, { ...context, parameters: validation.parameters });
+    return { response, parameters: validation.parameters };
+  }
+
+  // Errors for one tool call ({ tool_name, parameters }); label prefixes them for plan steps
+  function checkToolCall(call, label = '') {
+    const tool = typeof call.tool_name === 'string' ? tools.get(call.tool_name) : null;
+    if (!tool) {
+      return { errors: [`${label}Unknown tool ${JSON.stringify(call.tool_name)}. Available tools: ${[...tools.keys()].join(', ')}.`] };
+    }
+    const parameters = call.parameters ?? {};
+    if (!isPlainObject(parameters)) return { errors: [`${label}'parameters' must be a JSON object.`] };
+
+    const properties = tool.parameters?.properties || {};
+    const errors = [];
+    for (const [key, value] of Object.entries(parameters)) {
+      if (!properties[key]) {
+        errors.push(`${label}'${tool.name}' has no parameter '${key}'. Allowed parameters: ${Object.keys(properties).join(', ') || 'none'}.`);
+      } else if (!plausibleValue(value, properties[key])) {
+        errors.push(`${label}Expected a ${properties[key].type} for '${key}', got ${JSON.stringify(value)}.`);
+      }
+    }
+    return { errors, call: { ...call, parameters } };
+  }
+
+  // Returns { valid, decision, errors: [message] }; decision has parameters defaulted to {}
+  function checkDecision(decision) {
+    if (!isPlainObject(decision)) return { valid: false, errors: ['The response must be a JSON object.'] };
+    const allowedKeys = DECISION_KEYS[decision.type];
+    if (!allowedKeys) return { valid: false, errors: ["'type' must be 'text', 'tool_call' or 'plan'."] };
+
+    const errors = Object.keys(decision)
+      .filter(key => !allowedKeys.includes(key))
+      .map(key => `Unexpected field '${key}' in a ${decision.type} response.`);
+
+    if (decision.type === 'text') {
+      if (typeof decision.content !== 'string' || !decision.content.trim()) errors.push("'content' must be a non-empty string.");
+      return { valid: errors.length === 0, decision, errors };
+    }
+
+    if (decision.type === 'tool_call') {
+      const checked = checkToolCall(decision);
+      errors.push(...checked.errors);
+      return { valid: errors.length === 0, decision: checked.call || decision, errors };
+    }
+
+    if (!Array.isArray(decision.steps) || decision.steps.length === 0 || decision.steps.length > MAX_PLAN_STEPS) {
+      errors.push(`'steps' must be a list of 1 to ${MAX_PLAN_STEPS} tool calls.`);
+      return { valid: false, decision, errors };
+    }
+    const steps = decision.steps.map((step, index) => {
+      const label = `Step ${index + 1}: `;
+      if (!isPlainObject(step)) {
+        errors.push(`${label}must be a JSON object with tool_name and parameters.`);
+        return step;
+      }
+      Object.keys(step).filter(key => !STEP_KEYS.includes(key)).forEach(key => errors.push(`${label}unexpected field '${key}'.`));
+      const checked = checkToolCall(step, label);
+      errors.push(...checked.errors);
+      Object.values(checked.call?.parameters || {}).flatMap(findStepReferences).forEach(reference => {
+        if (reference.step < 1 || reference.step > index) {
+          errors.push(`${label}{{step${reference.step}.${reference.column}}} must refer to an earlier step.`);
+        }
+      });
+      return checked.call || step;
+    });
+    return { valid: errors.length === 0, decision: { ...decision, steps }, errors };
+  }
+
+  return {
+    register,
+    has: name => tools.has(name),
+    get: name => tools.get(name),
+    list: () => [...tools.values()],
+    describeTools,
+    checkDecision,
+    execute,
+  };
+}
@@ -0,0 +1,37 @@
+import { updateLeaveStatus } from '../leave.js';
+
+// --- review_leave_request: manager approves or rejects a submitted leave request ---
+export default {
+  name: 'review_leave_request',
+  permission: 'leave:approve',
+  description: 'Use this tool when a manager wants to APPROVE or REJECT a specific leave request by its ID (e.g., "approve leave 1761000120434", "reject request 1761000063591 because of the release freeze").',
+  parameters: {
+    type: 'object',
+    properties: {
+      leave_id: { type: 'string', description: 'The ID of the leave request.' },
+      decision: {
+        type: 'string',
+        enum: ['approve', 'reject'],
+        'x-aliases': { approved: 'approve', accept: 'approve', ok: 'approve', rejected: 'reject', decline: 'reject', deny: 'reject' },
+        description: 'Whether to approve or reject the request.',
+      },
+      comment: { type: 'string', description: 'An optional comment or reason for the decision.' },
+    },
+    required: ['leave_id', 'decision'],
+  },
+  validationMessage: 'Please tell me the leave request ID and whether to approve or reject it.',
+
+  async handler(parameters, { user } = {}) {
+    const nextStatus = parameters.decision === 'approve' ? 'Approved' : 'Rejected';
+    console.log(`--> Setting leave request ${parameters.leave_id} to ${nextStatus}.`);
+    return updateLeaveStatus(parameters.leave_id, nextStatus, { comment: parameters.comment, actor: user?.displayName });
+  },
+
+  render({ entry, error }) {
+    if (error) return { type: 'text', content: error.message };
+    return {
+      type: 'text',
+      content: `Leave request **${entry.id}** for ${entry.employeeName} (${entry.startDate} to ${entry.endDate}) is now **${entry.status}**.`,
+    };
+  },
+};
@@ -0,0 +1,19 @@
+// --- show_leave_application_form: render the leave form in the chat ---
+export default {
+  name: 'show_leave_application_form',
+  permission: 'leave:self',
+  description: 'Use this tool when the user explicitly asks to apply for leave, request time off, or wants a leave form.',
+  parameters: { type: 'object', properties: {} },
+  intent: {
+    keywords: ['apply for leave', 'leave application', 'leave form', 'request leave', 'request time off', 'time off', 'take leave', 'book leave'],
+  },
+
+  async handler() {
+    console.log("--> Triggering leave form display.");
+    return {};
+  },
+
+  render() {
+    return { type: 'leave_application_form' };
+  },
+};
@@ -0,0 +1,48 @@
+import { extractMultipleItems, parseQuantity } from '../helpers.js';
+import { ALL_MATERIALS } from '../disambiguation.js';
+
+// --- Shared filtering for stock items (material search + quantity comparison) ---
+// stockIndex is any object with a Fuse-style search(); stockList is the full list of stock items.
+export function filterStock({ stockList, stockIndex, parameters }) {
+  let inventory = [];
+  const materialSearchTerm = parameters.material_id;
+  
+  if (materialSearchTerm && materialSearchTerm !== ALL_MATERIALS) {
+    console.log(`--> Filtering inventory by material(s): "${materialSearchTerm}"`);
+     
+    // Extract multiple items
+    const items = extractMultipleItems(materialSearchTerm);
+    console.log(`--> Extracted ${items.length} item(s):`, items);
+     
+    // Search for each item and collect results
+    const allResults = new Map(); // Use Map to avoid duplicates by Material ID
+     
+    for (const item of items) {
+      const searchResults = stockIndex.search(item);
+      searchResults.forEach(result => {
+        if (!allResults.has(result.item.Material)) {
+          allResults.set(result.item.Material, result.item);
+        }
+      });
+    }
+     
+    inventory = Array.from(allResults.values());
+    console.log(`--> Found ${inventory.length} unique items across all searches.`);
+  } else {
+    console.warn("--> Tool 'query_inventory' called without 'material_id'. Showing all stock as fallback.");
+    inventory = stockList;
+  }
+
+  if (parameters.comparison && parameters.quantity !== undefined) {
+    const qty = parameters.quantity;
+    console.log(`--> Filtering inventory by quantity: ${parameters.comparison} ${qty}`);
+    const originalCount = inventory.length;
+    inventory = inventory.filter(item => {
+      const itemStock = parseQuantity(item['Stock Level']);
+      if (itemStock === null) return false;
+      return parameters.comparison === 'less than' ? itemStock < qty : itemStock > qty;
+    });
+    console.log(`--> Filtered from ${originalCount} to ${inventory.length} items.`);
+  }
+  return inventory;
+}
@@ -0,0 +1,114 @@
+import { purchaseOrderRepository, stockRepository, watchRuleRepository } from './data.js';
+import { describeDenial, hasPermission } from './auth/permissions.js';
+import { resolveMention } from './disambiguation.js';
+import { describeRule } from './events.js';
+import { LEAVE_STATUSES, resolveLeaveEmployee } from './leave.js';
+import { PURCHASE_ORDER_STATUSES } from './orders.js';
+import { parseQuantity } from './helpers.js';
+
+// --- Watch rules: "alert me when BEARING-A5 drops below 1000" ---
+// A rule watches one subject and notifies its owner when a change makes its condition true
+// (see notifications.js for the matching):
+//   stock           { material, comparison: 'less than' | 'greater than', quantity }
+//   purchase_order  { status, id?, vendor?, material? }
+//   leave           { status, employeeName? }  without 'leave:all', only the owner's own leave
+// Creating one needs the permission to read the subject, so alerts show nothing a lookup wouldn't.
+export const SUBJECTS = {
+  stock: { permission: 'stock:read' },
+  purchase_order: { permission: 'purchase_orders:read' },
+  leave: { permission: 'leave:self' },
+};
+export const COMPARISONS = ['less than', 'greater than'];
+const MAX_RULES_PER_USER = 50;
+
+const invalid = message => ({ error: { status: 400, message } });
+const findStatus = (statuses, value) => statuses.find(status => status.toLowerCase() === String(value ?? '').trim().toLowerCase());
+
+// The stored value for a material or vendor mention, or null when it is not clearly one
+function resolveName(term, kind) {
+  if (!term) return null;
+  const { status, choices } = resolveMention(term, kind);
+  return ['exact', 'confident'].includes(status) ? choices[0].value : null;
+}
+
+// --- Conditions of a new rule; returns { conditions } or { error } ---
+const CONDITION_BUILDERS = {
+  stock(input) {
+    const material = resolveName(input.material, 'material');
+    if (!material) return invalid(input.material ? `Material '${input.material}' was not found.` : 'material is required.');
+    const comparison = input.comparison ?? 'less than';
+    if (!COMPARISONS.includes(comparison)) return invalid(`comparison must be one of: ${COMPARISONS.join(', ')}.`);
+    const quantity = Number(input.quantity);
+    if (input.quantity === undefined || input.quantity === null || !Number.isFinite(quantity) || quantity < 0) {
+      return invalid('quantity must be a non-negative number.');
+    }
+    return { conditions: { material, comparison, quantity } };
+  },
+
+  purchase_order(input) {
+    const status = findStatus(PURCHASE_ORDER_STATUSES, input.status);
+    if (!status) return invalid(`status must be one of: ${PURCHASE_ORDER_STATUSES.join(', ')}.`);
+    const conditions = { status };
+    if (input.id) {
+      const order = purchaseOrderRepository.get(String(input.id).trim().toUpperCase());
+      if (!order) return { error: { status: 404, message: `Purchase order ${input.id} was not found.` } };
+      conditions.id = order.id;
+    }
+    if (input.vendor) {
+      conditions.vendor = resolveName(input.vendor, 'vendor');
+      if (!conditions.vendor) return invalid(`Vendor '${input.vendor}' was not found.`);
+    }
+    if (input.material) {
+      conditions.material = resolveName(input.material, 'material');
+      if (!conditions.material) return invalid(`Material '${input.material}' was not found.`);
+    }
+    return { conditions };
+  },
+
+  leave(input, user) {
+    const status = findStatus(LEAVE_STATUSES, input.status ?? 'Approved');
+    if (!status) return invalid(`status must be one of: ${LEAVE_STATUSES.join(', ')}.`);
+    // Someone else's leave, or everyone's (employeeName '*'), needs 'leave:all'
+    const everyone = input.employeeName === '*';
+    const scope = resolveLeaveEmployee(user, everyone ? null : input.employeeName);
+    if (scope.denied || (everyone && !hasPermission(user, 'leave:all'))) {
+      return { error: { status: 403, message: scope.denied || describeDenial(user, 'leave:all') } };
+    }
+    return { conditions: everyone ? { status } : { status, employeeName: String(scope.employeeName ?? user.employeeName).trim() } };
+  },
+};
+
+export function listWatchRules(owner) {
+  return watchRuleRepository.list(owner).map(rule => ({ ...rule, description: describeRule(rule) }));
+}
+
+// --- Create a rule for user; returns { rule } (with its description) or { error: { status, message } } ---
+// input: { subject, material, comparison, quantity, status, id, vendor, employeeName }
+export function createWatchRule(user, input) {
+  const body = input && typeof input === 'object' ? input : {};
+  const subject = SUBJECTS[body.subject] ? body.subject : null;
+  if (!subject) return invalid(`subject must be one of: ${Object.keys(SUBJECTS).join(', ')}.`);
+  if (!hasPermission(user, SUBJECTS[subject].permission)) {
+    return { error: { status: 403, message: describeDenial(user, SUBJECTS[subject].permission) } };
+  }
+
+  const { conditions, error } = CONDITION_BUILDERS[subject](body, user);
+  if (error) return { error };
+  const existing = watchRuleRepository.list(user.username);
+  const same = existing.find(rule => rule.subject === subject && JSON.stringify(rule.conditions) === JSON.stringify(conditions));
+  if (same) return { error: { status: 409, message: `You already have this alert: ${describeRule(same)}.` } };
+  if (existing.length >= MAX_RULES_PER_USER) {
+    return { error: { status: 409, message: `You can have at most ${MAX_RULES_PER_USER} alerts. Please delete one first.` } };
+  }
+
+  const rule = watchRuleRepository.insert({ owner: user.username, subject, conditions, createdAt: new Date().toISOString() });
+  return { rule: { ...rule, description: describeRule(rule) } };
+}
+
+export const deleteWatchRule = (owner, id) => watchRuleRepository.remove(owner, id);
+
+// The current stock level a new stock rule compares against, for the confirmation
+export function currentStockLevel(material) {
+  const item = stockRepository.get(material);
+  return item ? parseQuantity(item['Stock Level']) : null;
+}
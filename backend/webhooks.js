@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { eventRepository, webhookRepository } from './data.js';
+import { EVENT_TYPES } from './events.js';
+import { metrics } from './observability/metrics.js';
+
+// --- Outgoing webhooks ---
+// Administrators register URLs for event types (see events.js), or '*' for all of them. Each event
+// is queued for every subscribed webhook in the transaction that recorded it (see notifications.js)
+// and POSTed as JSON ({ id, type, createdAt, data }) once that transaction has committed, with:
+//   X-Webhook-Id         the delivery id (the same on every retry of it)
+//   X-Webhook-Event      the event type
+//   X-Webhook-Timestamp  seconds since the epoch, part of the signed text
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret>
+// Anything but a 2xx answer within WEBHOOK_TIMEOUT_MS (default 10000) is retried with exponential
+// backoff (WEBHOOK_RETRY_BASE_MS / WEBHOOK_RETRY_MAX_MS, default 30000 / 3600000) until
+// WEBHOOK_MAX_ATTEMPTS (default 6) attempts have failed. Pending deliveries survive a restart.
+export function loadWebhookConfig(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+  };
+  return {
+    timeoutMs: number(env.WEBHOOK_TIMEOUT_MS, 10000),
+    maxAttempts: Math.max(1, number(env.WEBHOOK_MAX_ATTEMPTS, 6)),
+    retryBaseMs: number(env.WEBHOOK_RETRY_BASE_MS, 30000),
+    retryMaxMs: number(env.WEBHOOK_RETRY_MAX_MS, 3600000),
+  };
+}
+
+const config = loadWebhookConfig();
+const MIN_SECRET_LENGTH = 16;
+
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const invalid = message => ({ error: { status: 400, message } });
+
+// --- Register a webhook; returns { webhook } (with its secret, shown only here) or { error } ---
+export function createWebhook(user, input) {
+  const body = input && typeof input === 'object' ? input : {};
+  let url;
+  try {
+    url = new URL(String(body.url || ''));
+  } catch {
+    return invalid('url must be an http(s) URL.');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return invalid('url must be an http(s) URL.');
+
+  const requested = Array.isArray(body.events) ? body.events : String(body.events ?? '*').split(',');
+  const eventTypes = [...new Set(requested.map(type => String(type).trim()).filter(Boolean))];
+  const unknown = eventTypes.filter(type => type !== '*' && !EVENT_TYPES[type]);
+  if (eventTypes.length === 0 || unknown.length > 0) {
+    return invalid(`events must list event types (${Object.keys(EVENT_TYPES).join(', ')}) or '*'.`);
+  }
+  if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < MIN_SECRET_LENGTH)) {
+    return invalid(`secret must be at least ${MIN_SECRET_LENGTH} characters.`);
+  }
+
+  const secret = body.secret ?? crypto.randomBytes(24).toString('hex');
+  const webhook = webhookRepository.insert({
+    url: url.toString(),
+    secret,
+    eventTypes: eventTypes.includes('*') ? ['*'] : eventTypes,
+    description: typeof body.description === 'string' && body.description.trim() ? body.description.trim() : null,
+    createdBy: user.username,
+    createdAt: new Date().toISOString(),
+  });
+  return { webhook: { ...webhook, secret } };
+}
+
+export const listWebhooks = () => webhookRepository.list();
+export const deleteWebhook = id => webhookRepository.remove(id);
+
+// The latest deliveries of a webhook, or null when there is no such webhook
+export function listDeliveries(id) {
+  return webhookRepository.get(id) ? webhookRepository.deliveries(id) : null;
+}
+
+// --- Queue an event for its subscribers (inside the transaction that recorded it) ---
+export function queueWebhookDeliveries(event) {
+  const webhooks = webhookRepository.subscribedTo(event.type);
+  webhooks.forEach(webhook => webhookRepository.queueDelivery(webhook.id, event.id, event.createdAt));
+  // Runs after the current (synchronous) transaction has committed
+  if (webhooks.length > 0) setImmediate(deliverDueWebhooks);
+}
+
+const retryDelay = attempt => Math.min(config.retryBaseMs * 2 ** (attempt - 1), config.retryMaxMs);
+
+async function attemptDelivery(delivery) {
+  const webhook = webhookRepository.get(delivery.webhookId);
+  const event = eventRepository.get(delivery.eventId);
+  const body = JSON.stringify({ id: event.id, type: event.type, createdAt: event.createdAt, data: event.data });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let statusCode = null;
+  let error;
+  try {
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': String(delivery.id),
+        'X-Webhook-Event': event.type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhookRepository.secret(webhook.id), timestamp, body),
+      },
+      timeout: config.timeoutMs,
+      maxRedirects: 0,
+      transformRequest: [data => data],
+      validateStatus: () => true,
+    });
+    statusCode = response.status;
+    if (statusCode >= 200 && statusCode < 300) {
+      webhookRepository.recordAttempt(delivery.id, { status: 'delivered', statusCode, deliveredAt: new Date().toISOString() });
+      metrics.webhookDeliveries.inc({ outcome: 'delivered' });
+      return;
+    }
+    error = `The endpoint answered ${statusCode}.`;
+  } catch (requestError) {
+    error = requestError.code === 'ECONNABORTED' ? `No answer within ${config.timeoutMs} ms.` : requestError.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  if (attempts >= config.maxAttempts) {
+    console.error(`--> Webhook delivery ${delivery.id} (${event.type} to ${webhook.url}) failed after ${attempts} attempt(s): ${error}`);
+    webhookRepository.recordAttempt(delivery.id, { status: 'failed', statusCode, error });
+    metrics.webhookDeliveries.inc({ outcome: 'failed' });
+    return;
+  }
+  const nextAttemptAt = new Date(Date.now() + retryDelay(attempts)).toISOString();
+  console.warn(`--> Webhook delivery ${delivery.id} to ${webhook.url} failed (${error}); retrying at ${nextAttemptAt}.`);
+  webhookRepository.recordAttempt(delivery.id, { status: 'pending', nextAttemptAt, statusCode, error });
+  metrics.webhookDeliveries.inc({ outcome: 'retry' });
+}
+
+// --- Send every delivery that is due, one at a time, then wait for the next retry ---
+let delivering = false;
+let retryTimer = null;
+
+export async function deliverDueWebhooks() {
+  if (delivering) return;
+  delivering = true;
+  try {
+    let due;
+    while ((due = webhookRepository.dueDeliveries(new Date().toISOString())).length > 0) {
+      for (const delivery of due) await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    console.error('--> Error delivering webhooks:', error);
+  } finally {
+    delivering = false;
+  }
+
+  clearTimeout(retryTimer);
+  const next = webhookRepository.nextAttemptAt();
+  if (next) {
+    retryTimer = setTimeout(deliverDueWebhooks, Math.max(0, Date.parse(next) - Date.now()));
+    retryTimer.unref();
+  }
+}
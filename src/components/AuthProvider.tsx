@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState, ReactNode } from "react";
+import { apiFetch, onUnauthorized, setAuthToken } from "@/lib/api";
+import { AuthContext, AuthUser } from "@/hooks/useAuth";
+
+export const AuthProvider = ({ children }: { children: ReactNode }) => {
+  const [user, setUser] = useState<AuthUser | null>(null);
+  const [mode, setMode] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  // Restore the session from a saved token (or the SSO headers) on load
+  useEffect(() => {
+    onUnauthorized(() => setUser(null));
+    apiFetch("/api/auth/me")
+      .then(async (response) => {
+        if (!response.ok) return;
+        const data = await response.json();
+        setUser(data.user);
+        setMode(data.mode);
+      })
+      .catch((error) => console.error("Could not restore the session:", error))
+      .finally(() => setLoading(false));
+    return () => onUnauthorized(null);
+  }, []);
+
+  const login = useCallback(async (username: string, password: string) => {
+    const response = await apiFetch("/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username, password }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || "Sign-in failed. Please try again.");
+    }
+    setAuthToken(data.token);
+    setUser(data.user);
+    setMode("jwt");
+  }, []);
+
+  const logout = useCallback(() => {
+    setAuthToken(null);
+    setUser(null);
+  }, []);
+
+  return (
+    <AuthContext.Provider value={{ user, mode, loading, login, logout }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
@@ -0,0 +1,104 @@
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { cn } from "@/lib/utils";
+
+export interface AvailabilityPlant {
+  plant: string;
+  onHand: number;
+  openDemand: number;
+  inbound: number;
+  available: number;
+}
+
+export interface AvailabilityDocument {
+  type: string;
+  id: string;
+  partner: string;
+  plant: string;
+  quantity: number;
+  status: string;
+}
+
+export interface Availability {
+  materialId: string;
+  description: string;
+  plants: AvailabilityPlant[];
+  documents: AvailabilityDocument[];
+  totalAvailable: number;
+  requestedQuantity: number | null;
+  canFulfil: boolean | null;
+}
+
+interface AvailabilityCardProps {
+  data: Availability;
+}
+
+export const AvailabilityCard = ({ data }: AvailabilityCardProps) => {
+  return (
+    <div className="rounded-md border border-border bg-card overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-border">
+        <div>
+          <p className="font-semibold">{data.materialId}</p>
+          <p className="text-xs text-muted-foreground">{data.description}</p>
+        </div>
+        <div className="text-right">
+          <p className="text-xs text-muted-foreground">Available to promise</p>
+          <p
+            className={cn(
+              "text-lg font-semibold",
+              data.canFulfil === false && "text-red-500",
+              data.canFulfil === true && "text-green-600"
+            )}
+          >
+            {data.totalAvailable}
+          </p>
+        </div>
+      </div>
+
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead className="font-semibold">Plant</TableHead>
+            <TableHead className="font-semibold">On Hand</TableHead>
+            <TableHead className="font-semibold">Open Demand</TableHead>
+            <TableHead className="font-semibold">Inbound</TableHead>
+            <TableHead className="font-semibold">ATP</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {data.plants.map((row) => (
+            <TableRow key={row.plant}>
+              <TableCell>{row.plant}</TableCell>
+              <TableCell>{row.onHand}</TableCell>
+              <TableCell>-{row.openDemand}</TableCell>
+              <TableCell>+{row.inbound}</TableCell>
+              <TableCell className="font-semibold">{row.available}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      {data.documents.length > 0 && (
+        <div className="px-4 py-3 border-t border-border space-y-1">
+          <p className="text-xs font-medium text-muted-foreground">Contributing documents</p>
+          {data.documents.map((doc) => (
+            <div key={doc.id} className="flex justify-between text-sm">
+              <span>
+                {doc.type} {doc.id} · {doc.partner} · {doc.status}
+              </span>
+              <span className={doc.quantity < 0 ? "text-red-500" : "text-green-600"}>
+                {doc.quantity > 0 ? `+${doc.quantity}` : doc.quantity}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,122 @@
+import { useState } from "react";
+import { Bar, BarChart, CartesianGrid, Cell, Line, LineChart, Pie, PieChart, XAxis, YAxis } from "recharts";
+import {
+  ChartConfig,
+  ChartContainer,
+  ChartLegend,
+  ChartLegendContent,
+  ChartTooltip,
+  ChartTooltipContent,
+} from "@/components/ui/chart";
+import { Button } from "@/components/ui/button";
+import { BarChart3, Table2 } from "lucide-react";
+import { DataTableCard } from "./DataTableCard";
+
+export interface ChartSeries {
+  key: string;
+  label: string;
+}
+
+export interface ChartSpec {
+  kind: "bar" | "line" | "pie";
+  title: string;
+  xLabel?: string;
+  yLabel?: string;
+  series: ChartSeries[];
+  data: Array<Record<string, string | number>>;
+}
+
+interface ChartCardProps {
+  chart: ChartSpec;
+  tableData?: Array<Record<string, string | number>>;
+  tableColumns?: string[];
+  columnLabels?: Record<string, string>;
+}
+
+const PALETTE_SIZE = 5;
+const colorAt = (index: number) => `hsl(var(--chart-${(index % PALETTE_SIZE) + 1}))`;
+
+// Bar / line / pie chart for analytical answers, with a toggle to the underlying table.
+export const ChartCard = ({ chart, tableData, tableColumns, columnLabels }: ChartCardProps) => {
+  const [showTable, setShowTable] = useState(false);
+  const hasTable = Boolean(tableData && tableColumns);
+
+  // Pie slices are coloured per data point, bars and lines per series
+  const config: ChartConfig =
+    chart.kind === "pie"
+      ? Object.fromEntries(
+          chart.data.map((row, index) => [String(row.label), { label: String(row.label), color: colorAt(index) }])
+        )
+      : Object.fromEntries(
+          chart.series.map((series, index) => [series.key, { label: series.label, color: colorAt(index) }])
+        );
+
+  const renderChart = () => {
+    if (chart.kind === "pie") {
+      const [series] = chart.series;
+      return (
+        <PieChart>
+          <ChartTooltip content={<ChartTooltipContent nameKey="label" />} />
+          <Pie data={chart.data} dataKey={series.key} nameKey="label" outerRadius={90}>
+            {chart.data.map((row, index) => (
+              <Cell key={String(row.label)} fill={colorAt(index)} />
+            ))}
+          </Pie>
+          <ChartLegend content={<ChartLegendContent nameKey="label" />} />
+        </PieChart>
+      );
+    }
+
+    const ChartType = chart.kind === "line" ? LineChart : BarChart;
+    return (
+      <ChartType data={chart.data}>
+        <CartesianGrid vertical={false} />
+        <XAxis dataKey="label" tickLine={false} axisLine={false} />
+        <YAxis tickLine={false} axisLine={false} width={60} />
+        <ChartTooltip content={<ChartTooltipContent />} />
+        {chart.series.length > 1 && <ChartLegend content={<ChartLegendContent />} />}
+        {chart.series.map((series) =>
+          chart.kind === "line" ? (
+            <Line key={series.key} dataKey={series.key} stroke={`var(--color-${series.key})`} strokeWidth={2} dot />
+          ) : (
+            <Bar key={series.key} dataKey={series.key} fill={`var(--color-${series.key})`} radius={4} />
+          )
+        )}
+      </ChartType>
+    );
+  };
+
+  return (
+    <div className="rounded-md border border-border bg-card overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-border">
+        <p className="text-sm font-semibold">{chart.title}</p>
+        {hasTable && (
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-7 px-2 text-xs"
+            onClick={() => setShowTable((prev) => !prev)}
+          >
+            {showTable ? <BarChart3 className="h-4 w-4 mr-1" /> : <Table2 className="h-4 w-4 mr-1" />}
+            {showTable ? "Chart" : "Table"}
+          </Button>
+        )}
+      </div>
+
+      {showTable && tableData && tableColumns ? (
+        <DataTableCard data={tableData} columns={tableColumns} columnLabels={columnLabels} />
+      ) : (
+        <div className="p-2">
+          <ChartContainer config={config} className="min-h-[220px] w-full">
+            {renderChart()}
+          </ChartContainer>
+          {chart.kind !== "pie" && (chart.xLabel || chart.yLabel) && (
+            <p className="text-xs text-muted-foreground text-center">
+              {chart.yLabel} by {chart.xLabel}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -9,6 +9,8 @@ import {
   Search,
   Pin,
   Download,
+  Share2,
+  Link2Off,
 } from "lucide-react";
 import { ScrollArea } from "@/components/ui/scroll-area";
 import {
@@ -28,8 +30,10 @@ interface ChatSession {
   id: string;
   title: string;
   timestamp: string;
-  messages?: { role: string; content: string }[]; // for export
+  updatedAt?: string; // last message (ISO), for sorting
   pinned?: boolean; // NEW: pinned status
+  shared?: boolean; // has a read-only share link
+  snippet?: string; // search results: the best match, matched words in <mark></mark>
 }
 
 interface ChatHistoryProps {
@@ -44,8 +48,24 @@ interface ChatHistoryProps {
   onRenameSession: (id: string, newTitle: string) => void;
   onTogglePin: (id: string) => void; // NEW
   onExportSession: (id: string) => void; // NEW
+  onShareSession: (id: string) => void;
+  onStopSharing: (id: string) => void;
+  isSearching?: boolean;
 }
 
+// Search snippets mark the matched words with <mark></mark>; rendered as text, never as HTML
+const Snippet = ({ text }: { text: string }) => (
+  <p className="text-xs opacity-70 mt-1 line-clamp-2 break-words">
+    {text.split(/<\/?mark>/).map((part, index) =>
+      index % 2 === 1 ? (
+        <mark key={index} className="rounded-sm bg-yellow-400/30 text-inherit">{part}</mark>
+      ) : (
+        part
+      )
+    )}
+  </p>
+);
+
 export const ChatHistory = ({
   sessions,
   activeSessionId,
@@ -58,6 +78,9 @@ export const ChatHistory = ({
   onRenameSession,
   onTogglePin,
   onExportSession,
+  onShareSession,
+  onStopSharing,
+  isSearching = false,
 }: ChatHistoryProps) => {
   const [editingSessionId, setEditingSessionId] = useState<string | null>(null);
   const [editingTitle, setEditingTitle] = useState("");
@@ -84,11 +107,11 @@ export const ChatHistory = ({
     else if (e.key === "Escape") handleCancelEditing();
   };
 
-  // Sort pinned chats first, then by timestamp (latest first)
-  const sortedSessions = [...sessions].sort((a, b) => {
+  // Sort pinned chats first, then by last activity (latest first); search results keep their ranking
+  const sortedSessions = searchQuery ? sessions : [...sessions].sort((a, b) => {
     if (a.pinned && !b.pinned) return -1;
     if (!a.pinned && b.pinned) return 1;
-    return new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime();
+    return new Date(b.updatedAt ?? Date.now()).getTime() - new Date(a.updatedAt ?? Date.now()).getTime();
   });
 
   return (
@@ -123,7 +146,7 @@ export const ChatHistory = ({
             <MessageSquare className="h-12 w-12 text-primary-foreground/30 mb-4" />
             <p className="text-sm text-primary-foreground/60">
               {searchQuery
-                ? `No results for "${searchQuery}"`
+                ? isSearching ? "Searching…" : `No results for "${searchQuery}"`
                 : "Your conversations will appear here"}
             </p>
           </div>
@@ -169,6 +192,7 @@ export const ChatHistory = ({
                         </p>
                       </div>
                     )}
+                    {session.snippet && <Snippet text={session.snippet} />}
                     <p className="text-xs opacity-60 mt-1">{session.timestamp}</p>
                   </div>
                 </button>
@@ -214,6 +238,32 @@ export const ChatHistory = ({
                       <Download className="h-4 w-4" />
                     </button>
 
+                    {/* Share (copies a read-only link) / stop sharing */}
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onShareSession(session.id);
+                      }}
+                      title={session.shared ? "Copy share link" : "Share chat"}
+                      className={`p-1.5 rounded-md text-primary-foreground/50 opacity-0 group-hover:opacity-100 transition-opacity hover:bg-primary-foreground/20 hover:text-primary-foreground ${
+                        session.shared ? "text-sky-400" : ""
+                      }`}
+                    >
+                      <Share2 className="h-4 w-4" />
+                    </button>
+                    {session.shared && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onStopSharing(session.id);
+                        }}
+                        title="Stop sharing"
+                        className="p-1.5 rounded-md text-primary-foreground/50 opacity-0 group-hover:opacity-100 transition-opacity hover:bg-destructive/20 hover:text-destructive"
+                      >
+                        <Link2Off className="h-4 w-4" />
+                      </button>
+                    )}
+
                     {/* Delete */}
                     <AlertDialog>
                       <AlertDialogTrigger asChild>
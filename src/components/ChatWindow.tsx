@@ -3,7 +3,7 @@ import { MessageBubble, Message } from "@/components/MessageBubble"
 import { WelcomeScreen } from "@/components/WelcomeScreen" 
 import { Badge } from "@/components/ui/badge"
 import { Button } from "@/components/ui/button"
-import { Sun, Moon, Github, Linkedin, Globe, Menu } from "lucide-react"
+import { Sun, Moon, Github, Linkedin, Globe, Menu, LogOut } from "lucide-react"
 import { useTheme } from "next-themes"
 import { motion, AnimatePresence } from "framer-motion"
 import {
@@ -13,17 +13,27 @@ import {
   TooltipTrigger,
 } from "@/components/ui/tooltip"
 import { cn } from "@/lib/utils"
+import { useAuth } from "@/hooks/useAuth"
+import { NotificationBell } from "@/components/NotificationBell"
+
+// The answer while it is still streaming in: the current step and the text so far
+export interface PendingReply {
+  status?: string
+  content: string
+}
 
 interface ChatWindowProps {
   messages: Message[]
   onPromptClick: (prompt: string) => void
-  onFormSubmit?: (formData: Record<string, any>) => void;
+  onFormSubmit?: (formData: Record<string, any>, endpoint?: string) => void;
+  onChoice?: (choice: string) => void;
   isConnected: boolean
   isBotTyping: boolean
+  pendingReply?: PendingReply | null
   onToggleSidebar: () => void;
 }
 
-const TypingIndicator = () => (
+const TypingIndicator = ({ label }: { label?: string }) => (
     <motion.div
     initial={{ opacity: 0, y: 10 }}
     animate={{ opacity: 1, y: 0 }}
@@ -47,19 +57,30 @@ const TypingIndicator = () => (
         animate={{ y: [0, -4, 0] }}
         transition={{ duration: 1.2, repeat: Infinity, ease: "easeInOut", delay: 0.4 }}
       />
+      {label && <span className="pl-1.5 text-xs text-muted-foreground">{label}</span>}
     </div>
   </motion.div>
 );
 
-export const ChatWindow = ({ messages, onPromptClick, onFormSubmit, isConnected, isBotTyping, onToggleSidebar }: ChatWindowProps) => {
+const StreamingReply = ({ content }: { content: string }) => (
+  <div className="flex justify-start mb-4">
+    <div className="max-w-[85%] rounded-lg bg-muted px-4 py-3 text-sm whitespace-pre-wrap">
+      {content}
+      <span className="ml-0.5 inline-block h-4 w-1.5 animate-pulse bg-muted-foreground/70 align-text-bottom" />
+    </div>
+  </div>
+);
+
+export const ChatWindow = ({ messages, onPromptClick, onFormSubmit, onChoice, isConnected, isBotTyping, pendingReply, onToggleSidebar }: ChatWindowProps) => {
   const scrollViewportRef = useRef<HTMLDivElement>(null);
   const messagesEndRef = useRef<HTMLDivElement>(null);
   
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages, isBotTyping]);
+  }, [messages, isBotTyping, pendingReply]);
 
   const { theme, setTheme } = useTheme();
+  const { user, mode, logout } = useAuth();
 
   return (
     <div className="flex flex-col h-full w-full bg-background">
@@ -126,6 +147,26 @@ export const ChatWindow = ({ messages, onPromptClick, onFormSubmit, isConnected,
 
             <div className="h-6 w-px bg-border mx-2"></div>
           </div>
+
+          {user && (
+            <span className="hidden sm:inline text-xs md:text-sm text-muted-foreground" title={user.roles.join(", ")}>
+              {user.displayName}
+            </span>
+          )}
+          {user && <NotificationBell />}
+          {/* Only local accounts can sign out; SSO sessions end at the identity provider */}
+          {mode === "jwt" && (
+            <TooltipProvider>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <Button variant="ghost" size="icon" aria-label="Sign out" onClick={logout} className="rounded-full h-8 w-8">
+                    <LogOut className="h-4 w-4" />
+                  </Button>
+                </TooltipTrigger>
+                <TooltipContent><p>Sign out</p></TooltipContent>
+              </Tooltip>
+            </TooltipProvider>
+          )}
           
           {/* Theme toggle - always visible */}
           <Button
@@ -161,13 +202,19 @@ export const ChatWindow = ({ messages, onPromptClick, onFormSubmit, isConnected,
         {messages.length === 0 && !isBotTyping ? (
           <WelcomeScreen onPromptClick={onPromptClick} />
         ) : (
-          messages.map((message) => (
-            <MessageBubble key={message.id} message={message} onFormSubmit={onFormSubmit} />
+          messages.map((message, index) => (
+            <MessageBubble
+              key={message.id}
+              message={message}
+              onFormSubmit={onFormSubmit}
+              onChoice={index === messages.length - 1 && !isBotTyping ? onChoice : undefined}
+            />
           ))
         )}
         <AnimatePresence>
-          {isBotTyping && <TypingIndicator />}
+          {isBotTyping && !pendingReply?.content && <TypingIndicator label={pendingReply?.status} />}
         </AnimatePresence>
+        {isBotTyping && pendingReply?.content && <StreamingReply content={pendingReply.content} />}
         <div ref={messagesEndRef} />
       </div>
     </div>
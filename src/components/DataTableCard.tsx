@@ -1,3 +1,5 @@
+import { useState } from "react";
+import { ArrowDown, ArrowUp, ChevronLeft, ChevronRight, Columns3, Download, Loader2 } from "lucide-react";
 import {
   Table,
   TableBody,
@@ -6,35 +8,251 @@ import {
   TableHeader,
   TableRow,
 } from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuCheckboxItem,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { useToast } from "@/hooks/use-toast";
+import { apiFetch } from "@/lib/api";
+
+export interface TablePaging {
+  page: number;
+  pageSize: number;
+  totalRows: number;
+  totalPages: number;
+}
+
+export interface TableSort {
+  column: string;
+  direction: "asc" | "desc";
+}
 
 interface DataTableCardProps {
   data: Array<Record<string, string | number>>;
   columns: string[];
+  // Paged results (stock, sales and purchase orders) come with a token to fetch other pages,
+  // sort orders and column sets, and to download every row as CSV or XLSX
+  allColumns?: string[];
+  paging?: TablePaging;
+  sort?: TableSort;
+  resultToken?: string;
+  // Headers in the user's language, by column; columns without one show their own name
+  columnLabels?: Record<string, string>;
+}
+
+interface TableView {
+  data: Array<Record<string, string | number>>;
+  columns: string[];
+  paging?: TablePaging;
+  sort?: TableSort;
 }
 
-export const DataTableCard = ({ data, columns }: DataTableCardProps) => {
+type ExportFormat = "csv" | "xlsx";
+
+const EXPORT_FORMATS: Array<{ format: ExportFormat; label: string }> = [
+  { format: "csv", label: "CSV" },
+  { format: "xlsx", label: "Excel (XLSX)" },
+];
+
+const readError = async (response: Response) => {
+  const body = await response.json().catch(() => ({}));
+  return body.error || "The table could not be loaded.";
+};
+
+export const DataTableCard = ({ data, columns, allColumns, paging, sort, resultToken, columnLabels }: DataTableCardProps) => {
+  const { toast } = useToast();
+  const [view, setView] = useState<TableView>({ data, columns, paging, sort });
+  const [labels, setLabels] = useState<Record<string, string>>(columnLabels ?? {});
+  const label = (column: string) => labels[column] ?? column;
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState<ExportFormat | null>(null);
+
+  // The query for the current sort and columns, with the changes asked for
+  const tableQuery = (changes: { page?: number; sort?: TableSort | null; columns?: string[] }) => {
+    const nextSort = changes.sort === undefined ? view.sort : changes.sort;
+    const query = new URLSearchParams({
+      sort: nextSort?.column ?? "",
+      columns: (changes.columns ?? view.columns).join(","),
+    });
+    if (nextSort) query.set("order", nextSort.direction);
+    if (changes.page) query.set("page", String(changes.page));
+    return query;
+  };
+
+  const loadView = async (changes: Parameters<typeof tableQuery>[0]) => {
+    if (!resultToken || loading) return;
+    setLoading(true);
+    try {
+      const response = await apiFetch(`/api/tables/${encodeURIComponent(resultToken)}?${tableQuery(changes)}`);
+      if (!response.ok) throw new Error(await readError(response));
+      const body = await response.json();
+      setView({ data: body.tableData, columns: body.tableColumns, paging: body.paging, sort: body.sort });
+      if (body.columnLabels) setLabels((current) => ({ ...current, ...body.columnLabels }));
+    } catch (error) {
+      toast({ title: "Couldn't update the table", description: (error as Error).message, variant: "destructive" });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Ascending, then descending, then back to the original order
+  const toggleSort = (column: string) => {
+    if (view.sort?.column !== column) return loadView({ page: 1, sort: { column, direction: "asc" } });
+    loadView({ page: 1, sort: view.sort.direction === "asc" ? { column, direction: "desc" } : null });
+  };
+
+  const toggleColumn = (column: string) => {
+    const shown = view.columns.includes(column)
+      ? view.columns.filter((name) => name !== column)
+      : (allColumns ?? []).filter((name) => name === column || view.columns.includes(name));
+    if (shown.length > 0) loadView({ columns: shown, page: view.paging?.page });
+  };
+
+  const download = async (format: ExportFormat) => {
+    if (!resultToken) return;
+    setExporting(format);
+    try {
+      const query = tableQuery({});
+      query.set("format", format);
+      const response = await apiFetch(`/api/tables/${encodeURIComponent(resultToken)}/export?${query}`);
+      if (!response.ok) throw new Error(await readError(response));
+      const filename = response.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] ?? `table.${format}`;
+      const url = URL.createObjectURL(await response.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = filename;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast({ title: "Export failed", description: (error as Error).message, variant: "destructive" });
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const interactive = Boolean(resultToken);
+  const { paging: pages } = view;
+
   return (
     <div className="rounded-md border border-border bg-card overflow-hidden">
+      {interactive && (
+        <div className="flex items-center justify-end gap-1 border-b border-border px-2 py-1">
+          {loading && <Loader2 className="mr-auto h-4 w-4 animate-spin text-muted-foreground" />}
+          {allColumns && allColumns.length > 1 && (
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button variant="ghost" size="sm" className="h-7 gap-1 text-xs" disabled={loading}>
+                  <Columns3 className="h-3.5 w-3.5" />
+                  Columns
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end">
+                <DropdownMenuLabel>Show columns</DropdownMenuLabel>
+                {allColumns.map((column) => (
+                  <DropdownMenuCheckboxItem
+                    key={column}
+                    checked={view.columns.includes(column)}
+                    disabled={view.columns.length === 1 && view.columns.includes(column)}
+                    onSelect={(event) => event.preventDefault()}
+                    onCheckedChange={() => toggleColumn(column)}
+                  >
+                    {label(column)}
+                  </DropdownMenuCheckboxItem>
+                ))}
+              </DropdownMenuContent>
+            </DropdownMenu>
+          )}
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="ghost" size="sm" className="h-7 gap-1 text-xs" disabled={exporting !== null}>
+                {exporting ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Download className="h-3.5 w-3.5" />}
+                Export
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuLabel>All {pages?.totalRows ?? view.data.length} rows as</DropdownMenuLabel>
+              {EXPORT_FORMATS.map(({ format, label }) => (
+                <DropdownMenuItem key={format} onClick={() => download(format)}>
+                  {label}
+                </DropdownMenuItem>
+              ))}
+            </DropdownMenuContent>
+          </DropdownMenu>
+        </div>
+      )}
+
       <Table>
         <TableHeader>
           <TableRow>
-            {columns.map((column) => (
+            {view.columns.map((column) => (
               <TableHead key={column} className="font-semibold">
-                {column}
+                {interactive ? (
+                  <button
+                    type="button"
+                    className="inline-flex items-center gap-1 hover:text-foreground disabled:cursor-wait"
+                    title={`Sort by ${label(column)}`}
+                    disabled={loading}
+                    onClick={() => toggleSort(column)}
+                  >
+                    {label(column)}
+                    {view.sort?.column === column &&
+                      (view.sort.direction === "asc" ? <ArrowUp className="h-3 w-3" /> : <ArrowDown className="h-3 w-3" />)}
+                  </button>
+                ) : (
+                  label(column)
+                )}
               </TableHead>
             ))}
           </TableRow>
         </TableHeader>
         <TableBody>
-          {data.map((row, index) => (
+          {view.data.map((row, index) => (
             <TableRow key={index}>
-              {columns.map((column) => (
+              {view.columns.map((column) => (
                 <TableCell key={column}>{row[column]}</TableCell>
               ))}
             </TableRow>
           ))}
         </TableBody>
       </Table>
+
+      {interactive && pages && pages.totalPages > 1 && (
+        <div className="flex items-center justify-between border-t border-border px-3 py-1 text-xs text-muted-foreground">
+          <span>
+            Rows {(pages.page - 1) * pages.pageSize + 1}–{Math.min(pages.page * pages.pageSize, pages.totalRows)} of {pages.totalRows}
+          </span>
+          <div className="flex items-center gap-1">
+            <Button
+              variant="ghost"
+              size="icon"
+              className="h-7 w-7"
+              title="Previous page"
+              disabled={loading || pages.page <= 1}
+              onClick={() => loadView({ page: pages.page - 1 })}
+            >
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <span>
+              Page {pages.page} of {pages.totalPages}
+            </span>
+            <Button
+              variant="ghost"
+              size="icon"
+              className="h-7 w-7"
+              title="Next page"
+              disabled={loading || pages.page >= pages.totalPages}
+              onClick={() => loadView({ page: pages.page + 1 })}
+            >
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
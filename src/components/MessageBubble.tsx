@@ -1,19 +1,25 @@
 import { useState } from "react";
 import { cn } from "@/lib/utils";
-import { DataTableCard } from "./DataTableCard";
+import { DataTableCard, TablePaging, TableSort } from "./DataTableCard";
 import { DetailCard } from "./DetailCard";
+import { OrderDraft, OrderDraftForm } from "./OrderDraftForm";
+import { Availability, AvailabilityCard } from "./AvailabilityCard";
+import { ChartCard, ChartSpec } from "./ChartCard";
+import { KnowledgeSource, SourceList } from "./SourceList";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Textarea } from "@/components/ui/textarea";
 import { Copy, Check } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
+import { useAuth } from "@/hooks/useAuth";
 import { motion } from "framer-motion";
 import ReactMarkdown from "react-markdown";
 
 interface MessageBubbleProps {
   message: Message;
-  onFormSubmit?: (formData: Record<string, any>) => void;
+  onFormSubmit?: (formData: Record<string, any>, endpoint?: string) => void;
+  onChoice?: (choice: string) => void; // sends a clarification choice as the next message
 }
 
 // 🔹 Helper: clean leading/trailing quotes from AI text
@@ -39,9 +45,11 @@ const cleanText = (text: string | undefined | null) => {
 };
 
 const LeaveApplicationForm = ({ onSubmit }: { onSubmit?: (data: any) => void }) => {
+  const { user } = useAuth();
   const [isSubmitted, setIsSubmitted] = useState(false);
   const [formData, setFormData] = useState({
-    employeeName: "",
+    // Leave is always applied for as the signed-in user
+    employeeName: user?.employeeName ?? "",
     startDate: "",
     endDate: "",
     reason: "",
@@ -85,7 +93,7 @@ const LeaveApplicationForm = ({ onSubmit }: { onSubmit?: (data: any) => void })
           id="employeeName"
           name="employeeName"
           value={formData.employeeName}
-          onChange={handleChange}
+          readOnly
           disabled={isSubmitted}
           required
         />
@@ -148,13 +156,37 @@ export interface MessageAction {
   onClick: () => void;
 }
 
-export interface MessageData {
-  type: "text" | "table" | "detail" | "leave_application_form";
+export interface ToolCall {
+  name: string;
+  parameters: Record<string, unknown>;
+}
+
+export interface MessageData extends Partial<OrderDraft> {
+  type: "text" | "table" | "detail" | "leave_application_form" | "order_draft" | "availability" | "chart" | "composite" | "clarification";
   content?: string;
   tableData?: Array<Record<string, string | number>>;
   tableColumns?: string[];
+  allColumns?: string[]; // paged tables: every column, of which tableColumns are shown
+  paging?: TablePaging; // paged tables: tableData is this page only
+  sort?: TableSort;
+  resultToken?: string; // paged tables: fetches other pages, sort orders and the CSV/XLSX export
+  columnLabels?: Record<string, string>; // table headers in the user's language, by column
+  language?: string; // set when the text was written in the user's language rather than English
   detailData?: Record<string, string | number>;
   actions?: MessageAction[];
+  toolCall?: ToolCall; // tool + parameters behind this answer, sent back for follow-ups
+  availability?: Availability;
+  chart?: ChartSpec;
+  sources?: KnowledgeSource[]; // knowledge base entries behind a definition
+  sections?: MessageData[]; // composite: one answer per step of a multi-step plan, in order
+  title?: string; // heading of a section
+  choices?: ClarificationChoice[]; // clarification: the candidates to pick from
+  clarification?: { parameter: string; term: string | null }; // which mention of the tool call was unclear
+}
+
+export interface ClarificationChoice {
+  value: string;
+  label: string;
 }
 
 export interface Message {
@@ -164,7 +196,107 @@ export interface Message {
   timestamp: string;
 }
 
-export const MessageBubble = ({ message, onFormSubmit }: MessageBubbleProps) => {
+type MessageBodyProps = { data: MessageData } & Pick<MessageBubbleProps, "onFormSubmit" | "onChoice">;
+
+// One answer; a composite answer renders each of its sections in order under its title
+const MessageBody = ({ data, onFormSubmit, onChoice }: MessageBodyProps) => (
+  <>
+    {data.type === "leave_application_form" && (
+      <LeaveApplicationForm onSubmit={onFormSubmit} />
+    )}
+
+    {data.type === "availability" && data.availability && (
+      <>
+        {data.content && (
+          <p className="text-sm mb-2">{data.content}</p>
+        )}
+        <AvailabilityCard data={data.availability} />
+      </>
+    )}
+
+    {data.type === "order_draft" && data.draft && (
+      <OrderDraftForm order={data as OrderDraft} onSubmit={onFormSubmit} />
+    )}
+
+    {data.type === "text" && data.content && (
+      <div className="prose prose-sm dark:prose-invert max-w-none">
+        <ReactMarkdown>{cleanText(data.content)}</ReactMarkdown>
+      </div>
+    )}
+
+    {data.type === "text" && data.sources && data.sources.length > 0 && (
+      <SourceList sources={data.sources} />
+    )}
+
+    {data.type === "table" &&
+      data.tableData &&
+      data.tableColumns && (
+        <DataTableCard
+          data={data.tableData}
+          columns={data.tableColumns}
+          allColumns={data.allColumns}
+          paging={data.paging}
+          sort={data.sort}
+          resultToken={data.resultToken}
+          columnLabels={data.columnLabels}
+        />
+      )}
+
+    {data.type === "chart" && data.chart && (
+      <ChartCard
+        chart={data.chart}
+        tableData={data.tableData}
+        tableColumns={data.tableColumns}
+        columnLabels={data.columnLabels}
+      />
+    )}
+
+    {data.type === "detail" && data.detailData && (
+      <>
+        {data.content && (
+          <p className="text-sm mb-2">{data.content}</p>
+        )}
+        <DetailCard data={data.detailData} />
+      </>
+    )}
+
+    {/* Choices can only be picked while the clarification is the latest answer */}
+    {data.type === "clarification" && (
+      <>
+        {data.content && (
+          <p className="text-sm mb-2">{cleanText(data.content)}</p>
+        )}
+        <div className="flex flex-wrap gap-2">
+          {data.choices?.map((choice) => (
+            <Button
+              key={choice.value}
+              variant="outline"
+              size="sm"
+              className="h-7 rounded-full text-xs"
+              disabled={!onChoice}
+              onClick={() => onChoice?.(choice.label)}
+            >
+              {choice.label}
+            </Button>
+          ))}
+        </div>
+      </>
+    )}
+
+    {data.type === "composite" && data.sections && (
+      <div className="space-y-4">
+        {data.sections.map((section, index) => (
+          <section key={index} className={cn(index > 0 && "border-t border-border pt-3")}>
+            {section.title && <h4 className="text-sm font-semibold mb-2">{section.title}</h4>}
+            <MessageBody data={section} onFormSubmit={onFormSubmit} onChoice={onChoice} />
+          </section>
+        ))}
+      </div>
+    )}
+  </>
+);
+
+export const MessageBubble = ({ message, onFormSubmit, onChoice }: MessageBubbleProps) => {
   const isUser = message.role === "user";
   const { toast } = useToast();
   const [copied, setCopied] = useState(false);
@@ -213,28 +345,7 @@ export const MessageBubble = ({ message, onFormSubmit }: MessageBubbleProps) =>
             : "bg-muted text-card-foreground"
         )}
       >
-        {message.data.type === "leave_application_form" && (
-          <LeaveApplicationForm onSubmit={onFormSubmit} />
-        )}
-
-        {message.data.type === "text" && message.data.content && (
-          <div className="prose prose-sm dark:prose-invert max-w-none">
-            <ReactMarkdown>{cleanText(message.data.content)}</ReactMarkdown>
-          </div>
-        )}
-
-        {message.data.type === "table" &&
-          message.data.tableData &&
-          message.data.tableColumns && (
-            <DataTableCard
-              data={message.data.tableData}
-              columns={message.data.tableColumns}
-            />
-          )}
-
-        {message.data.type === "detail" && message.data.detailData && (
-          <DetailCard data={message.data.detailData} />
-        )}
+        <MessageBody data={message.data} onFormSubmit={onFormSubmit} onChoice={onChoice} />
 
         <div className="flex items-center justify-end mt-2 h-5">
           <p className="text-xs opacity-60">{message.timestamp}</p>
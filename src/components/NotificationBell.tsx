@@ -0,0 +1,163 @@
+import { useCallback, useEffect, useState } from "react"
+import { Bell, Trash2 } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { cn } from "@/lib/utils"
+import { apiFetch } from "@/lib/api"
+
+// As backend/db/repositories.js returns them
+interface AppNotification {
+  id: number
+  eventType: string
+  title: string
+  body: string
+  createdAt: string
+  read: boolean
+}
+
+interface WatchRule {
+  id: number
+  description: string
+  lastFiredAt?: string
+}
+
+// New notifications are picked up this often while the app is open
+const POLL_INTERVAL_MS = 30_000;
+
+const formatTime = (iso: string) => new Date(iso).toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+
+// The bell in the header: notifications from the user's alerts ("alert me when BEARING-A5 drops
+// below 1000"), and the alerts themselves so they can be removed again
+export const NotificationBell = () => {
+  const [notifications, setNotifications] = useState<AppNotification[]>([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [rules, setRules] = useState<WatchRule[]>([]);
+  const [open, setOpen] = useState(false);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      const response = await apiFetch("/api/notifications");
+      if (!response.ok) return;
+      const feed = await response.json();
+      setNotifications(feed.notifications);
+      setUnreadCount(feed.unreadCount);
+    } catch (error) {
+      console.error("Failed to load notifications:", error);
+    }
+  }, []);
+
+  const loadRules = useCallback(async () => {
+    try {
+      const response = await apiFetch("/api/watch-rules");
+      if (response.ok) setRules(await response.json());
+    } catch (error) {
+      console.error("Failed to load alerts:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadNotifications();
+    const timer = setInterval(loadNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [loadNotifications]);
+
+  // Alerts set up in the chat show up the next time the bell is opened
+  useEffect(() => {
+    if (open) {
+      loadNotifications();
+      loadRules();
+    }
+  }, [open, loadNotifications, loadRules]);
+
+  const markRead = async (ids?: number[]) => {
+    const response = await apiFetch("/api/notifications/read", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(ids ? { ids } : {}),
+    });
+    if (response.ok) loadNotifications();
+  };
+
+  const deleteRule = async (id: number) => {
+    const response = await apiFetch(`/api/watch-rules/${id}`, { method: "DELETE" });
+    if (response.ok) setRules((current) => current.filter((rule) => rule.id !== id));
+  };
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button variant="ghost" size="icon" aria-label="Notifications" className="relative rounded-full h-8 w-8">
+          <Bell className="h-4 w-4" />
+          {unreadCount > 0 && (
+            <span className="absolute -top-0.5 -right-0.5 flex h-4 min-w-4 items-center justify-center rounded-full bg-destructive px-1 text-[10px] font-medium text-destructive-foreground">
+              {unreadCount > 99 ? "99+" : unreadCount}
+            </span>
+          )}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-80 p-0">
+        <Tabs defaultValue="notifications">
+          <div className="flex items-center justify-between border-b border-border px-3 py-2">
+            <TabsList className="h-8">
+              <TabsTrigger value="notifications" className="text-xs">Notifications</TabsTrigger>
+              <TabsTrigger value="alerts" className="text-xs">Alerts</TabsTrigger>
+            </TabsList>
+            {unreadCount > 0 && (
+              <Button variant="link" size="sm" className="h-auto p-0 text-xs" onClick={() => markRead()}>
+                Mark all read
+              </Button>
+            )}
+          </div>
+
+          <TabsContent value="notifications" className="mt-0 max-h-96 overflow-y-auto">
+            {notifications.length === 0 ? (
+              <p className="p-4 text-center text-sm text-muted-foreground">
+                No notifications yet. Ask e.g. "alert me when BEARING-A5 drops below 1000".
+              </p>
+            ) : (
+              notifications.map((notification) => (
+                <button
+                  key={notification.id}
+                  type="button"
+                  onClick={() => !notification.read && markRead([notification.id])}
+                  className={cn(
+                    "block w-full border-b border-border px-3 py-2 text-left last:border-b-0 hover:bg-muted/50",
+                    !notification.read && "bg-primary/5"
+                  )}
+                >
+                  <div className="flex items-center gap-2">
+                    {!notification.read && <span className="h-2 w-2 flex-shrink-0 rounded-full bg-primary" />}
+                    <p className="text-sm font-medium">{notification.title}</p>
+                  </div>
+                  <p className="mt-0.5 text-xs text-muted-foreground">{notification.body}</p>
+                  <p className="mt-1 text-[11px] text-muted-foreground/70">{formatTime(notification.createdAt)}</p>
+                </button>
+              ))
+            )}
+          </TabsContent>
+
+          <TabsContent value="alerts" className="mt-0 max-h-96 overflow-y-auto">
+            {rules.length === 0 ? (
+              <p className="p-4 text-center text-sm text-muted-foreground">You have no alerts.</p>
+            ) : (
+              rules.map((rule) => (
+                <div key={rule.id} className="flex items-start gap-2 border-b border-border px-3 py-2 last:border-b-0">
+                  <div className="flex-1">
+                    <p className="text-sm">When {rule.description}</p>
+                    {rule.lastFiredAt && (
+                      <p className="mt-0.5 text-[11px] text-muted-foreground/70">Last fired {formatTime(rule.lastFiredAt)}</p>
+                    )}
+                  </div>
+                  <Button variant="ghost" size="icon" aria-label="Delete alert" className="h-7 w-7" onClick={() => deleteRule(rule.id)}>
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </Button>
+                </div>
+              ))
+            )}
+          </TabsContent>
+        </Tabs>
+      </PopoverContent>
+    </Popover>
+  );
+};
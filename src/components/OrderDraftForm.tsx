@@ -0,0 +1,144 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+
+export interface OrderDraft {
+  orderType: "sales" | "purchase";
+  title: string;
+  partyKey: string;
+  partyLabel: string;
+  draft: Record<string, string | number>;
+  warnings?: string[];
+  submitEndpoint: string;
+}
+
+interface OrderDraftFormProps {
+  order: OrderDraft;
+  onSubmit?: (data: Record<string, string | number>, endpoint: string) => void;
+}
+
+// Pre-filled, editable order draft. Nothing is saved until the user confirms it.
+export const OrderDraftForm = ({ order, onSubmit }: OrderDraftFormProps) => {
+  const [isSubmitted, setIsSubmitted] = useState(false);
+  const [formData, setFormData] = useState<Record<string, string | number>>(order.draft);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (Number(formData.quantity) <= 0 || Number(formData.amount) <= 0) {
+      setError("Quantity and amount must be greater than zero.");
+      return;
+    }
+
+    if (onSubmit) {
+      setError(null);
+      onSubmit(
+        {
+          ...formData,
+          quantity: Number(formData.quantity),
+          amount: Number(formData.amount),
+          currency: String(formData.currency).toUpperCase(),
+        },
+        order.submitEndpoint
+      );
+      setIsSubmitted(true);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 p-1">
+      <h3 className="font-semibold text-lg">{order.title}</h3>
+
+      {order.warnings && order.warnings.length > 0 && (
+        <ul className="text-xs text-muted-foreground list-disc pl-4 space-y-1">
+          {order.warnings.map((warning) => (
+            <li key={warning}>{warning}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="space-y-2">
+        <Label htmlFor={order.partyKey}>{order.partyLabel}</Label>
+        <Input
+          id={order.partyKey}
+          name={order.partyKey}
+          value={formData[order.partyKey] ?? ""}
+          onChange={handleChange}
+          disabled={isSubmitted}
+          required
+        />
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="material">Material</Label>
+          <Input
+            id="material"
+            name="material"
+            value={formData.material ?? ""}
+            onChange={handleChange}
+            disabled={isSubmitted}
+            required
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="quantity">Quantity</Label>
+          <Input
+            id="quantity"
+            name="quantity"
+            type="number"
+            min={1}
+            step={1}
+            value={formData.quantity ?? ""}
+            onChange={handleChange}
+            disabled={isSubmitted}
+            required
+          />
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="amount">Amount</Label>
+          <Input
+            id="amount"
+            name="amount"
+            type="number"
+            min={0.01}
+            step={0.01}
+            value={formData.amount ?? ""}
+            onChange={handleChange}
+            disabled={isSubmitted}
+            required
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="currency">Currency</Label>
+          <Input
+            id="currency"
+            name="currency"
+            maxLength={3}
+            pattern="[A-Za-z]{3}"
+            value={formData.currency ?? ""}
+            onChange={handleChange}
+            disabled={isSubmitted}
+            required
+          />
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-500">{error}</p>}
+
+      {!isSubmitted && (
+        <Button type="submit" className="w-full mt-2">
+          Confirm and Create
+        </Button>
+      )}
+    </form>
+  );
+};
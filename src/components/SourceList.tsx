@@ -0,0 +1,44 @@
+import { useState } from "react";
+import { BookOpen, ChevronDown } from "lucide-react";
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from "@/components/ui/collapsible";
+import { cn } from "@/lib/utils";
+
+// A knowledge base entry an answer was based on
+export interface KnowledgeSource {
+  term: string;
+  module?: string;
+  excerpt: string;
+  confidence: number;
+}
+
+const SourceItem = ({ source, index }: { source: KnowledgeSource; index: number }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <Collapsible open={open} onOpenChange={setOpen} className="rounded-md border border-border bg-card">
+      <CollapsibleTrigger className="flex w-full items-center gap-2 px-3 py-1.5 text-left text-xs">
+        <span className="text-muted-foreground">[{index + 1}]</span>
+        <span className="font-medium flex-1 truncate">{source.term}</span>
+        {source.module && <span className="text-muted-foreground">{source.module}</span>}
+        <ChevronDown className={cn("h-3.5 w-3.5 text-muted-foreground transition-transform", open && "rotate-180")} />
+      </CollapsibleTrigger>
+      <CollapsibleContent className="px-3 pb-2 text-xs text-muted-foreground">
+        {source.excerpt}
+      </CollapsibleContent>
+    </Collapsible>
+  );
+};
+
+export const SourceList = ({ sources }: { sources: KnowledgeSource[] }) => {
+  return (
+    <div className="mt-3 space-y-1.5">
+      <p className="flex items-center gap-1.5 text-xs font-medium text-muted-foreground">
+        <BookOpen className="h-3.5 w-3.5" />
+        References
+      </p>
+      {sources.map((source, index) => (
+        <SourceItem key={`${source.term}-${index}`} source={source} index={index} />
+      ))}
+    </div>
+  );
+};
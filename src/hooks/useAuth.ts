@@ -0,0 +1,27 @@
+import { createContext, useContext } from "react";
+
+export interface AuthUser {
+  username: string;
+  displayName: string;
+  employeeName: string;
+  roles: string[];
+}
+
+export interface AuthContextValue {
+  user: AuthUser | null;
+  // 'jwt' shows the sign-in form; 'header' (SSO) and 'none' sign users in on the server
+  mode: string | null;
+  loading: boolean;
+  login: (username: string, password: string) => Promise<void>;
+  logout: () => void;
+}
+
+export const AuthContext = createContext<AuthContextValue | null>(null);
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used inside an AuthProvider");
+  }
+  return context;
+};
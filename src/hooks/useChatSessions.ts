@@ -1,73 +1,174 @@
 import { useState, useEffect, useRef } from 'react';
 import { useToast } from '@/hooks/use-toast';
-import { Message } from '@/components/ui/MessageBubble'; // Corrected path
+import { Message } from '@/components/MessageBubble';
+import { apiFetch } from '@/lib/api';
 
 // This defines what a "ChatSession" looks like
 export interface ChatSession {
   id: string;
   title: string;
   timestamp: string;
+  updatedAt?: string; // time of the last message (ISO), for sorting
   messages: Message[];
   pinned?: boolean;
+  shared?: boolean; // has a read-only share link
+  loaded?: boolean; // false until the messages are fetched (the list only has titles)
+  snippet?: string; // search results: the best match, matched words in <mark></mark>
 }
 
-// This is our custom hook!
+// A saved session as the backend returns it (see backend/chatSessions.js)
+interface StoredSession {
+  id: string;
+  title: string;
+  pinned: boolean;
+  shared: boolean;
+  updatedAt: string;
+  messages?: Message[];
+  matches?: { messageId: string | null; role: string | null; snippet: string }[];
+}
+
+// Chats used to be kept only in this browser; they are uploaded once, then removed from here
+const LEGACY_STORAGE_KEY = 'chatSessions';
+const DEFAULT_TITLE = "New Conversation";
+
+const createEmptySession = (): ChatSession => ({
+  id: crypto.randomUUID(),
+  title: DEFAULT_TITLE,
+  timestamp: "Just now",
+  messages: [],
+  pinned: false,
+  loaded: true,
+});
+
+const toChatSession = (stored: StoredSession): ChatSession => ({
+  id: stored.id,
+  title: stored.title,
+  timestamp: new Date(stored.updatedAt).toLocaleString([], { dateStyle: "medium", timeStyle: "short" }),
+  updatedAt: stored.updatedAt,
+  messages: stored.messages ?? [],
+  pinned: stored.pinned,
+  shared: stored.shared,
+  loaded: Boolean(stored.messages),
+  snippet: stored.matches?.[0]?.snippet,
+});
+
+// The first question of a chat becomes its title
+const titleAfter = (session: ChatSession | undefined, message: Message) => {
+  const isFirstUserMessage = (session?.messages.length ?? 0) === 0 && message.role === 'user';
+  return isFirstUserMessage && message.data.type === 'text'
+    ? (message.data.content ?? "").substring(0, 35)
+    : session?.title ?? DEFAULT_TITLE;
+};
+
+// Calls the sessions API; throws with the backend's message when the call fails
+const sessionRequest = async <T>(path: string, method = "GET", body?: unknown): Promise<T> => {
+  const response = await apiFetch(path, {
+    method,
+    headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  if (!response.ok) {
+    let message = `Request failed (${response.status})`;
+    try {
+      message = (await response.json()).error || message;
+    } catch { /* Ignore parsing error */ }
+    throw new Error(message);
+  }
+  return (response.status === 204 ? null : await response.json()) as T;
+};
+
+// This is our custom hook! Chats are saved on the server, so they follow the user to other machines.
 export const useChatSessions = () => {
   const { toast } = useToast();
   const [sessions, setSessions] = useState<ChatSession[]>([]);
   const [activeSessionId, setActiveSessionId] = useState<string | null>(null);
   const initialized = useRef(false);
+  // Sessions the server has; a new chat is saved with its first message
+  const savedIds = useRef(new Set<string>());
+  // Writes per session, in order (an answer must not be saved before its question)
+  const pendingWrites = useRef(new Map<string, Promise<void>>());
 
-  // This part now loads saved chats and creates a new one on top for every app launch.
-  useEffect(() => {
-    if (initialized.current) return;
-    initialized.current = true;
+  const patchSession = (id: string, change: Partial<ChatSession>) => {
+    setSessions((prev) => prev.map((s) => (s.id === id ? { ...s, ...change } : s)));
+  };
 
-    const newSessionOnLoad: ChatSession = {
-      id: Date.now().toString(),
-      title: "New Conversation",
-      timestamp: "Just now",
-      messages: [],
-      pinned: false,
-    };
+  const reportError = (title: string) => (error: unknown) => {
+    console.error(`${title}:`, error);
+    toast({ title, description: error instanceof Error ? error.message : String(error), variant: "destructive" });
+  };
 
-    let previousSessions: ChatSession[] = [];
+  const queueWrite = (sessionId: string, write: () => Promise<unknown>) => {
+    const previous = pendingWrites.current.get(sessionId) ?? Promise.resolve();
+    const next = previous.then(write).then(() => undefined, reportError("Could not save the conversation"));
+    pendingWrites.current.set(sessionId, next);
+    return next;
+  };
+
+  // One-time upload of the chats this browser kept in localStorage before they were saved on the server
+  const migrateLocalSessions = async () => {
+    const saved = localStorage.getItem(LEGACY_STORAGE_KEY);
+    if (!saved) return;
+    let legacySessions: unknown;
     try {
-      const saved = localStorage.getItem('chatSessions');
-      if (saved) {
-        previousSessions = JSON.parse(saved) as ChatSession[];
-      }
-    } catch (err) {
-      console.error("Error loading chat sessions:", err);
-      previousSessions = [];
+      legacySessions = JSON.parse(saved);
+    } catch {
+      legacySessions = null;
+    }
+    if (!Array.isArray(legacySessions)) {
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
+      return;
     }
+    const report = await sessionRequest<{ imported: unknown[]; errors: Array<{ from: string; message: string }> }>(
+      '/api/sessions/import', "POST", { sessions: legacySessions }
+    );
+    if (report.imported.length > 0) {
+      toast({ title: "Chats saved to your account", description: `${report.imported.length} conversation(s) from this browser are now available wherever you sign in.` });
+    }
+    if (report.errors.length === 0) {
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
+      return;
+    }
+    // The chats the server refused stay in this browser; the report names them by id, or by position
+    const failed = new Set(report.errors.map((error) => error.from));
+    const kept = legacySessions.filter((session, index) => failed.has(String((session as { id?: unknown } | null)?.id ?? `#${index + 1}`)));
+    localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(kept));
+    toast({
+      title: "Some chats could not be saved to your account",
+      description: `${report.errors.length} conversation(s) stay in this browser: ${report.errors.map((error) => error.message).join(" ")}`,
+      variant: "destructive",
+    });
+  };
 
-    setSessions([newSessionOnLoad, ...previousSessions]);
+  // This part loads the saved chats and creates a new one on top for every app launch.
+  useEffect(() => {
+    if (initialized.current) return;
+    initialized.current = true;
+
+    const newSessionOnLoad = createEmptySession();
+    setSessions([newSessionOnLoad]);
     setActiveSessionId(newSessionOnLoad.id);
-    
+
+    const load = async () => {
+      await migrateLocalSessions().catch(reportError("Could not upload the chats stored in this browser"));
+      const stored = await sessionRequest<StoredSession[]>('/api/sessions');
+      stored.forEach((s) => savedIds.current.add(s.id));
+      const storedIds = new Set(stored.map((s) => s.id));
+      setSessions((prev) => [...prev.filter((s) => !storedIds.has(s.id)), ...stored.map(toChatSession)]);
+    };
+    load().catch(reportError("Could not load your conversations"));
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  // This part saves chats to the browser's memory whenever they change
-  useEffect(() => {
-    if (initialized.current) {
-        if (sessions.length > 0) {
-            // We save all but the first (active, empty) session if it has no messages
-            const sessionsToSave = sessions[0]?.messages.length === 0 
-                ? sessions.slice(1) 
-                : sessions;
-            
-            if (sessionsToSave.length > 0) {
-                localStorage.setItem('chatSessions', JSON.stringify(sessionsToSave));
-            } else {
-                localStorage.removeItem('chatSessions');
-            }
-        } else {
-            localStorage.removeItem('chatSessions');
-        }
-    }
-  }, [sessions]);
-
+  // Fetches the messages of a saved session (keeping any added meanwhile)
+  const loadSession = async (id: string) => {
+    const session = toChatSession(await sessionRequest<StoredSession>(`/api/sessions/${id}`));
+    setSessions((prev) => prev.map((s) => {
+      if (s.id !== id) return s;
+      const storedIds = new Set(session.messages.map((m) => m.id));
+      return { ...session, messages: [...session.messages, ...s.messages.filter((m) => !storedIds.has(m.id))] };
+    }));
+    return session;
+  };
 
   const handleNewChat = (showToast = true) => {
     const latestSession = sessions[0];
@@ -81,13 +182,7 @@ export const useChatSessions = () => {
       return latestSession;
     }
 
-    const newSession: ChatSession = {
-      id: Date.now().toString(),
-      title: "New Conversation",
-      timestamp: "Just now",
-      messages: [],
-      pinned: false,
-    };
+    const newSession = createEmptySession();
     setSessions(prev => [newSession, ...prev]);
     setActiveSessionId(newSession.id);
     if (showToast) toast({ title: "New chat started" });
@@ -96,6 +191,10 @@ export const useChatSessions = () => {
 
   const handleSelectSession = (id: string) => {
     setActiveSessionId(id);
+    const session = sessions.find((s) => s.id === id);
+    if (session && !session.loaded && savedIds.current.has(id)) {
+      loadSession(id).catch(reportError("Could not open the conversation"));
+    }
   };
 
   const handleDeleteSession = (id: string) => {
@@ -105,42 +204,97 @@ export const useChatSessions = () => {
       if (updated.length > 0) setActiveSessionId(updated[0].id);
       else handleNewChat(false);
     }
+    if (savedIds.current.has(id)) {
+      queueWrite(id, async () => {
+        await sessionRequest(`/api/sessions/${id}`, "DELETE");
+        savedIds.current.delete(id);
+      });
+    }
     toast({ title: "Chat deleted", description: "Conversation removed." });
   };
 
   const handleClearAll = () => {
-    const newSession: ChatSession = {
-      id: Date.now().toString(), title: "New Conversation", timestamp: "Just now", messages: [], pinned: false,
-    };
+    const newSession = createEmptySession();
     setSessions([newSession]);
     setActiveSessionId(newSession.id);
+    sessionRequest('/api/sessions', "DELETE")
+      .then(() => savedIds.current.clear())
+      .catch(reportError("Could not delete your conversations"));
     toast({ title: "All conversations cleared", description: "Started fresh." });
   };
 
   const handleRenameSession = (id: string, newTitle: string) => {
-    setSessions((prev) =>
-      prev.map((s) => (s.id === id ? { ...s, title: newTitle } : s))
-    );
+    patchSession(id, { title: newTitle });
+    if (savedIds.current.has(id)) {
+      queueWrite(id, () => sessionRequest(`/api/sessions/${id}`, "PATCH", { title: newTitle }));
+    }
     toast({ title: "Chat renamed", description: `Renamed to "${newTitle}".` });
   };
 
   const handleTogglePin = (id: string) => {
-    setSessions((prev) =>
-      prev.map((s) => (s.id === id ? { ...s, pinned: !s.pinned } : s))
-    );
+    const pinned = !sessions.find((s) => s.id === id)?.pinned;
+    patchSession(id, { pinned });
+    if (savedIds.current.has(id)) {
+      queueWrite(id, () => sessionRequest(`/api/sessions/${id}`, "PATCH", { pinned }));
+    }
   };
-  
-  const formatMessageForExport = (m: Message) => {
+
+  // --- Read-only share links: /shared/<token>, for signed-in colleagues ---
+  const handleShareSession = async (id: string) => {
+    try {
+      await pendingWrites.current.get(id);
+      if (!savedIds.current.has(id)) {
+        toast({ title: "Nothing to share yet", description: "Please send a message before sharing this chat." });
+        return;
+      }
+      const { token } = await sessionRequest<{ token: string }>(`/api/sessions/${id}/share`, "POST");
+      patchSession(id, { shared: true });
+      await navigator.clipboard.writeText(`${window.location.origin}/shared/${token}`);
+      toast({ title: "Share link copied", description: "Colleagues who sign in can read this chat with the link." });
+    } catch (error) {
+      reportError("Could not share the conversation")(error);
+    }
+  };
+
+  const handleStopSharing = (id: string) => {
+    queueWrite(id, async () => {
+      await sessionRequest(`/api/sessions/${id}/share`, "DELETE");
+      patchSession(id, { shared: false });
+      toast({ title: "Sharing stopped", description: "The share link no longer works." });
+    });
+  };
+
+  // Full-text search over titles and messages (tables and forms included), best match first
+  const searchSessions = async (query: string) => {
+    const results = await sessionRequest<StoredSession[]>(`/api/sessions/search?q=${encodeURIComponent(query)}`);
+    return results.map(toChatSession);
+  };
+
+  const formatMessageForExport = (m: Message): string => {
     if (m.data.type === "text" && m.data.content) return m.data.content;
     if (m.data.type === "detail" && m.data.detailData) return JSON.stringify(m.data.detailData, null, 2);
     if (m.data.type === "table" && m.data.tableData) return m.data.tableData.map((row) => JSON.stringify(row)).join("\n");
+    if (m.data.type === "clarification") {
+      return [m.data.content, ...(m.data.choices ?? []).map((choice) => `- ${choice.label}`)].filter(Boolean).join("\n");
+    }
+    if (m.data.type === "composite" && m.data.sections) {
+      return m.data.sections.map((section) => `${section.title ? `${section.title}\n` : ""}${formatMessageForExport({ ...m, data: section })}`).join("\n\n");
+    }
     return "[Unsupported message type]";
   };
 
-  const handleExportSession = (id: string) => {
-    const session = sessions.find((s) => s.id === id);
+  const handleExportSession = async (id: string) => {
+    let session = sessions.find((s) => s.id === id);
     if (!session) return;
-    
+    if (!session.loaded && savedIds.current.has(id)) {
+      try {
+        session = await loadSession(id);
+      } catch (error) {
+        reportError("Could not export the conversation")(error);
+        return;
+      }
+    }
+
     // --- 👇 THIS IS THE FIX ---
     // Check if the session has any messages before exporting.
     if (session.messages.length === 0) {
@@ -173,19 +327,25 @@ export const useChatSessions = () => {
     toast({ title: "Chat exported", description: `Saved as ${session.title}.txt` });
   };
 
+  // Shows the message right away and saves it in the background (creating the session on its first message)
   const addMessageToSession = (sessionId: string, message: Message) => {
+    const session = sessions.find((s) => s.id === sessionId);
+    const title = titleAfter(session, message);
     setSessions(prev =>
       prev.map(s => {
         if (s.id !== sessionId) return s;
-        
-        const isFirstUserMessage = s.messages.length === 0 && message.role === 'user';
-        const newTitle = isFirstUserMessage && message.data.type === 'text'
-            ? message.data.content.substring(0, 35) 
-            : s.title;
-
-        return { ...s, title: newTitle, messages: [...s.messages, message] };
+        return { ...s, title: titleAfter(s, message), updatedAt: new Date().toISOString(), messages: [...s.messages, message] };
       })
     );
+
+    queueWrite(sessionId, async () => {
+      if (savedIds.current.has(sessionId)) {
+        await sessionRequest(`/api/sessions/${sessionId}/messages`, "POST", { messages: [message] });
+      } else {
+        await sessionRequest('/api/sessions', "POST", { id: sessionId, title, pinned: session?.pinned ?? false, messages: [message] });
+        savedIds.current.add(sessionId);
+      }
+    });
   };
 
   return {
@@ -199,6 +359,9 @@ export const useChatSessions = () => {
     handleRenameSession,
     handleTogglePin,
     handleExportSession,
+    handleShareSession,
+    handleStopSharing,
+    searchSessions,
     addMessageToSession,
   };
-};
\ No newline at end of file
+};
@@ -0,0 +1,61 @@
+export const BACKEND_URL = "https://sap-assistant-backend.onrender.com";
+
+const TOKEN_KEY = "authToken";
+
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setAuthToken = (token: string | null) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+// Called whenever the backend answers 401 (expired or revoked session)
+let unauthorizedHandler: (() => void) | null = null;
+
+export const onUnauthorized = (handler: (() => void) | null) => {
+  unauthorizedHandler = handler;
+};
+
+// fetch() against the backend with the signed-in user's bearer token
+export const apiFetch = async (path: string, init: RequestInit = {}) => {
+  const headers = new Headers(init.headers);
+  const token = getAuthToken();
+  if (token) {
+    headers.set("Authorization", `Bearer ${token}`);
+  }
+
+  const response = await fetch(`${BACKEND_URL}${path}`, { ...init, headers });
+  if (response.status === 401 && !path.startsWith("/api/auth/login")) {
+    setAuthToken(null);
+    unauthorizedHandler?.();
+  }
+  return response;
+};
+
+// Reads a text/event-stream response (e.g. /api/chat/stream) and calls onEvent for each
+// complete event with its parsed JSON data. Aborting the request's signal rejects with an AbortError.
+export const readEventStream = async (response: Response, onEvent: (event: string, data: unknown) => void) => {
+  if (!response.body) throw new Error("The response has no body to stream.");
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const frames = buffer.split("\n\n");
+    buffer = frames.pop() ?? "";
+    frames.forEach((frame) => {
+      let event = "message";
+      const data: string[] = [];
+      frame.split("\n").forEach((line) => {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+      });
+      if (data.length > 0) onEvent(event, JSON.parse(data.join("\n")));
+    });
+  }
+};
@@ -1,13 +1,54 @@
 import { useState, useRef, useEffect } from "react";
 import { ChatHistory } from "@/components/ChatHistory";
-import { ChatWindow } from "@/components/ChatWindow";
+import { ChatWindow, PendingReply } from "@/components/ChatWindow";
 import { ChatInput } from "@/components/ChatInput";
-import { Message, MessageData } from "@/components/MessageBubble";
+import { Message, MessageData, ToolCall } from "@/components/MessageBubble";
 import { useToast } from "@/hooks/use-toast";
 import { cn } from "@/lib/utils";
-import { useChatSessions } from "@/hooks/useChatSessions";
+import { ChatSession, useChatSessions } from "@/hooks/useChatSessions";
+import { apiFetch, readEventStream } from "@/lib/api";
 
-const BACKEND_URL = "https://sap-assistant-backend.onrender.com";
+const HISTORY_TABLE_ROWS = 10;
+const SEARCH_DELAY_MS = 300;
+
+// Progress events from /api/chat/stream
+interface ChatStatus {
+  stage: "deciding" | "running" | "explaining" | "translating";
+  tool?: string;
+  step?: number; // steps of a multi-step plan
+  steps?: number;
+}
+
+const describeStatus = ({ stage, tool, step, steps }: ChatStatus) => {
+  const progress = step && steps ? ` (step ${step} of ${steps})` : "";
+  if (stage === "running" && tool) return `Running ${tool.replace(/_/g, " ")}${progress}…`;
+  if (stage === "explaining") return `Explaining${progress}…`;
+  if (stage === "translating") return "Translating…";
+  return "Thinking…";
+};
+
+interface HistoryEntry {
+  sender: string;
+  text: string;
+  type?: MessageData["type"];
+  toolCall?: ToolCall;
+  tableData?: MessageData["tableData"];
+  rowCount?: number;
+  sections?: Omit<HistoryEntry, "sender">[];
+  choices?: MessageData["choices"]; // a clarification's choices, so the next message can pick one
+  clarification?: MessageData["clarification"];
+}
+
+const toHistoryEntry = (data: MessageData | undefined): Omit<HistoryEntry, "sender"> => ({
+  text: data?.content ?? '',
+  type: data?.type,
+  toolCall: data?.toolCall,
+  tableData: data?.tableData?.slice(0, HISTORY_TABLE_ROWS),
+  rowCount: data?.paging?.totalRows ?? data?.tableData?.length,
+  sections: data?.sections?.map(toHistoryEntry),
+  choices: data?.choices,
+  clarification: data?.clarification,
+});
 
 const Index = () => {
   const { toast } = useToast();
@@ -23,13 +64,18 @@ const Index = () => {
     handleRenameSession,
     handleTogglePin,
     handleExportSession,
+    handleShareSession,
+    handleStopSharing,
+    searchSessions,
     addMessageToSession,
   } = useChatSessions();
 
   const [isConnected] = useState(true);
   const [isBotTyping, setIsBotTyping] = useState(false);
+  const [pendingReply, setPendingReply] = useState<PendingReply | null>(null);
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
+  const [searchResults, setSearchResults] = useState<ChatSession[] | null>(null);
 
   const abortControllerRef = useRef<AbortController | null>(null);
 
@@ -56,20 +102,20 @@ const Index = () => {
 
     addMessageToSession(currentSessionId, userMsg);
     setIsBotTyping(true);
+    setPendingReply({ status: "Thinking…", content: "" });
 
     try {
-      const messageHistory = activeSession?.messages
-        .map(msg => ({
-          sender: msg.role,
-          text: (msg.data as { type?: string; content?: string })?.content ?? '',
-        }))
-        .concat([{ sender: 'user', text: text }])
-         || [{ sender: 'user', text: text }];
-
-      const response = await fetch(`${BACKEND_URL}/api/chat`, {
+      // Earlier answers carry their type, tool call and a few table rows so the
+      // backend can resolve follow-ups like "only the open ones".
+      const messageHistory: HistoryEntry[] = (activeSession?.messages ?? [])
+        .map((msg: Message): HistoryEntry => ({ sender: msg.role, ...toHistoryEntry(msg.data) }))
+        .concat([{ sender: 'user', text: text }]);
+
+      // Streamed: progress and answer text arrive as they happen; aborting cancels the work on the server too
+      const response = await apiFetch('/api/chat/stream', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ messageHistory }),
+        headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+        body: JSON.stringify({ messageHistory, conversationId: currentSessionId }),
         signal: controller.signal,
       });
 
@@ -79,10 +125,30 @@ const Index = () => {
            const errorData = await response.json();
            errorMsg = errorData.error || errorMsg;
          } catch (e) { /* Ignore parsing error */ }
+         // Rate limited: the message says how long to wait
+         if (response.status === 429) {
+           toast({ title: "Too many messages", description: errorMsg });
+           return;
+         }
          throw new Error(errorMsg);
       }
 
-      const botResponseData: MessageData = await response.json();
+      const reply: { data?: MessageData } = {};
+      await readEventStream(response, (event, data) => {
+        if (event === "status") {
+          setPendingReply((prev) => ({ content: prev?.content ?? "", status: describeStatus(data as ChatStatus) }));
+        } else if (event === "token") {
+          setPendingReply((prev) => ({ status: prev?.status, content: (prev?.content ?? "") + (data as { text: string }).text }));
+        } else if (event === "response") {
+          reply.data = data as MessageData;
+        } else if (event === "error") {
+          throw new Error((data as { error?: string }).error || "The assistant could not answer.");
+        }
+      });
+      if (!reply.data) {
+        throw new Error("The connection closed before the answer was complete.");
+      }
+      const botResponseData = reply.data;
 
       const botMsg: Message = {
         id: (Date.now() + 1).toString(),
@@ -107,14 +173,16 @@ const Index = () => {
       });
     } finally {
       setIsBotTyping(false);
+      setPendingReply(null);
        abortControllerRef.current = null;
     }
   };
 
-  const handleFormSubmit = async (formData: Record<string, any>) => {
+  // Submits the leave form by default; order drafts pass their own confirmation endpoint.
+  const handleFormSubmit = async (formData: Record<string, any>, endpoint = "/api/submit-leave") => {
     setIsBotTyping(true);
     try {
-      const response = await fetch(`${BACKEND_URL}/api/submit-leave`, {
+      const response = await apiFetch(endpoint, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(formData),
@@ -153,6 +221,27 @@ const Index = () => {
     }
   };
 
+  // Searches the saved conversations on the server once typing pauses
+  useEffect(() => {
+    const query = searchQuery.trim();
+    setSearchResults(null);
+    if (!query) return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      searchSessions(query)
+        .then((results) => !cancelled && setSearchResults(results))
+        .catch((error) => {
+          console.error("Search failed:", error);
+          if (!cancelled) setSearchResults([]);
+        });
+    }, SEARCH_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchQuery]);
+
   useEffect(() => {
     return () => {
       if (abortControllerRef.current) {
@@ -172,7 +261,8 @@ const Index = () => {
         )}
       >
         <ChatHistory
-          sessions={sessions}
+          sessions={searchQuery.trim() ? searchResults ?? [] : sessions}
+          isSearching={Boolean(searchQuery.trim()) && searchResults === null}
           activeSessionId={activeSessionId}
           searchQuery={searchQuery}
           onSearchChange={setSearchQuery}
@@ -186,6 +276,8 @@ const Index = () => {
           onRenameSession={handleRenameSession}
           onTogglePin={handleTogglePin}
           onExportSession={handleExportSession}
+          onShareSession={handleShareSession}
+          onStopSharing={handleStopSharing}
         />
       </div>
 
@@ -205,8 +297,10 @@ const Index = () => {
             messages={activeSession?.messages || []}
             onPromptClick={handleSendMessage}
             onFormSubmit={handleFormSubmit}
+            onChoice={handleSendMessage}
             isConnected={isConnected}
             isBotTyping={isBotTyping}
+            pendingReply={pendingReply}
             onToggleSidebar={() => setIsSidebarOpen((prev) => !prev)}
           />
         </div>
@@ -0,0 +1,65 @@
+import { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { ArrowLeft, Eye } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Message, MessageBubble } from "@/components/MessageBubble";
+import { apiFetch } from "@/lib/api";
+
+interface SharedSession {
+  title: string;
+  sharedBy: string;
+  updatedAt: string;
+  messages: Message[];
+}
+
+// A conversation someone shared: read-only, no forms or choices to act on
+const SharedConversation = () => {
+  const { token = "" } = useParams();
+  const [session, setSession] = useState<SharedSession | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    apiFetch(`/api/shared/${encodeURIComponent(token)}`)
+      .then(async (response) => {
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.error || "This conversation could not be loaded.");
+        if (!cancelled) setSession(body as SharedSession);
+      })
+      .catch((err: Error) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  return (
+    <div className="flex h-[100dvh] w-full flex-col overflow-hidden">
+      <header className="flex items-center gap-3 border-b border-border px-4 py-3">
+        <Button asChild variant="ghost" size="icon" title="Back to your chats">
+          <Link to="/">
+            <ArrowLeft className="h-4 w-4" />
+          </Link>
+        </Button>
+        <div className="min-w-0">
+          <h1 className="truncate font-semibold">{session?.title ?? "Shared conversation"}</h1>
+          {session && (
+            <p className="flex items-center gap-1 text-xs text-muted-foreground">
+              <Eye className="h-3 w-3" />
+              Shared by {session.sharedBy} · read-only · last message {new Date(session.updatedAt).toLocaleString()}
+            </p>
+          )}
+        </div>
+      </header>
+
+      <main className="flex-1 overflow-y-auto p-3 md:p-6">
+        {error && <p className="text-center text-sm text-muted-foreground">{error}</p>}
+        {!session && !error && <p className="text-center text-sm text-muted-foreground">Loading…</p>}
+        {session?.messages.map((message) => (
+          <MessageBubble key={message.id} message={{ ...message, timestamp: message.timestamp ?? "" }} />
+        ))}
+      </main>
+    </div>
+  );
+};
+
+export default SharedConversation;